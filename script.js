@@ -11,6 +11,24 @@ const state = {
     sphere: null,
     videoTexture: null,
     isPlaying: false,
+    frameRate: 30,            // Frames per second of the loaded video (see Playback Controls)
+    frameRateSource: 'assumed', // 'assumed', 'measured' or 'container'
+    timeDisplayMode: 'media', // Time labels: 'media', 'frame' or 'clock'
+    shuttleSpeed: 0,          // J/K/L shuttle rate; negative plays backwards
+    shuttleHold: false,       // K held down: J/L step single frames
+    shuttleLastTick: 0,       // performance.now() of the last reverse shuttle step
+    rangeIn: null,            // In point in seconds (null = start of video)
+    rangeOut: null,           // Out point in seconds (null = end of video)
+    loopRange: false,         // Loop playback between the in and out points
+    timelineZoom: null,       // Visible { start, end } of a zoomed timeline (null = whole video)
+    thumbnailRenderer: null,  // Offscreen renderer for timeline hover previews
+    viewPaths: [],            // Recorded reviewer look paths (see View Paths)
+    pathRecording: null,      // { startedAt, samples } while recording
+    pathReplay: null,         // { path, startedAt, index } while replaying
+    coverage: {},             // Review coverage records by reviewer (see Review Coverage)
+    coverageScope: 'team',    // Coverage shown: 'team' or 'me'
+    coverageOverlay: false,   // Heatmap drawn over the sphere
+    coverageMesh: null,       // Sphere carrying the heatmap
     isDragging: false,
     previousMousePosition: { x: 0, y: 0 },
     currentView: 'stitched',
@@ -20,9 +38,77 @@ const state = {
     animationFrameId: null,
     viewLocked: false,  // Lock camera movement for front/back views
     rawViewInitialized: false,  // Track if raw view has been initialized
+    rawRenderer: null,          // Offscreen WebGL renderer for the raw view fisheye reprojection
+    projectionScene: null,      // Full-screen quad for little planet/flat/cubemap views (see Viewport Projections)
+    projectionCamera: null,
+    projectionQuad: null,
+    // Virtual lens orientation in the raw view (pan/tilt in degrees, zoom as a magnification)
+    rawLenses: {
+        front: { pan: 0, tilt: 0, zoom: 1 },
+        back: { pan: 0, tilt: 0, zoom: 1 }
+    },
+    sourceProjection: 'equirectangular',  // 'equirectangular' or 'dual-fisheye'
+    lensModel: null,                      // Dual-fisheye lens model (see Source Projection)
+    evidenceId: null,         // Evidence the loaded video belongs to (see Video Loading)
+    currentUser: 'Reviewer',  // Display name recorded on markers and audit entries
+    signedInUser: null,       // Account signed in with the share service; null when anonymous
+    videoFile: null,          // File the current video was loaded from
+    sourceHash: null,         // SHA-256 hex of videoFile once hashed
+    sourceHashJob: null,      // Promise for the running hash of videoFile
+    manifest: null,           // Loaded evidence manifest ({ fileName, data })
+    containerMetadata: null,  // Parsed MP4/MOV metadata of videoFile (see Container Metadata)
+    sourceAudioTrack: null,   // Sample table of videoFile's sound track, read by exports
+    telemetry: null,          // GPS/heading tracks (see Telemetry)
+    worldLock: 'off',         // Hold the view on 'north' or a 'landmark' as the wearer turns
+    landmark: null,           // { lat, lon } the landmark lock faces
+    pickingLandmark: false,   // Next map click places the landmark
+    leveling: false,          // Correct the sphere's roll and pitch (see Horizon Leveling)
+    stabilization: false,     // Smooth out high-frequency shake
+    horizonMarks: [],         // Manual horizon marks, sorted by time
+    markingHorizon: null,     // Horizon directions clicked so far while marking
     // Front lens calibration offset (adjust this to align with actual front direction)
     frontLensOffset: 91,  // Default: 91° in equirectangular = 0° front lens
-    initialOrientation: { pan: 0, tilt: 0, zoom: 75 } // Store initial view for reset
+    initialOrientation: { pan: 0, tilt: 0, zoom: 75 }, // Store initial view for reset
+    recipes: [],              // Flat View Recipes (see Flat View Recipes section)
+    activeRecipeId: null,     // Recipe driving the camera in flat view
+    recipeDraftKeyframes: [], // Keyframes captured while the recipe modal is open
+    markers: [],              // Timeline markers for the current evidence, sorted by time
+    editingMarkerId: null,    // Marker being edited in the marker modal (null = adding)
+    annotations: [],          // Direction-anchored annotations for the current evidence
+    annotating: false,        // Next viewport click pins an annotation
+    pendingAnnotation: null,  // { yaw, pitch } picked for the annotation modal
+    redactions: [],           // Tracked redaction regions (see Redaction)
+    redacting: false,         // Next viewport click starts a redaction region
+    pendingRedaction: null,   // { yaw, pitch, time } picked for the redaction modal
+    trackingRedactionId: null, // Region receiving keyframes from viewport clicks
+    showUnredacted: false,    // Authorized preview of the original pixels
+    audioRedactions: [],      // Muted/bleeped time ranges (see Audio Redaction)
+    audioGraph: null,         // Web Audio nodes applying them during playback
+    transcript: [],           // Segments { start, end, speaker, text }, ordered by start
+    transcriptSource: null,   // Name of the file the transcript came from (null = none loaded)
+    transcriptSpeaker: '',    // Speaker filter for the Transcript tab ('' = all)
+    transcriptQuery: '',      // Current transcript search text
+    transcriptHits: [],       // Segment indices matching the search, in order
+    transcriptHitIndex: -1,   // Selected search hit
+    activeTranscriptIndex: -1, // Segment under the playhead
+    showCaptions: false,      // Draw the active segment over the viewport
+    cameras: [],              // Multi-cam sources aligned by wall clock (see Multi-Cam)
+    activeCameraId: null,     // Camera shown in the main viewport
+    lastThumbnailUpdate: 0,   // performance.now() of the last multi-cam thumbnail refresh
+    shareService: null,       // Share backend (see Deep Links & Sharing)
+    commentStore: null,       // Comment thread backend (see Comments)
+    commentThreads: [],       // Comment threads for the current evidence
+    commentFilter: 'all',     // Comments tab filter: 'all', 'open', 'resolved' or 'mentions'
+    commentDraft: null,       // { mode, threadId, commentId, point } for the comment modal
+    pickingCommentPoint: false, // Next viewport click anchors a new thread to a direction
+    session: null,            // Joined review session (see Review Sessions)
+    sessionTransport: null,   // Transport sessions connect through
+    shareAccess: null,        // Share record the page was opened through, null = full access
+    pendingDeepLink: null,    // Parsed deep link waiting for video metadata
+    sharedRange: null,        // { start, end } carried by the deep link
+    auditLog: [],             // Hash-chained chain-of-custody entries, oldest first
+    exportJob: null,          // Running export ({ cancelled }) or null
+    isExporting: false        // True while an export is stepping state.video
 };
 
 // ===================================
@@ -46,6 +132,9 @@ function initializeApp() {
     // Start render loop
     animate();
     
+    // Restore position/view from a shared link, if any
+    openDeepLinkFromLocation();
+    
     console.log('EDP 360 Evidence Playback initialized');
 }
 
@@ -82,13 +171,15 @@ function initThreeJS() {
     const geometry = new THREE.SphereGeometry(500, 60, 40);
     geometry.scale(-1, 1, 1); // Invert for inside viewing
     
-    const material = new THREE.MeshBasicMaterial({
-        map: state.videoTexture
-    });
+    // Shader material samples equirectangular or dual-fisheye sources
+    const material = createSphereMaterial(state.videoTexture);
     
     state.sphere = new THREE.Mesh(geometry, material);
     state.scene.add(state.sphere);
     
+    // Full-screen quad for the little planet, flat and cubemap views
+    createProjectionView();
+    
     // Handle window resize
     window.addEventListener('resize', onWindowResize);
 }
@@ -104,32 +195,906 @@ function animate() {
     state.animationFrameId = requestAnimationFrame(animate);
     
     // Update video texture if video is playing
-    if (state.video && state.video.readyState >= state.video.HAVE_CURRENT_DATA) {
+    const sphereVideo = getSphereVideo();
+    if (sphereVideo && sphereVideo.readyState >= sphereVideo.HAVE_CURRENT_DATA) {
         if (state.videoTexture) {
             state.videoTexture.needsUpdate = true;
         }
     }
     
-    // Update camera rotation based on pan/tilt with front lens offset
-    const radPan = THREE.MathUtils.degToRad(state.pan + state.frontLensOffset);
-    const radTilt = THREE.MathUtils.degToRad(state.tilt);
+    // Other cameras follow the main video's clock
+    updateMultiCam();
+    
+    // Flat view follows the active recipe's keyframes (exports drive the video themselves)
+    if (state.currentView === 'flatview' && !state.isExporting) {
+        updateRecipePlayback();
+    }
     
-    state.camera.rotation.order = 'YXZ';
-    state.camera.rotation.y = radPan;
-    state.camera.rotation.x = radTilt;
+    // A replayed view path drives the camera and playhead; recording samples them
+    updateViewPathReplay();
+    updateSession();
+    updateWorldLock();
+    updateViewPathRecording();
     
-    // Update zoom (FOV)
-    state.camera.fov = state.zoom;
-    state.camera.updateProjectionMatrix();
+    // Update camera rotation and zoom from pan/tilt/zoom
+    applyCameraView(state.camera, state.pan, state.tilt, state.zoom);
     
-    // Render scene
-    if (state.renderer && state.scene && state.camera) {
-        state.renderer.render(state.scene, state.camera);
+    // Render the sphere or a projection view (skipped while the raw view replaces the 3D viewport)
+    if (state.renderer && state.scene && state.camera && state.currentView !== 'rawview') {
+        renderViewport();
     }
     
     // Update UI
     updateTimeDisplay();
     updateOrientationWidget();
+    updateAnnotationOverlay();
+    drawProjectionOverlay();
+    updateTranscriptPlayback();
+    updateShuttle();
+    updateRangeLoop();
+    updateCoverage();
+    updateTelemetryMap();
+}
+
+// Point a camera using pan/tilt (with front lens offset) and FOV in degrees
+function applyCameraView(camera, pan, tilt, zoom) {
+    camera.rotation.order = 'YXZ';
+    camera.rotation.y = THREE.MathUtils.degToRad(pan + state.frontLensOffset);
+    camera.rotation.x = THREE.MathUtils.degToRad(tilt);
+    
+    camera.fov = zoom;
+    camera.updateProjectionMatrix();
+}
+
+// ===================================
+// Sphere Coordinates
+// ===================================
+
+// Scene directions are yaw/pitch in degrees in sphere space, i.e. before the
+// front lens offset: a direction seen at pan P has yaw P + frontLensOffset.
+// Storing sphere-space angles keeps anchors fixed when the lens is recalibrated.
+
+function directionFromYawPitch(yaw, pitch) {
+    return new THREE.Vector3(0, 0, -1).applyEuler(new THREE.Euler(
+        THREE.MathUtils.degToRad(pitch),
+        THREE.MathUtils.degToRad(yaw),
+        0,
+        'YXZ'
+    ));
+}
+
+function yawPitchFromDirection(direction) {
+    const v = direction.clone().normalize();
+    return {
+        yaw: THREE.MathUtils.radToDeg(Math.atan2(-v.x, -v.z)),
+        pitch: THREE.MathUtils.radToDeg(Math.asin(Math.max(-1, Math.min(1, v.y))))
+    };
+}
+
+// Position in the equirectangular frame (0-1, from the top-left) for a direction
+function equirectUVFromYawPitch(yaw, pitch) {
+    return {
+        u: ((((270 - yaw) % 360) + 360) % 360) / 360,
+        v: (90 - pitch) / 180
+    };
+}
+
+// Where a direction lands in a camera's viewport, in pixels. Off-screen
+// directions also get the screen-space angle towards them for edge arrows.
+function projectToViewport(camera, yaw, pitch, width, height) {
+    const local = directionFromYawPitch(yaw, pitch).applyQuaternion(camera.quaternion.clone().invert());
+    const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+    const aspect = width / height;
+    
+    let visible = false;
+    let x = 0;
+    let y = 0;
+    if (local.z < 0) {
+        const ndcX = (local.x / -local.z) / (tanHalfFov * aspect);
+        const ndcY = (local.y / -local.z) / tanHalfFov;
+        x = (ndcX + 1) / 2 * width;
+        y = (1 - ndcY) / 2 * height;
+        visible = Math.abs(ndcX) <= 1 && Math.abs(ndcY) <= 1;
+    }
+    
+    return {
+        visible,
+        x,
+        y,
+        angle: Math.atan2(-local.y, local.x),  // Screen-space, y down
+        pixelsPerDegree: height / camera.fov
+    };
+}
+
+// Sphere-space direction under a point in the viewport (pixels)
+function yawPitchFromViewport(camera, x, y, width, height) {
+    const ndc = new THREE.Vector3((x / width) * 2 - 1, -(y / height) * 2 + 1, 0.5);
+    const direction = ndc.unproject(camera).sub(camera.position);
+    return yawPitchFromDirection(direction);
+}
+
+// ===================================
+// Source Projection & Lens Model
+// ===================================
+
+// Dual-fisheye lens model. Centers are fractions of the frame width/height,
+// radius a fraction of the frame height, fov and rotation in degrees. The
+// front lens looks along yaw 90° (the middle of an equirectangular frame),
+// the back lens along yaw 270°.
+const DEFAULT_LENS_MODEL = {
+    front: { fov: 190, centerX: 0.25, centerY: 0.5, radius: 0.5, rotation: 0 },
+    back: { fov: 190, centerX: 0.75, centerY: 0.5, radius: 0.5, rotation: 0 },
+    seamBlend: 10
+};
+
+// Redaction regions the shader can apply at once (see Redaction)
+const MAX_REDACTIONS = 16;
+
+// Shared GLSL: sample the source texture in a sphere-space direction
+const SOURCE_SAMPLING_GLSL = `
+    #define PI 3.141592653589793
+    uniform sampler2D map;
+    uniform int projection;        // 0 = equirectangular, 1 = dual fisheye
+    uniform float frameAspect;     // video height / width
+    uniform vec4 lensFront;        // centerX, centerY, radius, half FOV (rad)
+    uniform vec4 lensBack;
+    uniform vec2 lensRotation;     // front, back (rad)
+    uniform float seamBlend;       // rad
+    
+    #define MAX_REDACTIONS 16
+    uniform vec4 redactionRegions[MAX_REDACTIONS];  // centre direction, cos(angular radius)
+    uniform float redactionEffects[MAX_REDACTIONS]; // 0 = blur, 1 = pixelate, 2 = solid
+    uniform int redactionCount;
+    uniform int redactionMode;     // 0 = off, 1 = outline only, 2 = burn in
+    uniform mat3 sourceRotation;   // Displayed to source directions (see Horizon Leveling)
+    
+    vec2 equirectUV(vec3 d) {
+        float yaw = atan(-d.x, -d.z);
+        float pitch = asin(clamp(d.y, -1.0, 1.0));
+        return vec2(fract((1.5 * PI - yaw) / (2.0 * PI)), 0.5 + pitch / PI);
+    }
+    
+    // Equidistant fisheye: image radius grows linearly with angle off-axis
+    vec2 fisheyeUV(vec3 d, vec3 axis, vec3 right, vec4 lens, float rotation) {
+        float theta = acos(clamp(dot(d, axis), -1.0, 1.0));
+        float phi = atan(d.y, dot(d, right)) + rotation;
+        float r = theta / lens.w * lens.z;
+        vec2 p = vec2(lens.x + r * cos(phi) * frameAspect, lens.y - r * sin(phi));
+        return vec2(p.x, 1.0 - p.y);
+    }
+    
+    vec4 sampleLens(vec3 d) {
+        if (projection == 0) {
+            return texture2D(map, equirectUV(d));
+        }
+        
+        vec3 axis = vec3(-1.0, 0.0, 0.0);
+        vec3 right = vec3(0.0, 0.0, -1.0);
+        float thetaFront = acos(clamp(dot(d, axis), -1.0, 1.0));
+        
+        // Cross-fade across the seam, never sampling outside an image circle
+        float weight = 1.0 - smoothstep(0.5 * PI - 0.5 * seamBlend, 0.5 * PI + 0.5 * seamBlend, thetaFront);
+        if (thetaFront > lensFront.w) weight = 0.0;
+        if (PI - thetaFront > lensBack.w) weight = 1.0;
+        
+        vec4 front = texture2D(map, fisheyeUV(d, axis, right, lensFront, lensRotation.x));
+        vec4 back = texture2D(map, fisheyeUV(d, -axis, -right, lensBack, lensRotation.y));
+        return mix(back, front, weight);
+    }
+    
+    vec4 redactRegion(vec3 d, vec4 region, float effect) {
+        if (effect > 1.5) {
+            return vec4(0.0, 0.0, 0.0, 1.0);
+        }
+        
+        vec3 c = region.xyz;
+        vec3 u = normalize(cross(abs(c.y) > 0.999 ? vec3(1.0, 0.0, 0.0) : vec3(0.0, 1.0, 0.0), c));
+        vec3 v = cross(c, u);
+        float radius = acos(clamp(region.w, -1.0, 1.0));
+        
+        // Pixelate: snap to a grid on the region's tangent plane
+        if (effect > 0.5) {
+            float cell = radius / 6.0;
+            vec2 p = vec2(dot(d, u), dot(d, v)) / max(dot(d, c), 0.01);
+            p = (floor(p / cell) + 0.5) * cell;
+            return sampleLens(normalize(c + u * p.x + v * p.y));
+        }
+        
+        // Blur: average a spiral of taps spanning half the region
+        vec4 sum = vec4(0.0);
+        for (int k = 0; k < 32; k++) {
+            float fk = float(k);
+            float r = sqrt((fk + 0.5) / 32.0) * radius * 0.5;
+            float a = fk * 2.39996;
+            sum += sampleLens(normalize(d + u * r * cos(a) + v * r * sin(a)));
+        }
+        return sum / 32.0;
+    }
+    
+    // Every view samples through here, so redactions and leveling hold in all
+    // of them. Redaction regions are placed in source directions.
+    vec4 sampleSource(vec3 display) {
+        vec3 d = sourceRotation * display;
+        vec4 color = sampleLens(d);
+        if (redactionMode == 0) return color;
+        
+        // More regions than fit: black out everything rather than let any through
+        if (redactionMode == 2 && redactionCount > MAX_REDACTIONS) {
+            return vec4(0.0, 0.0, 0.0, 1.0);
+        }
+        
+        for (int i = 0; i < MAX_REDACTIONS; i++) {
+            if (i >= redactionCount) break;
+            vec4 region = redactionRegions[i];
+            float c = dot(d, region.xyz);
+            if (c < region.w) continue;
+            
+            if (redactionMode == 2) {
+                return redactRegion(d, region, redactionEffects[i]);
+            }
+            // Outline inside the edge so authorized reviewers see what is redacted
+            if (acos(clamp(c, -1.0, 1.0)) > acos(clamp(region.w, -1.0, 1.0)) * 0.94) {
+                color = mix(color, vec4(1.0, 0.25, 0.25, 1.0), 0.8);
+            }
+        }
+        return color;
+    }
+`;
+
+function createSourceUniforms(texture) {
+    return {
+        map: { value: texture },
+        projection: { value: 0 },
+        frameAspect: { value: 0.5 },
+        lensFront: { value: new THREE.Vector4() },
+        lensBack: { value: new THREE.Vector4() },
+        lensRotation: { value: new THREE.Vector2() },
+        seamBlend: { value: 0 },
+        redactionRegions: { value: Array.from({ length: MAX_REDACTIONS }, () => new THREE.Vector4()) },
+        redactionEffects: { value: new Float32Array(MAX_REDACTIONS) },
+        redactionCount: { value: 0 },
+        redactionMode: { value: 0 },
+        sourceRotation: { value: new THREE.Matrix3() }
+    };
+}
+
+// burnRedactions: always apply redactions, whatever the preview toggle says
+// (exports and captures). time: media time the redactions are placed at.
+// camera: the 360° camera whose footage the uniforms' texture holds.
+function updateSourceUniforms(uniforms, burnRedactions = false, time = state.video.currentTime, camera = getSphereCamera()) {
+    const model = state.lensModel;
+    const toLens = (lens) => new THREE.Vector4(
+        lens.centerX,
+        lens.centerY,
+        lens.radius,
+        THREE.MathUtils.degToRad(lens.fov / 2)
+    );
+    
+    const video = camera ? camera.video : state.video;
+    const source = getCameraSource(camera);
+    uniforms.projection.value = state.sourceProjection === 'dual-fisheye' ? 1 : 0;
+    if (video.videoWidth) {
+        uniforms.frameAspect.value = video.videoHeight / video.videoWidth;
+    }
+    uniforms.lensFront.value.copy(toLens(model.front));
+    uniforms.lensBack.value.copy(toLens(model.back));
+    uniforms.lensRotation.value.set(
+        THREE.MathUtils.degToRad(model.front.rotation),
+        THREE.MathUtils.degToRad(model.back.rotation)
+    );
+    uniforms.seamBlend.value = THREE.MathUtils.degToRad(model.seamBlend);
+    
+    updateRedactionUniforms(uniforms, burnRedactions || state.isExporting, time, source);
+    
+    // Horizon marks and telemetry describe the main camera only
+    const leveling = source === PRIMARY_CAMERA_ID ? getLevelingQuaternion(time) : null;
+    uniforms.sourceRotation.value.setFromMatrix4(new THREE.Matrix4().makeRotationFromQuaternion(leveling || new THREE.Quaternion()));
+}
+
+// Sphere material: each fragment samples the source along its direction, so
+// the same geometry serves equirectangular and dual-fisheye files
+function createSphereMaterial(texture) {
+    state.lensModel = state.lensModel || JSON.parse(JSON.stringify(DEFAULT_LENS_MODEL));
+    
+    return new THREE.ShaderMaterial({
+        uniforms: createSourceUniforms(texture),
+        vertexShader: `
+            varying vec3 vDirection;
+            void main() {
+                // Vertex positions of the inverted sphere are scene directions
+                vDirection = position;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: `
+            ${SOURCE_SAMPLING_GLSL}
+            varying vec3 vDirection;
+            void main() {
+                gl_FragColor = sampleSource(normalize(vDirection));
+            }
+        `
+    });
+}
+
+function setupSourceProjection() {
+    document.getElementById('sourceProjectionSelect').addEventListener('change', (e) => {
+        setSourceProjection(e.target.value);
+    });
+    
+    document.getElementById('lensModelBtn').addEventListener('click', () => {
+        fillLensModelForm();
+        document.getElementById('lensModelModal').classList.add('show');
+    });
+    
+    const closeLensModel = () => document.getElementById('lensModelModal').classList.remove('show');
+    document.getElementById('closeLensModelModal').addEventListener('click', closeLensModel);
+    document.getElementById('closeLensModel').addEventListener('click', closeLensModel);
+    
+    document.getElementById('resetLensModel').addEventListener('click', () => {
+        state.lensModel = JSON.parse(JSON.stringify(DEFAULT_LENS_MODEL));
+        fillLensModelForm();
+    });
+    
+    // Apply edits live so the seam can be lined up by eye
+    document.querySelectorAll('#lensModelModal [data-lens]').forEach(input => {
+        input.addEventListener('input', () => {
+            const value = parseFloat(input.value);
+            if (!isNaN(value)) {
+                state.lensModel[input.dataset.lens][input.dataset.field] = value;
+            }
+        });
+    });
+    document.getElementById('lensSeamBlend').addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value)) {
+            state.lensModel.seamBlend = Math.max(0, Math.min(30, value));
+        }
+    });
+}
+
+function setSourceProjection(projection) {
+    state.sourceProjection = projection;
+    document.getElementById('sourceProjectionSelect').value = projection;
+    console.log('Source projection:', projection);
+}
+
+function fillLensModelForm() {
+    document.querySelectorAll('#lensModelModal [data-lens]').forEach(input => {
+        input.value = state.lensModel[input.dataset.lens][input.dataset.field];
+    });
+    document.getElementById('lensSeamBlend').value = state.lensModel.seamBlend;
+}
+
+// ===================================
+// Raw View Fisheye Reprojection
+// ===================================
+
+// Half FOV (degrees) shown by a raw view lens at its current zoom
+function getRawLensHalfFov(lens) {
+    return state.lensModel[lens].fov / 2 / state.rawLenses[lens].zoom;
+}
+
+// Sphere-space axes of a raw view lens: along the calibrated front (or back)
+// direction plus the lens's own pan/tilt
+function getRawLensBasis(lens) {
+    const settings = state.rawLenses[lens];
+    const baseYaw = state.frontLensOffset + (lens === 'back' ? 180 : 0);
+    const euler = new THREE.Euler(
+        THREE.MathUtils.degToRad(settings.tilt),
+        THREE.MathUtils.degToRad(baseYaw + settings.pan),
+        0,
+        'YXZ'
+    );
+    
+    return {
+        right: new THREE.Vector3(1, 0, 0).applyEuler(euler),
+        up: new THREE.Vector3(0, 1, 0).applyEuler(euler),
+        forward: new THREE.Vector3(0, 0, -1).applyEuler(euler)
+    };
+}
+
+// Position of a direction inside a lens image circle (-1..1, y up), or null
+function projectToFisheye(basis, halfFov, yaw, pitch) {
+    const direction = directionFromYawPitch(yaw, pitch);
+    const theta = THREE.MathUtils.radToDeg(Math.acos(Math.max(-1, Math.min(1, direction.dot(basis.forward)))));
+    if (theta > halfFov) return null;
+    
+    const phi = Math.atan2(direction.dot(basis.up), direction.dot(basis.right));
+    const r = theta / halfFov;
+    return { x: r * Math.cos(phi), y: r * Math.sin(phi) };
+}
+
+function getFisheyeCircle(canvas) {
+    return {
+        x: canvas.width / 2,
+        y: canvas.height / 2,
+        radius: Math.min(canvas.width, canvas.height) / 2
+    };
+}
+
+function getRawRenderer() {
+    if (state.rawRenderer) return state.rawRenderer;
+    
+    const renderer = new THREE.WebGLRenderer({ antialias: false });
+    const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    const scene = new THREE.Scene();
+    
+    const uniforms = Object.assign(createSourceUniforms(state.videoTexture), {
+        lensRight: { value: new THREE.Vector3() },
+        lensUp: { value: new THREE.Vector3() },
+        lensForward: { value: new THREE.Vector3() },
+        halfFov: { value: Math.PI / 2 },
+        equirectOutput: { value: 0 }
+    });
+    
+    const material = new THREE.ShaderMaterial({
+        uniforms,
+        vertexShader: `
+            varying vec2 vPosition;
+            void main() {
+                vPosition = position.xy;
+                gl_Position = vec4(position.xy, 0.0, 1.0);
+            }
+        `,
+        fragmentShader: `
+            ${SOURCE_SAMPLING_GLSL}
+            uniform vec3 lensRight;
+            uniform vec3 lensUp;
+            uniform vec3 lensForward;
+            uniform float halfFov;
+            uniform int equirectOutput;
+            varying vec2 vPosition;
+            void main() {
+                // Full equirectangular frame (frame captures of dual-fisheye sources)
+                if (equirectOutput == 1) {
+                    float yaw = 1.5 * PI - (vPosition.x + 1.0) * PI;
+                    float pitch = vPosition.y * 0.5 * PI;
+                    gl_FragColor = sampleSource(vec3(-sin(yaw) * cos(pitch), sin(pitch), -cos(yaw) * cos(pitch)));
+                    return;
+                }
+                
+                float r = length(vPosition);
+                if (r > 1.0) {
+                    gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+                    return;
+                }
+                float theta = r * halfFov;
+                float phi = atan(vPosition.y, vPosition.x);
+                vec3 d = lensRight * sin(theta) * cos(phi) + lensUp * sin(theta) * sin(phi) + lensForward * cos(theta);
+                gl_FragColor = sampleSource(normalize(d));
+            }
+        `
+    });
+    
+    scene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material));
+    state.rawRenderer = { renderer, camera, scene, uniforms };
+    return state.rawRenderer;
+}
+
+// Render one lens as a circular fisheye image centred on its canvas
+function drawFisheyeLens(ctx, canvas, lens, burnRedactions = false) {
+    const raw = getRawRenderer();
+    const circle = getFisheyeCircle(canvas);
+    const size = Math.max(1, Math.floor(circle.radius * 2));
+    const basis = getRawLensBasis(lens);
+    
+    updateSourceUniforms(raw.uniforms, burnRedactions);
+    raw.uniforms.sourceRotation.value.identity();  // Lenses are shown as recorded
+    raw.uniforms.lensRight.value.copy(basis.right);
+    raw.uniforms.lensUp.value.copy(basis.up);
+    raw.uniforms.lensForward.value.copy(basis.forward);
+    raw.uniforms.halfFov.value = THREE.MathUtils.degToRad(getRawLensHalfFov(lens));
+    raw.uniforms.equirectOutput.value = 0;
+    state.videoTexture.needsUpdate = true;
+    
+    raw.renderer.setSize(size, size, false);
+    raw.renderer.render(raw.scene, raw.camera);
+    
+    // Copy within the same task, before the drawing buffer is cleared
+    ctx.drawImage(raw.renderer.domElement, circle.x - size / 2, circle.y - size / 2, size, size);
+}
+
+function updateRawLensReadouts() {
+    ['front', 'back'].forEach(lens => {
+        const settings = state.rawLenses[lens];
+        const prefix = lens === 'front' ? 'rawFront' : 'rawBack';
+        document.getElementById(prefix + 'Pan').textContent = Math.round(settings.pan) + '°';
+        document.getElementById(prefix + 'Tilt').textContent = Math.round(settings.tilt) + '°';
+        document.getElementById(prefix + 'Zoom').textContent = settings.zoom.toFixed(1) + 'x';
+    });
+}
+
+// Drag a fisheye canvas to pan/tilt that lens, wheel to zoom
+function setupRawViewControls() {
+    [['rawFrontCanvas', 'front'], ['rawBackCanvas', 'back']].forEach(([id, lens]) => {
+        const canvas = document.getElementById(id);
+        let last = null;
+        
+        canvas.addEventListener('mousedown', (e) => {
+            last = { x: e.clientX, y: e.clientY };
+        });
+        document.addEventListener('mousemove', (e) => {
+            if (!last) return;
+            
+            const settings = state.rawLenses[lens];
+            settings.pan = normalizeAngle(settings.pan - (e.clientX - last.x) * 0.3 / settings.zoom);
+            settings.tilt = Math.max(-90, Math.min(90, settings.tilt + (e.clientY - last.y) * 0.3 / settings.zoom));
+            last = { x: e.clientX, y: e.clientY };
+        });
+        document.addEventListener('mouseup', () => {
+            last = null;
+        });
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const settings = state.rawLenses[lens];
+            settings.zoom = Math.max(1, Math.min(6, settings.zoom * (e.deltaY < 0 ? 1.1 : 1 / 1.1)));
+        });
+        canvas.addEventListener('dblclick', () => {
+            state.rawLenses[lens] = { pan: 0, tilt: 0, zoom: 1 };
+        });
+    });
+}
+
+// ===================================
+// Viewport Projections
+// ===================================
+
+// Views that show more than a perspective camera can: a stereographic
+// "little planet", the whole frame as a flat equirectangular map and a 3x2
+// grid of cube faces. They draw a full-screen quad whose shader maps each
+// pixel to a scene direction and samples it with sampleSource, so lens
+// models and redactions apply as in the sphere. The JS functions below
+// mirror the shader for clicks, annotations and overlays.
+
+const PROJECTION_MODES = { littleplanet: 1, equirect: 2, cubemap: 3 };
+const PERSPECTIVE_ZOOM_LIMITS = { min: 20, max: 120 };
+const LITTLE_PLANET_ZOOM_LIMITS = { min: 60, max: 340 };  // Stereographic field of view
+const LITTLE_PLANET_DEFAULT_ZOOM = 270;
+
+// Cube faces in grid order (row-major, 3 columns): screen right/up/forward
+// axes of each face relative to the pan direction
+const CUBE_FACES = [
+    { label: 'Left', right: [0, 0, -1], up: [0, 1, 0], forward: [-1, 0, 0] },
+    { label: 'Front', right: [1, 0, 0], up: [0, 1, 0], forward: [0, 0, -1] },
+    { label: 'Right', right: [0, 0, 1], up: [0, 1, 0], forward: [1, 0, 0] },
+    { label: 'Back', right: [-1, 0, 0], up: [0, 1, 0], forward: [0, 0, 1] },
+    { label: 'Up', right: [1, 0, 0], up: [0, 0, 1], forward: [0, 1, 0] },
+    { label: 'Down', right: [1, 0, 0], up: [0, 0, -1], forward: [0, -1, 0] }
+];
+
+const PROJECTION_GLSL = `
+    uniform int viewProjection;    // 1 = little planet, 2 = equirectangular, 3 = cubemap
+    uniform vec2 viewportSize;     // px
+    uniform mat3 viewRotation;     // Pan/tilt rotation (little planet: centred on the nadir)
+    uniform float planetScale;     // tan(fov / 4): stereographic radius at the top edge
+    uniform float centerYaw;       // rad, yaw at the centre of the equirectangular map
+    uniform vec3 cubeFaces[18];    // right, up, forward per face
+    
+    // Scene direction under a pixel (y down); false outside the picture
+    bool projectionDirection(vec2 p, out vec3 direction) {
+        if (viewProjection == 1) {
+            vec2 n = vec2(p.x - viewportSize.x / 2.0, viewportSize.y / 2.0 - p.y) / (viewportSize.y / 2.0);
+            float rho = length(n);
+            float theta = 2.0 * atan(rho * planetScale);
+            vec2 across = rho > 0.0 ? n / rho : vec2(0.0);
+            direction = viewRotation * vec3(across * sin(theta), -cos(theta));
+            return true;
+        }
+        if (viewProjection == 2) {
+            float width = min(viewportSize.x, viewportSize.y * 2.0);
+            vec2 uv = (p - (viewportSize - vec2(width, width / 2.0)) / 2.0) / vec2(width, width / 2.0);
+            if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) return false;
+            float yaw = centerYaw - (uv.x - 0.5) * 2.0 * PI;
+            float pitch = (0.5 - uv.y) * PI;
+            direction = vec3(-sin(yaw) * cos(pitch), sin(pitch), -cos(yaw) * cos(pitch));
+            return true;
+        }
+        float size = min(viewportSize.x / 3.0, viewportSize.y / 2.0);
+        vec2 cell = (p - (viewportSize - vec2(size * 3.0, size * 2.0)) / 2.0) / size;
+        if (cell.x < 0.0 || cell.x >= 3.0 || cell.y < 0.0 || cell.y >= 2.0) return false;
+        int face = int(floor(cell.y)) * 3 + int(floor(cell.x));
+        vec2 f = vec2(fract(cell.x) * 2.0 - 1.0, 1.0 - fract(cell.y) * 2.0);
+        vec3 right = vec3(0.0);
+        vec3 up = vec3(0.0);
+        vec3 forward = vec3(0.0);
+        for (int i = 0; i < 6; i++) {
+            if (i == face) {
+                right = cubeFaces[i * 3];
+                up = cubeFaces[i * 3 + 1];
+                forward = cubeFaces[i * 3 + 2];
+            }
+        }
+        direction = viewRotation * (right * f.x + up * f.y + forward);
+        return true;
+    }
+`;
+
+function isProjectionView(view = state.currentView) {
+    return view in PROJECTION_MODES;
+}
+
+function getZoomLimits() {
+    return state.currentView === 'littleplanet' ? LITTLE_PLANET_ZOOM_LIMITS : PERSPECTIVE_ZOOM_LIMITS;
+}
+
+function clampZoom(zoom) {
+    const limits = getZoomLimits();
+    return Math.max(limits.min, Math.min(limits.max, zoom));
+}
+
+function createProjectionView() {
+    const uniforms = Object.assign(createSourceUniforms(state.videoTexture), {
+        viewProjection: { value: 1 },
+        viewportSize: { value: new THREE.Vector2(1, 1) },
+        viewRotation: { value: new THREE.Matrix3() },
+        planetScale: { value: 1 },
+        centerYaw: { value: 0 },
+        cubeFaces: { value: CUBE_FACES.flatMap(face => [face.right, face.up, face.forward].map(axis => new THREE.Vector3(...axis))) }
+    });
+    
+    const material = new THREE.ShaderMaterial({
+        uniforms,
+        vertexShader: `
+            varying vec2 vUv;
+            void main() {
+                vUv = uv;
+                gl_Position = vec4(position.xy, 0.0, 1.0);
+            }
+        `,
+        fragmentShader: `
+            ${SOURCE_SAMPLING_GLSL}
+            ${PROJECTION_GLSL}
+            varying vec2 vUv;
+            void main() {
+                vec3 direction;
+                if (!projectionDirection(vec2(vUv.x, 1.0 - vUv.y) * viewportSize, direction)) {
+                    gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+                    return;
+                }
+                gl_FragColor = sampleSource(normalize(direction));
+            }
+        `,
+        depthTest: false,
+        depthWrite: false
+    });
+    
+    state.projectionScene = new THREE.Scene();
+    state.projectionCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    state.projectionQuad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+    state.projectionQuad.frustumCulled = false;
+    state.projectionScene.add(state.projectionQuad);
+}
+
+// Rotation from view-local to scene directions. The little planet looks
+// straight down at tilt 0 with the pan direction at the top; cube faces
+// follow the pan only so the grid stays level.
+function getProjectionRotation(view = state.currentView) {
+    const yaw = THREE.MathUtils.degToRad(state.pan + state.frontLensOffset);
+    const pitch = view === 'littleplanet' ? THREE.MathUtils.degToRad(state.tilt - 90) : 0;
+    return new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(pitch, yaw, 0, 'YXZ'));
+}
+
+function updateProjectionUniforms(uniforms, width, height) {
+    uniforms.viewProjection.value = PROJECTION_MODES[state.currentView];
+    uniforms.viewportSize.value.set(width, height);
+    uniforms.viewRotation.value.setFromMatrix4(getProjectionRotation());
+    uniforms.planetScale.value = Math.tan(THREE.MathUtils.degToRad(state.zoom / 4));
+    uniforms.centerYaw.value = THREE.MathUtils.degToRad(state.frontLensOffset);
+}
+
+// Draws the current view into the main renderer. Burned-in renders (captures)
+// leave the coverage heatmap and session outlines out.
+function renderViewport(burnRedactions = false) {
+    if (isProjectionView()) {
+        const uniforms = state.projectionQuad.material.uniforms;
+        const size = state.renderer.getSize(new THREE.Vector2());
+        updateSourceUniforms(uniforms, burnRedactions);
+        updateProjectionUniforms(uniforms, size.x, size.y);
+        state.renderer.render(state.projectionScene, state.projectionCamera);
+        return;
+    }
+    
+    updateSourceUniforms(state.sphere.material.uniforms, burnRedactions);
+    if (burnRedactions) {
+        state.camera.layers.disable(COVERAGE_OVERLAY_LAYER);
+        state.camera.layers.disable(SESSION_OVERLAY_LAYER);
+    }
+    if (state.coverageOverlay) {
+        // The heatmap is in source directions too
+        const leveling = getLevelingQuaternion();
+        state.coverageMesh.quaternion.copy(leveling ? leveling.invert() : new THREE.Quaternion());
+    }
+    state.renderer.render(state.scene, state.camera);
+    state.camera.layers.enable(COVERAGE_OVERLAY_LAYER);
+    state.camera.layers.enable(SESSION_OVERLAY_LAYER);
+}
+
+// Equirectangular map and cube grid placement within the viewport, in px
+function getEquirectLayout(width, height) {
+    const mapWidth = Math.min(width, height * 2);
+    return { left: (width - mapWidth) / 2, top: (height - mapWidth / 2) / 2, width: mapWidth, height: mapWidth / 2 };
+}
+
+function getCubemapLayout(width, height) {
+    const size = Math.min(width / 3, height / 2);
+    return { left: (width - size * 3) / 2, top: (height - size * 2) / 2, size };
+}
+
+// Scene yaw/pitch under a viewport pixel, or null outside the picture
+function yawPitchFromProjection(x, y, width, height) {
+    let local;
+    switch (state.currentView) {
+        case 'littleplanet': {
+            const nx = (x - width / 2) / (height / 2);
+            const ny = (height / 2 - y) / (height / 2);
+            const rho = Math.hypot(nx, ny);
+            const theta = 2 * Math.atan(rho * Math.tan(THREE.MathUtils.degToRad(state.zoom / 4)));
+            const scale = rho > 0 ? Math.sin(theta) / rho : 0;
+            local = new THREE.Vector3(nx * scale, ny * scale, -Math.cos(theta));
+            break;
+        }
+        case 'equirect': {
+            const map = getEquirectLayout(width, height);
+            const u = (x - map.left) / map.width;
+            const v = (y - map.top) / map.height;
+            if (u < 0 || u > 1 || v < 0 || v > 1) return null;
+            return { yaw: normalizeAngle(state.frontLensOffset - (u - 0.5) * 360), pitch: (0.5 - v) * 180 };
+        }
+        case 'cubemap': {
+            const grid = getCubemapLayout(width, height);
+            const cx = (x - grid.left) / grid.size;
+            const cy = (y - grid.top) / grid.size;
+            if (cx < 0 || cx >= 3 || cy < 0 || cy >= 2) return null;
+            const face = CUBE_FACES[Math.floor(cy) * 3 + Math.floor(cx)];
+            const a = (cx % 1) * 2 - 1;
+            const b = 1 - (cy % 1) * 2;
+            local = new THREE.Vector3(...face.forward)
+                .addScaledVector(new THREE.Vector3(...face.right), a)
+                .addScaledVector(new THREE.Vector3(...face.up), b);
+            break;
+        }
+        default:
+            return null;
+    }
+    return yawPitchFromDirection(local.applyMatrix4(getProjectionRotation()));
+}
+
+// Where a scene direction lands in a projection view, in the shape returned
+// by projectToViewport
+function projectToProjection(yaw, pitch, width, height) {
+    const result = { visible: false, x: 0, y: 0, angle: 0, pixelsPerDegree: 0 };
+    switch (state.currentView) {
+        case 'littleplanet': {
+            const rotation = getProjectionRotation();
+            const local = directionFromYawPitch(yaw, pitch).applyMatrix4(rotation.transpose());
+            const theta = Math.acos(Math.max(-1, Math.min(1, -local.z)));
+            const tanQuarter = Math.tan(THREE.MathUtils.degToRad(state.zoom / 4));
+            const rho = Math.tan(theta / 2) / tanQuarter;
+            const across = Math.hypot(local.x, local.y) || 1;
+            result.x = width / 2 + (local.x / across) * rho * height / 2;
+            result.y = height / 2 - (local.y / across) * rho * height / 2;
+            result.angle = Math.atan2(-local.y, local.x);
+            result.visible = theta < Math.PI - 1e-3 && result.x >= 0 && result.x <= width && result.y >= 0 && result.y <= height;
+            // d(rho)/d(theta) of the stereographic projection, per degree
+            result.pixelsPerDegree = (height / 2) / (2 * tanQuarter * Math.cos(theta / 2) ** 2) * Math.PI / 180;
+            break;
+        }
+        case 'equirect': {
+            const map = getEquirectLayout(width, height);
+            result.x = map.left + (0.5 - shortestAngle(state.frontLensOffset, yaw) / 360) * map.width;
+            result.y = map.top + (0.5 - pitch / 180) * map.height;
+            result.visible = true;
+            result.pixelsPerDegree = map.height / 180;
+            break;
+        }
+        case 'cubemap': {
+            const grid = getCubemapLayout(width, height);
+            const local = directionFromYawPitch(yaw, pitch).applyMatrix4(getProjectionRotation().transpose());
+            // The face whose forward axis is closest, then the point on that face
+            let best = 0;
+            CUBE_FACES.forEach((face, index) => {
+                if (new THREE.Vector3(...face.forward).dot(local) > new THREE.Vector3(...CUBE_FACES[best].forward).dot(local)) {
+                    best = index;
+                }
+            });
+            const face = CUBE_FACES[best];
+            const depth = new THREE.Vector3(...face.forward).dot(local);
+            const a = new THREE.Vector3(...face.right).dot(local) / depth;
+            const b = new THREE.Vector3(...face.up).dot(local) / depth;
+            result.x = grid.left + (best % 3 + (a + 1) / 2) * grid.size;
+            result.y = grid.top + (Math.floor(best / 3) + (1 - b) / 2) * grid.size;
+            result.visible = true;
+            result.pixelsPerDegree = grid.size / 90;
+            break;
+        }
+    }
+    return result;
+}
+
+// Projection-aware versions of the Sphere Coordinates helpers for the main
+// viewport. Both take and give source directions, undoing Horizon Leveling.
+function yawPitchFromScreen(x, y, width, height) {
+    const shown = isProjectionView() ? yawPitchFromProjection(x, y, width, height) : yawPitchFromViewport(state.camera, x, y, width, height);
+    if (!shown || !isLevelingActive()) return shown;
+    return yawPitchFromDirection(toSourceDirection(directionFromYawPitch(shown.yaw, shown.pitch)));
+}
+
+function projectToScreen(yaw, pitch, width, height) {
+    if (isLevelingActive()) {
+        ({ yaw, pitch } = yawPitchFromDirection(toDisplayDirection(directionFromYawPitch(yaw, pitch))));
+    }
+    return isProjectionView() ? projectToProjection(yaw, pitch, width, height) : projectToViewport(state.camera, yaw, pitch, width, height);
+}
+
+// Degrees of pan/tilt per pixel of drag. On the flat map the viewport
+// rectangle follows the pointer; elsewhere dragging pulls the scene.
+function getDragScale(width, height) {
+    if (state.currentView === 'equirect') {
+        const map = getEquirectLayout(width, height);
+        return { pan: 360 / map.width, tilt: -180 / map.height };
+    }
+    return { pan: 0.3, tilt: 0.3 };
+}
+
+// Overlay: the perspective viewport's outline on the flat map, face labels
+// on the cube grid
+function drawProjectionOverlay() {
+    const canvas = document.getElementById('projectionOverlay');
+    const container = document.getElementById('threejsContainer');
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    const visible = isProjectionView() && container.style.display !== 'none';
+    canvas.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+    
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    
+    if (state.currentView === 'equirect') {
+        // Walk the edge of the perspective frame, breaking the line where it wraps
+        const map = getEquirectLayout(width, height);
+        const steps = 24;
+        const edge = [];
+        for (let i = 0; i < steps * 4; i++) {
+            const side = Math.floor(i / steps);
+            const t = (i % steps) / steps;
+            const points = [[t, 0], [1, t], [1 - t, 1], [0, 1 - t]];
+            edge.push(points[side]);
+        }
+        edge.push(edge[0]);
+        
+        ctx.strokeStyle = '#fcd34d';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let previous = null;
+        edge.forEach(([fx, fy]) => {
+            const direction = yawPitchFromViewport(state.camera, fx * width, fy * height, width, height);
+            const point = projectToProjection(direction.yaw, direction.pitch, width, height);
+            if (previous && Math.abs(point.x - previous.x) < map.width / 2) {
+                ctx.lineTo(point.x, point.y);
+            } else {
+                ctx.moveTo(point.x, point.y);
+            }
+            previous = point;
+        });
+        ctx.stroke();
+    } else if (state.currentView === 'cubemap') {
+        const grid = getCubemapLayout(width, height);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.font = '12px sans-serif';
+        CUBE_FACES.forEach((face, index) => {
+            const x = grid.left + (index % 3) * grid.size;
+            const y = grid.top + Math.floor(index / 3) * grid.size;
+            ctx.strokeRect(x + 0.5, y + 0.5, grid.size - 1, grid.size - 1);
+            ctx.fillText(face.label, x + 8, y + 18);
+        });
+    }
 }
 
 // ===================================
@@ -147,6 +1112,12 @@ function setupEventListeners() {
     // View control selector
     document.getElementById('viewControlSelect').addEventListener('change', handleViewChange);
     
+    // Source projection and lens model
+    setupSourceProjection();
+    
+    // Raw view lens pan/tilt/zoom
+    setupRawViewControls();
+    
     // Play/Pause
     document.getElementById('playPauseBtn').addEventListener('click', togglePlayPause);
     
@@ -161,6 +1132,9 @@ function setupEventListeners() {
     // Speed
     document.getElementById('speedSelect').addEventListener('change', handleSpeedChange);
     
+    // Frame stepping, go to timecode and time display
+    setupFrameNavigation();
+    
     // Fullscreen
     document.getElementById('fullscreenBtn').addEventListener('click', toggleFullscreen);
     
@@ -168,6 +1142,9 @@ function setupEventListeners() {
     const timeline = document.getElementById('timeline');
     timeline.addEventListener('click', handleTimelineClick);
     timeline.addEventListener('mousedown', startTimelineDrag);
+    setupTimelineZoom();
+    setupTimelineThumbnails();
+    setupRangeSelection();
     
     // PTZ Controls
     document.getElementById('resetViewBtn').addEventListener('click', resetView);
@@ -178,6 +1155,7 @@ function setupEventListeners() {
         btn.classList.add('active');
         setTimeout(() => btn.classList.remove('active'), 2000);
     });
+    document.getElementById('captureBtn').addEventListener('click', captureCurrentView);
     setupPTZInputs();
     
     // Mouse controls for 360 view
@@ -186,6 +1164,7 @@ function setupEventListeners() {
     container.addEventListener('mousemove', onMouseMove);
     container.addEventListener('mouseup', onMouseUp);
     container.addEventListener('wheel', onMouseWheel);
+    container.addEventListener('click', onViewportClick);
     
     // Touch controls for mobile
     container.addEventListener('touchstart', onTouchStart);
@@ -198,28 +1177,93 @@ function setupEventListeners() {
     // Modals
     setupModals();
     
-    // Transcript entries (click to jump to time)
-    setupTranscriptEntries();
+    // Transcript loading, search and sync
+    setupTranscript();
+    
+    // Multi-cam
+    setupMultiCam();
     
     // Markers
     setupMarkers();
+    
+    // Spatial annotations
+    setupAnnotations();
+    
+    // Redaction regions
+    setupRedactions();
+    
+    // Reviewer view paths
+    setupViewPaths();
+    
+    // Review coverage heatmap
+    setupCoverage();
+    
+    // GPS/heading telemetry and world lock
+    setupTelemetry();
+    
+    // Horizon leveling and stabilization
+    setupLeveling();
+    
+    // Audio redaction ranges
+    setupAudioRedactions();
+    
+    // Flat View Recipes
+    setupRecipes();
+    
+    // Export
+    setupExport();
+    
+    // Sharing
+    setupSharing();
+    
+    // Collaborative review sessions
+    setupSessions();
+    
+    // Comment threads
+    setupComments();
+    
+    // Chain of custody
+    setupAuditLog();
+    
+    // Evidence integrity
+    setupIntegrity();
 }
 
 // ===================================
 // Video Loading
 // ===================================
 
-function handleVideoUpload(event) {
-    const file = event.target.files[0];
+async function handleVideoUpload(event) {
+    // Transcripts and manifests can be picked alongside the video; a manifest
+    // is read first so it can name the evidence
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    const file = files.find(f => !isSidecarFile(f));
+    
+    // The previous video's track must not drive leveling or world lock here
+    if (file) clearTelemetry();
+    await Promise.all(files.filter(isSidecarFile).map(loadSidecarFile));
     if (!file) return;
     
     const url = URL.createObjectURL(file);
     state.video.src = url;
+    state.videoFile = file;
+    
+    openEvidence(await deriveEvidenceId(file));
+    hashSourceFile(file);
+    loadContainerMetadata(file);
     
     state.video.addEventListener('loadedmetadata', () => {
         console.log('Video loaded:', state.video.duration);
         console.log('Video dimensions:', state.video.videoWidth, 'x', state.video.videoHeight);
         updateDurationDisplay();
+        renderRecipeList();
+        renderMarkers();
+        state.timelineZoom = null;
+        clearRange();
+        renderTimeline();
+        setPrimaryCamera(file);
+        applyPendingDeepLinkTime();
         
         // Update texture after video loads
         if (state.videoTexture) {
@@ -244,693 +1288,9853 @@ function handleVideoUpload(event) {
     });
 }
 
-// ===================================
-// View Mode Switching
-// ===================================
+// Everything stored (markers, redactions, custody log, ...) is keyed by evidence
+// ID. A manifest listing the video supplies it; otherwise it comes from the
+// video's content, so the same footage reopens with its records under any name.
+const EVIDENCE_FINGERPRINT_BYTES = 1024 * 1024;
 
-function handleViewChange(event) {
+async function deriveEvidenceId(file) {
+    const manifestId = state.manifest && getExpectedHash() ? state.manifest.data.evidenceId : null;
+    if (manifestId) return String(manifestId);
+    
+    const digest = await fingerprintFile(file);
+    return `EVD-${digest.slice(0, 16).toUpperCase()}`;
+}
+
+// SHA-256 hex over the size plus the first and last MB: cheap to read and
+// unique per recording
+async function fingerprintFile(file) {
+    const head = file.slice(0, EVIDENCE_FINGERPRINT_BYTES);
+    const tail = file.slice(Math.max(EVIDENCE_FINGERPRINT_BYTES, file.size - EVIDENCE_FINGERPRINT_BYTES));
+    const data = await new Blob([String(file.size), head, tail]).arrayBuffer();
+    return bufferToHex(await crypto.subtle.digest('SHA-256', data));
+}
+
+// Switches every per-evidence store to the new ID. Runs on the audit queue so
+// entries already logged are written under the evidence they belong to.
+function openEvidence(evidenceId) {
+    auditQueue = auditQueue.then(() => {
+        state.evidenceId = evidenceId;
+        state.auditLog = [];
+        document.getElementById('metaEvidenceId').textContent = evidenceId;
+        
+        // A share only grants access to the evidence it was made for
+        if (state.shareAccess && state.shareAccess.token && state.shareAccess.evidenceId !== evidenceId) {
+            applyShareAccess(RESTRICTED_SHARE_ACCESS);
+            showShareBanner('This video is not the shared evidence; it opens view only', 'error');
+        }
+        
+        loadMarkers();
+        loadAnnotations();
+        loadRedactions();
+        loadAudioRedactions();
+        loadViewPaths();
+        loadCoverage();
+        loadHorizonMarks();
+        loadComments();
+        
+        // A deep link opened before its video was loaded applies now
+        const link = parseDeepLink(window.location.hash);
+        if (link && link.evidenceId === evidenceId) openDeepLinkFromLocation();
+        
+        return loadAuditLog();
+    });
+    return auditQueue;
+}
+
+function isSidecarFile(file) {
+    return /\.(vtt|srt|json|gpx|csv)$/i.test(file.name);
+}
+
+// .vtt/.srt are transcripts, .gpx/.csv telemetry; a .json is a manifest if it carries hashes
+async function loadSidecarFile(file) {
+    if (/\.(gpx|csv)$/i.test(file.name)) {
+        await loadTelemetryFile(file);
+        return;
+    }
+    if (!file.name.toLowerCase().endsWith('.json')) {
+        await loadTranscriptFile(file);
+        return;
+    }
+    
+    try {
+        const data = JSON.parse(await file.text());
+        const isManifest = !Array.isArray(data) && (data.sha256 || data.hash || Array.isArray(data.files));
+        await (isManifest ? loadManifest : loadTranscriptFile)(file);
+    } catch (err) {
+        console.error('Could not read sidecar file:', file.name, err);
+    }
+}
+
+// ===================================
+// Container Metadata
+// ===================================
+
+// Reads MP4/MOV boxes from the loaded file to fill the Metadata tab: movie
+// creation time and duration, track codecs and frame rate, spherical video
+// metadata (Spherical Video V2 sv3d/st3d boxes and the V1 XML uuid box) and
+// QuickTime/udta device atoms. Only the top-level box headers and the moov
+// box are read, so large recordings with moov at the end parse quickly.
+
+const CONTAINER_MAX_MOOV_SIZE = 64 * 1024 * 1024;
+const CONTAINER_EPOCH = Date.UTC(1904, 0, 1);  // MP4 times count seconds from 1904
+const SPHERICAL_V1_UUID = 'ffcc8263f8554a938814587a02521fdd';
+const CONTAINER_BOXES = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'udta', 'edts', 'sv3d', 'proj']);
+
+const CODEC_NAMES = {
+    avc1: 'H.264 (AVC)', avc3: 'H.264 (AVC)', hvc1: 'H.265 (HEVC)', hev1: 'H.265 (HEVC)',
+    av01: 'AV1', vp09: 'VP9', mp4v: 'MPEG-4 Visual', apch: 'Apple ProRes 422 HQ',
+    apcn: 'Apple ProRes 422', ap4h: 'Apple ProRes 4444', mp4a: 'AAC', Opus: 'Opus',
+    'ac-3': 'AC-3', 'ec-3': 'E-AC-3', lpcm: 'PCM', sowt: 'PCM', twos: 'PCM'
+};
+
+const STEREO_MODES = ['Mono', 'Top-bottom stereo', 'Left-right stereo', 'Custom stereo'];
+
+async function loadContainerMetadata(file) {
+    state.sourceAudioTrack = null;
+    let metadata = null;
+    try {
+        metadata = await readContainerMetadata(file);
+    } catch (err) {
+        console.warn('Could not read container metadata:', err);
+    }
+    
+    // The sample table is only needed to read the telemetry itself
+    if (metadata && metadata.telemetryTrack) {
+        loadEmbeddedTelemetry(file, metadata.telemetryTrack);
+        delete metadata.telemetryTrack;
+    }
+    if (metadata && metadata.audioTrack) {
+        if (state.videoFile === file) state.sourceAudioTrack = metadata.audioTrack;
+        delete metadata.audioTrack;
+    }
+    
+    // Frame rate and camera start are set up on loadedmetadata; apply after them
+    const video = state.video;
+    if (video.readyState < video.HAVE_METADATA) {
+        await new Promise(resolve => video.addEventListener('loadedmetadata', resolve, { once: true }));
+    }
+    if (state.videoFile !== file) return;
+    
+    state.containerMetadata = metadata;
+    applyContainerMetadata(metadata);
+}
+
+async function readContainerMetadata(file) {
+    const readBytes = async (start, length) => new DataView(await file.slice(start, start + length).arrayBuffer());
+    const metadata = {
+        brand: null,
+        creationTime: null,
+        duration: null,
+        make: null,
+        model: null,
+        software: null,
+        serial: null,
+        location: null,
+        video: null,
+        audio: null,
+        spherical: null
+    };
+    
+    // Walk top-level boxes by their headers; mdat can be gigabytes
+    let offset = 0;
+    let found = false;
+    while (offset + 8 <= file.size) {
+        const header = await readBytes(offset, 16);
+        let size = header.getUint32(0);
+        const type = readFourCC(header, 4);
+        if (size === 1) {
+            size = Number(header.getBigUint64(8));
+        } else if (size === 0) {
+            size = file.size - offset;
+        }
+        if (size < 8) break;
+        
+        if (type === 'ftyp') {
+            metadata.brand = readFourCC(await readBytes(offset + 8, 4), 0);
+        } else if (type === 'moov') {
+            if (size > CONTAINER_MAX_MOOV_SIZE) throw new Error('moov box too large');
+            parseMovieBox(await readBytes(offset, size), metadata);
+            found = true;
+            break;
+        }
+        offset += size;
+    }
+    return found ? metadata : null;
+}
+
+function readFourCC(view, offset) {
+    return String.fromCharCode(
+        view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+}
+
+function readBoxString(view, start, end) {
+    return new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + start, Math.max(0, end - start)))
+        .replace(/\0+$/, '').trim();
+}
+
+// Child boxes between start and end as { type, start (payload), end }
+function readChildBoxes(view, start, end) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        let header = 8;
+        if (size === 1) {
+            size = Number(view.getBigUint64(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header || offset + size > end) break;
+        boxes.push({ type: readFourCC(view, offset + 4), start: offset + header, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+}
+
+function findChildBox(view, box, type) {
+    return readChildBoxes(view, box.start, box.end).find(child => child.type === type) || null;
+}
+
+// Full boxes carry version and flags before their fields
+function readTimes(view, start) {
+    const version = view.getUint8(start);
+    if (version === 1) {
+        return {
+            creation: Number(view.getBigUint64(start + 4)),
+            timescale: view.getUint32(start + 20),
+            duration: Number(view.getBigUint64(start + 24))
+        };
+    }
+    return {
+        creation: view.getUint32(start + 4),
+        timescale: view.getUint32(start + 12),
+        duration: view.getUint32(start + 16)
+    };
+}
+
+function parseMovieBox(view, metadata) {
+    const moov = { type: 'moov', start: 8, end: view.byteLength };
+    const quickTimeKeys = {};
+    let movieTimescale = 0;  // Edit lists count in movie ticks
+    
+    readChildBoxes(view, moov.start, moov.end).forEach(box => {
+        switch (box.type) {
+            case 'mvhd': {
+                const times = readTimes(view, box.start);
+                if (times.creation) metadata.creationTime = CONTAINER_EPOCH + times.creation * 1000;
+                if (times.timescale) metadata.duration = times.duration / times.timescale;
+                movieTimescale = times.timescale;
+                break;
+            }
+            case 'trak':
+                parseTrackBox(view, box, metadata, movieTimescale);
+                break;
+            case 'udta':
+                parseUserDataBox(view, box, metadata);
+                break;
+            case 'meta':
+                Object.assign(quickTimeKeys, parseQuickTimeMetaBox(view, box));
+                break;
+        }
+    });
+    
+    // QuickTime mdta keys (Apple and many action cameras) win over udta atoms
+    Object.entries(quickTimeKeys).forEach(([key, value]) => {
+        const name = key.replace(/^com\.apple\.quicktime\./, '');
+        if (name === 'make') metadata.make = value;
+        else if (name === 'model') metadata.model = value;
+        else if (name === 'software') metadata.software = value;
+        else if (name === 'location.ISO6709') metadata.location = parseISO6709(value) || metadata.location;
+        else if (name === 'creationdate' && !isNaN(Date.parse(value))) metadata.creationTime = Date.parse(value);
+        else if (/serial/i.test(name)) metadata.serial = value;
+    });
+    return metadata;
+}
+
+function parseTrackBox(view, trak, metadata, movieTimescale) {
+    const mdia = findChildBox(view, trak, 'mdia');
+    const mdhd = mdia && findChildBox(view, mdia, 'mdhd');
+    const hdlr = mdia && findChildBox(view, mdia, 'hdlr');
+    const minf = mdia && findChildBox(view, mdia, 'minf');
+    const stbl = minf && findChildBox(view, minf, 'stbl');
+    const stsd = stbl && findChildBox(view, stbl, 'stsd');
+    if (!mdhd || !hdlr || !stsd || view.getUint32(stsd.start + 4) === 0) return;
+    
+    const handler = readFourCC(view, hdlr.start + 8);
+    const entry = readChildBoxes(view, stsd.start + 8, stsd.end)[0];
+    if (!entry) return;
+    const times = readTimes(view, mdhd.start);
+    
+    if (handler === 'soun' && !metadata.audio) {
+        metadata.audio = {
+            codec: entry.type,
+            channels: view.getUint16(entry.start + 16),
+            sampleRate: view.getUint32(entry.start + 24) / 65536
+        };
+        
+        // Exports decode the audio from its samples (see Audio Redaction), placed
+        // on the presentation timeline the edit list describes
+        let samples = readSampleTable(view, stbl);
+        const edits = readEditList(view, trak, movieTimescale, times.timescale);
+        if (samples && edits) samples = applyEditList(samples, edits);
+        if (samples) {
+            let description = null;
+            try {
+                description = entry.type === 'mp4a' ? readAudioSpecificConfig(view, entry) : null;
+            } catch (err) {
+                console.warn('Could not read the audio decoder configuration:', err);
+            }
+            metadata.audioTrack = Object.assign({ timescale: times.timescale, description, samples }, metadata.audio);
+        }
+    } else if (handler === 'vide' && !metadata.video) {
+        metadata.video = {
+            codec: entry.type,
+            width: view.getUint16(entry.start + 24),
+            height: view.getUint16(entry.start + 26),
+            frameRate: null
+        };
+        
+        // Mean rate over the decoding time table
+        const stts = findChildBox(view, stbl, 'stts');
+        if (stts && times.timescale) {
+            let samples = 0;
+            let ticks = 0;
+            const count = view.getUint32(stts.start + 4);
+            for (let i = 0; i < count; i++) {
+                const sampleCount = view.getUint32(stts.start + 8 + i * 8);
+                samples += sampleCount;
+                ticks += sampleCount * view.getUint32(stts.start + 12 + i * 8);
+            }
+            if (samples > 1 && ticks > 0) metadata.video.frameRate = samples * times.timescale / ticks;
+        }
+        
+        // Spherical Video V2 lives in the visual sample entry (78 bytes of fields)
+        const spherical = parseSphericalV2(view, { type: entry.type, start: entry.start + 78, end: entry.end });
+        if (spherical) metadata.spherical = spherical;
+    } else if (handler === 'meta' && entry.type === 'gpmd') {
+        // GPMF telemetry; samples are read from the file separately (see Telemetry)
+        const samples = readSampleTable(view, stbl);
+        if (samples) metadata.telemetryTrack = { timescale: times.timescale, samples };
+    }
+    
+    // Spherical Video V1: an XML uuid box in the track
+    readChildBoxes(view, trak.start, trak.end).forEach(box => {
+        if (box.type !== 'uuid' || box.end - box.start < 16) return;
+        const uuid = Array.from(new Uint8Array(view.buffer, view.byteOffset + box.start, 16))
+            .map(byte => byte.toString(16).padStart(2, '0')).join('');
+        if (uuid === SPHERICAL_V1_UUID && !metadata.spherical) {
+            metadata.spherical = parseSphericalV1(readBoxString(view, box.start + 16, box.end));
+        }
+    });
+}
+
+// File offset, size, time and duration (in track ticks) of every sample
+function readSampleTable(view, stbl) {
+    const stsz = findChildBox(view, stbl, 'stsz');
+    const stsc = findChildBox(view, stbl, 'stsc');
+    const stts = findChildBox(view, stbl, 'stts');
+    const stco = findChildBox(view, stbl, 'stco');
+    const co64 = findChildBox(view, stbl, 'co64');
+    if (!stsz || !stsc || !stts || (!stco && !co64)) return null;
+    
+    const fixedSize = view.getUint32(stsz.start + 4);
+    const sizes = [];
+    for (let i = 0; i < view.getUint32(stsz.start + 8); i++) {
+        sizes.push(fixedSize || view.getUint32(stsz.start + 12 + i * 4));
+    }
+    
+    const durations = [];
+    for (let i = 0; i < view.getUint32(stts.start + 4); i++) {
+        const count = view.getUint32(stts.start + 8 + i * 8);
+        const delta = view.getUint32(stts.start + 12 + i * 8);
+        for (let j = 0; j < count; j++) durations.push(delta);
+    }
+    
+    const chunks = [];
+    const chunkBox = stco || co64;
+    for (let i = 0; i < view.getUint32(chunkBox.start + 4); i++) {
+        chunks.push(stco ? view.getUint32(stco.start + 8 + i * 4) : Number(view.getBigUint64(co64.start + 8 + i * 8)));
+    }
+    
+    // Sample-to-chunk runs: [first chunk (1-based), samples per chunk]
+    const runs = [];
+    for (let i = 0; i < view.getUint32(stsc.start + 4); i++) {
+        runs.push([view.getUint32(stsc.start + 8 + i * 12), view.getUint32(stsc.start + 12 + i * 12)]);
+    }
+    
+    const samples = [];
+    let time = 0;
+    chunks.forEach((chunkOffset, chunk) => {
+        const run = runs.filter(r => r[0] <= chunk + 1).pop();
+        let offset = chunkOffset;
+        for (let i = 0; run && i < run[1] && samples.length < sizes.length; i++) {
+            const index = samples.length;
+            const duration = durations[index] || 0;
+            samples.push({ offset, size: sizes[index], time, duration });
+            offset += sizes[index];
+            time += duration;
+        }
+    });
+    return samples;
+}
+
+// Edit list segments in track ticks: { start (presentation), mediaTime,
+// duration }. Empty edits (media time -1) only delay the segments after them;
+// a zero duration runs to the end of the media.
+function readEditList(view, trak, movieTimescale, timescale) {
+    const edts = findChildBox(view, trak, 'edts');
+    const elst = edts && findChildBox(view, edts, 'elst');
+    if (!elst || !movieTimescale || !timescale) return null;
+    
+    const version = view.getUint8(elst.start);
+    const entrySize = version === 1 ? 20 : 12;
+    const edits = [];
+    let start = 0;
+    for (let i = 0; i < view.getUint32(elst.start + 4); i++) {
+        const entry = elst.start + 8 + i * entrySize;
+        if (entry + entrySize > elst.end) break;
+        const segmentDuration = version === 1 ? Number(view.getBigUint64(entry)) : view.getUint32(entry);
+        const mediaTime = version === 1 ? Number(view.getBigInt64(entry + 8)) : view.getInt32(entry + 4);
+        const duration = segmentDuration ? segmentDuration * timescale / movieTimescale : Infinity;
+        if (mediaTime >= 0) edits.push({ start, mediaTime, duration });
+        start += duration;
+    }
+    return edits.length > 0 ? edits : null;
+}
+
+// Moves samples from media time to presentation time. Samples before the
+// first edit (encoder priming) are kept at negative times so the decoder
+// warms up on them; samples no edit covers after that are dropped.
+function applyEditList(samples, edits) {
+    const mapped = [];
+    samples.forEach(sample => {
+        const edit = sample.time < edits[0].mediaTime ? edits[0] : edits.find(e =>
+            sample.time + sample.duration > e.mediaTime && sample.time < e.mediaTime + e.duration);
+        if (edit) mapped.push(Object.assign({}, sample, { time: sample.time - edit.mediaTime + edit.start }));
+    });
+    return mapped;
+}
+
+// AAC AudioSpecificConfig from an mp4a entry's esds box (ISO 14496-1
+// descriptors: ES 0x03 > DecoderConfig 0x04 > DecoderSpecificInfo 0x05)
+function readAudioSpecificConfig(view, entry) {
+    // Sound sample entry fields are 28 bytes; QuickTime versions 1 and 2 add 16 and 36
+    const version = view.getUint16(entry.start + 8);
+    const fieldsEnd = entry.start + 28 + (version === 1 ? 16 : version === 2 ? 36 : 0);
+    let boxes = readChildBoxes(view, fieldsEnd, entry.end);
+    const wave = boxes.find(box => box.type === 'wave');
+    if (wave) boxes = boxes.concat(readChildBoxes(view, wave.start, wave.end));
+    const esds = boxes.find(box => box.type === 'esds');
+    if (!esds) return null;
+    
+    let offset = esds.start + 4;
+    const readDescriptor = () => {
+        const tag = view.getUint8(offset++);
+        let length = 0;
+        for (let i = 0; i < 4; i++) {
+            const byte = view.getUint8(offset++);
+            length = (length << 7) | (byte & 0x7F);
+            if (!(byte & 0x80)) break;
+        }
+        return { tag, length };
+    };
+    
+    if (readDescriptor().tag !== 0x03) return null;
+    const flags = view.getUint8(offset + 2);
+    offset += 3;
+    if (flags & 0x80) offset += 2;
+    if (flags & 0x40) offset += 1 + view.getUint8(offset);
+    if (flags & 0x20) offset += 2;
+    
+    if (readDescriptor().tag !== 0x04) return null;
+    offset += 13;
+    const info = readDescriptor();
+    if (info.tag !== 0x05 || info.length === 0 || offset + info.length > esds.end) return null;
+    return new Uint8Array(view.buffer.slice(view.byteOffset + offset, view.byteOffset + offset + info.length));
+}
+
+function parseSphericalV2(view, entry) {
+    const boxes = readChildBoxes(view, entry.start, entry.end);
+    const sv3d = boxes.find(box => box.type === 'sv3d');
+    const st3d = boxes.find(box => box.type === 'st3d');
+    if (!sv3d && !st3d) return null;
+    
+    const spherical = { version: 2, projection: null, heading: 0, pitch: 0, roll: 0, stereo: 'Mono', software: null };
+    if (st3d) spherical.stereo = STEREO_MODES[view.getUint8(st3d.start + 4)] || 'Mono';
+    if (sv3d) {
+        const svhd = findChildBox(view, sv3d, 'svhd');
+        if (svhd) spherical.software = readBoxString(view, svhd.start + 4, svhd.end) || null;
+        
+        const proj = findChildBox(view, sv3d, 'proj');
+        if (proj) {
+            readChildBoxes(view, proj.start, proj.end).forEach(box => {
+                if (box.type === 'prhd') {
+                    // 16.16 fixed-point degrees; pose yaw turns counter-clockwise
+                    spherical.heading = -view.getInt32(box.start + 4) / 65536;
+                    spherical.pitch = view.getInt32(box.start + 8) / 65536;
+                    spherical.roll = view.getInt32(box.start + 12) / 65536;
+                } else if (box.type === 'equi') {
+                    spherical.projection = 'equirectangular';
+                } else if (box.type === 'cbmp') {
+                    spherical.projection = 'cubemap';
+                } else if (box.type === 'mshp') {
+                    spherical.projection = 'mesh';
+                }
+            });
+        }
+    }
+    return spherical;
+}
+
+function parseSphericalV1(xml) {
+    const tag = (name) => {
+        const match = new RegExp(`<GSpherical:${name}>([^<]*)<`).exec(xml);
+        return match ? match[1].trim() : null;
+    };
+    const stereo = { 'top-bottom': 'Top-bottom stereo', 'left-right': 'Left-right stereo' };
+    return {
+        version: 1,
+        projection: (tag('ProjectionType') || '').toLowerCase() || null,
+        heading: parseFloat(tag('InitialViewHeadingDegrees') || tag('PoseHeadingDegrees')) || 0,
+        pitch: parseFloat(tag('InitialViewPitchDegrees') || tag('PosePitchDegrees')) || 0,
+        roll: parseFloat(tag('InitialViewRollDegrees') || tag('PoseRollDegrees')) || 0,
+        stereo: stereo[tag('StereoMode')] || 'Mono',
+        software: tag('StitchingSoftware')
+    };
+}
+
+// QuickTime udta text atoms: 16-bit length, 16-bit language, then text
+function parseUserDataBox(view, udta, metadata) {
+    readChildBoxes(view, udta.start, udta.end).forEach(box => {
+        const length = view.getUint16(box.start);
+        const text = box.start + 4 + length <= box.end
+            ? readBoxString(view, box.start + 4, box.start + 4 + length)
+            : readBoxString(view, box.start, box.end);
+        switch (box.type) {
+            case '©mak': metadata.make = metadata.make || text; break;
+            case '©mod': metadata.model = metadata.model || text; break;
+            case '©swr': metadata.software = metadata.software || text; break;
+            case '©xyz': metadata.location = metadata.location || parseISO6709(text); break;
+            case '©day':
+                if (!metadata.creationTime && !isNaN(Date.parse(text))) metadata.creationTime = Date.parse(text);
+                break;
+        }
+    });
+}
+
+// moov/meta with an mdta handler: keys box names, ilst items hold values by key index
+function parseQuickTimeMetaBox(view, meta) {
+    // QuickTime meta is a plain container; the ISO one is a full box
+    const start = readFourCC(view, meta.start + 4) === 'hdlr' ? meta.start : meta.start + 4;
+    const boxes = readChildBoxes(view, start, meta.end);
+    const keysBox = boxes.find(box => box.type === 'keys');
+    const ilst = boxes.find(box => box.type === 'ilst');
+    if (!keysBox || !ilst) return {};
+    
+    const keys = [];
+    let offset = keysBox.start + 8;
+    for (let i = 0; i < view.getUint32(keysBox.start + 4) && offset + 8 <= keysBox.end; i++) {
+        const size = view.getUint32(offset);
+        if (size < 8) break;
+        keys.push(readBoxString(view, offset + 8, offset + size));
+        offset += size;
+    }
+    
+    const values = {};
+    readChildBoxes(view, ilst.start, ilst.end).forEach(item => {
+        const key = keys[view.getUint32(item.start - 4) - 1];
+        const data = findChildBox(view, item, 'data');
+        // Type 1 is UTF-8 text
+        if (key && data && view.getUint32(data.start) === 1) {
+            values[key] = readBoxString(view, data.start + 8, data.end);
+        }
+    });
+    return values;
+}
+
+// "+37.7749-122.4194+012.000/" -> { latitude, longitude, altitude }
+function parseISO6709(text) {
+    const match = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/.exec(text || '');
+    if (!match) return null;
+    return {
+        latitude: parseFloat(match[1]),
+        longitude: parseFloat(match[2]),
+        altitude: match[3] ? parseFloat(match[3]) : null
+    };
+}
+
+function formatLocation(location) {
+    const latitude = `${Math.abs(location.latitude).toFixed(4)}° ${location.latitude >= 0 ? 'N' : 'S'}`;
+    const longitude = `${Math.abs(location.longitude).toFixed(4)}° ${location.longitude >= 0 ? 'E' : 'W'}`;
+    return `${latitude}, ${longitude}`;
+}
+
+// Fills the Metadata tab (missing values show a dash) and lets the file pick
+// the render path, frame rate, initial heading and camera start time
+function applyContainerMetadata(metadata) {
+    const video = state.video;
+    const meta = metadata || {};
+    const set = (id, value) => {
+        document.getElementById(id).textContent = value || '—';
+    };
+    const codecName = (track) => track ? (CODEC_NAMES[track.codec] || track.codec) : null;
+    
+    set('metaDateTime', meta.creationTime ? new Date(meta.creationTime).toLocaleString() : null);
+    set('metaDuration', formatTime(meta.duration || video.duration));
+    set('metaLocation', meta.location ? formatLocation(meta.location) : null);
+    set('metaDevice', [meta.make, meta.model].filter(Boolean).join(' '));
+    set('metaSerial', meta.serial);
+    set('metaResolution', `${video.videoWidth} × ${video.videoHeight}`);
+    set('metaFileFormat', [
+        meta.brand ? `MP4/MOV (${meta.brand.trim()})` : state.videoFile.type,
+        codecName(meta.video),
+        codecName(meta.audio)
+    ].filter(Boolean).join(' • '));
+    
+    const spherical = meta.spherical;
+    set('metaProjection', spherical
+        ? [spherical.projection || 'unknown', spherical.stereo, `v${spherical.version}`, spherical.software].filter(Boolean).join(' • ')
+        : 'No spherical metadata');
+    
+    if (meta.video && meta.video.frameRate) {
+        setFrameRate(snapFrameRate(meta.video.frameRate), 'container');
+    }
+    
+    // Equirectangular files say so; raw dual-fisheye recordings (.insv) have
+    // no spherical boxes. Cubemap and mesh layouts keep the current setting.
+    if (spherical && spherical.projection === 'equirectangular') {
+        setSourceProjection('equirectangular');
+    } else if (!spherical && /\.insv$/i.test(state.videoFile.name)) {
+        setSourceProjection('dual-fisheye');
+    }
+    
+    // Start at the heading the file asks for unless the view already moved
+    if (spherical && spherical.heading) {
+        const initial = state.initialOrientation;
+        const untouched = state.pan === initial.pan && state.tilt === initial.tilt;
+        initial.pan = normalizeAngle(90 - spherical.heading - state.frontLensOffset);
+        if (untouched) {
+            state.pan = initial.pan;
+            updatePTZDisplay();
+        }
+    }
+    
+    // The movie creation time is a better recording start than the file date
+    const primary = getCamera(PRIMARY_CAMERA_ID);
+    if (primary && meta.creationTime) {
+        primary.startTime = meta.creationTime;
+        renderMultiCamList();
+    }
+}
+
+// ===================================
+// Telemetry
+// ===================================
+
+// Telemetry: { source, positions, headings, headingSource, orientations,
+// relativeOrientation }. Positions are { t, at, lat, lon, alt, speed } and
+// headings { t, at, heading }, heading being the compass bearing of the front
+// lens (degrees clockwise from true north). Orientations { t, at, pitch, roll }
+// are the body's tilt for Horizon Leveling, in degrees: pitch up and right
+// side up are positive. relativeOrientation is set when the tilt is only
+// known relative to the first frame rather than to gravity. Fixes carry
+// either t (media seconds) or at (wall-clock ms, placed on the media timeline
+// through the primary camera's start time).
+//
+// Sources: GPX or CSV sidecars and GoPro-style GPMF tracks embedded in the
+// MP4 (GPS5 positions, CORI orientation, GRAV gravity). Without a recorded
+// heading the course over ground stands in for it while the wearer is moving.
+
+const EARTH_RADIUS = 6371000;               // m
+const TELEMETRY_MIN_COURSE_DISTANCE = 2;    // m between fixes before their course counts
+const TELEMETRY_MAP_INTERVAL = 250;         // ms between map redraws
+const TELEMETRY_MAP_PADDING = 16;           // px around the track
+const TELEMETRY_PICK_RADIUS = 12;           // px from the track that still seeks
+
+const TELEMETRY_COLUMNS = {
+    time: ['t', 'time', 'seconds', 'timestamp', 'datetime', 'date', 'utc'],
+    lat: ['lat', 'latitude'],
+    lon: ['lon', 'lng', 'long', 'longitude'],
+    alt: ['alt', 'altitude', 'ele', 'elevation'],
+    speed: ['speed'],
+    heading: ['heading', 'yaw', 'bearing', 'course', 'compass'],
+    pitch: ['pitch'],
+    roll: ['roll', 'bank']
+};
+
+const telemetryStatus = {
+    alignedStart: undefined, // Primary camera start the fixes were last placed with
+    lastDraw: 0,
+    lockAngle: null,     // Pan compensation applied on the previous frame
+    bounds: null         // Map projection of the current track
+};
+
+function setupTelemetry() {
+    const input = document.getElementById('telemetryFileInput');
+    document.getElementById('loadTelemetryBtn').addEventListener('click', () => input.click());
+    input.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) loadTelemetryFile(file);
+    });
+    
+    document.getElementById('worldLockSelect').addEventListener('change', (e) => {
+        setWorldLock(e.target.value);
+    });
+    document.getElementById('setLandmarkBtn').addEventListener('click', () => {
+        setPickingLandmark(!state.pickingLandmark);
+    });
+    document.getElementById('telemetryMap').addEventListener('click', onTelemetryMapClick);
+    
+    renderTelemetryStatus();
+}
+
+async function loadTelemetryFile(file) {
+    let telemetry;
+    try {
+        const text = await file.text();
+        telemetry = /\.gpx$/i.test(file.name) ? parseGPX(text) : parseTelemetryCSV(text);
+    } catch (err) {
+        console.error('Could not read telemetry:', err);
+        document.getElementById('telemetryStatus').textContent = `${file.name}: ${err.message}`;
+        return;
+    }
+    setTelemetry(telemetry, file.name);
+}
+
+// A new video starts without the previous one's track, landmark or lock
+function clearTelemetry() {
+    state.telemetry = null;
+    state.landmark = null;
+    setPickingLandmark(false);
+    telemetryStatus.alignedStart = undefined;
+    telemetryStatus.bounds = null;
+    setWorldLock('off');
+    renderLevelingStatus();
+    clearTimelineThumbnails();
+}
+
+function setTelemetry(telemetry, source) {
+    if (telemetry.positions.length === 0 && telemetry.headings.length === 0 && telemetry.orientations.length === 0) {
+        document.getElementById('telemetryStatus').textContent = `${source}: no position, heading or orientation data`;
+        return;
+    }
+    
+    state.telemetry = Object.assign(telemetry, { source });
+    telemetryStatus.alignedStart = undefined;
+    telemetryStatus.lockAngle = null;
+    alignTelemetry();
+    
+    renderTelemetryStatus();
+    renderLevelingStatus();
+    clearTimelineThumbnails();
+    logAudit('telemetry.load', {
+        source,
+        positions: telemetry.positions.length,
+        headings: telemetry.headings.length,
+        orientations: telemetry.orientations.length
+    });
+}
+
+function parseGPX(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.querySelector('parsererror')) throw new Error('Not a valid GPX file');
+    
+    const positions = [];
+    const headings = [];
+    doc.querySelectorAll('trkpt, rtept').forEach(point => {
+        // Course and heading may sit in extensions under any namespace
+        const child = (...names) => {
+            const element = Array.from(point.getElementsByTagName('*')).find(e => names.includes(e.localName));
+            return element ? element.textContent.trim() : null;
+        };
+        const time = child('time');
+        const at = time ? Date.parse(time) : NaN;
+        if (isNaN(at)) return;
+        
+        positions.push({
+            t: null,
+            at,
+            lat: parseFloat(point.getAttribute('lat')),
+            lon: parseFloat(point.getAttribute('lon')),
+            alt: parseFloat(child('ele')),
+            speed: parseFloat(child('speed'))
+        });
+        const heading = parseFloat(child('heading', 'course', 'bearing'));
+        if (!isNaN(heading)) headings.push({ t: null, at, heading });
+    });
+    return {
+        positions: positions.filter(p => !isNaN(p.lat) && !isNaN(p.lon)),
+        headings,
+        headingSource: 'recorded',
+        orientations: []
+    };
+}
+
+// Columns are found by name (see TELEMETRY_COLUMNS). Numeric times are media
+// seconds unless they look like Unix epochs; other times are parsed as dates.
+function parseTelemetryCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    const delimiter = [',', ';', '\t'].find(d => lines[0] && lines[0].includes(d)) || ',';
+    const header = lines[0].split(delimiter).map(name => name.trim().toLowerCase().replace(/^"|"$/g, ''));
+    const column = {};
+    Object.entries(TELEMETRY_COLUMNS).forEach(([field, names]) => {
+        column[field] = header.findIndex(name => names.includes(name));
+    });
+    if (column.time < 0) throw new Error('No time column');
+    
+    const positions = [];
+    const headings = [];
+    const orientations = [];
+    lines.slice(1).forEach(line => {
+        const cells = line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, ''));
+        const value = (field) => column[field] >= 0 ? parseFloat(cells[column[field]]) : NaN;
+        
+        const raw = cells[column.time];
+        const number = Number(raw);
+        let t = null;
+        let at = null;
+        if (raw !== '' && !isNaN(number)) {
+            if (number > 1e12) at = number;
+            else if (number > 1e9) at = number * 1000;
+            else t = number;
+        } else {
+            at = Date.parse(raw);
+            if (isNaN(at)) return;
+        }
+        
+        if (!isNaN(value('lat')) && !isNaN(value('lon'))) {
+            positions.push({ t, at, lat: value('lat'), lon: value('lon'), alt: value('alt'), speed: value('speed') });
+        }
+        if (!isNaN(value('heading'))) {
+            headings.push({ t, at, heading: value('heading') });
+        }
+        if (!isNaN(value('pitch')) || !isNaN(value('roll'))) {
+            orientations.push({ t, at, pitch: value('pitch') || 0, roll: value('roll') || 0 });
+        }
+    });
+    return { positions, headings, headingSource: 'recorded', orientations };
+}
+
+// Embedded GPMF: one payload per metadata track sample (usually a second),
+// the values of each stream spread evenly across the sample's duration
+async function loadEmbeddedTelemetry(file, track) {
+    const positions = [];
+    const yaws = [];
+    const orientations = [];
+    const gravity = [];
+    for (const sample of track.samples) {
+        const view = new DataView(await file.slice(sample.offset, sample.offset + sample.size).arrayBuffer());
+        readGPMF(view, 0, view.byteLength, {
+            start: sample.time / track.timescale,
+            duration: sample.duration / track.timescale,
+            positions,
+            yaws,
+            orientations,
+            gravity
+        });
+        if (state.videoFile !== file) return;
+    }
+    if (positions.length === 0 && yaws.length === 0 && gravity.length === 0) return;
+    
+    // CORI tilt is relative to the first frame; GRAV levels to the real horizon
+    const telemetry = {
+        positions,
+        headings: [],
+        headingSource: null,
+        orientations: gravity.length ? getGravityOrientations(gravity) : orientations,
+        relativeOrientation: gravity.length === 0 && orientations.length > 0
+    };
+    if (yaws.length) {
+        Object.assign(telemetry, alignRelativeHeadings(yaws, positions));
+    }
+    setTelemetry(telemetry, `${file.name} (GPMF)`);
+}
+
+// KLV: four-character key, type, struct size, repeat count, payload padded
+// to 4 bytes. Type 0 nests; SCAL in a stream divides the values after it.
+function readGPMF(view, start, end, context, scale = [1]) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        const key = readFourCC(view, offset);
+        const type = String.fromCharCode(view.getUint8(offset + 4));
+        const structSize = view.getUint8(offset + 5);
+        const repeat = view.getUint16(offset + 6);
+        const length = structSize * repeat;
+        const payload = offset + 8;
+        if (payload + length > end) break;
+        
+        if (view.getUint8(offset + 4) === 0) {
+            readGPMF(view, payload, payload + length, context);
+        } else if (key === 'SCAL') {
+            scale = readGPMFValues(view, type, payload, length);
+        } else if (key === 'GPS5' || key === 'CORI' || key === 'GRAV') {
+            const values = readGPMFValues(view, type, payload, length);
+            const fields = { GPS5: 5, CORI: 4, GRAV: 3 }[key];
+            const count = Math.floor(values.length / fields);
+            for (let i = 0; i < count; i++) {
+                const row = values.slice(i * fields, (i + 1) * fields).map((v, k) => v / (scale[k] || scale[0] || 1));
+                const t = context.start + context.duration * i / count;
+                if (key === 'GPS5') {
+                    context.positions.push({ t, at: null, lat: row[0], lon: row[1], alt: row[2], speed: row[3] });
+                } else if (key === 'GRAV') {
+                    context.gravity.push({ t, x: row[0], y: row[1], z: row[2] });
+                } else {
+                    // Quaternion w, x, y, z relative to the first frame: yaw
+                    // about the vertical axis, pitch and roll about the
+                    // lens's right and forward axes
+                    const [w, x, y, z] = row;
+                    const yaw = Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z));
+                    const pitch = Math.asin(Math.max(-1, Math.min(1, 2 * (w * y - z * x))));
+                    const roll = Math.atan2(2 * (w * x + y * z), 1 - 2 * (x * x + y * y));
+                    context.yaws.push({ t, yaw: THREE.MathUtils.radToDeg(yaw) });
+                    context.orientations.push({
+                        t,
+                        at: null,
+                        pitch: THREE.MathUtils.radToDeg(pitch),
+                        roll: THREE.MathUtils.radToDeg(roll)
+                    });
+                }
+            }
+        }
+        offset = payload + Math.ceil(length / 4) * 4;
+    }
+}
+
+// GRAV is the direction of gravity in the same camera axes as CORI, so the
+// angles follow the same conventions but are absolute. Models disagree on
+// which way the vertical axis points; it is taken to point down on average,
+// as it does for a camera worn upright.
+function getGravityOrientations(gravity) {
+    const sign = gravity.reduce((sum, g) => sum + g.z, 0) < 0 ? -1 : 1;
+    return gravity.map(({ t, x, y, z }) => {
+        const length = Math.hypot(x, y, z) || 1;
+        const [gx, gy, gz] = [x, y, z].map(v => sign * v / length);
+        return {
+            t,
+            at: null,
+            pitch: THREE.MathUtils.radToDeg(Math.asin(Math.max(-1, Math.min(1, -gx)))),
+            roll: THREE.MathUtils.radToDeg(Math.atan2(gy, gz))
+        };
+    });
+}
+
+function readGPMFValues(view, type, start, length) {
+    const readers = {
+        b: [1, 'getInt8'], B: [1, 'getUint8'], s: [2, 'getInt16'], S: [2, 'getUint16'],
+        l: [4, 'getInt32'], L: [4, 'getUint32'], f: [4, 'getFloat32'], d: [8, 'getFloat64']
+    };
+    const reader = readers[type];
+    if (!reader) return [];
+    
+    const values = [];
+    for (let offset = start; offset + reader[0] <= start + length; offset += reader[0]) {
+        values.push(view[reader[1]](offset));
+    }
+    return values;
+}
+
+// Orientation sensors only know how far the camera turned. Anchor it to
+// north with the GPS course while moving; axis conventions vary by model, so
+// the yaw direction that agrees best with the course is used.
+function alignRelativeHeadings(yaws, positions) {
+    const courses = getCourseHeadings(positions);
+    let best = { sign: 1, offset: 0, strength: 0 };
+    [1, -1].forEach(sign => {
+        let x = 0;
+        let y = 0;
+        courses.forEach(course => {
+            const yaw = interpolateTrack(yaws, course.t, 'yaw');
+            if (yaw === null) return;
+            const difference = THREE.MathUtils.degToRad(course.heading - sign * yaw);
+            x += Math.cos(difference);
+            y += Math.sin(difference);
+        });
+        const strength = Math.hypot(x, y) / Math.max(1, courses.length);
+        if (strength > best.strength) {
+            best = { sign, offset: THREE.MathUtils.radToDeg(Math.atan2(y, x)), strength };
+        }
+    });
+    
+    return {
+        headings: yaws.map(sample => ({ t: sample.t, at: null, heading: normalizeBearing(best.sign * sample.yaw + best.offset) })),
+        headingSource: courses.length ? 'gyro aligned to GPS course' : 'gyro (not north-referenced)'
+    };
+}
+
+// Course over ground between fixes far enough apart to trust
+function getCourseHeadings(positions) {
+    const courses = [];
+    let from = positions[0];
+    positions.slice(1).forEach(to => {
+        if (geoDistance(from, to) < TELEMETRY_MIN_COURSE_DISTANCE) return;
+        courses.push({ t: (from.t + to.t) / 2, at: null, heading: geoBearing(from, to) });
+        from = to;
+    });
+    return courses;
+}
+
+// Places wall-clock fixes on the media timeline; redone when the primary
+// camera's start time changes (container metadata, manual sync)
+function alignTelemetry() {
+    const telemetry = state.telemetry;
+    if (!telemetry) return;
+    
+    const primary = getCamera(PRIMARY_CAMERA_ID);
+    const start = primary ? primary.startTime : null;
+    if (telemetryStatus.alignedStart === start) return;
+    telemetryStatus.alignedStart = start;
+    telemetryStatus.bounds = null;
+    
+    // Wall-clock fixes wait (t = null) until a video gives them a start
+    const place = (sample) => {
+        if (sample.at !== null) sample.t = start !== null ? (sample.at - start) / 1000 : null;
+    };
+    [telemetry.positions, telemetry.headings, telemetry.orientations].forEach(samples => {
+        samples.forEach(place);
+        samples.sort((a, b) => a.t - b.t);
+    });
+    
+    if (telemetry.headings.length === 0 && telemetry.positions.every(p => p.t !== null)) {
+        telemetry.derivedHeadings = getCourseHeadings(telemetry.positions);
+        telemetry.headingSource = telemetry.derivedHeadings.length ? 'GPS course' : null;
+    }
+}
+
+// Linear interpolation of a field over samples sorted by t; angles take the
+// short way round
+function interpolateTrack(samples, time, field, angular = false) {
+    if (!samples.length || samples[0].t === null) return null;
+    if (time <= samples[0].t) return samples[0][field];
+    const last = samples[samples.length - 1];
+    if (time >= last.t) return last[field];
+    
+    let low = 0;
+    let high = samples.length - 1;
+    while (high - low > 1) {
+        const mid = (low + high) >> 1;
+        if (samples[mid].t <= time) low = mid;
+        else high = mid;
+    }
+    const a = samples[low];
+    const b = samples[high];
+    const f = b.t > a.t ? (time - a.t) / (b.t - a.t) : 0;
+    return angular ? a[field] + shortestAngle(a[field], b[field]) * f : a[field] + (b[field] - a[field]) * f;
+}
+
+function getTelemetryPosition(time) {
+    const positions = state.telemetry ? state.telemetry.positions : [];
+    const lat = interpolateTrack(positions, time, 'lat');
+    if (lat === null) return null;
+    return { lat, lon: interpolateTrack(positions, time, 'lon') };
+}
+
+function getTelemetryHeading(time) {
+    const telemetry = state.telemetry;
+    if (!telemetry) return null;
+    const headings = telemetry.headings.length ? telemetry.headings : telemetry.derivedHeadings || [];
+    const heading = interpolateTrack(headings, time, 'heading', true);
+    return heading === null ? null : normalizeBearing(heading);
+}
+
+function geoDistance(a, b) {
+    const lat1 = THREE.MathUtils.degToRad(a.lat);
+    const lat2 = THREE.MathUtils.degToRad(b.lat);
+    const dLat = lat2 - lat1;
+    const dLon = THREE.MathUtils.degToRad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function geoBearing(a, b) {
+    const lat1 = THREE.MathUtils.degToRad(a.lat);
+    const lat2 = THREE.MathUtils.degToRad(b.lat);
+    const dLon = THREE.MathUtils.degToRad(b.lon - a.lon);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return normalizeBearing(THREE.MathUtils.radToDeg(Math.atan2(y, x)));
+}
+
+function normalizeBearing(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+// World Lock
+
+// Pan is measured from the front lens and grows to the left, bearings grow
+// clockwise from north: looking at bearing B with the lens at heading H
+// takes pan H - B. While locked, each frame adds the change in H - B so the
+// view holds its world direction and the reviewer can still look around.
+function getWorldLockAngle(time) {
+    const heading = getViewHeading(time);
+    if (heading === null) return null;
+    
+    if (state.worldLock === 'landmark') {
+        const position = getTelemetryPosition(time);
+        if (!position || !state.landmark) return null;
+        return heading - geoBearing(position, state.landmark);
+    }
+    return heading;
+}
+
+function setWorldLock(mode) {
+    state.worldLock = mode;
+    document.getElementById('worldLockSelect').value = mode;
+    telemetryStatus.lockAngle = null;
+    if (mode === 'landmark' && !state.landmark) setPickingLandmark(true);
+    
+    // Start out facing north or the landmark
+    const angle = mode === 'off' ? null : getWorldLockAngle(state.video.currentTime);
+    if (angle !== null) {
+        state.pan = normalizeAngle(angle);
+        telemetryStatus.lockAngle = angle;
+        updatePTZDisplay();
+    }
+    renderTelemetryStatus();
+}
+
+// Called every frame before the camera is placed
+function updateWorldLock() {
+    alignTelemetry();
+    
+    const active = state.worldLock !== 'off' && !state.viewLocked && !state.pathReplay &&
+        state.currentView !== 'flatview' && !isFollowingPresenter();
+    const angle = active ? getWorldLockAngle(state.video.currentTime) : null;
+    if (angle === null) {
+        telemetryStatus.lockAngle = null;
+        return;
+    }
+    
+    if (telemetryStatus.lockAngle !== null) {
+        const change = shortestAngle(telemetryStatus.lockAngle, angle);
+        if (change !== 0) {
+            state.pan = normalizeAngle(state.pan + change);
+            updatePTZDisplay();
+        }
+    }
+    telemetryStatus.lockAngle = angle;
+}
+
+function setPickingLandmark(enabled) {
+    state.pickingLandmark = enabled;
+    document.getElementById('setLandmarkBtn').classList.toggle('active', enabled);
+    document.getElementById('telemetryMap').classList.toggle('picking', enabled);
+}
+
+// Position Map
+
+// Drawn on a canvas in a local flat projection (metres east/north of the
+// track's centre), so it works offline without map tiles
+function getTelemetryMapProjection(canvas) {
+    if (telemetryStatus.bounds && telemetryStatus.bounds.width === canvas.width) return telemetryStatus.bounds;
+    
+    const points = state.telemetry.positions.concat(state.landmark ? [state.landmark] : []);
+    const lats = points.map(p => p.lat);
+    const lons = points.map(p => p.lon);
+    const center = { lat: (Math.min(...lats) + Math.max(...lats)) / 2, lon: (Math.min(...lons) + Math.max(...lons)) / 2 };
+    const metresPerDegree = EARTH_RADIUS * Math.PI / 180;
+    const cosLat = Math.cos(THREE.MathUtils.degToRad(center.lat));
+    const toMetres = (p) => ({ x: (p.lon - center.lon) * metresPerDegree * cosLat, y: (p.lat - center.lat) * metresPerDegree });
+    
+    const metres = points.map(toMetres);
+    const extentX = Math.max(1, ...metres.map(m => Math.abs(m.x)));
+    const extentY = Math.max(1, ...metres.map(m => Math.abs(m.y)));
+    const pixelsPerMetre = Math.min(
+        (canvas.width / 2 - TELEMETRY_MAP_PADDING) / extentX,
+        (canvas.height / 2 - TELEMETRY_MAP_PADDING) / extentY
+    );
+    
+    telemetryStatus.bounds = {
+        width: canvas.width,
+        pixelsPerMetre,
+        toCanvas: (p) => {
+            const m = toMetres(p);
+            return { x: canvas.width / 2 + m.x * pixelsPerMetre, y: canvas.height / 2 - m.y * pixelsPerMetre };
+        },
+        fromCanvas: (x, y) => ({
+            lat: center.lat + (canvas.height / 2 - y) / pixelsPerMetre / metresPerDegree,
+            lon: center.lon + (x - canvas.width / 2) / pixelsPerMetre / (metresPerDegree * cosLat)
+        })
+    };
+    return telemetryStatus.bounds;
+}
+
+// Redrawn a few times a second from animate()
+function updateTelemetryMap() {
+    const now = performance.now();
+    if (!state.telemetry || now - telemetryStatus.lastDraw < TELEMETRY_MAP_INTERVAL) return;
+    telemetryStatus.lastDraw = now;
+    
+    const canvas = document.getElementById('telemetryMap');
+    if (!canvas.offsetParent) return;  // Metadata tab hidden
+    const ctx = canvas.getContext('2d');
+    const time = state.video.currentTime;
+    const positions = state.telemetry.positions.filter(p => p.t !== null);
+    
+    ctx.fillStyle = '#0f172a';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (positions.length === 0) {
+        ctx.fillStyle = '#94a3b8';
+        ctx.font = '12px sans-serif';
+        ctx.fillText('No position fixes on the timeline', 12, 20);
+        return;
+    }
+    const map = getTelemetryMapProjection(canvas);
+    
+    // Track, with the part already travelled highlighted
+    const drawPath = (points, color) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((p, i) => {
+            const c = map.toCanvas(p);
+            if (i === 0) ctx.moveTo(c.x, c.y);
+            else ctx.lineTo(c.x, c.y);
+        });
+        ctx.stroke();
+    };
+    drawPath(positions, '#475569');
+    drawPath(positions.filter(p => p.t <= time).concat(getTelemetryPosition(time) || []), '#3b82f6');
+    
+    if (state.landmark) {
+        const c = map.toCanvas(state.landmark);
+        ctx.fillStyle = '#f87171';
+        ctx.beginPath();
+        ctx.moveTo(c.x, c.y - 6);
+        ctx.lineTo(c.x + 5, c.y);
+        ctx.lineTo(c.x, c.y + 6);
+        ctx.lineTo(c.x - 5, c.y);
+        ctx.fill();
+    }
+    
+    // Current position: the view as a wedge, the lens heading as a line
+    const position = getTelemetryPosition(time);
+    const heading = getTelemetryHeading(time);
+    if (position) {
+        const c = map.toCanvas(position);
+        if (heading !== null) {
+            const toCanvasAngle = (bearing) => THREE.MathUtils.degToRad(bearing - 90);
+            const view = getViewHeading(time) - state.pan;
+            const half = state.zoom / 2;
+            ctx.fillStyle = 'rgba(252, 211, 77, 0.35)';
+            ctx.beginPath();
+            ctx.moveTo(c.x, c.y);
+            ctx.arc(c.x, c.y, 28, toCanvasAngle(view - half), toCanvasAngle(view + half));
+            ctx.closePath();
+            ctx.fill();
+            
+            ctx.strokeStyle = '#f1f5f9';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(c.x, c.y);
+            ctx.lineTo(c.x + Math.cos(toCanvasAngle(heading)) * 16, c.y + Math.sin(toCanvasAngle(heading)) * 16);
+            ctx.stroke();
+        }
+        ctx.fillStyle = '#4ade80';
+        ctx.beginPath();
+        ctx.arc(c.x, c.y, 4, 0, Math.PI * 2);
+        ctx.fill();
+        
+        document.getElementById('metaLocation').textContent = formatLocation({ latitude: position.lat, longitude: position.lon });
+    }
+    
+    // North arrow and a round-number scale bar
+    ctx.fillStyle = '#cbd5e1';
+    ctx.font = 'bold 11px sans-serif';
+    ctx.fillText('N ↑', canvas.width - 28, 16);
+    const metres = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000]
+        .find(m => m * map.pixelsPerMetre >= 40) || 10000;
+    const barWidth = metres * map.pixelsPerMetre;
+    ctx.fillRect(8, canvas.height - 10, barWidth, 2);
+    ctx.font = '10px sans-serif';
+    ctx.fillText(metres >= 1000 ? `${metres / 1000} km` : `${metres} m`, 8, canvas.height - 14);
+}
+
+// Click: place the landmark while picking, otherwise seek to the nearest fix
+function onTelemetryMapClick(event) {
+    if (!state.telemetry || state.telemetry.positions.length === 0) return;
+    
+    const canvas = event.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * canvas.width / rect.width;
+    const y = (event.clientY - rect.top) * canvas.height / rect.height;
+    const map = getTelemetryMapProjection(canvas);
+    
+    if (state.pickingLandmark) {
+        state.landmark = map.fromCanvas(x, y);
+        telemetryStatus.bounds = null;
+        setPickingLandmark(false);
+        setWorldLock('landmark');
+        return;
+    }
+    
+    let nearest = null;
+    let best = TELEMETRY_PICK_RADIUS;
+    state.telemetry.positions.forEach(p => {
+        if (p.t === null) return;
+        const c = map.toCanvas(p);
+        const distance = Math.hypot(c.x - x, c.y - y);
+        if (distance < best) {
+            best = distance;
+            nearest = p;
+        }
+    });
+    if (nearest && state.video.src) {
+        state.video.currentTime = Math.max(0, Math.min(nearest.t, state.video.duration || nearest.t));
+    }
+}
+
+function renderTelemetryStatus() {
+    const telemetry = state.telemetry;
+    document.getElementById('telemetryMap').style.display = telemetry ? 'block' : 'none';
+    document.getElementById('worldLockSelect').disabled = !telemetry;
+    document.getElementById('setLandmarkBtn').disabled = !telemetry || telemetry.positions.length === 0;
+    
+    const status = document.getElementById('telemetryStatus');
+    if (!telemetry) {
+        status.textContent = 'No telemetry. Load a GPX or CSV track, or a video with embedded GPMF.';
+        return;
+    }
+    status.textContent = [
+        telemetry.source,
+        `${telemetry.positions.length} fixes`,
+        telemetry.orientations.length
+            ? `${telemetry.orientations.length} orientation samples${telemetry.relativeOrientation ? ' (relative to first frame)' : ''}`
+            : null,
+        telemetry.headingSource ? `heading: ${telemetry.headingSource}` : 'no heading',
+        state.worldLock === 'landmark' && state.landmark ? `landmark ${formatLocation({ latitude: state.landmark.lat, longitude: state.landmark.lon })}` : null
+    ].filter(Boolean).join(' • ');
+}
+
+// ===================================
+// Horizon Leveling
+// ===================================
+
+// The body's attitude, { yaw, pitch, roll } in degrees about the vertical
+// axis and the front lens's right and forward axes, comes from IMU
+// orientation telemetry when there is any, otherwise from horizon marks the
+// reviewer placed by clicking two points on the horizon. Marks
+// { id, evidenceId, t, pitch, roll, author, createdAt } are interpolated
+// between and held before the first and after the last.
+//
+// Leveling turns the sphere so the horizon stays level; stabilization swaps
+// the attitude for its moving average so only the shake is taken out. Either
+// gives a rotation from displayed to source directions that sampleSource()
+// applies in every view and export. Annotations, redactions and coverage
+// stay in source directions; yawPitchFromScreen and projectToScreen convert.
+
+const LEVELING_SMOOTH_WINDOW = 1;      // s of motion averaged by stabilization
+const LEVELING_SMOOTH_SAMPLES = 15;    // Attitude samples across the window
+const HORIZON_MIN_SEPARATION = 10;     // Degrees between the two horizon points
+
+function setupLeveling() {
+    document.getElementById('levelingToggle').addEventListener('change', (e) => {
+        setLeveling(e.target.checked, state.stabilization);
+    });
+    document.getElementById('stabilizationToggle').addEventListener('change', (e) => {
+        setLeveling(state.leveling, e.target.checked);
+    });
+    document.getElementById('markHorizonBtn').addEventListener('click', () => {
+        setMarkingHorizon(!state.markingHorizon);
+    });
+    
+    document.getElementById('horizonItems').addEventListener('click', (e) => {
+        const btn = e.target.closest('.recipe-action-btn');
+        if (!btn) return;
+        
+        const mark = state.horizonMarks.find(m => m.id === btn.closest('.recipe-item').dataset.markId);
+        if (!mark) return;
+        if (btn.dataset.action === 'seek') {
+            if (state.video.src) state.video.currentTime = mark.t;
+        } else if (btn.dataset.action === 'delete') {
+            deleteHorizonMark(mark);
+        }
+    });
+    
+    loadHorizonMarks();
+}
+
+async function loadHorizonMarks() {
+    try {
+        const marks = await dbGetAllForEvidence('horizon', state.evidenceId);
+        state.horizonMarks = marks.sort((a, b) => a.t - b.t);
+    } catch (err) {
+        console.error('Could not load horizon marks:', err);
+    }
+    renderHorizonMarks();
+    renderLevelingStatus();
+}
+
+function setLeveling(leveling, stabilization) {
+    if (leveling === state.leveling && stabilization === state.stabilization) return;
+    
+    state.leveling = leveling;
+    state.stabilization = stabilization;
+    document.getElementById('levelingToggle').checked = leveling;
+    document.getElementById('stabilizationToggle').checked = stabilization;
+    clearTimelineThumbnails();
+    renderLevelingStatus();
+    logAudit('view.level', { leveling, stabilization, source: getLevelingSource() });
+}
+
+// 'imu', 'manual' or null. IMU orientation wins over manual marks.
+function getLevelingSource() {
+    const telemetry = state.telemetry;
+    if (telemetry && telemetry.orientations.length && telemetry.orientations[0].t !== null) return 'imu';
+    if (state.horizonMarks.length) return 'manual';
+    return null;
+}
+
+function isLevelingActive() {
+    return (state.leveling || state.stabilization) && getLevelingSource() !== null;
+}
+
+function getCameraAttitude(time) {
+    switch (getLevelingSource()) {
+        case 'imu': {
+            // Only recorded headings turn with the body; the GPS course says nothing about shake
+            const orientations = state.telemetry.orientations;
+            const heading = interpolateTrack(state.telemetry.headings, time, 'heading', true);
+            return {
+                yaw: heading === null ? 0 : -heading,
+                pitch: interpolateTrack(orientations, time, 'pitch', true),
+                roll: interpolateTrack(orientations, time, 'roll', true)
+            };
+        }
+        case 'manual':
+            return {
+                yaw: 0,
+                pitch: interpolateTrack(state.horizonMarks, time, 'pitch'),
+                roll: interpolateTrack(state.horizonMarks, time, 'roll')
+            };
+        default:
+            return null;
+    }
+}
+
+// Moving average centred on time; angles are averaged as offsets from the
+// centre sample so they don't wrap
+function getSmoothedAttitude(time) {
+    const center = getCameraAttitude(time);
+    const sum = { yaw: 0, pitch: 0, roll: 0 };
+    for (let i = 0; i < LEVELING_SMOOTH_SAMPLES; i++) {
+        const sample = getCameraAttitude(time + (i / (LEVELING_SMOOTH_SAMPLES - 1) - 0.5) * LEVELING_SMOOTH_WINDOW);
+        Object.keys(sum).forEach(axis => {
+            sum[axis] += shortestAngle(center[axis], sample[axis]);
+        });
+    }
+    return {
+        yaw: center.yaw + sum.yaw / LEVELING_SMOOTH_SAMPLES,
+        pitch: center.pitch + sum.pitch / LEVELING_SMOOTH_SAMPLES,
+        roll: center.roll + sum.roll / LEVELING_SMOOTH_SAMPLES
+    };
+}
+
+// Body to scene rotation. Pitch and roll turn about the front lens's axes,
+// so the attitude is built facing yaw 0 and turned to the lens.
+function attitudeQuaternion({ yaw, pitch, roll }) {
+    const toRad = THREE.MathUtils.degToRad;
+    const lens = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), toRad(state.frontLensOffset));
+    const body = new THREE.Quaternion().setFromEuler(new THREE.Euler(toRad(pitch), toRad(yaw), toRad(roll), 'YXZ'));
+    return lens.clone().multiply(body).multiply(lens.invert());
+}
+
+// Rotation from displayed to source directions at a media time, or null
+// when nothing is corrected. The display follows the target attitude: the
+// smoothed one when stabilizing, with pitch and roll zeroed when leveling.
+function getLevelingQuaternion(time = state.video.currentTime) {
+    if (!state.leveling && !state.stabilization) return null;
+    const attitude = getCameraAttitude(time);
+    if (!attitude) return null;
+    
+    let target = state.stabilization ? getSmoothedAttitude(time) : attitude;
+    if (state.leveling) target = { yaw: target.yaw, pitch: 0, roll: 0 };
+    return attitudeQuaternion(attitude).invert().multiply(attitudeQuaternion(target));
+}
+
+function toSourceDirection(direction, time = state.video.currentTime) {
+    const leveling = getLevelingQuaternion(time);
+    return leveling ? direction.applyQuaternion(leveling) : direction;
+}
+
+function toDisplayDirection(direction, time = state.video.currentTime) {
+    const leveling = getLevelingQuaternion(time);
+    return leveling ? direction.applyQuaternion(leveling.invert()) : direction;
+}
+
+// Lens heading as the display sees it: stabilization holds back the
+// body's quick turns, so world lock and the map follow the smoothed heading
+function getViewHeading(time) {
+    const heading = getTelemetryHeading(time);
+    if (heading === null || !state.stabilization || getLevelingSource() !== 'imu') return heading;
+    return normalizeBearing(heading + shortestAngle(getSmoothedAttitude(time).yaw, getCameraAttitude(time).yaw));
+}
+
+function setMarkingHorizon(marking) {
+    state.markingHorizon = marking ? [] : null;
+    if (marking) {
+        setAnnotating(false);
+        setRedacting(false);
+    }
+    document.getElementById('markHorizonBtn').classList.toggle('active', marking);
+    document.getElementById('threejsContainer').classList.toggle('annotating', marking);
+    renderLevelingStatus();
+}
+
+// Viewport click while marking: two source directions on the horizon
+function handleHorizonClick(direction) {
+    const points = state.markingHorizon;
+    const point = directionFromYawPitch(direction.yaw, direction.pitch);
+    if (points.length && THREE.MathUtils.radToDeg(points[0].angleTo(point)) < HORIZON_MIN_SEPARATION) return;
+    
+    points.push(point);
+    if (points.length < 2) {
+        renderLevelingStatus();
+        return;
+    }
+    setMarkingHorizon(false);
+    addHorizonMark(points[0], points[1]);
+}
+
+// The horizon's plane is perpendicular to the body's up axis. In the lens
+// frame a body at pitch p and roll r sees up along
+// (cos p sin r, cos p cos r, -sin p).
+async function addHorizonMark(a, b) {
+    const up = new THREE.Vector3().crossVectors(a, b).normalize();
+    if (up.y < 0) up.negate();
+    up.applyAxisAngle(new THREE.Vector3(0, 1, 0), -THREE.MathUtils.degToRad(state.frontLensOffset));
+    
+    const time = state.video.currentTime;
+    const mark = {
+        id: 'horizon-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        evidenceId: state.evidenceId,
+        t: time,
+        pitch: THREE.MathUtils.radToDeg(-Math.asin(Math.max(-1, Math.min(1, up.z)))),
+        roll: THREE.MathUtils.radToDeg(Math.atan2(up.x, up.y)),
+        author: state.currentUser,
+        createdAt: new Date().toISOString()
+    };
+    
+    // One mark per frame: marking a frame again replaces its mark
+    const replaced = state.horizonMarks.filter(m => Math.abs(m.t - time) < 0.5 / state.frameRate);
+    state.horizonMarks = state.horizonMarks
+        .filter(m => !replaced.includes(m))
+        .concat(mark)
+        .sort((x, y) => x.t - y.t);
+    clearTimelineThumbnails();
+    renderHorizonMarks();
+    logAudit('horizon.add', { markId: mark.id, time, pitch: mark.pitch, roll: mark.roll });
+    
+    // Marking the horizon is asking for it to be level
+    if (!state.leveling) setLeveling(true, state.stabilization);
+    renderLevelingStatus();
+    
+    try {
+        await Promise.all(replaced.map(m => dbDelete('horizon', m.id)));
+        await dbPut('horizon', mark);
+    } catch (err) {
+        console.error('Could not save horizon mark:', err);
+    }
+}
+
+async function deleteHorizonMark(mark) {
+    state.horizonMarks = state.horizonMarks.filter(m => m.id !== mark.id);
+    clearTimelineThumbnails();
+    renderHorizonMarks();
+    renderLevelingStatus();
+    logAudit('horizon.delete', { markId: mark.id, time: mark.t });
+    
+    try {
+        await dbDelete('horizon', mark.id);
+    } catch (err) {
+        console.error('Could not delete horizon mark:', err);
+    }
+}
+
+function renderHorizonMarks() {
+    const list = document.getElementById('horizonItems');
+    list.innerHTML = '';
+    
+    state.horizonMarks.forEach(mark => {
+        const item = document.createElement('div');
+        item.className = 'recipe-item horizon-item';
+        item.dataset.markId = mark.id;
+        item.innerHTML = `
+            <div class="recipe-name"></div>
+            <div class="recipe-details"></div>
+            <div class="recipe-actions">
+                <button class="recipe-action-btn" data-action="seek">Go To</button>
+                <button class="recipe-action-btn" data-action="delete">Delete</button>
+            </div>
+        `;
+        item.querySelector('.recipe-name').textContent = formatTime(mark.t);
+        item.querySelector('.recipe-details').textContent =
+            `Pitch ${mark.pitch.toFixed(1)}° • Roll ${mark.roll.toFixed(1)}° • ${mark.author}`;
+        list.appendChild(item);
+    });
+}
+
+function renderLevelingStatus() {
+    const source = getLevelingSource();
+    document.getElementById('markHorizonBtn').disabled = source === 'imu';
+    document.getElementById('stabilizationToggle').disabled = source !== 'imu' && !state.stabilization;
+    
+    const status = document.getElementById('levelingStatus');
+    if (state.markingHorizon) {
+        status.textContent = state.markingHorizon.length === 0
+            ? 'Click a point on the horizon.'
+            : `Click a second point on the horizon, at least ${HORIZON_MIN_SEPARATION}° from the first.`;
+    } else if (source === 'imu') {
+        status.textContent = state.telemetry.relativeOrientation
+            ? `IMU orientation from ${state.telemetry.source}, relative to the first frame: tilt there is kept, not leveled to gravity.`
+            : `IMU orientation from ${state.telemetry.source}.`;
+    } else if (source === 'manual') {
+        const count = state.horizonMarks.length;
+        status.textContent = `${count} horizon mark${count === 1 ? '' : 's'}. Stabilization needs IMU orientation.`;
+    } else {
+        status.textContent = 'No IMU orientation. Mark the horizon on tilted frames to level by hand.';
+    }
+}
+
+// One line for tags and capture stamps, null when nothing is corrected
+function describeLeveling() {
+    if (!isLevelingActive()) return null;
+    
+    const parts = [];
+    if (state.leveling) parts.push('horizon leveled');
+    if (state.stabilization) parts.push(`stabilized (${LEVELING_SMOOTH_WINDOW} s average)`);
+    const imu = state.telemetry && state.telemetry.relativeOrientation ? 'IMU orientation (relative to first frame)' : 'IMU orientation';
+    return `${parts.join(', ')} from ${getLevelingSource() === 'imu' ? imu : 'manual horizon marks'}`;
+}
+
+// Export record of the correction, enough to reproduce it from the source
+function getLevelingRecord() {
+    if (!isLevelingActive()) return null;
+    
+    const source = getLevelingSource();
+    return {
+        leveled: state.leveling,
+        stabilized: state.stabilization,
+        smoothingWindow: state.stabilization ? LEVELING_SMOOTH_WINDOW : null,
+        source,
+        telemetry: source === 'imu' ? state.telemetry.source : null,
+        relativeOrientation: source === 'imu' ? !!state.telemetry.relativeOrientation : null,
+        horizonMarks: source === 'manual'
+            ? state.horizonMarks.map(({ t, pitch, roll, author, createdAt }) => ({ t, pitch, roll, author, createdAt }))
+            : null
+    };
+}
+
+// ===================================
+// View Mode Switching
+// ===================================
+
+function handleViewChange(event) {
     const newView = event.target.value;
     state.currentView = newView;
     
-    console.log('Switching to view:', newView);
+    console.log('Switching to view:', newView);
+    logAudit('view.change', { view: newView });
+    
+    const threejsContainer = document.getElementById('threejsContainer');
+    const unstitchedView = document.getElementById('unstitchedView');
+    const rawView = document.getElementById('rawView');
+    
+    // Hide all views
+    threejsContainer.style.display = 'none';
+    unstitchedView.style.display = 'none';
+    rawView.style.display = 'none';
+    document.getElementById('recipeOverlayLabel').style.display = 'none';
+    
+    // Update cursor style based on view lock
+    const container = document.getElementById('threejsContainer');
+    
+    switch (newView) {
+        case 'stitched':
+            threejsContainer.style.display = 'block';
+            state.viewLocked = false;
+            container.classList.remove('view-locked');
+            console.log('Stitched view active - 360° navigation enabled');
+            break;
+        case 'front':
+            threejsContainer.style.display = 'block';
+            state.viewLocked = true;
+            container.classList.add('view-locked');
+            setFrontView();
+            break;
+        case 'back':
+            threejsContainer.style.display = 'block';
+            state.viewLocked = true;
+            container.classList.add('view-locked');
+            setBackView();
+            break;
+        case 'rawview':
+            rawView.style.display = 'block';
+            state.rawViewInitialized = false;  // Reset for fresh render
+            updateRawView();
+            console.log('Raw view active');
+            break;
+        case 'flatview':
+            threejsContainer.style.display = 'block';
+            state.viewLocked = true;
+            container.classList.add('view-locked');
+            activateRecipeView();
+            console.log('Flat view active');
+            break;
+        case 'littleplanet':
+            threejsContainer.style.display = 'block';
+            state.viewLocked = false;
+            container.classList.remove('view-locked');
+            state.zoom = LITTLE_PLANET_DEFAULT_ZOOM;
+            break;
+        case 'equirect':
+        case 'cubemap':
+            threejsContainer.style.display = 'block';
+            state.viewLocked = false;
+            container.classList.remove('view-locked');
+            break;
+    }
+    
+    // Each view has its own zoom range (the little planet's goes past 180°)
+    const limits = getZoomLimits();
+    const zoomInput = document.getElementById('zoomInput');
+    zoomInput.min = limits.min;
+    zoomInput.max = limits.max;
+    state.zoom = clampZoom(state.zoom);
+    
+    // Force renderer resize to ensure proper display
+    if (state.renderer && threejsContainer.style.display === 'block') {
+        const width = threejsContainer.clientWidth;
+        const height = threejsContainer.clientHeight;
+        console.log('Renderer size:', width, 'x', height);
+        state.renderer.setSize(width, height);
+        state.camera.aspect = width / height;
+        state.camera.updateProjectionMatrix();
+    }
+    
+    updatePTZDisplay();
+}
+
+// Set camera to front view (0°, wide FOV)
+function setFrontView() {
+    state.pan = 0;
+    state.tilt = 0;
+    state.zoom = 100; // Wide FOV to show more of the hemisphere
+    
+    console.log('Front view activated - locked at 0°');
+    console.log('Camera state:', {
+        pan: state.pan,
+        tilt: state.tilt,
+        zoom: state.zoom,
+        frontLensOffset: state.frontLensOffset,
+        videoSrc: state.video ? state.video.src : 'no video'
+    });
+}
+
+// Set camera to back view (180°, wide FOV)
+function setBackView() {
+    state.pan = 180;
+    state.tilt = 0;
+    state.zoom = 100; // Wide FOV to show more of the hemisphere
+    
+    console.log('Back view activated - locked at 180°');
+    console.log('Camera state:', {
+        pan: state.pan,
+        tilt: state.tilt,
+        zoom: state.zoom,
+        frontLensOffset: state.frontLensOffset
+    });
+}
+
+function updateRawView() {
+    const frontCanvas = document.getElementById('rawFrontCanvas');
+    const backCanvas = document.getElementById('rawBackCanvas');
+    
+    if (!frontCanvas || !backCanvas) {
+        console.error('Raw view canvases not found');
+        return;
+    }
+    
+    console.log('updateRawView called');
+    console.log('Video state:', {
+        hasSrc: !!state.video.src,
+        readyState: state.video.readyState,
+        videoWidth: state.video.videoWidth,
+        videoHeight: state.video.videoHeight
+    });
+    
+    // Set canvas sizes
+    const resizeCanvas = (canvas) => {
+        const parent = canvas.parentElement;
+        const width = parent.clientWidth - 32;
+        const height = parent.clientHeight - 50;
+        canvas.width = width;
+        canvas.height = height;
+        console.log(`Canvas ${canvas.id} sized:`, width, 'x', height);
+    };
+    
+    resizeCanvas(frontCanvas);
+    resizeCanvas(backCanvas);
+    
+    // Start rendering immediately
+    renderRawView();
+}
+
+// Render the raw fisheye views continuously
+function renderRawView() {
+    // Check if we should still be rendering
+    if (state.currentView !== 'rawview') {
+        console.log('Stopping raw view render loop');
+        return;
+    }
+    
+    const frontCanvas = document.getElementById('rawFrontCanvas');
+    const backCanvas = document.getElementById('rawBackCanvas');
+    
+    if (!frontCanvas || !backCanvas) {
+        console.error('Canvases not found in renderRawView');
+        return;
+    }
+    
+    const frontCtx = frontCanvas.getContext('2d');
+    const backCtx = backCanvas.getContext('2d');
+    
+    // Clear canvases
+    frontCtx.fillStyle = '#000';
+    frontCtx.fillRect(0, 0, frontCanvas.width, frontCanvas.height);
+    backCtx.fillStyle = '#000';
+    backCtx.fillRect(0, 0, backCanvas.width, backCanvas.height);
+    
+    if (state.video && state.video.src && state.video.readyState >= state.video.HAVE_CURRENT_DATA) {
+        const videoWidth = state.video.videoWidth;
+        const videoHeight = state.video.videoHeight;
+        
+        if (!state.rawViewInitialized) {
+            console.log('Starting raw view render with video:', videoWidth, 'x', videoHeight);
+            state.rawViewInitialized = true;
+        }
+        
+        // Reproject the source into a circular fisheye image per lens,
+        // looking along each lens axis plus that lens's pan/tilt/zoom
+        try {
+            drawFisheyeLens(frontCtx, frontCanvas, 'front');
+            drawFisheyeLens(backCtx, backCanvas, 'back');
+            
+            drawRawViewAnnotations([
+                { ctx: frontCtx, canvas: frontCanvas, lens: 'front' },
+                { ctx: backCtx, canvas: backCanvas, lens: 'back' }
+            ]);
+        } catch (err) {
+            console.error('Error drawing to canvas:', err);
+        }
+    } else {
+        // Show placeholder if video not ready
+        drawPlaceholder(frontCtx, frontCanvas, 'Front Lens', state.video && state.video.src ? 'Video loading...' : 'Load a 360° video');
+        drawPlaceholder(backCtx, backCanvas, 'Back Lens', state.video && state.video.src ? 'Video loading...' : 'Load a 360° video');
+    }
+    
+    updateRawLensReadouts();
+    
+    // Continue rendering if in raw view mode
+    requestAnimationFrame(renderRawView);
+}
+
+// Helper function to draw placeholder text
+function drawPlaceholder(ctx, canvas, title, subtitle) {
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = '16px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(title, canvas.width / 2, canvas.height / 2 - 10);
+    
+    ctx.font = '12px sans-serif';
+    ctx.fillText(subtitle, canvas.width / 2, canvas.height / 2 + 15);
+}
+
+// ===================================
+// Playback Controls
+// ===================================
+
+function togglePlayPause() {
+    if (!state.video.src) return;
+    
+    // Space hands a replayed view path back to the reviewer
+    if (state.pathReplay) {
+        stopViewPathReplay();
+        return;
+    }
+    
+    // Space leaves the shuttle: reverse play pauses, fast play drops to the speed menu rate
+    const wasPlaying = isPlaybackRunning();
+    resetShuttle();
+    
+    if (wasPlaying) {
+        state.video.pause();
+        state.isPlaying = false;
+    } else {
+        state.video.play();
+        state.isPlaying = true;
+    }
+    updatePlayPauseButton();
+    logPlaybackChange(wasPlaying);
+}
+
+function updatePlayPauseButton() {
+    const playIcon = document.getElementById('playIcon');
+    const pauseIcon = document.getElementById('pauseIcon');
+    
+    if (state.isPlaying) {
+        playIcon.style.display = 'none';
+        pauseIcon.style.display = 'block';
+    } else {
+        playIcon.style.display = 'block';
+        pauseIcon.style.display = 'none';
+    }
+}
+
+function skipTime(seconds) {
+    if (!state.video.src) return;
+    state.video.currentTime = Math.max(0, Math.min(state.video.duration, state.video.currentTime + seconds));
+}
+
+function toggleMute() {
+    if (!state.video.src) return;
+    state.video.muted = !state.video.muted;
+    document.getElementById('volumeSlider').value = state.video.muted ? 0 : state.video.volume * 100;
+}
+
+function handleVolumeChange(event) {
+    if (!state.video.src) return;
+    const volume = event.target.value / 100;
+    state.video.volume = volume;
+    state.video.muted = volume === 0;
+}
+
+function handleSpeedChange(event) {
+    if (!state.video.src) return;
+    resetShuttle();
+}
+
+// Frame Navigation
+
+// Rates a measured frame interval is snapped to
+const DEFAULT_FRAME_RATE = 30;
+const COMMON_FRAME_RATES = [24000 / 1001, 24, 25, 30000 / 1001, 30, 48, 50, 60000 / 1001, 60, 120];
+const FRAME_RATE_SAMPLES = 30;
+const SHUTTLE_SPEEDS = [1, 2, 4, 8];
+const TIME_DISPLAY_MODES = { media: 'Time', frame: 'Frame', clock: 'Clock' };
+
+let frameRateMeasurement = 0;  // Invalidates callbacks from a previous video
+
+function setupFrameNavigation() {
+    document.getElementById('prevFrameBtn').addEventListener('click', () => stepFrame(-1));
+    document.getElementById('nextFrameBtn').addEventListener('click', () => stepFrame(1));
+    document.getElementById('timeDisplayModeBtn').addEventListener('click', cycleTimeDisplayMode);
+    document.getElementById('currentTime').addEventListener('click', cycleTimeDisplayMode);
+    
+    const input = document.getElementById('gotoTimecodeInput');
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            goToTimecode(input);
+        } else if (e.key === 'Escape') {
+            input.value = '';
+            input.classList.remove('invalid');
+            input.blur();
+        }
+    });
+    
+    // Each new video starts at the assumed rate until its frames have been timed
+    state.video.addEventListener('loadedmetadata', () => {
+        setFrameRate(DEFAULT_FRAME_RATE, 'assumed');
+        measureFrameRate();
+    });
+    
+    document.addEventListener('keyup', (e) => {
+        if (e.key === 'k') state.shuttleHold = false;
+    });
+}
+
+// Times consecutive presented frames with requestVideoFrameCallback while the
+// video plays. Without it the assumed rate stays.
+function measureFrameRate() {
+    const video = state.video;
+    if (!video.requestVideoFrameCallback) return;
+    
+    const measurement = ++frameRateMeasurement;
+    const intervals = [];
+    let last = null;
+    
+    const onFrame = (now, metadata) => {
+        if (measurement !== frameRateMeasurement) return;
+        
+        // Only back-to-back presentations time a single frame
+        if (last && metadata.presentedFrames === last.presentedFrames + 1 && metadata.mediaTime > last.mediaTime) {
+            intervals.push(metadata.mediaTime - last.mediaTime);
+        }
+        last = metadata;
+        
+        if (intervals.length < FRAME_RATE_SAMPLES) {
+            video.requestVideoFrameCallback(onFrame);
+            return;
+        }
+        
+        // The shortest common interval is one frame; longer ones are drops
+        intervals.sort((a, b) => a - b);
+        const interval = intervals[Math.floor(intervals.length / 4)];
+        setFrameRate(snapFrameRate(1 / interval), 'measured');
+    };
+    video.requestVideoFrameCallback(onFrame);
+}
+
+function snapFrameRate(fps) {
+    const nearest = COMMON_FRAME_RATES.reduce((best, rate) =>
+        Math.abs(rate - fps) < Math.abs(best - fps) ? rate : best);
+    return Math.abs(nearest - fps) / nearest < 0.02 ? nearest : Math.round(fps * 100) / 100;
+}
+
+// source: 'assumed', 'measured' or 'container' (read from the file)
+function setFrameRate(fps, source) {
+    // A measurement never overrides the rate the container declares
+    if (source === 'measured' && state.frameRateSource === 'container') return;
+    
+    if (source === 'container') {
+        frameRateMeasurement++;  // Drop any measurement still running
+    }
+    state.frameRate = fps;
+    state.frameRateSource = source;
+    document.getElementById('metaFrameRate').textContent =
+        `${parseFloat(fps.toFixed(3))} fps (${source})`;
+    updateDurationDisplay();
+}
+
+function getFrameAt(time) {
+    return Math.floor(time * state.frameRate + 1e-3);
+}
+
+// Seek targets sit mid-frame so the decoder can't land on the neighbour
+function getFrameTime(frame) {
+    return (frame + 0.5) / state.frameRate;
+}
+
+function stepFrame(delta) {
+    if (!state.video.src) return;
+    
+    resetShuttle();
+    if (state.isPlaying) {
+        state.video.pause();
+        state.isPlaying = false;
+        updatePlayPauseButton();
+    }
+    
+    const lastFrame = getFrameAt(state.video.duration) - 1;
+    const frame = Math.max(0, Math.min(lastFrame, getFrameAt(state.video.currentTime) + delta));
+    state.video.currentTime = Math.min(state.video.duration, getFrameTime(frame));
+}
+
+// Accepts media time (m:ss.mmm), a frame number (#1234) or, when the
+// recording start is known, wall-clock time (HH:MM:SS[.mmm])
+function parseTimecode(value) {
+    value = value.trim();
+    
+    const frameMatch = /^#(\d+)$/.exec(value);
+    if (frameMatch) {
+        return getFrameTime(parseInt(frameMatch[1], 10));
+    }
+    
+    const clockMatch = /^(\d{1,2}):(\d{2}):(\d{2})(?:\.(\d{1,3}))?$/.exec(value);
+    if (clockMatch) {
+        const primary = getCamera(PRIMARY_CAMERA_ID);
+        if (!primary) return NaN;
+        
+        const date = new Date(primary.startTime);
+        date.setHours(+clockMatch[1], +clockMatch[2], +clockMatch[3], +(clockMatch[4] || '0').padEnd(3, '0'));
+        let offset = (date.getTime() - primary.startTime) / 1000;
+        if (offset < 0) offset += 86400;  // Recording ran past midnight
+        return offset;
+    }
+    
+    return parseTimeInput(value);
+}
+
+function goToTimecode(input) {
+    const time = parseTimecode(input.value);
+    const valid = state.video.src && !isNaN(time) && time >= 0 && time <= state.video.duration;
+    input.classList.toggle('invalid', !valid);
+    if (!valid) return;
+    
+    state.video.currentTime = time;
+    input.value = '';
+    input.blur();
+}
+
+// J/K/L shuttle: L and J step through SHUTTLE_SPEEDS forwards and backwards,
+// K stops. With K held, J and L step a single frame.
+function shuttle(direction) {
+    if (!state.video.src) return;
+    
+    if (state.shuttleHold) {
+        stepFrame(direction);
+        return;
+    }
+    
+    const current = Math.abs(state.shuttleSpeed);
+    const sameDirection = Math.sign(state.shuttleSpeed) === direction ||
+        (direction > 0 && state.shuttleSpeed === 0 && state.isPlaying);
+    const index = sameDirection ? Math.min(SHUTTLE_SPEEDS.length - 1, SHUTTLE_SPEEDS.indexOf(current) + 1) : 0;
+    setShuttleSpeed(direction * SHUTTLE_SPEEDS[index]);
+}
+
+function setShuttleSpeed(speed) {
+    const wasPlaying = isPlaybackRunning();
+    state.shuttleSpeed = speed;
+    state.shuttleLastTick = performance.now();
+    
+    // Media elements only play forwards; reverse is driven by updateShuttle
+    if (speed > 0) {
+        state.video.playbackRate = speed;
+        state.video.play();
+        state.isPlaying = true;
+    } else {
+        state.video.pause();
+        state.isPlaying = false;
+    }
+    updatePlayPauseButton();
+    updateShuttleIndicator();
+    logPlaybackChange(wasPlaying);
+}
+
+// Reverse shuttling counts as playing even though the element is paused
+function isPlaybackRunning() {
+    return state.isPlaying || state.shuttleSpeed < 0;
+}
+
+// Like seeks, only log where playback ends up: shuttle speed changes while
+// already playing are not custody events
+function logPlaybackChange(wasPlaying) {
+    const playing = isPlaybackRunning();
+    if (playing === wasPlaying) return;
+    
+    const details = { time: state.video.currentTime };
+    if (state.shuttleSpeed !== 0) details.rate = state.shuttleSpeed;
+    logAudit(playing ? 'playback.play' : 'playback.pause', details);
+}
+
+function stopShuttle() {
+    if (state.shuttleSpeed !== 0 || state.isPlaying) {
+        setShuttleSpeed(0);
+    }
+}
+
+// Back to the speed menu's rate
+function resetShuttle() {
+    state.shuttleSpeed = 0;
+    state.video.playbackRate = parseFloat(document.getElementById('speedSelect').value);
+    updateShuttleIndicator();
+}
+
+// Called every frame while shuttling backwards
+function updateShuttle() {
+    if (state.shuttleSpeed >= 0 || state.isExporting) return;
+    
+    // Wait out the previous seek so steps don't queue faster than frames decode
+    if (state.video.seeking) return;
+    
+    const now = performance.now();
+    const elapsed = Math.min(0.25, (now - state.shuttleLastTick) / 1000);
+    state.shuttleLastTick = now;
+    
+    const time = state.video.currentTime + state.shuttleSpeed * elapsed;
+    if (time <= 0) {
+        state.video.currentTime = 0;
+        setShuttleSpeed(0);
+    } else {
+        state.video.currentTime = time;
+    }
+}
+
+function updateShuttleIndicator() {
+    const indicator = document.getElementById('shuttleIndicator');
+    const speed = state.shuttleSpeed;
+    indicator.style.display = speed === 0 ? 'none' : 'inline-block';
+    indicator.textContent = `${speed < 0 ? '◀◀' : '▶▶'} ${Math.abs(speed)}x`;
+}
+
+function toggleFullscreen() {
+    const viewport = document.getElementById('videoViewport');
+    
+    if (!document.fullscreenElement) {
+        viewport.requestFullscreen().catch(err => {
+            console.error('Error attempting to enable fullscreen:', err);
+        });
+    } else {
+        document.exitFullscreen();
+    }
+}
+
+// ===================================
+// Timeline
+// ===================================
+
+function handleTimelineClick(event) {
+    if (!state.video.src || event.shiftKey) return;  // Shift+drag selects the in/out range
+    
+    state.video.currentTime = timelineTimeAt(event.clientX);
+    updateTimelineProgress();
+}
+
+function startTimelineDrag(event) {
+    if (!state.video.src) return;
+    
+    if (event.shiftKey) {
+        startTimelineRangeDrag(event);
+        return;
+    }
+    
+    state.isDraggingTimeline = true;
+    
+    const onDrag = (e) => {
+        if (!state.isDraggingTimeline) return;
+        state.video.currentTime = timelineTimeAt(e.clientX);
+    };
+    
+    const stopDrag = () => {
+        state.isDraggingTimeline = false;
+        document.removeEventListener('mousemove', onDrag);
+        document.removeEventListener('mouseup', stopDrag);
+    };
+    
+    document.addEventListener('mousemove', onDrag);
+    document.addEventListener('mouseup', stopDrag);
+}
+
+// Shift+drag on the timeline sets the in/out range
+function startTimelineRangeDrag(event) {
+    event.preventDefault();
+    
+    const timeAt = (e) => timelineTimeAt(e.clientX);
+    const anchor = timeAt(event);
+    const previous = { start: state.rangeIn, end: state.rangeOut };
+    
+    const onDrag = (e) => {
+        const time = timeAt(e);
+        state.rangeIn = Math.min(anchor, time);
+        state.rangeOut = Math.max(anchor, time);
+        renderRange();
+    };
+    
+    const stopDrag = () => {
+        document.removeEventListener('mousemove', onDrag);
+        document.removeEventListener('mouseup', stopDrag);
+        
+        // A plain shift-click keeps the range there was
+        if (state.rangeIn === null || state.rangeOut - state.rangeIn < 0.05) {
+            state.rangeIn = previous.start;
+            state.rangeOut = previous.end;
+        }
+        renderRange();
+    };
+    
+    document.addEventListener('mousemove', onDrag);
+    document.addEventListener('mouseup', stopDrag);
+}
+
+function updateTimelineProgress() {
+    if (!state.video.src || !state.video.duration) return;
+    
+    // A zoomed timeline pages along with playback
+    const time = state.video.currentTime;
+    const view = getTimelineWindow();
+    if (state.timelineZoom && !state.video.paused && !state.isDraggingTimeline && (time < view.start || time > view.end)) {
+        const length = view.end - view.start;
+        setTimelineWindow(time - length * 0.1, time + length * 0.9);
+        return;
+    }
+    
+    const percentage = timeToTimelinePercent(time);
+    const scrubber = document.getElementById('timelineScrubber');
+    document.getElementById('timelineProgress').style.width = Math.max(0, Math.min(100, percentage)) + '%';
+    scrubber.style.left = percentage + '%';
+    scrubber.style.display = percentage < 0 || percentage > 100 ? 'none' : 'block';
+}
+
+// Zoom
+
+const TIMELINE_MIN_WINDOW = 1;  // Seconds visible at full zoom
+
+// Wheel zooms around the cursor, horizontal or Shift+wheel pans; trackpad
+// pinches arrive as Ctrl+wheel and two-finger touch pinches are handled too
+function setupTimelineZoom() {
+    const timeline = document.getElementById('timeline');
+    
+    timeline.addEventListener('wheel', (e) => {
+        if (!state.video.duration) return;
+        e.preventDefault();
+        
+        const view = getTimelineWindow();
+        const length = view.end - view.start;
+        const rect = timeline.getBoundingClientRect();
+        if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+            const delta = e.shiftKey ? e.deltaY || e.deltaX : e.deltaX;
+            panTimeline(delta / rect.width * length);
+        } else {
+            zoomTimeline(Math.exp(e.deltaY * (e.ctrlKey ? 0.01 : 0.002)), timelineTimeAt(e.clientX));
+        }
+    }, { passive: false });
+    
+    let pinch = null;
+    const touchInfo = (touches) => ({
+        distance: Math.abs(touches[0].clientX - touches[1].clientX),
+        x: (touches[0].clientX + touches[1].clientX) / 2
+    });
+    timeline.addEventListener('touchstart', (e) => {
+        if (e.touches.length !== 2 || !state.video.duration) return;
+        const info = touchInfo(e.touches);
+        pinch = { distance: Math.max(info.distance, 10), time: timelineTimeAt(info.x), view: getTimelineWindow() };
+    }, { passive: true });
+    timeline.addEventListener('touchmove', (e) => {
+        if (!pinch || e.touches.length !== 2) return;
+        e.preventDefault();
+        
+        // Keep the time first under the fingers' midpoint there as they move
+        const info = touchInfo(e.touches);
+        const length = (pinch.view.end - pinch.view.start) * pinch.distance / Math.max(info.distance, 10);
+        const rect = timeline.getBoundingClientRect();
+        const fraction = (info.x - rect.left) / rect.width;
+        setTimelineWindow(pinch.time - fraction * length, pinch.time + (1 - fraction) * length);
+    }, { passive: false });
+    timeline.addEventListener('touchend', () => { pinch = null; });
+    
+    document.getElementById('timelineZoomReset').addEventListener('click', () => setTimelineWindow(0, Infinity));
+}
+
+function getTimelineWindow() {
+    return state.timelineZoom || { start: 0, end: state.video.duration || 0 };
+}
+
+// Timeline position (percent of its width) of a media time; outside 0-100 when
+// the time is scrolled out of view
+function timeToTimelinePercent(time) {
+    const view = getTimelineWindow();
+    return (time - view.start) / (view.end - view.start) * 100;
+}
+
+function timelineTimeAt(clientX) {
+    const rect = document.getElementById('timeline').getBoundingClientRect();
+    const view = getTimelineWindow();
+    const fraction = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+    return view.start + fraction * (view.end - view.start);
+}
+
+// { left, width } in percent for a time span clipped to the visible window,
+// or null when it is entirely out of view
+function timelineSpan(start, end) {
+    const view = getTimelineWindow();
+    if (end < view.start || start > view.end) return null;
+    
+    const left = timeToTimelinePercent(Math.max(start, view.start));
+    return { left, width: timeToTimelinePercent(Math.min(end, view.end)) - left };
+}
+
+// factor > 1 zooms out; anchor stays under the same point of the timeline
+function zoomTimeline(factor, anchor) {
+    const view = getTimelineWindow();
+    const length = view.end - view.start;
+    const newLength = Math.max(TIMELINE_MIN_WINDOW, length * factor);
+    const fraction = (anchor - view.start) / length;
+    setTimelineWindow(anchor - fraction * newLength, anchor + (1 - fraction) * newLength);
+}
+
+function panTimeline(seconds) {
+    const view = getTimelineWindow();
+    setTimelineWindow(view.start + seconds, view.end + seconds);
+}
+
+// Clamps to the video and re-renders everything placed on the timeline
+function setTimelineWindow(start, end) {
+    const duration = state.video.duration || 0;
+    const length = Math.max(Math.min(TIMELINE_MIN_WINDOW, duration), end - start);
+    
+    if (length >= duration) {
+        state.timelineZoom = null;
+    } else {
+        start = Math.max(0, Math.min(duration - length, start));
+        state.timelineZoom = { start, end: start + length };
+    }
+    renderTimeline();
+}
+
+function renderTimeline() {
+    updateTimelineProgress();
+    renderTimelineMarkers();
+    renderCommentTimeline();
+    renderTranscriptTicks();
+    renderAudioRedactionTimeline();
+    renderRange();
+    renderCoverageBand();
+    
+    const zoomed = state.timelineZoom !== null;
+    const reset = document.getElementById('timelineZoomReset');
+    reset.style.display = zoomed ? 'inline-block' : 'none';
+    if (zoomed) {
+        const view = state.timelineZoom;
+        const factor = state.video.duration / (view.end - view.start);
+        reset.textContent = `${factor < 10 ? factor.toFixed(1) : Math.round(factor)}x • ${formatTime(view.start)} - ${formatTime(view.end)} ✕`;
+    }
+}
+
+// Range Selection
+
+function setupRangeSelection() {
+    document.getElementById('rangeLoopBtn').addEventListener('click', toggleRangeLoop);
+    document.getElementById('rangeClearBtn').addEventListener('click', clearRange);
+    document.getElementById('rangeRedactAudioBtn').addEventListener('click', () => {
+        const range = getSelectedRange();
+        if (range) openAudioRedactionModal(range.start, range.end);
+    });
+}
+
+// The in/out range as { start, end }, or null when neither point is set
+function getSelectedRange() {
+    if (state.rangeIn === null && state.rangeOut === null) return null;
+    
+    const start = state.rangeIn === null ? 0 : state.rangeIn;
+    const end = state.rangeOut === null ? state.video.duration : state.rangeOut;
+    return end > start ? { start, end } : null;
+}
+
+// Setting a point on the wrong side of the other one clears the other
+function setRangePoint(point) {
+    if (!state.video.src) return;
+    
+    const time = state.video.currentTime;
+    if (point === 'in') {
+        state.rangeIn = time;
+        if (state.rangeOut !== null && state.rangeOut <= time) state.rangeOut = null;
+    } else {
+        state.rangeOut = time;
+        if (state.rangeIn !== null && state.rangeIn >= time) state.rangeIn = null;
+    }
+    renderRange();
+}
+
+function goToRangePoint(point) {
+    const range = getSelectedRange();
+    if (!range || !state.video.src) return;
+    state.video.currentTime = point === 'in' ? range.start : range.end;
+}
+
+function clearRange() {
+    state.rangeIn = null;
+    state.rangeOut = null;
+    state.loopRange = false;
+    renderRange();
+}
+
+function toggleRangeLoop() {
+    const range = getSelectedRange();
+    state.loopRange = !state.loopRange && range !== null;
+    
+    if (state.loopRange) {
+        const time = state.video.currentTime;
+        if (time < range.start || time >= range.end) {
+            state.video.currentTime = range.start;
+        }
+    }
+    renderRange();
+}
+
+// Called every frame. Wraps playback at either end of the range, whichever
+// way and however fast it is playing.
+function updateRangeLoop() {
+    if (!state.loopRange || state.isExporting) return;
+    
+    const range = getSelectedRange();
+    if (!range) return;
+    
+    const time = state.video.currentTime;
+    if (state.shuttleSpeed < 0) {
+        if (time <= range.start) state.video.currentTime = range.end;
+    } else if (state.isPlaying && (time >= range.end || state.video.ended)) {
+        state.video.currentTime = range.start;
+        if (state.video.paused) state.video.play();
+    }
+}
+
+function renderRange() {
+    const range = getSelectedRange();
+    const selection = document.getElementById('timelineSelection');
+    const bar = document.getElementById('rangeBar');
+    const duration = state.video.duration;
+    
+    if (!range || !duration) {
+        selection.style.display = 'none';
+        bar.style.display = 'none';
+        return;
+    }
+    
+    const span = timelineSpan(range.start, range.end);
+    selection.style.display = span ? 'block' : 'none';
+    if (span) {
+        selection.style.left = span.left + '%';
+        selection.style.width = span.width + '%';
+    }
+    selection.classList.toggle('looping', state.loopRange);
+    
+    bar.style.display = 'flex';
+    document.getElementById('rangeInLabel').textContent = formatTime(range.start);
+    document.getElementById('rangeOutLabel').textContent = formatTime(range.end);
+    document.getElementById('rangeLoopBtn').classList.toggle('active', state.loopRange);
+}
+
+function updateTimeDisplay() {
+    if (!state.video.src) return;
+    
+    const current = formatDisplayTime(state.video.currentTime);
+    document.getElementById('currentTime').textContent = current;
+    
+    updateTimelineProgress();
+}
+
+function updateDurationDisplay() {
+    if (!state.video.src) return;
+    
+    const duration = formatDisplayTime(state.video.duration);
+    document.getElementById('duration').textContent = duration;
+}
+
+// Media time in the selected display mode. Clock mode needs the recording
+// start (see Multi-Cam) and falls back to media time without it.
+function formatDisplayTime(seconds) {
+    const primary = getCamera(PRIMARY_CAMERA_ID);
+    switch (state.timeDisplayMode) {
+        case 'frame':
+            return `#${getFrameAt(seconds)}`;
+        case 'clock':
+            return primary ? formatClockTime(primary.startTime + seconds * 1000, true) : formatTime(seconds);
+        default:
+            return formatTime(seconds);
+    }
+}
+
+function cycleTimeDisplayMode() {
+    const modes = Object.keys(TIME_DISPLAY_MODES);
+    state.timeDisplayMode = modes[(modes.indexOf(state.timeDisplayMode) + 1) % modes.length];
+    document.getElementById('timeDisplayModeBtn').textContent = TIME_DISPLAY_MODES[state.timeDisplayMode];
+    updateTimeDisplay();
+    updateDurationDisplay();
+}
+
+function formatTime(seconds) {
+    if (isNaN(seconds)) return '0:00.000';
+    
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    const ms = Math.floor((seconds % 1) * 1000);
+    
+    return `${mins}:${secs.toString().padStart(2, '0')}.${ms.toString().padStart(3, '0')}`;
+}
+
+// ===================================
+// Timeline Thumbnails
+// ===================================
+
+// Hover previews render the sphere from the current pan/tilt/zoom, from a
+// second video element seeked to the hovered time so playback is untouched.
+// Redactions are always burned in.
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 90;
+const THUMBNAIL_CACHE_SIZE = 300;
+const THUMBNAIL_PREFETCH_COUNT = 20;
+
+function setupTimelineThumbnails() {
+    const timeline = document.getElementById('timeline');
+    timeline.addEventListener('mouseenter', prefetchTimelineThumbnails);
+    timeline.addEventListener('mousemove', (e) => showTimelinePreview(e.clientX));
+    timeline.addEventListener('mouseleave', hideTimelinePreview);
+}
+
+function getThumbnailRenderer() {
+    if (state.thumbnailRenderer) return state.thumbnailRenderer;
+    
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    
+    const texture = new THREE.VideoTexture(video);
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    
+    const renderer = new THREE.WebGLRenderer({ antialias: false, preserveDrawingBuffer: true });
+    renderer.setPixelRatio(1);
+    renderer.setSize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, false);
+    
+    const scene = new THREE.Scene();
+    const material = createSphereMaterial(texture);
+    scene.add(new THREE.Mesh(state.sphere.geometry, material));
+    
+    const camera = new THREE.PerspectiveCamera(state.zoom, THUMBNAIL_WIDTH / THUMBNAIL_HEIGHT, 0.1, 1000);
+    camera.position.copy(state.camera.position);
+    
+    state.thumbnailRenderer = {
+        video, texture, renderer, scene, camera, material,
+        cache: new Map(),  // key -> canvas, oldest first
+        queue: [],
+        busy: false,
+        hoverKey: null
+    };
+    return state.thumbnailRenderer;
+}
+
+// Cached previews hold the view and redactions they were rendered with
+function clearTimelineThumbnails() {
+    if (state.thumbnailRenderer) {
+        state.thumbnailRenderer.cache.clear();
+    }
+}
+
+// Times snap to a step that follows the timeline zoom, never finer than a frame
+function getThumbnailRequest(time) {
+    const view = getTimelineWindow();
+    const step = Math.max(1 / state.frameRate, (view.end - view.start) / 200);
+    const snapped = Math.min(state.video.duration, Math.round(time / step) * step);
+    const pan = Math.round(state.pan);
+    const tilt = Math.round(state.tilt);
+    const zoom = Math.round(state.zoom);
+    return {
+        time: snapped,
+        view: { pan, tilt, zoom },
+        key: [snapped.toFixed(3), pan, tilt, zoom, state.frontLensOffset, state.sourceProjection].join('|')
+    };
+}
+
+function showTimelinePreview(clientX) {
+    if (!state.video.src || !state.video.duration || state.isExporting) return;
+    
+    const thumbs = getThumbnailRenderer();
+    if (thumbs.video.src !== state.video.src) {
+        thumbs.video.src = state.video.src;
+        thumbs.cache.clear();
+        thumbs.queue = [];
+    }
+    
+    const time = timelineTimeAt(clientX);
+    const request = getThumbnailRequest(time);
+    thumbs.hoverKey = request.key;
+    
+    const preview = document.getElementById('timelinePreview');
+    const rect = document.getElementById('timeline').getBoundingClientRect();
+    const x = Math.max(THUMBNAIL_WIDTH / 2, Math.min(rect.width - THUMBNAIL_WIDTH / 2, clientX - rect.left));
+    preview.style.left = x + 'px';
+    preview.style.display = 'block';
+    document.getElementById('timelinePreviewTime').textContent = formatDisplayTime(time);
+    
+    const cached = thumbs.cache.get(request.key);
+    if (cached) {
+        drawTimelinePreview(cached);
+        return;
+    }
+    
+    // The hovered time jumps the queue; stale hover requests are dropped
+    preview.classList.add('loading');
+    thumbs.queue = thumbs.queue.filter(job => !job.hover);
+    thumbs.queue.unshift(Object.assign({ hover: true }, request));
+    processThumbnailQueue();
+}
+
+function hideTimelinePreview() {
+    document.getElementById('timelinePreview').style.display = 'none';
+    if (state.thumbnailRenderer) {
+        state.thumbnailRenderer.hoverKey = null;
+        state.thumbnailRenderer.queue = state.thumbnailRenderer.queue.filter(job => !job.hover);
+    }
+}
+
+function drawTimelinePreview(thumbnail) {
+    const canvas = document.getElementById('timelinePreviewCanvas');
+    canvas.getContext('2d').drawImage(thumbnail, 0, 0, canvas.width, canvas.height);
+    document.getElementById('timelinePreview').classList.remove('loading');
+}
+
+// Fills the cache across the visible part of the timeline while the pointer
+// is over it, so moving along it mostly hits rendered previews
+function prefetchTimelineThumbnails() {
+    if (!state.video.src || !state.video.duration || state.isExporting) return;
+    
+    const thumbs = getThumbnailRenderer();
+    const view = getTimelineWindow();
+    thumbs.queue = thumbs.queue.filter(job => job.hover);
+    for (let i = 0; i < THUMBNAIL_PREFETCH_COUNT; i++) {
+        const time = view.start + (i + 0.5) / THUMBNAIL_PREFETCH_COUNT * (view.end - view.start);
+        const request = getThumbnailRequest(time);
+        if (!thumbs.cache.has(request.key)) {
+            thumbs.queue.push(request);
+        }
+    }
+    processThumbnailQueue();
+}
+
+// One seek and render at a time; stops while an export needs the decoder
+async function processThumbnailQueue() {
+    const thumbs = state.thumbnailRenderer;
+    if (thumbs.busy) return;
+    thumbs.busy = true;
+    
+    try {
+        while (thumbs.queue.length > 0 && !state.isExporting) {
+            const job = thumbs.queue.shift();
+            if (thumbs.cache.has(job.key)) continue;
+            
+            await seekVideo(thumbs.video, job.time);
+            
+            thumbs.texture.needsUpdate = true;
+            updateSourceUniforms(thumbs.material.uniforms, true, job.time, getCamera(PRIMARY_CAMERA_ID));
+            applyCameraView(thumbs.camera, job.view.pan, job.view.tilt, job.view.zoom);
+            thumbs.renderer.render(thumbs.scene, thumbs.camera);
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = THUMBNAIL_WIDTH;
+            canvas.height = THUMBNAIL_HEIGHT;
+            canvas.getContext('2d').drawImage(thumbs.renderer.domElement, 0, 0);
+            
+            thumbs.cache.set(job.key, canvas);
+            if (thumbs.cache.size > THUMBNAIL_CACHE_SIZE) {
+                thumbs.cache.delete(thumbs.cache.keys().next().value);
+            }
+            if (job.key === thumbs.hoverKey) {
+                drawTimelinePreview(canvas);
+            }
+        }
+    } catch (err) {
+        console.error('Timeline preview failed:', err);
+        thumbs.queue = [];
+    } finally {
+        thumbs.busy = false;
+    }
+}
+
+// ===================================
+// Pan/Tilt/Zoom Controls
+// ===================================
+
+function resetView() {
+    // Reset based on current view mode
+    if (state.currentView === 'flatview') {
+        activateRecipeView();
+    } else if (state.currentView === 'front') {
+        setFrontView();
+    } else if (state.currentView === 'back') {
+        setBackView();
+    } else if (state.currentView === 'littleplanet') {
+        state.pan = state.initialOrientation.pan;
+        state.tilt = 0;
+        state.zoom = LITTLE_PLANET_DEFAULT_ZOOM;
+    } else {
+        // Reset to initial orientation (front lens view) for stitched
+        state.pan = state.initialOrientation.pan;
+        state.tilt = state.initialOrientation.tilt;
+        state.zoom = state.initialOrientation.zoom;
+    }
+    updatePTZDisplay();
+}
+
+// Function to calibrate front lens alignment
+function calibrateFrontLens() {
+    // Set current view as the "front" reference point
+    state.frontLensOffset = -state.pan;
+    state.initialOrientation.pan = 0;
+    state.pan = 0;
+    updatePTZDisplay();
+    
+    console.log(`Front lens calibrated. Offset: ${state.frontLensOffset}°`);
+    logAudit('view.calibrate', { frontLensOffset: state.frontLensOffset });
+}
+
+function setupPTZInputs() {
+    const ptzItems = document.querySelectorAll('.ptz-item');
+    
+    ptzItems.forEach(item => {
+        const type = item.dataset.ptz;
+        const valueSpan = item.querySelector('.ptz-value');
+        const input = item.querySelector('.ptz-input');
+        
+        // Click to toggle input
+        item.addEventListener('click', (e) => {
+            if (e.target === input) return;
+            
+            const isInputVisible = input.style.display !== 'none';
+            
+            if (isInputVisible) {
+                valueSpan.style.display = 'inline';
+                input.style.display = 'none';
+            } else {
+                valueSpan.style.display = 'none';
+                input.style.display = 'inline';
+                input.focus();
+                input.select();
+            }
+        });
+        
+        // Handle input changes
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            
+            switch (type) {
+                case 'pan':
+                    state.pan = Math.max(-180, Math.min(180, value));
+                    break;
+                case 'tilt':
+                    state.tilt = Math.max(-90, Math.min(90, value));
+                    break;
+                case 'zoom':
+                    state.zoom = clampZoom(value);
+                    break;
+            }
+            
+            updatePTZDisplay();
+            valueSpan.style.display = 'inline';
+            input.style.display = 'none';
+        });
+        
+        // Hide input on blur
+        input.addEventListener('blur', () => {
+            setTimeout(() => {
+                valueSpan.style.display = 'inline';
+                input.style.display = 'none';
+            }, 200);
+        });
+    });
+}
+
+function updatePTZDisplay() {
+    document.getElementById('panValue').textContent = Math.round(state.pan) + '°';
+    document.getElementById('panInput').value = Math.round(state.pan);
+    
+    document.getElementById('tiltValue').textContent = Math.round(state.tilt) + '°';
+    document.getElementById('tiltInput').value = Math.round(state.tilt);
+    
+    document.getElementById('zoomValue').textContent = Math.round(state.zoom) + '°';
+    document.getElementById('zoomInput').value = Math.round(state.zoom);
+}
+
+function updateOrientationWidget() {
+    // Update compass degrees display
+    const normalizedPan = ((state.pan % 360) + 360) % 360;
+    document.getElementById('compassDegrees').textContent = Math.round(normalizedPan) + '°';
+    
+    // Rotate the direction arrow
+    // Invert the rotation so arrow points in the correct direction
+    // Add 180° offset to change the visual starting position
+    const arrow = document.getElementById('directionArrow');
+    if (arrow) {
+        // Negative rotation to invert direction, plus 180° offset for visual
+        const rotation = -normalizedPan + 180;
+        arrow.setAttribute('transform', `rotate(${rotation} 50 50)`);
+    }
+    
+    updateAnnotationTicks();
+    updateViewPathTrail();
+}
+
+// ===================================
+// Mouse/Touch Interaction
+// ===================================
+
+function onMouseDown(event) {
+    // Disable dragging in locked views and while picking directions
+    if (state.viewLocked || state.annotating || state.redacting || state.trackingRedactionId || state.markingHorizon || state.pickingCommentPoint) return;
+    
+    // Taking the camera back ends a replay and detaches from a session presenter
+    if (state.pathReplay) stopViewPathReplay();
+    if (isFollowingPresenter()) setSessionFollowing(false);
+    
+    state.isDragging = true;
+    state.previousMousePosition = {
+        x: event.clientX,
+        y: event.clientY
+    };
+    document.getElementById('threejsContainer').classList.add('dragging');
+}
+
+function onMouseMove(event) {
+    if (!state.isDragging) return;
+    
+    const deltaX = event.clientX - state.previousMousePosition.x;
+    const deltaY = event.clientY - state.previousMousePosition.y;
+    const container = document.getElementById('threejsContainer');
+    const scale = getDragScale(container.clientWidth, container.clientHeight);
+    
+    state.pan -= deltaX * scale.pan;
+    state.tilt += deltaY * scale.tilt;
+    
+    // Clamp tilt
+    state.tilt = Math.max(-90, Math.min(90, state.tilt));
+    
+    state.previousMousePosition = {
+        x: event.clientX,
+        y: event.clientY
+    };
+    
+    updatePTZDisplay();
+}
+
+function onMouseUp() {
+    state.isDragging = false;
+    document.getElementById('threejsContainer').classList.remove('dragging');
+}
+
+function onMouseWheel(event) {
+    event.preventDefault();
+    if (isFollowingPresenter()) setSessionFollowing(false);
+    
+    // Allow zoom even in locked views
+    const delta = event.deltaY * -0.05;
+    state.zoom = clampZoom(state.zoom - delta);
+    
+    updatePTZDisplay();
+}
+
+// Touch events
+let touchStartDistance = 0;
+
+function onTouchStart(event) {
+    if (isFollowingPresenter()) setSessionFollowing(false);
+    
+    if (event.touches.length === 1) {
+        state.isDragging = true;
+        state.previousMousePosition = {
+            x: event.touches[0].clientX,
+            y: event.touches[0].clientY
+        };
+    } else if (event.touches.length === 2) {
+        // Pinch to zoom
+        const dx = event.touches[0].clientX - event.touches[1].clientX;
+        const dy = event.touches[0].clientY - event.touches[1].clientY;
+        touchStartDistance = Math.sqrt(dx * dx + dy * dy);
+    }
+}
+
+function onTouchMove(event) {
+    event.preventDefault();
+    
+    if (event.touches.length === 1 && state.isDragging) {
+        const deltaX = event.touches[0].clientX - state.previousMousePosition.x;
+        const deltaY = event.touches[0].clientY - state.previousMousePosition.y;
+        const container = document.getElementById('threejsContainer');
+        const scale = getDragScale(container.clientWidth, container.clientHeight);
+        
+        state.pan -= deltaX * scale.pan;
+        state.tilt += deltaY * scale.tilt;
+        state.tilt = Math.max(-90, Math.min(90, state.tilt));
+        
+        state.previousMousePosition = {
+            x: event.touches[0].clientX,
+            y: event.touches[0].clientY
+        };
+        
+        updatePTZDisplay();
+    } else if (event.touches.length === 2) {
+        // Pinch to zoom
+        const dx = event.touches[0].clientX - event.touches[1].clientX;
+        const dy = event.touches[0].clientY - event.touches[1].clientY;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        const delta = (touchStartDistance - distance) * 0.1;
+        state.zoom = clampZoom(state.zoom + delta);
+        
+        touchStartDistance = distance;
+        updatePTZDisplay();
+    }
+}
+
+function onTouchEnd() {
+    state.isDragging = false;
+}
+
+// ===================================
+// Sidebar
+// ===================================
+
+function setupSidebarTabs() {
+    document.querySelectorAll('.sidebar-tab').forEach(tab => {
+        tab.addEventListener('click', () => showSidebarTab(tab.dataset.tab));
+    });
+}
+
+function showSidebarTab(name) {
+    document.querySelectorAll('.sidebar-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === name);
+    });
+    document.querySelectorAll('.sidebar-content').forEach(content => {
+        content.classList.toggle('active', content.dataset.content === name);
+    });
+}
+
+// ===================================
+// Transcript
+// ===================================
+
+// Transcript segments: { start, end, speaker, text }, ordered by start.
+// Sources: WebVTT, SRT, or speaker-labelled JSON, which is either an array of
+// segments or { segments: [...] } with times in seconds or "h:mm:ss.mmm":
+//   [{ "start": 5.2, "end": 9.8, "speaker": "Officer Smith", "text": "..." }]
+
+function setupTranscript() {
+    const input = document.getElementById('transcriptFileInput');
+    document.getElementById('loadTranscriptBtn').addEventListener('click', () => input.click());
+    input.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) loadTranscriptFile(file);
+        input.value = '';
+    });
+    
+    document.getElementById('transcriptEntries').addEventListener('click', (e) => {
+        const entry = e.target.closest('.transcript-entry');
+        if (!entry || !state.video.src) return;
+        state.video.currentTime = state.transcript[entry.dataset.index].start;
+    });
+    
+    const search = document.getElementById('transcriptSearch');
+    search.addEventListener('input', () => {
+        state.transcriptQuery = search.value.trim();
+        renderTranscript();
+        if (state.transcriptHits.length > 0) stepTranscriptHit(1);
+    });
+    search.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            stepTranscriptHit(e.shiftKey ? -1 : 1);
+        }
+    });
+    document.getElementById('transcriptPrevHit').addEventListener('click', () => stepTranscriptHit(-1));
+    document.getElementById('transcriptNextHit').addEventListener('click', () => stepTranscriptHit(1));
+    
+    document.getElementById('transcriptSpeakerFilter').addEventListener('change', (e) => {
+        state.transcriptSpeaker = e.target.value;
+        renderTranscript();
+    });
+    
+    document.getElementById('transcriptCaptionsToggle').addEventListener('change', (e) => {
+        state.showCaptions = e.target.checked;
+        updateCaptionOverlay();
+    });
+    
+    renderSpeakerFilter();
+    renderTranscript();
+}
+
+async function loadTranscriptFile(file) {
+    let segments;
+    try {
+        segments = parseTranscript(file.name, await file.text());
+    } catch (err) {
+        console.error('Could not read transcript:', err);
+        document.getElementById('transcriptSource').textContent = `${file.name}: ${err.message}`;
+        return;
+    }
+    
+    setTranscript(segments, file.name);
+    logAudit('transcript.load', { fileName: file.name, segments: segments.length });
+}
+
+function setTranscript(segments, source) {
+    state.transcript = segments;
+    state.transcriptSource = source;
+    state.transcriptSpeaker = '';
+    state.activeTranscriptIndex = -1;
+    renderSpeakerFilter();
+    renderTranscript();
+    renderTranscriptTicks();
+    updateCaptionOverlay();
+}
+
+// A tick on the timeline where each segment starts
+function renderTranscriptTicks() {
+    const container = document.getElementById('timelineTranscriptTicks');
+    container.innerHTML = '';
+    if (!state.video.duration) return;
+    
+    state.transcript.forEach(seg => {
+        const percentage = timeToTimelinePercent(seg.start);
+        if (percentage < 0 || percentage > 100) return;
+        
+        const tick = document.createElement('div');
+        tick.className = 'timeline-transcript-tick';
+        tick.style.left = percentage + '%';
+        container.appendChild(tick);
+    });
+}
+
+function parseTranscript(fileName, text) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (extension === 'json') {
+        return parseTranscriptJSON(JSON.parse(text));
+    }
+    
+    const segments = parseCueText(text);
+    if (segments.length === 0) {
+        throw new Error('no cues found');
+    }
+    return segments;
+}
+
+// WebVTT and SRT share the cue layout: an optional identifier line, a
+// "start --> end" line, then the cue text up to a blank line
+function parseCueText(text) {
+    const segments = [];
+    
+    text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/).forEach(block => {
+        const lines = block.split('\n');
+        const timing = lines.findIndex(line => line.includes('-->'));
+        if (timing === -1) return;  // WEBVTT header, NOTE, STYLE or REGION blocks
+        
+        const [startText, rest] = lines[timing].split('-->');
+        const start = parseCueTime(startText);
+        const end = parseCueTime(rest.trim().split(/\s+/)[0]);
+        if (isNaN(start) || isNaN(end)) return;
+        
+        let body = lines.slice(timing + 1).join(' ').trim();
+        let speaker = '';
+        
+        // WebVTT voice span, or an SRT-style "Name: " prefix
+        const voice = /^<v(?:\.[^\s>]*)?\s+([^>]+)>/.exec(body);
+        const label = /^([A-Z][\w .'-]{0,39}):\s+/.exec(body);
+        if (voice) {
+            speaker = voice[1].trim();
+        } else if (label) {
+            speaker = label[1].trim();
+            body = body.slice(label[0].length);
+        }
+        
+        segments.push({ start, end, speaker, text: decodeCueText(body) });
+    });
+    
+    return finishSegments(segments);
+}
+
+function parseTranscriptJSON(data) {
+    const list = Array.isArray(data) ? data : data.segments;
+    if (!Array.isArray(list)) {
+        throw new Error('expected an array of segments or { segments: [...] }');
+    }
+    
+    const toSeconds = (value) => typeof value === 'number' ? value : parseCueTime(String(value));
+    const segments = list.map(item => ({
+        start: toSeconds(item.start),
+        end: item.end === undefined || item.end === null ? NaN : toSeconds(item.end),
+        speaker: String(item.speaker || '').trim(),
+        text: String(item.text || '').trim()
+    })).filter(seg => !isNaN(seg.start) && seg.text);
+    
+    if (segments.length === 0) {
+        throw new Error('no segments found');
+    }
+    return finishSegments(segments);
+}
+
+// "hh:mm:ss.mmm", "mm:ss.mmm" or SRT's "hh:mm:ss,mmm" to seconds (NaN if invalid)
+function parseCueTime(value) {
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/.exec(value.trim());
+    if (!match) return NaN;
+    
+    const ms = (match[4] || '0').padEnd(3, '0');
+    return (parseInt(match[1] || '0', 10) * 3600) + parseInt(match[2], 10) * 60 +
+        parseInt(match[3], 10) + parseInt(ms, 10) / 1000;
+}
+
+// Strip cue markup (<i>, <c.x>, <v ...>, timestamps) and decode entities
+function decodeCueText(text) {
+    const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&quot;': '"', '&#39;': "'" };
+    return text
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(amp|lt|gt|nbsp|quot|#39);/g, entity => entities[entity])
+        .trim();
+}
+
+// Sort by start; segments without an end run until the next one starts
+function finishSegments(segments) {
+    segments.sort((a, b) => a.start - b.start);
+    segments.forEach((seg, i) => {
+        if (!isNaN(seg.end) && seg.end > seg.start) return;
+        const next = segments[i + 1];
+        seg.end = next && next.start > seg.start ? next.start : seg.start + 5;
+    });
+    return segments;
+}
+
+function getTranscriptSpeakers() {
+    return Array.from(new Set(state.transcript.map(seg => seg.speaker).filter(Boolean))).sort();
+}
+
+function renderSpeakerFilter() {
+    const select = document.getElementById('transcriptSpeakerFilter');
+    select.innerHTML = '<option value="">All speakers</option>';
+    getTranscriptSpeakers().forEach(speaker => {
+        const option = document.createElement('option');
+        option.value = speaker;
+        option.textContent = speaker;
+        select.appendChild(option);
+    });
+    select.value = state.transcriptSpeaker;
+}
+
+function renderTranscript() {
+    const container = document.getElementById('transcriptEntries');
+    const query = state.transcriptQuery.toLowerCase();
+    container.innerHTML = '';
+    state.transcriptHits = [];
+    state.transcriptHitIndex = -1;
+    
+    document.getElementById('transcriptSource').textContent = state.transcriptSource
+        ? `${state.transcriptSource} • ${state.transcript.length} segments`
+        : 'No transcript loaded';
+    
+    state.transcript.forEach((seg, index) => {
+        if (state.transcriptSpeaker && seg.speaker !== state.transcriptSpeaker) return;
+        
+        const entry = document.createElement('div');
+        entry.className = 'transcript-entry';
+        entry.dataset.index = index;
+        entry.dataset.time = seg.start;
+        entry.innerHTML = `
+            <div class="transcript-time"></div>
+            <div class="transcript-speaker"></div>
+            <div class="transcript-text"></div>
+        `;
+        entry.querySelector('.transcript-time').textContent = formatTime(seg.start);
+        entry.querySelector('.transcript-speaker').textContent = seg.speaker;
+        appendHighlightedText(entry.querySelector('.transcript-text'), seg.text, state.transcriptQuery);
+        
+        if (query && (seg.text.toLowerCase().includes(query) || seg.speaker.toLowerCase().includes(query))) {
+            state.transcriptHits.push(index);
+        }
+        container.appendChild(entry);
+    });
+    
+    if (container.children.length === 0) {
+        container.innerHTML = state.transcript.length === 0
+            ? '<div class="markers-empty">No transcript loaded. Load a .vtt, .srt or .json file.</div>'
+            : '<div class="markers-empty">No transcript segments.</div>';
+    }
+    
+    state.activeTranscriptIndex = -1;
+    updateTranscriptSearchCount();
+}
+
+// Text with each case-insensitive occurrence of query wrapped in <mark>
+function appendHighlightedText(element, text, query) {
+    if (!query) {
+        element.textContent = text;
+        return;
+    }
+    
+    const pattern = new RegExp(`(${query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+    text.split(pattern).forEach((part, i) => {
+        if (i % 2 === 1) {
+            const mark = document.createElement('mark');
+            mark.className = 'transcript-hit';
+            mark.textContent = part;
+            element.appendChild(mark);
+        } else if (part) {
+            element.appendChild(document.createTextNode(part));
+        }
+    });
+}
+
+function stepTranscriptHit(direction) {
+    const hits = state.transcriptHits;
+    if (hits.length === 0) return;
+    
+    state.transcriptHitIndex = (state.transcriptHitIndex + direction + hits.length) % hits.length;
+    
+    document.querySelectorAll('.transcript-entry.search-current').forEach(el => el.classList.remove('search-current'));
+    const entry = document.querySelector(`.transcript-entry[data-index="${hits[state.transcriptHitIndex]}"]`);
+    if (entry) {
+        entry.classList.add('search-current');
+        entry.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+    updateTranscriptSearchCount();
+}
+
+function updateTranscriptSearchCount() {
+    const count = document.getElementById('transcriptSearchCount');
+    if (!state.transcriptQuery) {
+        count.textContent = '';
+    } else if (state.transcriptHits.length === 0) {
+        count.textContent = 'No matches';
+    } else {
+        count.textContent = `${Math.max(1, state.transcriptHitIndex + 1)} of ${state.transcriptHits.length}`;
+    }
+}
+
+// Index of the segment under the playhead (the latest-starting one if they overlap)
+function getActiveTranscriptIndex(time) {
+    let active = -1;
+    for (let i = 0; i < state.transcript.length; i++) {
+        const seg = state.transcript[i];
+        if (seg.start > time) break;
+        if (time < seg.end) active = i;
+    }
+    return active;
+}
+
+// Called every frame; only touches the DOM when the active segment changes
+function updateTranscriptPlayback() {
+    const index = state.video.src ? getActiveTranscriptIndex(state.video.currentTime) : -1;
+    if (index === state.activeTranscriptIndex) return;
+    state.activeTranscriptIndex = index;
+    
+    document.querySelectorAll('.transcript-entry.active').forEach(el => el.classList.remove('active'));
+    const entry = document.querySelector(`.transcript-entry[data-index="${index}"]`);
+    if (entry) {
+        entry.classList.add('active');
+        // Follow playback, but leave the list alone while the user is searching
+        if (!state.video.paused && !state.transcriptQuery) {
+            entry.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    }
+    
+    updateCaptionOverlay();
+}
+
+function updateCaptionOverlay() {
+    const overlay = document.getElementById('captionOverlay');
+    const seg = state.transcript[state.activeTranscriptIndex];
+    
+    if (!state.showCaptions || !seg) {
+        overlay.style.display = 'none';
+        return;
+    }
+    
+    overlay.innerHTML = '<span class="caption-speaker"></span><span class="caption-text"></span>';
+    overlay.querySelector('.caption-speaker').textContent = seg.speaker ? `${seg.speaker}: ` : '';
+    overlay.querySelector('.caption-text').textContent = seg.text;
+    overlay.style.display = 'block';
+}
+
+// offset shifts cue times so they line up with a clip starting at offset
+function transcriptToSRT(segments, offset = 0) {
+    return segments.map((seg, i) => [
+        i + 1,
+        `${formatSubtitleTime(seg.start - offset, ',')} --> ${formatSubtitleTime(seg.end - offset, ',')}`,
+        seg.speaker ? `${seg.speaker}: ${seg.text}` : seg.text
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+function transcriptToVTT(segments, offset = 0) {
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const cues = segments.map(seg => [
+        `${formatSubtitleTime(seg.start - offset, '.')} --> ${formatSubtitleTime(seg.end - offset, '.')}`,
+        seg.speaker ? `<v ${escape(seg.speaker)}>${escape(seg.text)}` : escape(seg.text)
+    ].join('\n'));
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+// HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (VTT); negative times clamp to zero
+function formatSubtitleTime(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const mins = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    const ms = totalMs % 1000;
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(hours)}:${pad(mins)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+// ===================================
+// Multi-Cam
+// ===================================
+
+// Camera: { id, source, name, kind ('360' | 'flat'), startTime (wall-clock ms),
+//   duration, video }. The primary camera is state.video and is the master
+//   clock; every other camera seeks or nudges its playback rate to stay on
+//   the same wall-clock instant.
+
+const PRIMARY_CAMERA_ID = 'primary';
+const MULTICAM_SEEK_THRESHOLD = 0.3;     // Seconds of drift corrected by seeking
+const MULTICAM_MAX_RATE_NUDGE = 0.1;     // Largest playback rate correction for small drift
+const MULTICAM_THUMBNAIL_INTERVAL = 250; // ms between thumbnail refreshes
+
+function setupMultiCam() {
+    const input = document.getElementById('cameraFileInput');
+    document.getElementById('addCameraBtn').addEventListener('click', () => input.click());
+    input.addEventListener('change', (e) => {
+        Array.from(e.target.files).forEach(addCamera);
+        input.value = '';
+    });
+    
+    const list = document.getElementById('multicamItems');
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('.multicam-item');
+        if (!item) return;
+        
+        const action = e.target.closest('[data-action]');
+        if (action && action.dataset.action === 'remove') {
+            removeCamera(item.dataset.cameraId);
+        } else if (!action) {
+            promoteCamera(item.dataset.cameraId);
+        }
+    });
+    list.addEventListener('change', (e) => {
+        if (e.target.dataset.action === 'start') {
+            setCameraStartFromInput(e.target.closest('.multicam-item').dataset.cameraId, e.target);
+        }
+    });
+    
+    renderMultiCamList();
+}
+
+function getCamera(id) {
+    return state.cameras.find(camera => camera.id === id) || null;
+}
+
+// The camera currently textured onto the sphere (null before a video loads)
+function getSphereCamera() {
+    const camera = getCamera(state.activeCameraId);
+    return camera && camera.kind === '360' ? camera : getCamera(PRIMARY_CAMERA_ID);
+}
+
+function getSphereVideo() {
+    const camera = getSphereCamera();
+    return camera ? camera.video : state.video;
+}
+
+// Key that redactions use for a camera's footage: the main video, or a
+// fingerprint of another camera's file so its regions survive re-adding it
+function getCameraSource(camera) {
+    return camera && camera.id !== PRIMARY_CAMERA_ID ? camera.source : PRIMARY_CAMERA_ID;
+}
+
+function getCameraBySource(source) {
+    return state.cameras.find(camera => getCameraSource(camera) === source) || null;
+}
+
+// Called when the main video loads: it becomes the primary camera and master clock
+function setPrimaryCamera(file) {
+    state.cameras = state.cameras.filter(camera => camera.id !== PRIMARY_CAMERA_ID);
+    state.cameras.unshift({
+        id: PRIMARY_CAMERA_ID,
+        name: file.name,
+        kind: '360',
+        startTime: guessRecordingStart(file, state.video.duration),
+        duration: state.video.duration,
+        video: state.video
+    });
+    
+    showCamera(getCamera(PRIMARY_CAMERA_ID));
+    renderMultiCamList();
+}
+
+async function addCamera(file) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.src = URL.createObjectURL(file);
+    
+    try {
+        await new Promise((resolve, reject) => {
+            video.addEventListener('loadedmetadata', resolve, { once: true });
+            video.addEventListener('error', () => reject(new Error('unsupported video')), { once: true });
+        });
+    } catch (err) {
+        console.error('Could not add camera:', file.name, err);
+        URL.revokeObjectURL(video.src);
+        return;
+    }
+    
+    // 2:1 frames are treated as 360° equirectangular, anything else as a flat camera
+    const aspect = video.videoWidth / video.videoHeight;
+    const camera = {
+        id: `cam-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        source: (await fingerprintFile(file)).slice(0, 16),
+        name: file.name,
+        kind: Math.abs(aspect - 2) < 0.05 ? '360' : 'flat',
+        startTime: guessRecordingStart(file, video.duration),
+        duration: video.duration,
+        video
+    };
+    state.cameras.push(camera);
+    renderMultiCamList();
+    
+    logAudit('multicam.add', {
+        camera: camera.name,
+        kind: camera.kind,
+        startTime: new Date(camera.startTime).toISOString(),
+        duration: camera.duration
+    });
+}
+
+function removeCamera(id) {
+    const camera = getCamera(id);
+    if (!camera || id === PRIMARY_CAMERA_ID) return;
+    
+    if (state.activeCameraId === id) {
+        showCamera(getCamera(PRIMARY_CAMERA_ID));
+    }
+    camera.video.pause();
+    URL.revokeObjectURL(camera.video.src);
+    state.cameras = state.cameras.filter(c => c !== camera);
+    renderMultiCamList();
+}
+
+// Recording start from a timestamp in the file name (e.g. 20251003_143215),
+// otherwise from the modification time, since cameras usually close the
+// file when recording stops
+function guessRecordingStart(file, duration) {
+    const match = /(20\d{2})[-_]?(\d{2})[-_]?(\d{2})[T_ -]?(\d{2})[-_:]?(\d{2})[-_:]?(\d{2})/.exec(file.name);
+    if (match) {
+        const date = new Date(+match[1], +match[2] - 1, +match[3], +match[4], +match[5], +match[6]);
+        if (!isNaN(date.getTime())) return date.getTime();
+    }
+    return file.lastModified - (duration || 0) * 1000;
+}
+
+function promoteCamera(id) {
+    const camera = getCamera(id);
+    if (!camera || id === state.activeCameraId) return;
+    
+    showCamera(camera);
+    renderMultiCamList();
+    logAudit('multicam.promote', { camera: camera.name, kind: camera.kind });
+}
+
+// 360° cameras take over the sphere texture; flat cameras cover the viewport
+function showCamera(camera) {
+    if (!camera) return;
+    state.activeCameraId = camera.id;
+    
+    state.videoTexture.image = camera.kind === '360' ? camera.video : state.video;
+    state.videoTexture.needsUpdate = true;
+    
+    const flatView = document.getElementById('flatCameraView');
+    const isFlat = camera.kind === 'flat';
+    flatView.innerHTML = '';
+    if (isFlat) {
+        flatView.appendChild(camera.video);
+    }
+    flatView.style.display = isFlat ? 'block' : 'none';
+    document.getElementById('videoViewport').classList.toggle('flat-camera-active', isFlat);
+}
+
+// Wall-clock time (ms) at the main video's playhead, or null without one
+function getMasterWallClock() {
+    const primary = getCamera(PRIMARY_CAMERA_ID);
+    return primary ? primary.startTime + state.video.currentTime * 1000 : null;
+}
+
+function updateMultiCam() {
+    if (state.cameras.length < 2) return;
+    syncCameras();
+    
+    const now = performance.now();
+    if (now - state.lastThumbnailUpdate >= MULTICAM_THUMBNAIL_INTERVAL) {
+        state.lastThumbnailUpdate = now;
+        updateCameraThumbnails();
+    }
+}
+
+function syncCameras() {
+    const wallClock = getMasterWallClock();
+    const masterPlaying = !state.video.paused && !state.isExporting;
+    
+    state.cameras.forEach(camera => {
+        if (camera.id === PRIMARY_CAMERA_ID) return;
+        const video = camera.video;
+        
+        const localTime = wallClock === null ? NaN : (wallClock - camera.startTime) / 1000;
+        camera.inRange = localTime >= 0 && localTime < camera.duration;
+        if (!camera.inRange || state.isExporting) {
+            if (!video.paused) video.pause();
+            return;
+        }
+        
+        const drift = video.currentTime - localTime;
+        if (!masterPlaying || Math.abs(drift) > MULTICAM_SEEK_THRESHOLD) {
+            // Paused, scrubbing or badly off: jump straight to the right frame
+            if (Math.abs(drift) > 0.04 && !video.seeking) {
+                video.currentTime = localTime;
+            }
+            video.playbackRate = state.video.playbackRate;
+        } else {
+            // Small drift: run slightly fast or slow until it closes
+            const nudge = Math.max(-MULTICAM_MAX_RATE_NUDGE, Math.min(MULTICAM_MAX_RATE_NUDGE, drift * 0.5));
+            video.playbackRate = state.video.playbackRate * (1 - nudge);
+        }
+        
+        if (masterPlaying && video.paused) {
+            video.play().catch(() => {});
+        } else if (!masterPlaying && !video.paused) {
+            video.pause();
+        }
+    });
+}
+
+function updateCameraThumbnails() {
+    const range = getMultiCamRange();
+    const wallClock = getMasterWallClock();
+    
+    document.querySelectorAll('.multicam-item').forEach(item => {
+        const camera = getCamera(item.dataset.cameraId);
+        if (!camera) return;
+        
+        const canvas = item.querySelector('.multicam-thumbnail');
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        
+        const hasFrame = camera.id === PRIMARY_CAMERA_ID || camera.inRange;
+        if (hasFrame && camera.video.readyState >= camera.video.HAVE_CURRENT_DATA) {
+            const scale = Math.min(canvas.width / camera.video.videoWidth, canvas.height / camera.video.videoHeight);
+            const w = camera.video.videoWidth * scale;
+            const h = camera.video.videoHeight * scale;
+            if (camera.kind === '360') {
+                drawRedactedThumbnail(ctx, camera, (canvas.width - w) / 2, (canvas.height - h) / 2, w, h);
+            } else {
+                ctx.drawImage(camera.video, (canvas.width - w) / 2, (canvas.height - h) / 2, w, h);
+            }
+        } else {
+            ctx.fillStyle = '#64748b';
+            ctx.font = '20px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('No footage', canvas.width / 2, canvas.height / 2);
+        }
+        
+        const playhead = item.querySelector('.multicam-coverage-playhead');
+        if (range && wallClock !== null) {
+            playhead.style.left = `${((wallClock - range.start) / (range.end - range.start)) * 100}%`;
+        }
+    });
+}
+
+// 360° thumbnails go through the source shader with the camera's redactions
+// burned in, so the sidebar never shows pixels the viewport would hide
+function drawRedactedThumbnail(ctx, camera, x, y, width, height) {
+    const raw = getRawRenderer();
+    const texture = state.videoTexture;
+    const shown = texture.image;
+    const size = { width: Math.max(1, Math.round(width)), height: Math.max(1, Math.round(height)) };
+    
+    texture.image = camera.video;
+    texture.needsUpdate = true;
+    updateSourceUniforms(raw.uniforms, true, state.video.currentTime, camera);
+    raw.uniforms.equirectOutput.value = 1;
+    raw.renderer.setSize(size.width, size.height, false);
+    raw.renderer.render(raw.scene, raw.camera);
+    ctx.drawImage(raw.renderer.domElement, x, y, width, height);
+    
+    texture.image = shown;
+    texture.needsUpdate = true;
+}
+
+// Wall-clock span covered by any camera
+function getMultiCamRange() {
+    if (state.cameras.length === 0) return null;
+    return {
+        start: Math.min(...state.cameras.map(camera => camera.startTime)),
+        end: Math.max(...state.cameras.map(camera => camera.startTime + camera.duration * 1000))
+    };
+}
+
+function renderMultiCamList() {
+    const container = document.getElementById('multicamItems');
+    container.innerHTML = '';
+    
+    if (state.cameras.length === 0) {
+        container.innerHTML = '<div class="markers-empty">Load a video, then add other cameras to play them in sync.</div>';
+        return;
+    }
+    
+    const range = getMultiCamRange();
+    state.cameras.forEach(camera => {
+        const item = document.createElement('div');
+        item.className = 'multicam-item' + (camera.id === state.activeCameraId ? ' active' : '');
+        item.dataset.cameraId = camera.id;
+        item.innerHTML = `
+            <canvas class="multicam-thumbnail" width="160" height="120"></canvas>
+            <div class="multicam-info">
+                <div class="multicam-name">
+                    <span class="multicam-title"></span>
+                    <span class="multicam-kind">${camera.kind === '360' ? '360°' : 'FLAT'}</span>
+                </div>
+                <div class="multicam-time">${formatClockTime(camera.startTime)} - ${formatClockTime(camera.startTime + camera.duration * 1000)}</div>
+                <div class="multicam-coverage">
+                    <div class="multicam-coverage-span"></div>
+                    <div class="multicam-coverage-playhead"></div>
+                </div>
+                <div class="multicam-controls">
+                    <label>Start <input type="text" class="input-field multicam-start-input" data-action="start"></label>
+                    ${camera.id === PRIMARY_CAMERA_ID ? '' : '<button class="marker-action-btn" data-action="remove">Remove</button>'}
+                </div>
+            </div>
+        `;
+        item.querySelector('.multicam-title').textContent = camera.id === PRIMARY_CAMERA_ID ? `${camera.name} (main)` : camera.name;
+        item.querySelector('.multicam-start-input').value = formatClockTime(camera.startTime, true);
+        
+        const span = item.querySelector('.multicam-coverage-span');
+        span.style.left = `${((camera.startTime - range.start) / (range.end - range.start)) * 100}%`;
+        span.style.width = `${(camera.duration * 1000 / (range.end - range.start)) * 100}%`;
+        container.appendChild(item);
+    });
+    
+    updateCameraThumbnails();
+}
+
+// Manual sync correction: "HH:MM:SS(.mmm)" on the camera's recording date
+function setCameraStartFromInput(id, input) {
+    const camera = getCamera(id);
+    const match = /^(\d{1,2}):(\d{2}):(\d{2})(?:\.(\d{1,3}))?$/.exec(input.value.trim());
+    input.classList.toggle('invalid', !match);
+    if (!camera || !match) return;
+    
+    const date = new Date(camera.startTime);
+    date.setHours(+match[1], +match[2], +match[3], +(match[4] || '0').padEnd(3, '0'));
+    camera.startTime = date.getTime();
+    renderMultiCamList();
+    
+    logAudit('multicam.sync', { camera: camera.name, startTime: date.toISOString() });
+}
+
+// Local wall-clock time as HH:MM:SS, optionally with milliseconds
+function formatClockTime(ms, withMillis = false) {
+    const date = new Date(ms);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    const time = `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    return withMillis ? `${time}.${pad(date.getMilliseconds(), 3)}` : time;
+}
+
+// ===================================
+// Markers
+// ===================================
+
+// Marker: { id, evidenceId, time, title, description, category, author,
+// createdAt, pan, tilt, zoom } — the view is captured so jumping back to a
+// marker also restores where the reviewer was looking.
+
+function setupMarkers() {
+    // Timeline flags and sidebar items are re-rendered, so delegate clicks
+    document.getElementById('timelineMarkers').addEventListener('click', (e) => {
+        const flag = e.target.closest('.marker');
+        if (!flag) return;
+        
+        e.stopPropagation();
+        jumpToMarker(flag.dataset.markerId);
+    });
+    
+    document.getElementById('markerItems').addEventListener('click', (e) => {
+        const btn = e.target.closest('.marker-action-btn');
+        if (!btn) return;
+        
+        const id = btn.closest('.marker-item').dataset.markerId;
+        switch (btn.dataset.action) {
+            case 'jump':
+                jumpToMarker(id);
+                break;
+            case 'edit':
+                openMarkerModal(getMarker(id));
+                break;
+            case 'delete':
+                deleteMarker(id);
+                break;
+        }
+    });
+    
+    // Add marker button
+    document.getElementById('addMarkerSidebarBtn').addEventListener('click', () => {
+        openMarkerModal(null);
+    });
+    
+    document.getElementById('confirmMarker').addEventListener('click', saveMarkerFromForm);
+    
+    loadMarkers();
+}
+
+async function loadMarkers() {
+    try {
+        const markers = await dbGetAllForEvidence('markers', state.evidenceId);
+        state.markers = markers.sort((a, b) => a.time - b.time);
+    } catch (err) {
+        console.error('Could not load markers:', err);
+    }
+    renderMarkers();
+}
+
+function getMarker(id) {
+    return state.markers.find(marker => marker.id === id) || null;
+}
+
+function openMarkerModal(marker) {
+    state.editingMarkerId = marker ? marker.id : null;
+    
+    document.getElementById('markerModalTitle').textContent = marker ? 'Edit Marker' : 'Add Marker';
+    document.getElementById('confirmMarker').textContent = marker ? 'Save Marker' : 'Add Marker';
+    document.getElementById('markerTime').value = formatTime(marker ? marker.time : (state.video.src ? state.video.currentTime : 0));
+    document.getElementById('markerTitle').value = marker ? marker.title : '';
+    document.getElementById('markerDescription').value = marker ? marker.description : '';
+    document.getElementById('markerCategory').value = marker ? marker.category : 'Event';
+    
+    document.querySelectorAll('#addMarkerModal .invalid').forEach(el => el.classList.remove('invalid'));
+    document.getElementById('addMarkerModal').classList.add('show');
+}
+
+async function saveMarkerFromForm() {
+    const timeInput = document.getElementById('markerTime');
+    const titleInput = document.getElementById('markerTitle');
+    const time = parseTimeInput(timeInput.value);
+    const title = titleInput.value.trim();
+    
+    timeInput.classList.toggle('invalid', isNaN(time));
+    titleInput.classList.toggle('invalid', !title);
+    if (isNaN(time) || !title) return;
+    
+    const existing = getMarker(state.editingMarkerId);
+    const marker = existing ? Object.assign({}, existing) : {
+        id: 'marker-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        evidenceId: state.evidenceId,
+        author: state.currentUser,
+        createdAt: new Date().toISOString(),
+        // View direction at creation
+        pan: state.pan,
+        tilt: state.tilt,
+        zoom: state.zoom
+    };
+    
+    marker.time = state.video.duration ? Math.min(time, state.video.duration) : time;
+    marker.title = title;
+    marker.description = document.getElementById('markerDescription').value.trim();
+    marker.category = document.getElementById('markerCategory').value;
+    
+    state.markers = state.markers
+        .filter(m => m.id !== marker.id)
+        .concat(marker)
+        .sort((a, b) => a.time - b.time);
+    renderMarkers();
+    document.getElementById('addMarkerModal').classList.remove('show');
+    
+    logAudit(existing ? 'marker.edit' : 'marker.add', {
+        markerId: marker.id,
+        time: marker.time,
+        title: marker.title,
+        category: marker.category
+    });
+    
+    try {
+        await dbPut('markers', marker);
+    } catch (err) {
+        console.error('Could not save marker:', err);
+    }
+}
+
+async function deleteMarker(id) {
+    const marker = getMarker(id);
+    state.markers = state.markers.filter(marker => marker.id !== id);
+    renderMarkers();
+    
+    if (marker) {
+        logAudit('marker.delete', { markerId: id, time: marker.time, title: marker.title });
+    }
+    
+    try {
+        await dbDelete('markers', id);
+    } catch (err) {
+        console.error('Could not delete marker:', err);
+    }
+}
+
+// Seek to a marker and restore the view direction saved with it
+function jumpToMarker(id) {
+    const marker = getMarker(id);
+    if (!marker || !state.video.src) return;
+    
+    state.video.currentTime = marker.time;
+    
+    // Front/back/flat views are locked, so switch to stitched to look around
+    if (state.viewLocked) {
+        const select = document.getElementById('viewControlSelect');
+        select.value = 'stitched';
+        handleViewChange({ target: select });
+    }
+    
+    state.pan = marker.pan;
+    state.tilt = marker.tilt;
+    state.zoom = marker.zoom;
+    updatePTZDisplay();
+}
+
+function renderMarkers() {
+    const markerItems = document.getElementById('markerItems');
+    renderTimelineMarkers();
+    renderCoverageList();
+    renderComments();
+    
+    markerItems.innerHTML = '';
+    if (state.markers.length === 0) {
+        markerItems.innerHTML = '<div class="markers-empty">No markers yet. Pause on a moment and click "+ Add Marker".</div>';
+        return;
+    }
+    
+    state.markers.forEach(marker => {
+        const item = document.createElement('div');
+        item.className = 'marker-item';
+        item.dataset.markerId = marker.id;
+        item.innerHTML = `
+            <div class="marker-time">${formatTime(marker.time)}</div>
+            <div class="marker-title"></div>
+            <div class="marker-description"></div>
+            <div class="marker-meta"></div>
+            <div class="marker-actions">
+                <button class="marker-action-btn" data-action="jump">Jump to</button>
+                <button class="marker-action-btn" data-action="edit">Edit</button>
+                <button class="marker-action-btn" data-action="delete">Delete</button>
+            </div>
+        `;
+        item.querySelector('.marker-title').textContent = marker.title;
+        item.querySelector('.marker-description').textContent = marker.description;
+        item.querySelector('.marker-meta').textContent =
+            `${marker.category} • ${marker.author} • ${new Date(marker.createdAt).toLocaleString()}`;
+        markerItems.appendChild(item);
+    });
+}
+
+// Timeline flags need the duration to be placed; flags scrolled out of a
+// zoomed timeline are left out
+function renderTimelineMarkers() {
+    const timelineMarkers = document.getElementById('timelineMarkers');
+    timelineMarkers.innerHTML = '';
+    if (!state.video.duration) return;
+    
+    state.markers.forEach(marker => {
+        const percentage = timeToTimelinePercent(marker.time);
+        if (percentage < 0 || percentage > 100) return;
+        
+        const fraction = getEventCoverage(marker);
+        const flag = document.createElement('div');
+        flag.className = 'marker' + (fraction < COVERAGE_EVENT_TARGET ? ' unreviewed' : '');
+        flag.dataset.markerId = marker.id;
+        flag.style.left = percentage + '%';
+        flag.title = `${formatTime(marker.time)} - ${marker.title} (${Math.round(fraction * 100)}% reviewed)`;
+        flag.innerHTML = '<div class="marker-flag"></div>';
+        timelineMarkers.appendChild(flag);
+    });
+}
+
+// ===================================
+// Spatial Annotations
+// ===================================
+
+// Annotation: { id, evidenceId, yaw, pitch, label, shape, size, start, end,
+// author, createdAt }. yaw/pitch are sphere-space (see Sphere Coordinates),
+// size is the circle radius in degrees, start/end the visible time window.
+
+const ANNOTATION_EDGE_MARGIN = 28;  // px from the viewport edge for off-screen arrows
+
+function setupAnnotations() {
+    document.getElementById('annotateBtn').addEventListener('click', () => {
+        setAnnotating(!state.annotating);
+    });
+    
+    document.getElementById('confirmAnnotation').addEventListener('click', saveAnnotationFromForm);
+    document.getElementById('closeAnnotationModal').addEventListener('click', closeAnnotationModal);
+    document.getElementById('cancelAnnotation').addEventListener('click', closeAnnotationModal);
+    
+    document.getElementById('annotationItems').addEventListener('click', (e) => {
+        const btn = e.target.closest('.marker-action-btn');
+        if (!btn) return;
+        
+        const id = btn.closest('.marker-item').dataset.annotationId;
+        if (btn.dataset.action === 'jump') {
+            jumpToAnnotation(id);
+        } else if (btn.dataset.action === 'delete') {
+            deleteAnnotation(id);
+        }
+    });
+    
+    loadAnnotations();
+}
+
+async function loadAnnotations() {
+    try {
+        const annotations = await dbGetAllForEvidence('annotations', state.evidenceId);
+        state.annotations = annotations.sort((a, b) => a.start - b.start);
+    } catch (err) {
+        console.error('Could not load annotations:', err);
+    }
+    renderAnnotationList();
+}
+
+function getAnnotation(id) {
+    return state.annotations.find(annotation => annotation.id === id) || null;
+}
+
+function getActiveAnnotations(time) {
+    return state.annotations.filter(annotation => time >= annotation.start && time <= annotation.end);
+}
+
+function setAnnotating(enabled) {
+    state.annotating = enabled;
+    document.getElementById('annotateBtn').classList.toggle('active', enabled);
+    document.getElementById('threejsContainer').classList.toggle('annotating', enabled);
+}
+
+// Click on the 3D viewport while annotating: pick the direction under the cursor
+function onViewportClick(event) {
+    if (!state.annotating && !state.redacting && !state.trackingRedactionId && !state.markingHorizon && !state.pickingCommentPoint) return;
+    
+    const container = document.getElementById('threejsContainer');
+    const rect = container.getBoundingClientRect();
+    const direction = yawPitchFromScreen(
+        event.clientX - rect.left,
+        event.clientY - rect.top,
+        rect.width,
+        rect.height
+    );
+    if (!direction) return;
+    
+    if (state.markingHorizon) {
+        handleHorizonClick(direction);
+    } else if (state.pickingCommentPoint) {
+        setPickingCommentPoint(false);
+        openCommentModal({ mode: 'thread', point: direction });
+    } else if (state.annotating) {
+        state.pendingAnnotation = direction;
+        setAnnotating(false);
+        openAnnotationModal();
+    } else {
+        handleRedactionClick(direction);
+    }
+}
+
+function openAnnotationModal() {
+    const { yaw, pitch } = state.pendingAnnotation;
+    const time = state.video.src ? state.video.currentTime : 0;
+    const end = state.video.duration ? Math.min(time + 5, state.video.duration) : time + 5;
+    
+    document.getElementById('annotationDirection').textContent =
+        `Pan ${Math.round(normalizeAngle(yaw - state.frontLensOffset))}° • Tilt ${Math.round(pitch)}°`;
+    document.getElementById('annotationLabel').value = '';
+    document.getElementById('annotationShape').value = 'pin';
+    document.getElementById('annotationSize').value = 8;
+    document.getElementById('annotationStartTime').value = formatTime(time);
+    document.getElementById('annotationEndTime').value = formatTime(end);
+    
+    document.querySelectorAll('#addAnnotationModal .invalid').forEach(el => el.classList.remove('invalid'));
+    document.getElementById('addAnnotationModal').classList.add('show');
+    document.getElementById('annotationLabel').focus();
+}
+
+function closeAnnotationModal() {
+    state.pendingAnnotation = null;
+    document.getElementById('addAnnotationModal').classList.remove('show');
+}
+
+async function saveAnnotationFromForm() {
+    if (!state.pendingAnnotation) return;
+    
+    const labelInput = document.getElementById('annotationLabel');
+    const startInput = document.getElementById('annotationStartTime');
+    const endInput = document.getElementById('annotationEndTime');
+    const label = labelInput.value.trim();
+    const start = parseTimeInput(startInput.value);
+    const end = parseTimeInput(endInput.value);
+    
+    labelInput.classList.toggle('invalid', !label);
+    startInput.classList.toggle('invalid', isNaN(start));
+    endInput.classList.toggle('invalid', isNaN(end) || end < start);
+    if (!label || isNaN(start) || isNaN(end) || end < start) return;
+    
+    const annotation = {
+        id: 'annotation-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        evidenceId: state.evidenceId,
+        yaw: state.pendingAnnotation.yaw,
+        pitch: state.pendingAnnotation.pitch,
+        label,
+        shape: document.getElementById('annotationShape').value,
+        size: Math.max(1, Math.min(90, parseFloat(document.getElementById('annotationSize').value) || 8)),
+        start,
+        end,
+        author: state.currentUser,
+        createdAt: new Date().toISOString()
+    };
+    
+    state.annotations = state.annotations.concat(annotation).sort((a, b) => a.start - b.start);
+    renderAnnotationList();
+    closeAnnotationModal();
+    
+    logAudit('annotation.add', { annotationId: annotation.id, label: annotation.label, start, end });
+    
+    try {
+        await dbPut('annotations', annotation);
+    } catch (err) {
+        console.error('Could not save annotation:', err);
+    }
+}
+
+async function deleteAnnotation(id) {
+    logAudit('annotation.delete', { annotationId: id });
+    state.annotations = state.annotations.filter(annotation => annotation.id !== id);
+    renderAnnotationList();
+    
+    const element = document.querySelector(`.annotation[data-annotation-id="${id}"]`);
+    if (element) element.remove();
+    
+    try {
+        await dbDelete('annotations', id);
+    } catch (err) {
+        console.error('Could not delete annotation:', err);
+    }
+}
+
+// Seek to the start of an annotation's window and look straight at it
+function jumpToAnnotation(id) {
+    const annotation = getAnnotation(id);
+    if (!annotation) return;
+    
+    if (state.video.src) {
+        state.video.currentTime = annotation.start;
+    }
+    if (state.viewLocked) {
+        const select = document.getElementById('viewControlSelect');
+        select.value = 'stitched';
+        handleViewChange({ target: select });
+    }
+    
+    state.pan = normalizeAngle(annotation.yaw - state.frontLensOffset);
+    state.tilt = annotation.pitch;
+    updatePTZDisplay();
+}
+
+function renderAnnotationList() {
+    const list = document.getElementById('annotationItems');
+    list.innerHTML = '';
+    
+    if (state.annotations.length === 0) {
+        list.innerHTML = '<div class="markers-empty">No spatial annotations yet.</div>';
+        return;
+    }
+    
+    state.annotations.forEach(annotation => {
+        const item = document.createElement('div');
+        item.className = 'marker-item annotation-item';
+        item.dataset.annotationId = annotation.id;
+        item.innerHTML = `
+            <div class="marker-time">${formatTime(annotation.start)} - ${formatTime(annotation.end)}</div>
+            <div class="marker-title"></div>
+            <div class="marker-meta"></div>
+            <div class="marker-actions">
+                <button class="marker-action-btn" data-action="jump">Jump to</button>
+                <button class="marker-action-btn" data-action="delete">Delete</button>
+            </div>
+        `;
+        item.querySelector('.marker-title').textContent = annotation.label;
+        item.querySelector('.marker-meta').textContent = `${annotation.author} • ${new Date(annotation.createdAt).toLocaleString()}`;
+        list.appendChild(item);
+    });
+}
+
+// Position annotation labels over the 3D view, or edge arrows for off-screen ones.
+// Called every frame from animate().
+function updateAnnotationOverlay() {
+    const layer = document.getElementById('annotationLayer');
+    const container = document.getElementById('threejsContainer');
+    const time = state.video.src ? state.video.currentTime : 0;
+    const active = container.style.display === 'none' ? [] : getActiveAnnotations(time);
+    const activeIds = new Set(active.map(annotation => annotation.id));
+    
+    // Drop elements for annotations that are no longer visible
+    layer.querySelectorAll('.annotation').forEach(element => {
+        if (!activeIds.has(element.dataset.annotationId)) {
+            element.remove();
+        }
+    });
+    
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    
+    active.forEach(annotation => {
+        let element = layer.querySelector(`.annotation[data-annotation-id="${annotation.id}"]`);
+        if (!element) {
+            element = document.createElement('div');
+            element.className = `annotation annotation-${annotation.shape}`;
+            element.dataset.annotationId = annotation.id;
+            element.innerHTML = '<div class="annotation-shape"></div><div class="annotation-label"></div><div class="annotation-edge-arrow"></div>';
+            element.querySelector('.annotation-label').textContent = annotation.label;
+            layer.appendChild(element);
+        }
+        
+        const projection = projectToScreen(annotation.yaw, annotation.pitch, width, height);
+        element.classList.toggle('off-screen', !projection.visible);
+        
+        if (projection.visible) {
+            element.style.left = projection.x + 'px';
+            element.style.top = projection.y + 'px';
+            if (annotation.shape === 'circle') {
+                const diameter = Math.max(8, annotation.size * 2 * projection.pixelsPerDegree);
+                const shape = element.querySelector('.annotation-shape');
+                shape.style.width = diameter + 'px';
+                shape.style.height = diameter + 'px';
+            }
+        } else {
+            // Pin the arrow to the viewport edge in the direction of the annotation
+            const cos = Math.cos(projection.angle);
+            const sin = Math.sin(projection.angle);
+            const halfW = width / 2 - ANNOTATION_EDGE_MARGIN;
+            const halfH = height / 2 - ANNOTATION_EDGE_MARGIN;
+            const scale = Math.min(halfW / Math.max(Math.abs(cos), 1e-6), halfH / Math.max(Math.abs(sin), 1e-6));
+            
+            element.style.left = (width / 2 + cos * scale) + 'px';
+            element.style.top = (height / 2 + sin * scale) + 'px';
+            element.querySelector('.annotation-edge-arrow').style.transform =
+                `translate(-50%, -50%) rotate(${THREE.MathUtils.radToDeg(projection.angle)}deg)`;
+        }
+    });
+}
+
+// Compass ticks for annotations active now, in the same frame as the arrow
+function updateAnnotationTicks() {
+    const ticks = document.getElementById('annotationTicks');
+    if (!ticks) return;
+    
+    const time = state.video.src ? state.video.currentTime : 0;
+    const active = getActiveAnnotations(time);
+    const key = active.map(annotation => annotation.id).join(',') + '@' + state.frontLensOffset;
+    if (ticks.dataset.key === key) return;
+    ticks.dataset.key = key;
+    
+    ticks.innerHTML = '';
+    active.forEach(annotation => {
+        const pan = normalizeAngle(annotation.yaw - state.frontLensOffset);
+        const tick = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        tick.setAttribute('d', 'M50,3 L53,9 L47,9 Z');
+        tick.setAttribute('fill', '#38BDF8');
+        tick.setAttribute('transform', `rotate(${-pan + 180} 50 50)`);
+        ticks.appendChild(tick);
+    });
+}
+
+// Draw annotations onto the raw view fisheye canvases
+function drawRawViewAnnotations(panes) {
+    const active = getActiveAnnotations(state.video.currentTime);
+    
+    panes.forEach(pane => {
+        const circle = getFisheyeCircle(pane.canvas);
+        const halfFov = getRawLensHalfFov(pane.lens);
+        const basis = getRawLensBasis(pane.lens);
+        
+        active.forEach(annotation => {
+            const point = projectToFisheye(basis, halfFov, annotation.yaw, annotation.pitch);
+            if (!point) return;
+            
+            const x = circle.x + point.x * circle.radius;
+            const y = circle.y - point.y * circle.radius;
+            const radius = annotation.shape === 'circle' ? Math.max(4, annotation.size / halfFov * circle.radius) : 5;
+            drawCanvasAnnotation(pane.ctx, x, y, radius, annotation.label);
+        });
+    });
+}
+
+function drawCanvasAnnotation(ctx, x, y, radius, label) {
+    ctx.save();
+    ctx.strokeStyle = '#38BDF8';
+    ctx.fillStyle = 'rgba(56, 189, 248, 0.25)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    const textWidth = ctx.measureText(label).width;
+    ctx.fillRect(x + radius + 4, y - 9, textWidth + 8, 18);
+    ctx.fillStyle = '#f1f5f9';
+    ctx.fillText(label, x + radius + 8, y + 4);
+    ctx.restore();
+}
+
+// ===================================
+// Redaction
+// ===================================
+
+// Region: { id, evidenceId, camera, label, effect ('blur' | 'pixelate' | 'solid'),
+//   start, end, keyframes: [{ time, yaw, pitch, size }], author, createdAt }.
+// Directions are sphere-space like annotations; size is the angular radius
+// in degrees. Between keyframes the region moves linearly; outside them it
+// holds the nearest keyframe. camera is the source key of the 360° camera the
+// region was drawn on (see getCameraSource; absent on older regions, which
+// belong to the main video). Times are on the main timeline for every camera.
+
+const REDACTION_EFFECTS = { blur: 0, pixelate: 1, solid: 2 };
+
+function setupRedactions() {
+    document.getElementById('redactBtn').addEventListener('click', () => {
+        if (state.trackingRedactionId) {
+            setTrackingRedaction(null);
+        } else {
+            setRedacting(!state.redacting);
+        }
+    });
+    
+    document.getElementById('confirmRedaction').addEventListener('click', saveRedactionFromForm);
+    document.getElementById('closeRedactionModal').addEventListener('click', closeRedactionModal);
+    document.getElementById('cancelRedaction').addEventListener('click', closeRedactionModal);
+    
+    document.getElementById('redactionPreviewToggle').addEventListener('change', (e) => {
+        setShowUnredacted(e.target.checked);
+    });
+    
+    document.getElementById('redactionItems').addEventListener('click', (e) => {
+        const btn = e.target.closest('.marker-action-btn');
+        if (!btn) return;
+        
+        const id = btn.closest('.marker-item').dataset.redactionId;
+        if (btn.dataset.action === 'track') {
+            setTrackingRedaction(state.trackingRedactionId === id ? null : id);
+        } else if (btn.dataset.action === 'jump') {
+            jumpToRedaction(id);
+        } else if (btn.dataset.action === 'delete') {
+            deleteRedaction(id);
+        }
+    });
+    
+    loadRedactions();
+}
+
+async function loadRedactions() {
+    try {
+        const redactions = await dbGetAllForEvidence('redactions', state.evidenceId);
+        state.redactions = redactions.sort((a, b) => a.start - b.start);
+    } catch (err) {
+        console.error('Could not load redactions:', err);
+    }
+    renderRedactionList();
+}
+
+function getRedaction(id) {
+    return state.redactions.find(region => region.id === id) || null;
+}
+
+// Interpolated { yaw, pitch, size } of a region at a time
+function getRedactionShape(region, time) {
+    const frames = region.keyframes;
+    if (time <= frames[0].time) return frames[0];
+    if (time >= frames[frames.length - 1].time) return frames[frames.length - 1];
+    
+    let i = 0;
+    while (frames[i + 1].time < time) i++;
+    const a = frames[i];
+    const b = frames[i + 1];
+    const t = (time - a.time) / (b.time - a.time);
+    return {
+        yaw: a.yaw + shortestAngle(a.yaw, b.yaw) * t,
+        pitch: a.pitch + (b.pitch - a.pitch) * t,
+        size: a.size + (b.size - a.size) * t
+    };
+}
+
+function getCameraRedactions(source) {
+    return state.redactions.filter(region => (region.camera || PRIMARY_CAMERA_ID) === source);
+}
+
+function getActiveRedactions(time, source = PRIMARY_CAMERA_ID) {
+    return getCameraRedactions(source).filter(region => time >= region.start && time <= region.end);
+}
+
+// Most regions active at one moment within [start, end], and when. Windows
+// include both ends, so one starting as another ends still overlaps it.
+function getRedactionPeak(regions, start = -Infinity, end = Infinity) {
+    const events = [];
+    regions.forEach(region => {
+        if (region.end < start || region.start > end) return;
+        events.push([Math.max(region.start, start), 1], [Math.min(region.end, end), -1]);
+    });
+    events.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+    
+    let count = 0;
+    let peak = { count: 0, time: null };
+    events.forEach(([time, step]) => {
+        count += step;
+        if (count > peak.count) peak = { count, time };
+    });
+    return peak;
+}
+
+// Exports (of the main video) refuse ranges where the shader couldn't apply every region
+function checkRedactionLimit(range) {
+    const peak = getRedactionPeak(getCameraRedactions(PRIMARY_CAMERA_ID), range.start, range.end);
+    if (peak.count > MAX_REDACTIONS) {
+        throw new Error(`${peak.count} redaction regions overlap at ${formatTime(peak.time)}; ` +
+            `at most ${MAX_REDACTIONS} can be applied at once`);
+    }
+}
+
+// Upload the regions of one camera's footage active at the playhead. Burned
+// in for exports and for anyone not entitled to the unredacted preview. A
+// count over MAX_REDACTIONS makes the shader black out the frame.
+function updateRedactionUniforms(uniforms, burn, time, source) {
+    const active = getActiveRedactions(time, source);
+    
+    active.slice(0, MAX_REDACTIONS).forEach((region, i) => {
+        const shape = getRedactionShape(region, time);
+        const direction = directionFromYawPitch(shape.yaw, shape.pitch);
+        uniforms.redactionRegions.value[i].set(
+            direction.x,
+            direction.y,
+            direction.z,
+            Math.cos(THREE.MathUtils.degToRad(shape.size))
+        );
+        uniforms.redactionEffects.value[i] = REDACTION_EFFECTS[region.effect];
+    });
+    uniforms.redactionCount.value = active.length;
+    uniforms.redactionMode.value = burn || !canViewUnredacted() || !state.showUnredacted ? 2 : 1;
+}
+
+function showRedactionNotice(message) {
+    const notice = document.getElementById('redactionNotice');
+    notice.textContent = message;
+    notice.style.display = message ? 'block' : 'none';
+}
+
+// Share-link viewers only ever see redacted pixels
+function canViewUnredacted() {
+    return !state.shareAccess;
+}
+
+function setShowUnredacted(enabled) {
+    state.showUnredacted = enabled && canViewUnredacted();
+    document.getElementById('redactionPreviewToggle').checked = state.showUnredacted;
+    logAudit('redaction.preview', { enabled: state.showUnredacted });
+}
+
+function setRedacting(enabled) {
+    state.redacting = enabled;
+    document.getElementById('redactBtn').classList.toggle('active', enabled);
+    document.getElementById('threejsContainer').classList.toggle('annotating', enabled);
+}
+
+// While tracking, each viewport click keys the region at the current time
+function setTrackingRedaction(id) {
+    const previous = getRedaction(state.trackingRedactionId);
+    if (previous && previous.id !== id) {
+        logAudit('redaction.track', { redactionId: previous.id, label: previous.label, keyframes: previous.keyframes.length });
+    }
+    
+    state.trackingRedactionId = id;
+    if (id) setRedacting(false);
+    document.getElementById('redactBtn').classList.toggle('active', !!id);
+    document.getElementById('threejsContainer').classList.toggle('annotating', !!id);
+    renderRedactionList();
+}
+
+function handleRedactionClick(direction) {
+    const time = state.video.src ? state.video.currentTime : 0;
+    
+    if (state.redacting) {
+        state.pendingRedaction = Object.assign({ time }, direction);
+        setRedacting(false);
+        openRedactionModal();
+        return;
+    }
+    
+    const region = getRedaction(state.trackingRedactionId);
+    if (!region) return;
+    
+    // Keyframes are placed on the footage the region belongs to
+    const source = region.camera || PRIMARY_CAMERA_ID;
+    if (source !== getCameraSource(getSphereCamera())) {
+        const camera = getCameraBySource(source);
+        showRedactionNotice(`"${region.label}" was drawn on ${camera ? camera.name : 'a camera that is not loaded'}; show that camera to track it.`);
+        return;
+    }
+    addRedactionKeyframe(region, time, direction.yaw, direction.pitch);
+}
+
+// Insert or replace the keyframe at time (within half a frame), keeping the size
+async function addRedactionKeyframe(region, time, yaw, pitch) {
+    const size = getRedactionShape(region, time).size;
+    
+    // Tracking past the ends extends the region, as long as that doesn't
+    // overlap more regions than can be applied at once
+    const start = Math.min(region.start, time);
+    const end = Math.max(region.end, time);
+    const others = getCameraRedactions(region.camera || PRIMARY_CAMERA_ID).filter(other => other.id !== region.id);
+    const peak = getRedactionPeak(others.concat({ start, end }), start, end);
+    if (peak.count > MAX_REDACTIONS) {
+        showRedactionNotice(`Not tracked at ${formatTime(time)}: ${peak.count} regions would overlap at ${formatTime(peak.time)} ` +
+            `(at most ${MAX_REDACTIONS} at once).`);
+        return;
+    }
+    
+    region.keyframes = region.keyframes
+        .filter(frame => Math.abs(frame.time - time) > 1 / 60)
+        .concat({ time, yaw, pitch, size })
+        .sort((a, b) => a.time - b.time);
+    region.start = start;
+    region.end = end;
+    renderRedactionList();
+    
+    try {
+        await dbPut('redactions', region);
+    } catch (err) {
+        console.error('Could not save redaction:', err);
+    }
+}
+
+function openRedactionModal() {
+    const { yaw, pitch, time } = state.pendingRedaction;
+    const end = state.video.duration ? Math.min(time + 5, state.video.duration) : time + 5;
+    
+    document.getElementById('redactionDirection').textContent =
+        `Pan ${Math.round(normalizeAngle(yaw - state.frontLensOffset))}° • Tilt ${Math.round(pitch)}°`;
+    document.getElementById('redactionLabel').value = '';
+    document.getElementById('redactionEffect').value = 'blur';
+    document.getElementById('redactionSize').value = 10;
+    document.getElementById('redactionStartTime').value = formatTime(time);
+    document.getElementById('redactionEndTime').value = formatTime(end);
+    document.getElementById('redactionError').textContent = '';
+    
+    document.querySelectorAll('#addRedactionModal .invalid').forEach(el => el.classList.remove('invalid'));
+    document.getElementById('addRedactionModal').classList.add('show');
+    document.getElementById('redactionLabel').focus();
+}
+
+function closeRedactionModal() {
+    state.pendingRedaction = null;
+    document.getElementById('addRedactionModal').classList.remove('show');
+}
+
+async function saveRedactionFromForm() {
+    if (!state.pendingRedaction) return;
+    
+    const labelInput = document.getElementById('redactionLabel');
+    const startInput = document.getElementById('redactionStartTime');
+    const endInput = document.getElementById('redactionEndTime');
+    const label = labelInput.value.trim();
+    const start = parseTimeInput(startInput.value);
+    const end = parseTimeInput(endInput.value);
+    
+    labelInput.classList.toggle('invalid', !label);
+    startInput.classList.toggle('invalid', isNaN(start));
+    endInput.classList.toggle('invalid', isNaN(end) || end < start);
+    if (!label || isNaN(start) || isNaN(end) || end < start) return;
+    
+    const source = getCameraSource(getSphereCamera());
+    const peak = getRedactionPeak(getCameraRedactions(source).concat({ start, end }), start, end);
+    const tooMany = peak.count > MAX_REDACTIONS;
+    startInput.classList.toggle('invalid', tooMany);
+    endInput.classList.toggle('invalid', tooMany);
+    document.getElementById('redactionError').textContent = tooMany
+        ? `At most ${MAX_REDACTIONS} regions can be redacted at once; ${peak.count} would overlap at ${formatTime(peak.time)}.`
+        : '';
+    if (tooMany) return;
+    
+    const { yaw, pitch, time } = state.pendingRedaction;
+    const region = {
+        id: 'redaction-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        evidenceId: state.evidenceId,
+        camera: source,
+        label,
+        effect: document.getElementById('redactionEffect').value,
+        start,
+        end,
+        keyframes: [{
+            time,
+            yaw,
+            pitch,
+            size: Math.max(1, Math.min(90, parseFloat(document.getElementById('redactionSize').value) || 10))
+        }],
+        author: state.currentUser,
+        createdAt: new Date().toISOString()
+    };
+    
+    state.redactions = state.redactions.concat(region).sort((a, b) => a.start - b.start);
+    renderRedactionList();
+    closeRedactionModal();
+    
+    logAudit('redaction.add', { redactionId: region.id, label, effect: region.effect, start, end, camera: source });
+    
+    try {
+        await dbPut('redactions', region);
+    } catch (err) {
+        console.error('Could not save redaction:', err);
+    }
+}
+
+async function deleteRedaction(id) {
+    const region = getRedaction(id);
+    if (!region) return;
+    
+    if (state.trackingRedactionId === id) {
+        setTrackingRedaction(null);
+    }
+    state.redactions = state.redactions.filter(r => r.id !== id);
+    renderRedactionList();
+    logAudit('redaction.delete', { redactionId: id, label: region.label });
+    
+    try {
+        await dbDelete('redactions', id);
+    } catch (err) {
+        console.error('Could not delete redaction:', err);
+    }
+}
+
+function jumpToRedaction(id) {
+    const region = getRedaction(id);
+    if (!region) return;
+    
+    if (state.video.src) {
+        state.video.currentTime = region.start;
+    }
+    const camera = getCameraBySource(region.camera || PRIMARY_CAMERA_ID);
+    if (camera) {
+        promoteCamera(camera.id);
+    }
+    if (state.viewLocked) {
+        const select = document.getElementById('viewControlSelect');
+        select.value = 'stitched';
+        handleViewChange({ target: select });
+    }
+    
+    const shape = getRedactionShape(region, region.start);
+    state.pan = normalizeAngle(shape.yaw - state.frontLensOffset);
+    state.tilt = shape.pitch;
+    updatePTZDisplay();
+}
+
+function renderRedactionList() {
+    clearTimelineThumbnails();
+    
+    // Regions saved before the limit was enforced can still overlap too much;
+    // the limit holds per camera, since each is sampled on its own
+    const sources = Array.from(new Set(state.redactions.map(region => region.camera || PRIMARY_CAMERA_ID)));
+    const peak = sources
+        .map(source => getRedactionPeak(getCameraRedactions(source)))
+        .reduce((max, p) => p.count > max.count ? p : max, { count: 0, time: null });
+    showRedactionNotice(peak.count > MAX_REDACTIONS
+        ? `${peak.count} regions overlap at ${formatTime(peak.time)}, more than the ${MAX_REDACTIONS} that can be applied at once. ` +
+          'Those frames are blacked out and cannot be exported until some are shortened or deleted.'
+        : '');
+    
+    const list = document.getElementById('redactionItems');
+    const toggle = document.getElementById('redactionPreviewToggle');
+    toggle.disabled = !canViewUnredacted();
+    list.innerHTML = '';
+    
+    if (state.redactions.length === 0) {
+        list.innerHTML = '<div class="markers-empty">No redaction regions yet.</div>';
+        return;
+    }
+    
+    state.redactions.forEach(region => {
+        const tracking = region.id === state.trackingRedactionId;
+        const item = document.createElement('div');
+        item.className = 'marker-item redaction-item' + (tracking ? ' tracking' : '');
+        item.dataset.redactionId = region.id;
+        item.innerHTML = `
+            <div class="marker-time">${formatTime(region.start)} - ${formatTime(region.end)}</div>
+            <div class="marker-title"></div>
+            <div class="marker-meta"></div>
+            <div class="marker-actions">
+                <button class="marker-action-btn" data-action="track">${tracking ? 'Stop Tracking' : 'Track'}</button>
+                <button class="marker-action-btn" data-action="jump">Jump to</button>
+                <button class="marker-action-btn" data-action="delete">Delete</button>
+            </div>
+        `;
+        item.querySelector('.marker-title').textContent = region.label;
+        const meta = [region.effect, `${region.keyframes.length} keyframe${region.keyframes.length === 1 ? '' : 's'}`, region.author];
+        if (region.camera && region.camera !== PRIMARY_CAMERA_ID) {
+            const camera = getCameraBySource(region.camera);
+            meta.unshift(camera ? camera.name : 'Other camera (not loaded)');
+        }
+        item.querySelector('.marker-meta').textContent = meta.join(' • ');
+        list.appendChild(item);
+    });
+}
+
+function parseTimeString(timeStr) {
+    // Parse "0:15.500" format
+    const parts = timeStr.split(':');
+    if (parts.length !== 2) return 0;
+    
+    const minutes = parseInt(parts[0]);
+    const secondsParts = parts[1].split('.');
+    const seconds = parseInt(secondsParts[0]);
+    const milliseconds = secondsParts.length > 1 ? parseInt(secondsParts[1]) : 0;
+    
+    return minutes * 60 + seconds + milliseconds / 1000;
+}
+
+// Parse a user-typed "m:ss.mmm" value, returning NaN when it is not valid
+function parseTimeInput(value) {
+    const match = /^(\d+):([0-5]?\d)(?:\.(\d{1,3}))?$/.exec(value.trim());
+    if (!match) return NaN;
+    
+    const ms = (match[3] || '0').padEnd(3, '0');
+    return parseTimeString(`${match[1]}:${match[2]}.${ms}`);
+}
+
+// ===================================
+// Audio Redaction
+// ===================================
+
+// Range: { id, evidenceId, start, end, effect ('mute' | 'bleep' | 'noise'),
+//   reason (AUDIO_REDACTION_REASONS key), note, author, createdAt }.
+// Playback routes state.video through Web Audio so the ranges apply live;
+// exports decode the source audio and write the same effects into the PCM.
+
+const AUDIO_REDACTION_REASONS = {
+    PII: 'Personal identifying information',
+    MINOR: 'Juvenile',
+    VICTIM: 'Victim or witness identity',
+    MEDICAL: 'Medical information',
+    INFORMANT: 'Confidential informant',
+    LEGAL: 'Privileged or sealed by order',
+    OTHER: 'Other (see note)'
+};
+
+const AUDIO_BLEEP_FREQUENCY = 1000;  // Hz
+const AUDIO_BLEEP_LEVEL = 0.25;
+const AUDIO_NOISE_LEVEL = 0.2;
+
+// unavailable: the browser couldn't build the audio graph, so playback is
+// kept muted while any range exists rather than played unredacted
+const audioRedactionStatus = { unavailable: false };
+
+function setupAudioRedactions() {
+    const reasonSelect = document.getElementById('audioRedactionReason');
+    Object.entries(AUDIO_REDACTION_REASONS).forEach(([code, label]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = `${code} - ${label}`;
+        reasonSelect.appendChild(option);
+    });
+    
+    document.getElementById('redactTranscriptAudioBtn').addEventListener('click', redactTranscriptSelection);
+    document.getElementById('confirmAudioRedaction').addEventListener('click', saveAudioRedactionFromForm);
+    document.getElementById('closeAudioRedactionModal').addEventListener('click', closeAudioRedactionModal);
+    document.getElementById('cancelAudioRedaction').addEventListener('click', closeAudioRedactionModal);
+    
+    document.getElementById('audioRedactionItems').addEventListener('click', (e) => {
+        const btn = e.target.closest('.marker-action-btn');
+        if (!btn) return;
+        
+        const id = btn.closest('.marker-item').dataset.audioRedactionId;
+        if (btn.dataset.action === 'jump') {
+            const range = state.audioRedactions.find(r => r.id === id);
+            if (range && state.video.src) state.video.currentTime = range.start;
+        } else if (btn.dataset.action === 'delete') {
+            deleteAudioRedaction(id);
+        }
+    });
+    
+    // Audio contexts may only start from a user gesture, and play is the first one
+    state.video.addEventListener('play', ensureAudioGraph);
+    ['playing', 'pause', 'waiting', 'seeking', 'seeked', 'ratechange'].forEach(type => {
+        state.video.addEventListener(type, scheduleAudioRedactions);
+    });
+    state.video.addEventListener('volumechange', () => {
+        if (audioRedactionStatus.unavailable && state.audioRedactions.length > 0 && !state.video.muted) {
+            state.video.muted = true;
+        }
+    });
+    
+    loadAudioRedactions();
+}
+
+async function loadAudioRedactions() {
+    try {
+        const ranges = await dbGetAllForEvidence('audioRedactions', state.evidenceId);
+        state.audioRedactions = ranges.sort((a, b) => a.start - b.start);
+    } catch (err) {
+        console.error('Could not load audio redactions:', err);
+    }
+    renderAudioRedactionList();
+    scheduleAudioRedactions();
+}
+
+function getAudioRedactionAt(time) {
+    return state.audioRedactions.find(range => time >= range.start && time < range.end) || null;
+}
+
+// Source -> gain (muted inside ranges), plus a tone and a noise loop that are
+// switched on for bleep and noise ranges
+function ensureAudioGraph() {
+    if (state.audioGraph) {
+        if (state.audioGraph.context.state === 'suspended') {
+            state.audioGraph.context.resume();
+        }
+        return;
+    }
+    
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    let context;
+    let source;
+    try {
+        context = new AudioContextClass();
+        source = context.createMediaElementSource(state.video);
+    } catch (err) {
+        console.warn('Audio redaction is unavailable; muting playback while ranges exist:', err);
+        audioRedactionStatus.unavailable = true;
+        renderAudioRedactionList();
+        scheduleAudioRedactions();
+        return;
+    }
+    
+    // Silent until the first schedule says otherwise
+    const sourceGain = context.createGain();
+    sourceGain.gain.value = 0;
+    source.connect(sourceGain).connect(context.destination);
+    
+    const tone = context.createOscillator();
+    tone.frequency.value = AUDIO_BLEEP_FREQUENCY;
+    const toneGain = context.createGain();
+    toneGain.gain.value = 0;
+    tone.connect(toneGain).connect(context.destination);
+    tone.start();
+    
+    const noiseBuffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+    const samples = noiseBuffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.random() * 2 - 1;
+    }
+    const noise = context.createBufferSource();
+    noise.buffer = noiseBuffer;
+    noise.loop = true;
+    const noiseGain = context.createGain();
+    noiseGain.gain.value = 0;
+    noise.connect(noiseGain).connect(context.destination);
+    noise.start();
+    
+    state.audioGraph = { context, sourceGain, toneGain, noiseGain };
+    context.addEventListener('statechange', scheduleAudioRedactions);
+    scheduleAudioRedactions();
+}
+
+// Every upcoming range boundary is scheduled on the audio clock, which keeps
+// running when animation frames stall or the tab is in the background.
+// Playback events that move the playhead, stall it or change its speed
+// reschedule from the current position.
+function scheduleAudioRedactions() {
+    const graph = state.audioGraph;
+    if (!graph) {
+        if (audioRedactionStatus.unavailable && state.audioRedactions.length > 0) {
+            state.video.muted = true;
+        }
+        return;
+    }
+    
+    const now = graph.context.currentTime;
+    const gains = [graph.sourceGain.gain, graph.toneGain.gain, graph.noiseGain.gain];
+    gains.forEach(gain => gain.cancelScheduledValues(now));
+    
+    // A suspended context holds no schedule; stay silent until it runs again
+    if (graph.context.state !== 'running') {
+        gains.forEach(gain => gain.setValueAtTime(0, now));
+        return;
+    }
+    
+    const video = state.video;
+    const time = video.currentTime;
+    setAudioRedactionGains(gains, getAudioRedactionAt(time), now);
+    
+    const rate = video.playbackRate;
+    if (video.paused || video.seeking || video.readyState < video.HAVE_FUTURE_DATA || rate <= 0) return;
+    [...new Set(state.audioRedactions.flatMap(range => [range.start, range.end]))]
+        .filter(t => t > time)
+        .sort((a, b) => a - b)
+        .forEach(boundary => {
+            setAudioRedactionGains(gains, getAudioRedactionAt(boundary), now + (boundary - time) / rate);
+        });
+}
+
+function setAudioRedactionGains([source, tone, noise], range, at) {
+    const effect = range ? range.effect : null;
+    source.setValueAtTime(effect ? 0 : 1, at);
+    tone.setValueAtTime(effect === 'bleep' ? AUDIO_BLEEP_LEVEL : 0, at);
+    noise.setValueAtTime(effect === 'noise' ? AUDIO_NOISE_LEVEL : 0, at);
+}
+
+// Uses the transcript segments touched by the text selection, or the
+// segment currently playing
+function redactTranscriptSelection() {
+    const selection = window.getSelection();
+    const entries = Array.from(document.querySelectorAll('#transcriptEntries .transcript-entry'))
+        .filter(entry => entry.dataset.index !== undefined && !selection.isCollapsed && selection.containsNode(entry, true));
+    
+    let segments = entries.map(entry => state.transcript[entry.dataset.index]);
+    if (segments.length === 0 && state.activeTranscriptIndex >= 0) {
+        segments = [state.transcript[state.activeTranscriptIndex]];
+    }
+    if (segments.length === 0) return;
+    
+    openAudioRedactionModal(
+        Math.min(...segments.map(seg => seg.start)),
+        Math.max(...segments.map(seg => seg.end))
+    );
+}
+
+function openAudioRedactionModal(start, end) {
+    document.getElementById('audioRedactionStartTime').value = formatTime(start);
+    document.getElementById('audioRedactionEndTime').value = formatTime(end);
+    document.getElementById('audioRedactionEffect').value = 'bleep';
+    document.getElementById('audioRedactionReason').value = 'PII';
+    document.getElementById('audioRedactionNote').value = '';
+    
+    document.querySelectorAll('#audioRedactionModal .invalid').forEach(el => el.classList.remove('invalid'));
+    document.getElementById('audioRedactionModal').classList.add('show');
+}
+
+function closeAudioRedactionModal() {
+    document.getElementById('audioRedactionModal').classList.remove('show');
+}
+
+async function saveAudioRedactionFromForm() {
+    const startInput = document.getElementById('audioRedactionStartTime');
+    const endInput = document.getElementById('audioRedactionEndTime');
+    const noteInput = document.getElementById('audioRedactionNote');
+    const start = parseTimeInput(startInput.value);
+    const end = parseTimeInput(endInput.value);
+    const reason = document.getElementById('audioRedactionReason').value;
+    const note = noteInput.value.trim();
+    
+    startInput.classList.toggle('invalid', isNaN(start));
+    endInput.classList.toggle('invalid', isNaN(end) || end <= start);
+    noteInput.classList.toggle('invalid', reason === 'OTHER' && !note);
+    if (isNaN(start) || isNaN(end) || end <= start || (reason === 'OTHER' && !note)) return;
+    
+    const range = {
+        id: 'audio-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        evidenceId: state.evidenceId,
+        start,
+        end,
+        effect: document.getElementById('audioRedactionEffect').value,
+        reason,
+        note,
+        author: state.currentUser,
+        createdAt: new Date().toISOString()
+    };
+    
+    state.audioRedactions = state.audioRedactions.concat(range).sort((a, b) => a.start - b.start);
+    renderAudioRedactionList();
+    scheduleAudioRedactions();
+    closeAudioRedactionModal();
+    
+    logAudit('audio.redact', { redactionId: range.id, start, end, effect: range.effect, reason, note });
+    
+    try {
+        await dbPut('audioRedactions', range);
+    } catch (err) {
+        console.error('Could not save audio redaction:', err);
+    }
+}
+
+async function deleteAudioRedaction(id) {
+    const range = state.audioRedactions.find(r => r.id === id);
+    if (!range) return;
+    
+    state.audioRedactions = state.audioRedactions.filter(r => r.id !== id);
+    renderAudioRedactionList();
+    scheduleAudioRedactions();
+    logAudit('audio.unredact', { redactionId: id, start: range.start, end: range.end, reason: range.reason });
+    
+    try {
+        await dbDelete('audioRedactions', id);
+    } catch (err) {
+        console.error('Could not delete audio redaction:', err);
+    }
+}
+
+function renderAudioRedactionList() {
+    renderAudioRedactionTimeline();
+    document.getElementById('audioRedactionUnavailable').style.display =
+        audioRedactionStatus.unavailable && state.audioRedactions.length > 0 ? 'block' : 'none';
+    
+    const list = document.getElementById('audioRedactionItems');
+    list.innerHTML = '';
+    
+    if (state.audioRedactions.length === 0) {
+        list.innerHTML = '<div class="markers-empty">No audio redactions yet. Select a timeline range (Shift+drag or I/O) or transcript lines.</div>';
+        return;
+    }
+    
+    state.audioRedactions.forEach(range => {
+        const item = document.createElement('div');
+        item.className = 'marker-item audio-redaction-item';
+        item.dataset.audioRedactionId = range.id;
+        item.innerHTML = `
+            <div class="marker-time">${formatTime(range.start)} - ${formatTime(range.end)}</div>
+            <div class="marker-title"></div>
+            <div class="marker-meta"></div>
+            <div class="marker-actions">
+                <button class="marker-action-btn" data-action="jump">Jump to</button>
+                <button class="marker-action-btn" data-action="delete">Delete</button>
+            </div>
+        `;
+        item.querySelector('.marker-title').textContent = `${range.reason} - ${AUDIO_REDACTION_REASONS[range.reason] || range.reason}`;
+        item.querySelector('.marker-meta').textContent =
+            [range.effect, range.note, range.author].filter(Boolean).join(' • ');
+        list.appendChild(item);
+    });
+}
+
+// Spans on the timeline need the duration to be placed
+function renderAudioRedactionTimeline() {
+    const container = document.getElementById('timelineAudioRedactions');
+    const duration = state.video.duration;
+    container.innerHTML = '';
+    if (!duration) return;
+    
+    state.audioRedactions.forEach(range => {
+        const placement = timelineSpan(range.start, Math.min(range.end, duration));
+        if (!placement) return;
+        
+        const span = document.createElement('div');
+        span.className = 'timeline-audio-redaction';
+        span.style.left = placement.left + '%';
+        span.style.width = placement.width + '%';
+        span.title = `${formatTime(range.start)} - ${formatTime(range.end)} • ${range.effect} (${range.reason})`;
+        container.appendChild(span);
+    });
+}
+
+// Exports read the source audio a batch of compressed samples at a time:
+// MP4/MOV AAC tracks are demuxed through their sample table and decoded with
+// WebCodecs, so neither the file nor the decoded range has to fit in memory.
+// Other containers fall back to decoding the whole file, which is only tried
+// up to AUDIO_DECODE_FILE_LIMIT.
+const AUDIO_DECODE_FILE_LIMIT = 512 * 1024 * 1024;
+const AUDIO_DECODE_BATCH_BYTES = 1024 * 1024;
+
+// Resolves to { channels, read(job, onChunk) }, or null when the source has
+// no audio. Throws when it has audio that can't be decoded here, so an export
+// never leaves it out unnoticed. read() awaits onChunk(channels, index) with
+// Float32Arrays at AUDIO_EXPORT_SAMPLE_RATE until the range is covered; index
+// counts samples from range.start.
+async function openSourceAudio(range) {
+    const track = state.sourceAudioTrack;
+    const container = state.containerMetadata;
+    const cannotDecode = (codec, reason) => new Error(
+        `The source audio (${CODEC_NAMES[codec] || codec}) ${reason}; untick "Include audio" to export without it`);
+    
+    if (track) {
+        if (track.codec !== 'mp4a' || !track.description || typeof AudioDecoder === 'undefined') {
+            throw cannotDecode(track.codec, 'cannot be decoded for export in this browser');
+        }
+        const config = {
+            codec: `mp4a.40.${track.description[0] >> 3}`,
+            sampleRate: track.sampleRate,
+            numberOfChannels: track.channels,
+            description: track.description
+        };
+        const support = await AudioDecoder.isConfigSupported(config);
+        if (!support.supported) {
+            throw cannotDecode(track.codec, 'cannot be decoded for export in this browser');
+        }
+        return {
+            channels: Math.min(2, track.channels),
+            read: (job, onChunk) => decodeSourceAudioTrack(track, config, range, job, onChunk)
+        };
+    }
+    
+    if (container) {
+        if (container.audio) {
+            throw cannotDecode(container.audio.codec, 'has no readable sample table');
+        }
+        return null;
+    }
+    if (state.videoFile.size > AUDIO_DECODE_FILE_LIMIT) {
+        throw new Error(`Audio can only be read from MP4/MOV sources over ${formatBytes(AUDIO_DECODE_FILE_LIMIT)}; ` +
+            'untick "Include audio" to export without it');
+    }
+    return decodeSourceAudioFile(range);
+}
+
+// Fallback for containers without a sample table: the browser decodes the
+// whole (size-limited) file, resampled for Opus
+async function decodeSourceAudioFile(range) {
+    const sampleRate = AUDIO_EXPORT_SAMPLE_RATE;
+    const context = new OfflineAudioContext(1, 1, sampleRate);
+    let buffer;
+    try {
+        buffer = await context.decodeAudioData(await state.videoFile.arrayBuffer());
+    } catch (err) {
+        console.warn('No decodable audio in source, exporting without audio:', err);
+        return null;
+    }
+    
+    const from = Math.floor(range.start * sampleRate);
+    const to = Math.min(buffer.length, Math.ceil(range.end * sampleRate));
+    if (to <= from) return null;
+    
+    const count = Math.min(2, buffer.numberOfChannels);
+    return {
+        channels: count,
+        async read(job, onChunk) {
+            const step = AUDIO_EXPORT_FRAME_SIZE * 50;
+            for (let i = from; i < to; i += step) {
+                throwIfExportCancelled(job);
+                const channels = [];
+                for (let c = 0; c < count; c++) {
+                    channels.push(buffer.getChannelData(c).slice(i, Math.min(to, i + step)));
+                }
+                await onChunk(channels, i - from);
+            }
+        }
+    };
+}
+
+// Decodes the track's samples over the range, one contiguous batch of the
+// file at a time, and hands the resampled audio on as it comes out
+async function decodeSourceAudioTrack(track, config, range, job, onChunk) {
+    const samples = track.samples;
+    const toSeconds = ticks => ticks / track.timescale;
+    
+    // One sample before the range primes the decoder's overlap
+    let first = samples.findIndex(sample => toSeconds(sample.time + sample.duration) > range.start);
+    if (first < 0) first = samples.length;
+    let last = first;
+    while (last + 1 < samples.length && toSeconds(samples[last + 1].time) < range.end) last++;
+    first = Math.max(0, first - 1);
+    
+    const total = Math.round((range.end - range.start) * AUDIO_EXPORT_SAMPLE_RATE);
+    const resampler = createAudioResampler(range.start, total, Math.min(2, track.channels));
+    const pending = [];
+    let decoderError = null;
+    const decoder = new AudioDecoder({
+        output: (data) => {
+            const chunk = resampler.push(data);
+            data.close();
+            if (chunk) pending.push(chunk);
+        },
+        error: (err) => { decoderError = err; }
+    });
+    decoder.configure(config);
+    
+    const drain = async () => {
+        while (pending.length > 0) {
+            const chunk = pending.shift();
+            await onChunk(chunk.channels, chunk.index);
+        }
+    };
+    
+    try {
+        let i = first;
+        while (i <= last && i < samples.length) {
+            throwIfExportCancelled(job);
+            if (decoderError) throw decoderError;
+            
+            // Samples stored back to back are read together
+            const base = samples[i].offset;
+            let j = i + 1;
+            while (j <= last &&
+                samples[j].offset === samples[j - 1].offset + samples[j - 1].size &&
+                samples[j].offset + samples[j].size - base <= AUDIO_DECODE_BATCH_BYTES) {
+                j++;
+            }
+            const end = samples[j - 1].offset + samples[j - 1].size;
+            const bytes = new Uint8Array(await state.videoFile.slice(base, end).arrayBuffer());
+            
+            for (let k = i; k < j; k++) {
+                const sample = samples[k];
+                decoder.decode(new EncodedAudioChunk({
+                    type: 'key',
+                    timestamp: Math.round(toSeconds(sample.time) * 1e6),
+                    duration: Math.round(toSeconds(sample.duration) * 1e6),
+                    data: bytes.subarray(sample.offset - base, sample.offset - base + sample.size)
+                }));
+            }
+            i = j;
+            
+            await drain();
+            while (decoder.decodeQueueSize > 16) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                await drain();
+            }
+        }
+        
+        await decoder.flush();
+        if (decoderError) throw decoderError;
+        const tail = resampler.finish();
+        if (tail) pending.push(tail);
+        await drain();
+    } finally {
+        if (decoder.state !== 'closed') {
+            decoder.close();
+        }
+    }
+}
+
+// Linear resampling of decoded AudioData onto the export clock. Chunks are
+// placed by their timestamps, so decoder priming before the range is skipped
+// and gaps come out as silence.
+function createAudioResampler(start, total, channelCount) {
+    const rate = AUDIO_EXPORT_SAMPLE_RATE;
+    let next = 0;           // Next output sample
+    let previous = null;    // Last input frame of the previous chunk, per channel
+    
+    return {
+        push(data) {
+            const length = data.numberOfFrames;
+            if (length === 0) return null;
+            const t0 = data.timestamp / 1e6;
+            const planes = [];
+            for (let c = 0; c < channelCount; c++) {
+                const plane = new Float32Array(length);
+                data.copyTo(plane, { planeIndex: Math.min(c, data.numberOfChannels - 1), format: 'f32-planar' });
+                planes.push(plane);
+            }
+            
+            // Up to the last input frame; the gap after it waits for the next chunk
+            const end = Math.min(total, Math.floor((t0 + (length - 1) / data.sampleRate - start) * rate) + 1);
+            let chunk = null;
+            if (end > next) {
+                const channels = planes.map(() => new Float32Array(end - next));
+                for (let n = next; n < end; n++) {
+                    const position = (start + n / rate - t0) * data.sampleRate;
+                    const i = Math.floor(position);
+                    const fraction = position - i;
+                    if (i < -1) continue;
+                    
+                    planes.forEach((plane, c) => {
+                        const a = i >= 0 ? plane[Math.min(i, length - 1)] : (previous ? previous[c] : 0);
+                        const b = plane[Math.min(i + 1, length - 1)];
+                        channels[c][n - next] = a + (b - a) * fraction;
+                    });
+                }
+                chunk = { channels, index: next };
+                next = end;
+            }
+            previous = planes.map(plane => plane[length - 1]);
+            return chunk;
+        },
+        
+        // Silence for whatever the decoded audio didn't reach
+        finish() {
+            if (next >= total) return null;
+            const chunk = { channels: Array.from({ length: channelCount }, () => new Float32Array(total - next)), index: next };
+            next = total;
+            return chunk;
+        }
+    };
+}
+
+// Writes every overlapping range into the samples, which start at offset seconds
+function applyAudioRedactions(channels, sampleRate, offset) {
+    const length = channels[0].length;
+    
+    state.audioRedactions.forEach(range => {
+        const i0 = Math.max(0, Math.floor((range.start - offset) * sampleRate));
+        const i1 = Math.min(length, Math.ceil((range.end - offset) * sampleRate));
+        if (i1 <= i0) return;
+        
+        for (let i = i0; i < i1; i++) {
+            let value = 0;
+            if (range.effect === 'bleep') {
+                value = AUDIO_BLEEP_LEVEL * Math.sin(2 * Math.PI * AUDIO_BLEEP_FREQUENCY * (offset + i / sampleRate));
+            } else if (range.effect === 'noise') {
+                value = AUDIO_NOISE_LEVEL * (Math.random() * 2 - 1);
+            }
+            channels.forEach(samples => { samples[i] = value; });
+        }
+    });
+}
+
+// ===================================
+// Flat View Recipes
+// ===================================
+
+// A recipe is a named time range plus pan/tilt/FOV keyframes (media time).
+// 'fixed' holds its first keyframe, 'keyframes' interpolates linearly and
+// 'path' runs a smooth spline through the same keyframes. Nothing tracks a
+// subject automatically; a moving subject is followed by keying it by hand.
+const RECIPE_VIEW_TYPES = {
+    fixed: 'Fixed view',
+    path: 'Keyframed path',
+    keyframes: 'Custom keyframes'
+};
+
+function setupRecipes() {
+    // Default recipe: fixed forward view over the whole recording
+    state.recipes.push(createRecipe({
+        name: 'Front-facing perspective',
+        start: 0,
+        end: null,
+        viewType: 'fixed',
+        keyframes: [{ time: 0, pan: 0, tilt: 0, zoom: 90 }]
+    }));
+    
+    document.getElementById('useCurrentViewBtn').addEventListener('click', captureRecipeKeyframe);
+    document.getElementById('confirmRecipe').addEventListener('click', saveRecipeFromForm);
+    document.getElementById('recipeViewType').addEventListener('change', renderRecipeDraftKeyframes);
+    
+    // Recipe list actions (items are re-rendered, so delegate)
+    document.getElementById('recipeList').addEventListener('click', (e) => {
+        const btn = e.target.closest('.recipe-action-btn');
+        if (!btn) return;
+        
+        const id = btn.closest('.recipe-item').dataset.recipeId;
+        switch (btn.dataset.action) {
+            case 'preview':
+                previewRecipe(id);
+                break;
+            case 'export':
+                openExportModal({ format: 'flatview', recipeId: id });
+                break;
+            case 'delete':
+                deleteRecipe(id);
+                break;
+        }
+    });
+    
+    renderRecipeList();
+}
+
+function createRecipe({ name, start, end, viewType, keyframes }) {
+    return {
+        id: 'recipe-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name,
+        start,
+        end,  // null = until the end of the video
+        viewType,
+        keyframes: keyframes.slice().sort((a, b) => a.time - b.time)
+    };
+}
+
+function getRecipe(id) {
+    return state.recipes.find(recipe => recipe.id === id) || null;
+}
+
+function getActiveRecipe() {
+    return getRecipe(state.activeRecipeId) || state.recipes[0] || null;
+}
+
+function getRecipeEnd(recipe) {
+    if (recipe.end !== null) return recipe.end;
+    return state.video && state.video.duration ? state.video.duration : recipe.start;
+}
+
+// Shortest signed difference between two angles in degrees
+function shortestAngle(from, to) {
+    return ((((to - from) % 360) + 540) % 360) - 180;
+}
+
+function catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return 0.5 * (
+        2 * p1 +
+        (-p0 + p2) * t +
+        (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+        (-p0 + 3 * p1 - 3 * p2 + p3) * t3
+    );
+}
+
+// Interpolated pan/tilt/zoom for a recipe at a media time
+function getRecipeViewAtTime(recipe, time) {
+    const keyframes = recipe.keyframes;
+    const first = keyframes[0];
+    const last = keyframes[keyframes.length - 1];
+    
+    if (recipe.viewType === 'fixed' || keyframes.length === 1 || time <= first.time) {
+        return { pan: first.pan, tilt: first.tilt, zoom: first.zoom };
+    }
+    if (time >= last.time) {
+        return { pan: last.pan, tilt: last.tilt, zoom: last.zoom };
+    }
+    
+    // Unwrap pan so interpolation always takes the short way around
+    const pans = [first.pan];
+    for (let i = 1; i < keyframes.length; i++) {
+        pans.push(pans[i - 1] + shortestAngle(keyframes[i - 1].pan, keyframes[i].pan));
+    }
+    
+    let i = 0;
+    while (i < keyframes.length - 2 && time >= keyframes[i + 1].time) i++;
+    
+    const a = keyframes[i];
+    const b = keyframes[i + 1];
+    const t = (time - a.time) / (b.time - a.time);
+    
+    let pan, tilt, zoom;
+    if (recipe.viewType === 'path') {
+        const prev = Math.max(0, i - 1);
+        const next = Math.min(keyframes.length - 1, i + 2);
+        pan = catmullRom(pans[prev], pans[i], pans[i + 1], pans[next], t);
+        tilt = catmullRom(keyframes[prev].tilt, a.tilt, b.tilt, keyframes[next].tilt, t);
+        zoom = catmullRom(keyframes[prev].zoom, a.zoom, b.zoom, keyframes[next].zoom, t);
+    } else {
+        pan = pans[i] + (pans[i + 1] - pans[i]) * t;
+        tilt = a.tilt + (b.tilt - a.tilt) * t;
+        zoom = a.zoom + (b.zoom - a.zoom) * t;
+    }
+    
+    return {
+        pan: ((pan + 540) % 360) - 180,
+        tilt: Math.max(-90, Math.min(90, tilt)),
+        zoom: Math.max(20, Math.min(120, zoom))
+    };
+}
+
+// Called from animate() while in flat view
+function updateRecipePlayback() {
+    const recipe = getActiveRecipe();
+    if (!recipe) return;
+    
+    let time = recipe.start;
+    if (state.video.src && state.video.duration) {
+        // Keep playback looping inside the recipe's time range
+        const end = getRecipeEnd(recipe);
+        if (state.video.currentTime < recipe.start || state.video.currentTime >= end) {
+            state.video.currentTime = recipe.start;
+        }
+        time = state.video.currentTime;
+    }
+    
+    const view = getRecipeViewAtTime(recipe, time);
+    const changed = view.pan !== state.pan || view.tilt !== state.tilt || view.zoom !== state.zoom;
+    state.pan = view.pan;
+    state.tilt = view.tilt;
+    state.zoom = view.zoom;
+    
+    if (changed) {
+        updatePTZDisplay();
+    }
+}
+
+function activateRecipeView() {
+    const recipe = getActiveRecipe();
+    const label = document.getElementById('recipeOverlayLabel');
+    
+    if (!recipe) {
+        setFrontView();
+        return;
+    }
+    
+    state.activeRecipeId = recipe.id;
+    label.textContent = `Recipe: ${recipe.name}`;
+    label.style.display = 'block';
+    updateRecipePlayback();
+    
+    console.log('Flat view recipe active:', recipe.name);
+}
+
+function previewRecipe(id) {
+    const recipe = getRecipe(id);
+    if (!recipe) return;
+    
+    state.activeRecipeId = id;
+    
+    const select = document.getElementById('viewControlSelect');
+    select.value = 'flatview';
+    handleViewChange({ target: select });
+    
+    if (state.video.src) {
+        state.video.currentTime = recipe.start;
+    }
+}
+
+function deleteRecipe(id) {
+    state.recipes = state.recipes.filter(recipe => recipe.id !== id);
+    
+    if (state.activeRecipeId === id) {
+        state.activeRecipeId = null;
+        if (state.currentView === 'flatview') {
+            activateRecipeView();
+        }
+    }
+    renderRecipeList();
+}
+
+function renderRecipeList() {
+    const list = document.getElementById('recipeList');
+    list.innerHTML = '';
+    
+    state.recipes.forEach(recipe => {
+        const details = [
+            `${formatTime(recipe.start)} - ${formatTime(getRecipeEnd(recipe))}`,
+            RECIPE_VIEW_TYPES[recipe.viewType]
+        ];
+        if (recipe.viewType !== 'fixed') {
+            details.push(`${recipe.keyframes.length} keyframes`);
+        }
+        
+        const item = document.createElement('div');
+        item.className = 'recipe-item';
+        item.dataset.recipeId = recipe.id;
+        item.innerHTML = `
+            <div class="recipe-name"></div>
+            <div class="recipe-details">${details.join(' • ')}</div>
+            <div class="recipe-actions">
+                <button class="recipe-action-btn" data-action="preview">Preview</button>
+                <button class="recipe-action-btn" data-action="export">Export</button>
+                <button class="recipe-action-btn" data-action="delete">Delete</button>
+            </div>
+        `;
+        item.querySelector('.recipe-name').textContent = recipe.name;
+        list.appendChild(item);
+    });
+}
+
+function resetRecipeForm() {
+    document.getElementById('recipeName').value = '';
+    const range = getSelectedRange() || { start: 0, end: state.video.duration };
+    document.getElementById('recipeStartTime').value = formatTime(range.start);
+    document.getElementById('recipeEndTime').value = state.video.src ? formatTime(range.end) : '0:00.000';
+    document.getElementById('recipeViewType').value = 'fixed';
+    document.getElementById('recipePan').value = 0;
+    document.getElementById('recipeTilt').value = 0;
+    document.getElementById('recipeFov').value = 90;
+    
+    document.querySelectorAll('#createRecipeModal .invalid').forEach(el => el.classList.remove('invalid'));
+    state.recipeDraftKeyframes = [];
+    renderRecipeDraftKeyframes();
+}
+
+// "Use Current View": copy the live camera into the form and, for moving
+// recipes, record it as a keyframe at the current media time
+function captureRecipeKeyframe() {
+    const keyframe = {
+        time: state.video.src ? state.video.currentTime : 0,
+        pan: Math.round(state.pan),
+        tilt: Math.round(state.tilt),
+        zoom: Math.round(state.zoom)
+    };
+    
+    document.getElementById('recipePan').value = keyframe.pan;
+    document.getElementById('recipeTilt').value = keyframe.tilt;
+    document.getElementById('recipeFov').value = keyframe.zoom;
+    
+    if (document.getElementById('recipeViewType').value !== 'fixed') {
+        // Replace any keyframe already at this time
+        state.recipeDraftKeyframes = state.recipeDraftKeyframes
+            .filter(kf => Math.abs(kf.time - keyframe.time) > 0.001)
+            .concat(keyframe)
+            .sort((a, b) => a.time - b.time);
+    }
+    renderRecipeDraftKeyframes();
+}
+
+function renderRecipeDraftKeyframes() {
+    const group = document.getElementById('recipeKeyframesGroup');
+    const list = document.getElementById('recipeKeyframeList');
+    const isFixed = document.getElementById('recipeViewType').value === 'fixed';
+    
+    group.style.display = isFixed ? 'none' : 'block';
+    list.innerHTML = '';
+    
+    if (state.recipeDraftKeyframes.length === 0) {
+        list.innerHTML = '<div class="keyframe-empty">Seek to a moment, aim the camera and click "Use Current View"</div>';
+        return;
+    }
+    
+    state.recipeDraftKeyframes.forEach((kf, index) => {
+        const row = document.createElement('div');
+        row.className = 'keyframe-item';
+        row.innerHTML = `
+            <span class="keyframe-time">${formatTime(kf.time)}</span>
+            <span class="keyframe-view">Pan ${kf.pan}° • Tilt ${kf.tilt}° • FOV ${kf.zoom}°</span>
+            <button class="keyframe-remove" title="Remove keyframe">&times;</button>
+        `;
+        row.querySelector('.keyframe-remove').addEventListener('click', () => {
+            state.recipeDraftKeyframes.splice(index, 1);
+            renderRecipeDraftKeyframes();
+        });
+        list.appendChild(row);
+    });
+}
+
+function saveRecipeFromForm() {
+    const startInput = document.getElementById('recipeStartTime');
+    const endInput = document.getElementById('recipeEndTime');
+    const start = parseTimeInput(startInput.value);
+    const end = parseTimeInput(endInput.value);
+    
+    startInput.classList.toggle('invalid', isNaN(start));
+    endInput.classList.toggle('invalid', isNaN(end) || end <= start);
+    if (isNaN(start) || isNaN(end) || end <= start) return;
+    
+    const viewType = document.getElementById('recipeViewType').value;
+    const initial = {
+        time: start,
+        pan: parseFloat(document.getElementById('recipePan').value) || 0,
+        tilt: Math.max(-90, Math.min(90, parseFloat(document.getElementById('recipeTilt').value) || 0)),
+        zoom: Math.max(20, Math.min(120, parseFloat(document.getElementById('recipeFov').value) || 90))
+    };
+    
+    let keyframes = [initial];
+    if (viewType !== 'fixed') {
+        const captured = state.recipeDraftKeyframes.filter(kf => kf.time >= start && kf.time <= end);
+        // A keyframe captured exactly at the start replaces the initial direction
+        keyframes = captured.some(kf => kf.time === start) ? captured : [initial].concat(captured);
+    }
+    
+    const recipe = createRecipe({
+        name: document.getElementById('recipeName').value.trim() || `Recipe ${state.recipes.length + 1}`,
+        start,
+        end,
+        viewType,
+        keyframes
+    });
+    state.recipes.push(recipe);
+    renderRecipeList();
+    
+    document.getElementById('createRecipeModal').classList.remove('show');
+    console.log('Recipe created:', recipe);
+}
+
+// ===================================
+// View Paths
+// ===================================
+
+// Path: { id, evidenceId, name, author, createdAt, samples }. Samples are
+// { at, t, pan, tilt, zoom } in recording order: at is ms since recording
+// started and t the media time, so a replay repeats the session as it
+// happened, pauses and seeks included.
+
+const VIEW_PATH_SAMPLE_INTERVAL = 100;  // ms
+const VIEW_PATH_TRAIL_DURATION = 10000; // ms of look direction shown on the compass
+const VIEW_PATH_RECIPE_TOLERANCE = 2;   // Degrees a recipe may deviate from the path
+
+function setupViewPaths() {
+    document.getElementById('recordPathBtn').addEventListener('click', toggleViewPathRecording);
+    
+    document.getElementById('viewPathList').addEventListener('click', (e) => {
+        const btn = e.target.closest('.recipe-action-btn');
+        if (!btn) return;
+        
+        const path = state.viewPaths.find(p => p.id === btn.closest('.recipe-item').dataset.pathId);
+        if (!path) return;
+        switch (btn.dataset.action) {
+            case 'replay':
+                if (state.pathReplay && state.pathReplay.path.id === path.id) {
+                    stopViewPathReplay();
+                } else {
+                    startViewPathReplay(path);
+                }
+                break;
+            case 'recipe':
+                convertViewPathToRecipe(path);
+                break;
+            case 'export':
+                exportViewPath(path);
+                break;
+            case 'delete':
+                deleteViewPath(path);
+                break;
+        }
+    });
+    
+    loadViewPaths();
+}
+
+async function loadViewPaths() {
+    try {
+        const paths = await dbGetAllForEvidence('viewPaths', state.evidenceId);
+        state.viewPaths = paths.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    } catch (err) {
+        console.error('Could not load view paths:', err);
+    }
+    renderViewPathList();
+}
+
+function toggleViewPathRecording() {
+    if (state.pathRecording) {
+        stopViewPathRecording();
+    } else if (state.video.src) {
+        if (state.pathReplay) stopViewPathReplay();
+        state.pathRecording = { startedAt: performance.now(), samples: [] };
+        updateViewPathIndicators();
+    }
+}
+
+// Called every frame while recording. Skips frames where neither the
+// playhead nor the view moved; force takes a sample regardless of spacing.
+function updateViewPathRecording(force = false) {
+    const recording = state.pathRecording;
+    if (!recording) return;
+    
+    const at = performance.now() - recording.startedAt;
+    const samples = recording.samples;
+    const last = samples[samples.length - 1];
+    if (last && !force && at - last.at < VIEW_PATH_SAMPLE_INTERVAL) return;
+    
+    const sample = {
+        at: Math.round(at),
+        t: Math.round(state.video.currentTime * 1000) / 1000,
+        pan: Math.round(normalizeAngle(state.pan) * 10) / 10,
+        tilt: Math.round(state.tilt * 10) / 10,
+        zoom: Math.round(state.zoom * 10) / 10
+    };
+    if (last && last.t === sample.t && last.pan === sample.pan && last.tilt === sample.tilt && last.zoom === sample.zoom) {
+        return;
+    }
+    samples.push(sample);
+}
+
+async function stopViewPathRecording() {
+    const recording = state.pathRecording;
+    if (!recording) return;
+    
+    // Close the path at the moment recording stopped
+    updateViewPathRecording(true);
+    state.pathRecording = null;
+    updateViewPathIndicators();
+    if (recording.samples.length < 2) return;
+    
+    const nameInput = document.getElementById('viewPathName');
+    const path = {
+        id: 'path-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        evidenceId: state.evidenceId,
+        name: nameInput.value.trim() || `${state.currentUser} review ${state.viewPaths.length + 1}`,
+        author: state.currentUser,
+        createdAt: new Date().toISOString(),
+        samples: recording.samples
+    };
+    nameInput.value = '';
+    
+    state.viewPaths = state.viewPaths.concat(path);
+    renderViewPathList();
+    
+    const duration = path.samples[path.samples.length - 1].at / 1000;
+    logAudit('viewpath.record', { pathId: path.id, name: path.name, samples: path.samples.length, duration });
+    
+    try {
+        await dbPut('viewPaths', path);
+    } catch (err) {
+        console.error('Could not save view path:', err);
+    }
+}
+
+function startViewPathReplay(path) {
+    if (!state.video.src || path.samples.length < 2) return;
+    if (state.pathRecording) stopViewPathRecording();
+    
+    // Replays need a free camera
+    if (state.viewLocked || state.currentView === 'flatview') {
+        const select = document.getElementById('viewControlSelect');
+        select.value = 'stitched';
+        handleViewChange({ target: select });
+    }
+    
+    resetShuttle();
+    state.pathReplay = { path, startedAt: performance.now(), index: 0 };
+    state.video.currentTime = path.samples[0].t;
+    updateViewPathIndicators();
+    renderViewPathList();
+    
+    logAudit('viewpath.replay', { pathId: path.id, name: path.name });
+}
+
+function stopViewPathReplay() {
+    if (!state.pathReplay) return;
+    
+    state.pathReplay = null;
+    state.video.pause();
+    state.isPlaying = false;
+    resetShuttle();
+    updatePlayPauseButton();
+    updateViewPathIndicators();
+    renderViewPathList();
+}
+
+// Called every frame while replaying. The view is interpolated between
+// samples; the playhead plays when the recording played (at its rate) and
+// is corrected by seeking when it drifts.
+function updateViewPathReplay() {
+    const replay = state.pathReplay;
+    if (!replay) return;
+    
+    const samples = replay.path.samples;
+    const at = performance.now() - replay.startedAt;
+    if (at >= samples[samples.length - 1].at) {
+        stopViewPathReplay();
+        return;
+    }
+    
+    while (replay.index < samples.length - 2 && samples[replay.index + 1].at <= at) {
+        replay.index++;
+    }
+    const a = samples[replay.index];
+    const b = samples[replay.index + 1];
+    const f = (at - a.at) / (b.at - a.at);
+    
+    state.pan = normalizeAngle(a.pan + shortestAngle(a.pan, b.pan) * f);
+    state.tilt = a.tilt + (b.tilt - a.tilt) * f;
+    state.zoom = clampZoom(a.zoom + (b.zoom - a.zoom) * f);
+    updatePTZDisplay();
+    
+    const rate = (b.t - a.t) / ((b.at - a.at) / 1000);
+    const playing = rate > 0.1 && rate < 16;
+    if (playing) {
+        state.video.playbackRate = Math.max(0.25, Math.min(8, Math.round(rate * 4) / 4));
+        if (state.video.paused) state.video.play();
+    } else if (!state.video.paused) {
+        state.video.pause();
+    }
+    if (state.isPlaying !== playing) {
+        state.isPlaying = playing;
+        updatePlayPauseButton();
+    }
+    
+    const t = playing ? a.t + (b.t - a.t) * f : b.t;
+    if (Math.abs(state.video.currentTime - t) > 0.25) {
+        state.video.currentTime = t;
+    }
+}
+
+// Compass trail of the last few seconds of look direction being recorded or
+// replayed. Tilt moves the trail inwards (up) or outwards (down).
+function updateViewPathTrail() {
+    const trail = document.getElementById('viewPathTrail');
+    if (!trail) return;
+    
+    let samples = [];
+    if (state.pathRecording) {
+        const at = performance.now() - state.pathRecording.startedAt;
+        samples = state.pathRecording.samples.filter(s => s.at >= at - VIEW_PATH_TRAIL_DURATION);
+    } else if (state.pathReplay) {
+        const at = performance.now() - state.pathReplay.startedAt;
+        samples = state.pathReplay.path.samples.filter(s => s.at >= at - VIEW_PATH_TRAIL_DURATION && s.at <= at);
+    }
+    
+    if (samples.length < 2) {
+        trail.setAttribute('points', '');
+        return;
+    }
+    
+    // Same orientation as the direction arrow: pan rotates clockwise from the bottom
+    trail.setAttribute('points', samples.map(sample => {
+        const angle = THREE.MathUtils.degToRad(-sample.pan + 180);
+        const radius = 27 - sample.tilt * 0.2;
+        return `${(50 + radius * Math.sin(angle)).toFixed(1)},${(50 - radius * Math.cos(angle)).toFixed(1)}`;
+    }).join(' '));
+}
+
+function updateViewPathIndicators() {
+    const recording = state.pathRecording !== null;
+    const btn = document.getElementById('recordPathBtn');
+    btn.classList.toggle('recording', recording);
+    btn.textContent = recording ? '■ Stop Recording' : '● Record View Path';
+    
+    const indicator = document.getElementById('viewPathIndicator');
+    indicator.style.display = recording || state.pathReplay ? 'block' : 'none';
+    indicator.classList.toggle('recording', recording);
+    indicator.textContent = recording ? '● REC view path' : state.pathReplay ? `▶ Replaying: ${state.pathReplay.path.name}` : '';
+}
+
+// Media-time view of a path: where the same moment was viewed more than
+// once, the latest look wins
+function getViewPathTimeline(path) {
+    const byTime = new Map();
+    path.samples.forEach(sample => byTime.set(Math.round(sample.t * 10), sample));
+    return Array.from(byTime.values()).sort((a, b) => a.t - b.t);
+}
+
+// Keeps only the samples a linear recipe needs to stay within
+// VIEW_PATH_RECIPE_TOLERANCE of the path (Douglas-Peucker over time)
+function simplifyViewPath(points) {
+    if (points.length <= 2) return points;
+    
+    const first = points[0];
+    const last = points[points.length - 1];
+    let worst = 0;
+    let worstIndex = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const f = (points[i].t - first.t) / (last.t - first.t || 1);
+        const error = Math.max(
+            Math.abs(first.pan + (last.pan - first.pan) * f - points[i].pan),
+            Math.abs(first.tilt + (last.tilt - first.tilt) * f - points[i].tilt),
+            Math.abs(first.zoom + (last.zoom - first.zoom) * f - points[i].zoom)
+        );
+        if (error > worst) {
+            worst = error;
+            worstIndex = i;
+        }
+    }
+    
+    if (worst <= VIEW_PATH_RECIPE_TOLERANCE) return [first, last];
+    return simplifyViewPath(points.slice(0, worstIndex + 1)).slice(0, -1)
+        .concat(simplifyViewPath(points.slice(worstIndex)));
+}
+
+function convertViewPathToRecipe(path) {
+    const timeline = getViewPathTimeline(path);
+    if (timeline.length < 2) return;
+    
+    // Unwrap pan so the simplification and recipe interpolation don't cross ±180°
+    const points = [];
+    timeline.forEach((sample, i) => {
+        const pan = i === 0 ? sample.pan : points[i - 1].pan + shortestAngle(timeline[i - 1].pan, sample.pan);
+        points.push({ t: sample.t, pan, tilt: sample.tilt, zoom: sample.zoom });
+    });
+    
+    const keyframes = simplifyViewPath(points).map(point => ({
+        time: point.t,
+        pan: Math.round(normalizeAngle(point.pan)),
+        tilt: Math.round(point.tilt),
+        zoom: Math.round(point.zoom)
+    }));
+    
+    const recipe = createRecipe({
+        name: path.name,
+        start: keyframes[0].time,
+        end: keyframes[keyframes.length - 1].time,
+        viewType: 'keyframes',
+        keyframes
+    });
+    state.recipes.push(recipe);
+    renderRecipeList();
+    console.log('Recipe created from view path:', recipe);
+}
+
+function exportViewPath(path) {
+    if (!canDownload()) return;
+    const data = {
+        evidenceId: state.evidenceId,
+        sourceSha256: state.sourceHash,
+        exportedAt: new Date().toISOString(),
+        exportedBy: state.currentUser,
+        frontLensOffset: state.frontLensOffset,
+        path
+    };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${state.evidenceId}_path_${slugify(path.name)}.json`);
+}
+
+async function deleteViewPath(path) {
+    if (state.pathReplay && state.pathReplay.path.id === path.id) {
+        stopViewPathReplay();
+    }
+    state.viewPaths = state.viewPaths.filter(p => p.id !== path.id);
+    renderViewPathList();
+    logAudit('viewpath.delete', { pathId: path.id, name: path.name });
+    
+    try {
+        await dbDelete('viewPaths', path.id);
+    } catch (err) {
+        console.error('Could not delete view path:', err);
+    }
+}
+
+function renderViewPathList() {
+    const list = document.getElementById('viewPathList');
+    list.innerHTML = '';
+    
+    if (state.viewPaths.length === 0) {
+        list.innerHTML = '<div class="markers-empty">No view paths yet. Record one while reviewing (Shift+R).</div>';
+        return;
+    }
+    
+    state.viewPaths.forEach(path => {
+        const samples = path.samples;
+        const replaying = state.pathReplay && state.pathReplay.path.id === path.id;
+        const times = samples.map(sample => sample.t);
+        const details = [
+            `${formatTime(Math.min(...times))} - ${formatTime(Math.max(...times))}`,
+            `${formatTime(samples[samples.length - 1].at / 1000)} session`,
+            path.author
+        ];
+        
+        const item = document.createElement('div');
+        item.className = 'recipe-item view-path-item';
+        item.dataset.pathId = path.id;
+        item.innerHTML = `
+            <div class="recipe-name"></div>
+            <div class="recipe-details"></div>
+            <div class="recipe-actions">
+                <button class="recipe-action-btn" data-action="replay">${replaying ? 'Stop' : 'Replay'}</button>
+                <button class="recipe-action-btn" data-action="recipe">To Recipe</button>
+                ${canDownload() ? '<button class="recipe-action-btn" data-action="export">Export JSON</button>' : ''}
+                <button class="recipe-action-btn" data-action="delete">Delete</button>
+            </div>
+        `;
+        item.querySelector('.recipe-name').textContent = path.name;
+        item.querySelector('.recipe-details').textContent = details.join(' • ');
+        list.appendChild(item);
+    });
+}
+
+// ===================================
+// Review Coverage
+// ===================================
+
+// Record: { id, evidenceId, user, updatedAt, seconds, buckets } per reviewer.
+// buckets maps a media-time bucket (COVERAGE_BUCKET seconds) to
+// { cellIndex: seconds looked at }. Cells are COVERAGE_CELL_SIZE degree
+// squares of the sphere in sphere space, row 0 at the nadir and column 0 at
+// yaw -180, so the grid doubles as the equirectangular heatmap texture.
+
+const COVERAGE_CELL_SIZE = 15;        // Degrees
+const COVERAGE_COLUMNS = 360 / COVERAGE_CELL_SIZE;
+const COVERAGE_ROWS = 180 / COVERAGE_CELL_SIZE;
+const COVERAGE_BUCKET = 1;            // Seconds of media time per bucket
+const COVERAGE_MIN_DWELL = 0.2;       // Seconds a cell must be in view to count as reviewed
+const COVERAGE_MAX_STEP = 0.1;        // Longest frame gap credited (tab switches, stalls)
+const COVERAGE_MOMENT = 2;            // Seconds either side of the playhead shown by the overlay
+const COVERAGE_EVENT_WINDOW = 5;      // Seconds either side of a marker that make up the event
+const COVERAGE_EVENT_TARGET = 0.9;    // Events reviewed below this fraction are flagged
+const COVERAGE_SAVE_INTERVAL = 5000;  // ms between saves while reviewing
+const COVERAGE_REFRESH_INTERVAL = 1000; // ms between overlay/band redraws
+
+const coverageStatus = {
+    cells: null,          // Cell centres and area weights, built on first use
+    lastSample: 0,        // performance.now() of the previous animate() sample
+    lastSave: 0,
+    lastRefresh: 0,
+    unsaved: false,       // Samples not yet written to IndexedDB
+    changed: false,       // Samples not yet shown in the band and flags
+    bucketFractions: null // Map bucket -> reviewed fraction for the band, per scope
+};
+
+function setupCoverage() {
+    document.getElementById('coverageOverlayToggle').addEventListener('change', (e) => {
+        setCoverageOverlay(e.target.checked);
+    });
+    
+    document.getElementById('coverageScope').addEventListener('change', (e) => {
+        state.coverageScope = e.target.value;
+        refreshCoverageViews();
+    });
+    
+    document.getElementById('coverageEventItems').addEventListener('click', (e) => {
+        const btn = e.target.closest('.marker-action-btn');
+        if (!btn) return;
+        
+        const marker = state.markers.find(m => m.id === btn.closest('.marker-item').dataset.markerId);
+        if (marker) lookAtUnreviewed(marker);
+    });
+    
+    // Keep what was reviewed since the last periodic save
+    window.addEventListener('pagehide', saveCoverage);
+    
+    createCoverageOverlay();
+    loadCoverage();
+}
+
+async function loadCoverage() {
+    try {
+        const records = await dbGetAllForEvidence('coverage', state.evidenceId);
+        state.coverage = {};
+        records.forEach(record => {
+            state.coverage[record.user] = record;
+        });
+    } catch (err) {
+        console.error('Could not load review coverage:', err);
+    }
+    refreshCoverageViews();
+}
+
+function getCoverageCells() {
+    if (!coverageStatus.cells) {
+        coverageStatus.cells = [];
+        for (let row = 0; row < COVERAGE_ROWS; row++) {
+            for (let col = 0; col < COVERAGE_COLUMNS; col++) {
+                const yaw = -180 + (col + 0.5) * COVERAGE_CELL_SIZE;
+                const pitch = -90 + (row + 0.5) * COVERAGE_CELL_SIZE;
+                coverageStatus.cells.push({
+                    yaw,
+                    pitch,
+                    direction: directionFromYawPitch(yaw, pitch),
+                    weight: Math.cos(THREE.MathUtils.degToRad(pitch))  // Share of the sphere's area
+                });
+            }
+        }
+    }
+    return coverageStatus.cells;
+}
+
+function getCoverageRecord(user) {
+    if (!state.coverage[user]) {
+        state.coverage[user] = {
+            id: `${state.evidenceId}:${user}`,
+            evidenceId: state.evidenceId,
+            user,
+            updatedAt: new Date().toISOString(),
+            seconds: 0,
+            buckets: {}
+        };
+    }
+    return state.coverage[user];
+}
+
+// Called every frame. Credits the frame's duration to each cell whose centre
+// is within the view, paused or playing: looking around a still frame is
+// reviewing it. The raw view and projection views show the whole sphere at
+// once, too small to count.
+function updateCoverage() {
+    const now = performance.now();
+    const dt = Math.min((now - coverageStatus.lastSample) / 1000, COVERAGE_MAX_STEP);
+    coverageStatus.lastSample = now;
+    
+    const video = state.video;
+    const reviewing = video.src && video.readyState >= video.HAVE_CURRENT_DATA &&
+        !state.isExporting && !document.hidden && state.currentView !== 'rawview' && !isProjectionView();
+    if (reviewing && dt > 0) {
+        const record = getCoverageRecord(state.currentUser);
+        const bucket = Math.floor(video.currentTime / COVERAGE_BUCKET);
+        const cells = record.buckets[bucket] || (record.buckets[bucket] = {});
+        
+        // A circle of the vertical field of view: only what was clearly on screen
+        const look = toSourceDirection(directionFromYawPitch(state.pan + state.frontLensOffset, state.tilt));
+        const limit = Math.cos(THREE.MathUtils.degToRad(state.zoom / 2));
+        getCoverageCells().forEach((cell, index) => {
+            if (cell.direction.dot(look) >= limit) {
+                cells[index] = (cells[index] || 0) + dt;
+            }
+        });
+        record.seconds += dt;
+        record.updatedAt = new Date().toISOString();
+        coverageStatus.unsaved = true;
+        coverageStatus.changed = true;
+    }
+    
+    if (coverageStatus.unsaved && now - coverageStatus.lastSave > COVERAGE_SAVE_INTERVAL) {
+        saveCoverage();
+    }
+    if (now - coverageStatus.lastRefresh > COVERAGE_REFRESH_INTERVAL) {
+        coverageStatus.lastRefresh = now;
+        if (coverageStatus.changed) {
+            refreshCoverageViews();
+        } else {
+            // The moment shown by the overlay follows the playhead
+            updateCoverageOverlay();
+        }
+    }
+}
+
+async function saveCoverage() {
+    coverageStatus.lastSave = performance.now();
+    if (!coverageStatus.unsaved) return;
+    coverageStatus.unsaved = false;
+    
+    const record = state.coverage[state.currentUser];
+    if (!record) return;
+    try {
+        await dbPut('coverage', record);
+    } catch (err) {
+        console.error('Could not save review coverage:', err);
+    }
+}
+
+function getCoverageRecords() {
+    if (state.coverageScope === 'me') {
+        return state.coverage[state.currentUser] ? [state.coverage[state.currentUser]] : [];
+    }
+    return Object.values(state.coverage);
+}
+
+// Seconds each cell was in view between start and end, summed over the scope
+function getCoverageGrid(start, end) {
+    const grid = new Float32Array(COVERAGE_COLUMNS * COVERAGE_ROWS);
+    const first = Math.floor(Math.max(0, start) / COVERAGE_BUCKET);
+    const last = Math.max(first, Math.ceil(end / COVERAGE_BUCKET) - 1);
+    
+    getCoverageRecords().forEach(record => {
+        for (let bucket = first; bucket <= last; bucket++) {
+            const cells = record.buckets[bucket];
+            if (!cells) continue;
+            Object.keys(cells).forEach(index => {
+                grid[index] += cells[index];
+            });
+        }
+    });
+    return grid;
+}
+
+// Area-weighted share of the sphere reviewed in a grid, 0-1
+function getCoveredFraction(grid) {
+    let covered = 0;
+    let total = 0;
+    getCoverageCells().forEach((cell, index) => {
+        total += cell.weight;
+        if (grid[index] >= COVERAGE_MIN_DWELL) covered += cell.weight;
+    });
+    return covered / total;
+}
+
+function getEventCoverage(marker) {
+    return getCoveredFraction(getCoverageGrid(marker.time - COVERAGE_EVENT_WINDOW, marker.time + COVERAGE_EVENT_WINDOW));
+}
+
+function isInMarkedEvent(time) {
+    return state.markers.some(marker => Math.abs(marker.time - time) <= COVERAGE_EVENT_WINDOW);
+}
+
+function refreshCoverageViews() {
+    coverageStatus.changed = false;
+    coverageStatus.bucketFractions = null;
+    updateCoverageOverlay();
+    renderCoverageBand();
+    renderTimelineMarkers();
+    renderCoverageList();
+}
+
+// Heatmap Overlay
+
+// A slightly smaller sphere inside the video sphere, on its own layer so
+// exports (which render with their own camera) and captures leave it out.
+const COVERAGE_OVERLAY_LAYER = 1;
+
+function createCoverageOverlay() {
+    const size = COVERAGE_COLUMNS * COVERAGE_ROWS;
+    const texture = new THREE.DataTexture(new Uint8Array(size * 4), COVERAGE_COLUMNS, COVERAGE_ROWS, THREE.RGBAFormat);
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearFilter;
+    texture.wrapS = THREE.RepeatWrapping;
+    
+    const geometry = new THREE.SphereGeometry(490, 48, 24);
+    geometry.scale(-1, 1, 1);
+    const material = new THREE.ShaderMaterial({
+        uniforms: { coverageMap: { value: texture } },
+        vertexShader: `
+            varying vec3 vDirection;
+            void main() {
+                vDirection = position;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: `
+            #define PI 3.141592653589793
+            uniform sampler2D coverageMap;
+            varying vec3 vDirection;
+            void main() {
+                // Same yaw/pitch convention as yawPitchFromDirection
+                vec3 d = normalize(vDirection);
+                float yaw = atan(-d.x, -d.z);
+                float pitch = asin(clamp(d.y, -1.0, 1.0));
+                gl_FragColor = texture2D(coverageMap, vec2(yaw / (2.0 * PI) + 0.5, pitch / PI + 0.5));
+            }
+        `,
+        transparent: true,
+        depthTest: false,
+        depthWrite: false
+    });
+    
+    state.coverageMesh = new THREE.Mesh(geometry, material);
+    state.coverageMesh.renderOrder = 1;
+    state.coverageMesh.visible = false;
+    state.coverageMesh.layers.set(COVERAGE_OVERLAY_LAYER);
+    state.camera.layers.enable(COVERAGE_OVERLAY_LAYER);
+    state.scene.add(state.coverageMesh);
+}
+
+function setCoverageOverlay(on) {
+    state.coverageOverlay = on;
+    document.getElementById('coverageOverlayToggle').checked = on;
+    state.coverageMesh.visible = on;
+    updateCoverageOverlay();
+}
+
+// Unreviewed cells are red (stronger during a marked event); reviewed cells
+// run blue -> green -> yellow with dwell time.
+function updateCoverageOverlay() {
+    if (!state.coverageOverlay || !state.coverageMesh) return;
+    
+    const time = state.video.currentTime;
+    const grid = getCoverageGrid(time - COVERAGE_MOMENT, time + COVERAGE_MOMENT);
+    const unreviewedAlpha = isInMarkedEvent(time) ? 140 : 80;
+    const peak = Math.max(COVERAGE_MIN_DWELL, ...grid);
+    const ramp = [[59, 130, 246], [74, 222, 128], [252, 211, 77]];
+    
+    const texture = state.coverageMesh.material.uniforms.coverageMap.value;
+    const data = texture.image.data;
+    grid.forEach((seconds, index) => {
+        let color = [248, 113, 113, unreviewedAlpha];
+        if (seconds >= COVERAGE_MIN_DWELL) {
+            const t = Math.min(1, seconds / peak) * (ramp.length - 1);
+            const from = ramp[Math.min(Math.floor(t), ramp.length - 2)];
+            const to = ramp[Math.min(Math.floor(t) + 1, ramp.length - 1)];
+            const f = t - Math.min(Math.floor(t), ramp.length - 2);
+            color = from.map((c, i) => Math.round(c + (to[i] - c) * f)).concat(70);
+        }
+        data.set(color, index * 4);
+    });
+    texture.needsUpdate = true;
+}
+
+// Coverage Band
+
+function getBucketFraction(bucket) {
+    if (!coverageStatus.bucketFractions) coverageStatus.bucketFractions = new Map();
+    const cache = coverageStatus.bucketFractions;
+    if (!cache.has(bucket)) {
+        const start = bucket * COVERAGE_BUCKET;
+        cache.set(bucket, getCoveredFraction(getCoverageGrid(start, start + COVERAGE_BUCKET)));
+    }
+    return cache.get(bucket);
+}
+
+// One pixel column per timeline pixel, red (nothing reviewed) to green
+// (whole sphere), following the zoomed timeline window
+function renderCoverageBand() {
+    const canvas = document.getElementById('timelineCoverage');
+    const duration = state.video.duration;
+    canvas.style.visibility = duration ? 'visible' : 'hidden';
+    if (!duration) return;
+    
+    const width = Math.max(1, canvas.clientWidth);
+    if (canvas.width !== width) canvas.width = width;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(width, 1);
+    const view = getTimelineWindow();
+    const span = view.end - view.start;
+    
+    for (let x = 0; x < width; x++) {
+        const first = Math.floor((view.start + span * x / width) / COVERAGE_BUCKET);
+        const last = Math.max(first, Math.ceil((view.start + span * (x + 1) / width) / COVERAGE_BUCKET) - 1);
+        let sum = 0;
+        for (let bucket = first; bucket <= last; bucket++) {
+            sum += getBucketFraction(bucket);
+        }
+        const fraction = sum / (last - first + 1);
+        image.data.set([
+            Math.round(248 + (74 - 248) * fraction),
+            Math.round(113 + (222 - 113) * fraction),
+            Math.round(113 + (128 - 113) * fraction),
+            255
+        ], x * 4);
+    }
+    ctx.putImageData(image, 0, 0);
+}
+
+// Marked Events
+
+function renderCoverageList() {
+    const summary = Object.values(state.coverage)
+        .filter(record => record.seconds > 0)
+        .sort((a, b) => b.seconds - a.seconds)
+        .map(record => `${record.user}${record.user === state.currentUser ? ' (you)' : ''} ${formatTime(record.seconds)}`);
+    document.getElementById('coverageReviewers').textContent =
+        summary.length ? `Review time: ${summary.join(' • ')}` : 'No review time recorded yet.';
+    
+    const rows = state.markers.map(marker => ({ marker, fraction: getEventCoverage(marker) }));
+    const list = document.getElementById('coverageEventItems');
+    
+    // Rebuilt every refresh while reviewing: only touch the DOM when something changed
+    const signature = rows.map(row => `${row.marker.id}:${Math.round(row.fraction * 100)}`).join(',');
+    if (list.dataset.signature === signature) return;
+    list.dataset.signature = signature;
+    list.innerHTML = '';
+    
+    if (rows.length === 0) {
+        list.innerHTML = '<div class="markers-empty">Add markers to check that each event was reviewed in every direction.</div>';
+        return;
+    }
+    
+    rows.forEach(({ marker, fraction }) => {
+        const flagged = fraction < COVERAGE_EVENT_TARGET;
+        const item = document.createElement('div');
+        item.className = 'marker-item coverage-event' + (flagged ? ' unreviewed' : '');
+        item.dataset.markerId = marker.id;
+        item.innerHTML = `
+            <div class="marker-time">${formatTime(marker.time)}</div>
+            <div class="marker-title"></div>
+            <div class="marker-meta"></div>
+            <div class="marker-actions">
+                ${flagged ? '<button class="marker-action-btn" data-action="look">Look at unreviewed</button>' : ''}
+            </div>
+        `;
+        item.querySelector('.marker-title').textContent = marker.title;
+        item.querySelector('.marker-meta').textContent =
+            `${Math.round(fraction * 100)}% of the sphere reviewed within ±${COVERAGE_EVENT_WINDOW}s` +
+            (flagged ? ' - needs review' : '');
+        list.appendChild(item);
+    });
+}
+
+// Jump to the event and face the middle of its largest unreviewed area: the
+// unreviewed cell farthest from anything reviewed, away from the poles.
+function lookAtUnreviewed(marker) {
+    const grid = getCoverageGrid(marker.time - COVERAGE_EVENT_WINDOW, marker.time + COVERAGE_EVENT_WINDOW);
+    const cells = getCoverageCells();
+    const reviewed = cells.filter((cell, index) => grid[index] >= COVERAGE_MIN_DWELL);
+    
+    let target = null;
+    let best = Infinity;
+    cells.forEach((cell, index) => {
+        if (grid[index] >= COVERAGE_MIN_DWELL || Math.abs(cell.pitch) > 60) return;
+        const nearest = Math.max(-1, ...reviewed.map(other => other.direction.dot(cell.direction)));
+        if (nearest < best) {
+            best = nearest;
+            target = cell;
+        }
+    });
+    if (!target) return;
+    
+    if (state.video.src) {
+        state.video.currentTime = marker.time;
+    }
+    if (state.viewLocked) {
+        const select = document.getElementById('viewControlSelect');
+        select.value = 'stitched';
+        handleViewChange({ target: select });
+    }
+    
+    state.pan = normalizeAngle(target.yaw - state.frontLensOffset);
+    state.tilt = target.pitch;
+    updatePTZDisplay();
+}
+
+// ===================================
+// Storage (IndexedDB)
+// ===================================
+
+// Records carry an evidenceId so each store can be queried per evidence item.
+// Add new stores here and bump DB_VERSION; upgrades create any missing store.
+const DB_NAME = 'edp360';
+const DB_VERSION = 9;
+const DB_STORES = ['markers', 'annotations', 'auditLog', 'redactions', 'audioRedactions', 'viewPaths', 'coverage', 'horizon', 'comments'];
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+    
+    dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            DB_STORES.forEach(name => {
+                if (!db.objectStoreNames.contains(name)) {
+                    const store = db.createObjectStore(name, { keyPath: 'id' });
+                    store.createIndex('evidenceId', 'evidenceId');
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    
+    // Allow a retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+function dbRequest(storeName, mode, operation) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+}
+
+// Nothing is stored until a video has opened its evidence
+function dbGetAllForEvidence(storeName, evidenceId) {
+    if (!evidenceId) return Promise.resolve([]);
+    return dbRequest(storeName, 'readonly', store => store.index('evidenceId').getAll(evidenceId));
+}
+
+function dbPut(storeName, record) {
+    if (!record.evidenceId) return Promise.reject(new Error('Load a video before saving'));
+    return dbRequest(storeName, 'readwrite', store => store.put(record));
+}
+
+// Insert only: fails if the key already exists (used by the append-only audit log)
+function dbAdd(storeName, record) {
+    if (!record.evidenceId) return Promise.reject(new Error('Load a video before saving'));
+    return dbRequest(storeName, 'readwrite', store => store.add(record));
+}
+
+function dbDelete(storeName, id) {
+    return dbRequest(storeName, 'readwrite', store => store.delete(id));
+}
+
+// ===================================
+// Chain of Custody (Audit Log)
+// ===================================
+
+// Append-only log of user actions. Each entry's hash is the SHA-256 of its
+// canonical JSON (sorted keys) without the hash field, and includes the
+// previous entry's hash, so editing or removing any entry breaks the chain:
+//   { id, evidenceId, seq, timestamp, user, action, details, prevHash, hash }
+
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+const AUDIT_ACTION_LABELS = {
+    'video.load': 'Video loaded',
+    'playback.play': 'Playback started',
+    'playback.pause': 'Playback paused',
+    'playback.seek': 'Seeked',
+    'view.change': 'View changed',
+    'view.calibrate': 'Front lens calibrated',
+    'view.level': 'Horizon leveling changed',
+    'horizon.add': 'Horizon marked',
+    'horizon.delete': 'Horizon mark deleted',
+    'transcript.load': 'Transcript loaded',
+    'telemetry.load': 'Telemetry loaded',
+    'multicam.add': 'Camera added',
+    'multicam.promote': 'Camera shown in viewport',
+    'multicam.sync': 'Camera start time adjusted',
+    'redaction.add': 'Redaction added',
+    'redaction.track': 'Redaction tracked',
+    'redaction.delete': 'Redaction deleted',
+    'redaction.preview': 'Unredacted preview',
+    'viewpath.record': 'View path recorded',
+    'viewpath.replay': 'View path replayed',
+    'viewpath.delete': 'View path deleted',
+    'audio.redact': 'Audio redacted',
+    'audio.unredact': 'Audio redaction removed',
+    'marker.add': 'Marker added',
+    'marker.edit': 'Marker edited',
+    'marker.delete': 'Marker deleted',
+    'annotation.add': 'Annotation added',
+    'annotation.delete': 'Annotation deleted',
+    'comment.add': 'Comment thread started',
+    'comment.reply': 'Comment replied to',
+    'comment.edit': 'Comment edited',
+    'comment.resolve': 'Comment thread resolved',
+    'comment.reopen': 'Comment thread reopened',
+    'evidence.manifest': 'Manifest loaded',
+    'evidence.verify': 'Integrity checked',
+    'evidence.share': 'Evidence shared',
+    'session.join': 'Joined review session',
+    'session.present': 'Took over presenting',
+    'session.leave': 'Left review session',
+    'evidence.access': 'Evidence accessed',
+    'evidence.capture': 'Frame captured',
+    'evidence.export': 'Evidence exported'
+};
+
+// Appends run one at a time so each sees the previous hash
+let auditQueue = Promise.resolve();
+
+// Another tab can append to the same chain, so a key clash reloads the
+// chain head from storage and tries again
+const AUDIT_APPEND_ATTEMPTS = 3;
+
+// Entries that could not be written even after retrying
+const auditStatus = {
+    failed: 0,
+    lastError: null
+};
+
+function setupAuditLog() {
+    document.getElementById('verifyCustodyBtn').addEventListener('click', () => {
+        verifyAuditLog().then(renderAuditStatus);
+    });
+    document.getElementById('exportCustodyJsonBtn').addEventListener('click', exportAuditLogJSON);
+    document.getElementById('exportCustodyCsvBtn').addEventListener('click', exportAuditLogCSV);
+    
+    // Seeks come from many places (timeline, markers, keys); log where playback
+    // settles rather than every intermediate position while scrubbing
+    let seekTimer = null;
+    state.video.addEventListener('seeked', () => {
+        if (state.isExporting || state.currentView === 'flatview') return;
+        clearTimeout(seekTimer);
+        seekTimer = setTimeout(() => {
+            logAudit('playback.seek', { time: state.video.currentTime });
+        }, 750);
+    });
+    
+    auditQueue = auditQueue.then(loadAuditLog);
+}
+
+async function loadAuditLog() {
+    try {
+        await reloadAuditChain();
+    } catch (err) {
+        console.error('Could not load audit log:', err);
+    }
+    renderAuditLog();
+    renderAuditStatus(await verifyAuditLog());
+}
+
+async function reloadAuditChain() {
+    const entries = await dbGetAllForEvidence('auditLog', state.evidenceId);
+    state.auditLog = entries.sort((a, b) => a.seq - b.seq);
+}
+
+function logAudit(action, details = {}) {
+    auditQueue = auditQueue
+        .then(() => appendAuditEntry(action, details))
+        .catch(err => {
+            console.error('Could not record audit entry:', action, err);
+            auditStatus.failed++;
+            auditStatus.lastError = `${AUDIT_ACTION_LABELS[action] || action}: ${err.message}`;
+            renderAuditWriteError();
+        });
+    return auditQueue;
+}
+
+async function appendAuditEntry(action, details) {
+    // Custody is kept per evidence; there is none before a video is loaded
+    if (!state.evidenceId) return null;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await writeAuditEntry(action, details);
+        } catch (err) {
+            if (err.name !== 'ConstraintError' || attempt >= AUDIT_APPEND_ATTEMPTS) throw err;
+            await reloadAuditChain();
+        }
+    }
+}
+
+async function writeAuditEntry(action, details) {
+    const previous = state.auditLog[state.auditLog.length - 1];
+    const seq = previous ? previous.seq + 1 : 1;
+    
+    const entry = {
+        id: `${state.evidenceId}#${String(seq).padStart(8, '0')}`,
+        evidenceId: state.evidenceId,
+        seq,
+        timestamp: new Date().toISOString(),
+        user: state.currentUser,
+        action,
+        details: JSON.parse(JSON.stringify(details)),
+        prevHash: previous ? previous.hash : AUDIT_GENESIS_HASH
+    };
+    entry.hash = await hashAuditEntry(entry);
+    
+    await dbAdd('auditLog', entry);
+    state.auditLog.push(entry);
+    renderAuditLog();
+    return entry;
+}
+
+function hashAuditEntry(entry) {
+    const unsigned = Object.assign({}, entry);
+    delete unsigned.hash;
+    return sha256Hex(canonicalJSON(unsigned));
+}
+
+// Walk the chain; returns { ok, count, brokenAt, reason }
+async function verifyAuditLog(entries = state.auditLog) {
+    let prevHash = AUDIT_GENESIS_HASH;
+    
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (entry.seq !== i + 1) {
+            return { ok: false, count: entries.length, brokenAt: entry.seq, reason: 'entry missing before this one' };
+        }
+        if (entry.prevHash !== prevHash) {
+            return { ok: false, count: entries.length, brokenAt: entry.seq, reason: 'previous hash does not match' };
+        }
+        if (await hashAuditEntry(entry) !== entry.hash) {
+            return { ok: false, count: entries.length, brokenAt: entry.seq, reason: 'entry contents were modified' };
+        }
+        prevHash = entry.hash;
+    }
+    
+    return { ok: true, count: entries.length, brokenAt: null, reason: null };
+}
+
+function renderAuditStatus(result) {
+    const status = document.getElementById('custodyChainStatus');
+    status.classList.toggle('ok', result.ok);
+    status.classList.toggle('broken', !result.ok);
+    status.textContent = result.ok
+        ? `✓ ${result.count} entries • hash chain verified`
+        : `✗ Tampering detected at entry #${result.brokenAt}: ${result.reason}`;
+}
+
+function renderAuditWriteError() {
+    const error = document.getElementById('custodyWriteError');
+    error.hidden = auditStatus.failed === 0;
+    error.textContent = `⚠ ${auditStatus.failed} ${auditStatus.failed === 1 ? 'action was' : 'actions were'} not recorded in the chain of custody (last: ${auditStatus.lastError})`;
+}
+
+function describeAuditEntry(entry) {
+    const label = AUDIT_ACTION_LABELS[entry.action] || entry.action;
+    const d = entry.details;
+    
+    switch (entry.action) {
+        case 'video.load':
+            return `${label}: ${d.fileName} (${formatBytes(d.size)})`;
+        case 'playback.play':
+        case 'playback.pause':
+        case 'playback.seek':
+            return `${label} at ${formatTime(d.time)}`;
+        case 'view.change':
+            return `${label} to ${d.view}`;
+        case 'view.calibrate':
+            return `${label} (offset ${Math.round(d.frontLensOffset)}°)`;
+        case 'view.level':
+            return `${label}: leveling ${d.leveling ? 'on' : 'off'}, stabilization ${d.stabilization ? 'on' : 'off'}`;
+        case 'horizon.add':
+            return `${label} at ${formatTime(d.time)} (pitch ${d.pitch.toFixed(1)}°, roll ${d.roll.toFixed(1)}°)`;
+        case 'horizon.delete':
+            return `${label} at ${formatTime(d.time)}`;
+        case 'telemetry.load':
+            return `${label}: ${d.source} (${d.positions} fixes, ${d.headings} headings)`;
+        case 'marker.add':
+        case 'marker.edit':
+        case 'marker.delete':
+            return `${label}: "${d.title}" at ${formatTime(d.time)}`;
+        case 'comment.add':
+            return `${label} on a ${COMMENT_ANCHOR_LABELS[d.anchor].toLowerCase()} at ${formatTime(d.time)}`;
+        case 'comment.reply':
+        case 'comment.edit':
+        case 'comment.resolve':
+        case 'comment.reopen':
+            return `${label} at ${formatTime(d.time)}`;
+        case 'evidence.verify':
+            return `${label}: ${d.status === 'verified' ? 'hash matches' : 'HASH MISMATCH'} (${d.manifest})`;
+        case 'evidence.share':
+            return `${label} with ${d.recipient || 'link holder'} (${d.accessLevel})`;
+        case 'session.join':
+            return `${label} ${d.sessionId} as ${d.role} (${d.transport})`;
+        case 'session.present':
+        case 'session.leave':
+            return `${label} ${d.sessionId}`;
+        case 'multicam.add':
+        case 'multicam.promote':
+        case 'multicam.sync':
+            return `${label}: ${d.camera}`;
+        case 'redaction.add':
+        case 'redaction.delete':
+            return `${label}: "${d.label}"`;
+        case 'viewpath.record':
+            return `${label}: "${d.name}" (${d.samples} samples, ${formatTime(d.duration)})`;
+        case 'viewpath.replay':
+        case 'viewpath.delete':
+            return `${label}: "${d.name}"`;
+        case 'audio.redact':
+        case 'audio.unredact':
+            return `${label}: ${formatTime(d.start)} - ${formatTime(d.end)} (${d.reason})`;
+        case 'redaction.track':
+            return `${label}: "${d.label}" (${d.keyframes} keyframes)`;
+        case 'redaction.preview':
+            return `${label} ${d.enabled ? 'shown' : 'hidden'}`;
+        case 'evidence.capture':
+            return `${label}: ${CAPTURE_SOURCES[d.source]} at ${formatTime(d.time)}`;
+        case 'evidence.export':
+            return `${label}: ${d.format} (${d.status})`;
+        default:
+            return label;
+    }
+}
+
+function renderAuditLog() {
+    const container = document.getElementById('custodyLog');
+    container.innerHTML = '';
+    
+    if (state.auditLog.length === 0) {
+        container.innerHTML = '<div class="markers-empty">No activity recorded yet.</div>';
+        return;
+    }
+    
+    state.auditLog.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'custody-entry';
+        item.innerHTML = `
+            <div class="custody-time"></div>
+            <div class="custody-action"></div>
+            <div class="custody-user"></div>
+        `;
+        item.querySelector('.custody-time').textContent = `#${entry.seq} • ${new Date(entry.timestamp).toLocaleString()}`;
+        item.querySelector('.custody-action').textContent = describeAuditEntry(entry);
+        item.querySelector('.custody-user').textContent = entry.user;
+        item.title = `SHA-256 ${entry.hash}`;
+        container.appendChild(item);
+    });
+}
+
+async function exportAuditLogJSON() {
+    if (!canDownload()) return;
+    const data = await buildAuditLogExport();
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `${state.evidenceId}_custody.json`);
+}
+
+async function buildAuditLogExport() {
+    const verification = await verifyAuditLog();
+    return {
+        evidenceId: state.evidenceId,
+        exportedAt: new Date().toISOString(),
+        exportedBy: state.currentUser,
+        hashAlgorithm: 'SHA-256 over canonical JSON (sorted keys) of the entry without "hash"',
+        verification,
+        entries: state.auditLog
+    };
+}
+
+function exportAuditLogCSV() {
+    if (!canDownload()) return;
+    downloadBlob(new Blob([auditLogToCSV(state.auditLog)], { type: 'text/csv' }), `${state.evidenceId}_custody.csv`);
+}
+
+function auditLogToCSV(entries) {
+    const columns = ['seq', 'timestamp', 'user', 'action', 'details', 'prevHash', 'hash'];
+    const escape = (value) => `"${String(value).replace(/"/g, '""')}"`;
+    const rows = entries.map(entry => columns.map(column => {
+        const value = column === 'details' ? JSON.stringify(entry.details) : entry[column];
+        return escape(value);
+    }).join(','));
+    return [columns.join(',')].concat(rows).join('\r\n');
+}
+
+// ===================================
+// Evidence Integrity
+// ===================================
+
+// Files are hashed in chunks so multi-GB recordings never sit in memory whole.
+// WebCrypto's digest() is one-shot, so it only handles files that fit in a
+// single chunk; anything larger goes through the incremental SHA-256 below.
+const HASH_CHUNK_SIZE = 8 * 1024 * 1024;
+
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+// Manifest / sidecar formats accepted (hashes are hex, case-insensitive):
+//   { "sha256": "..." }                                  sidecar for one file
+//   { "fileName": "...", "sha256": "..." }
+//   { "evidenceId": "...", "files": [{ "name": "...", "sha256": "..." }] }
+
+function setupIntegrity() {
+    const input = document.getElementById('manifestFileInput');
+    document.getElementById('loadManifestBtn').addEventListener('click', () => input.click());
+    input.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) loadManifest(file);
+        input.value = '';
+    });
+    
+    renderIntegrity();
+}
+
+async function hashSourceFile(file) {
+    state.sourceHash = null;
+    renderIntegrity(0);
+    
+    const job = hashFile(file, progress => {
+        if (state.videoFile === file) renderIntegrity(progress);
+    });
+    state.sourceHashJob = job;
+    
+    let hash = null;
+    try {
+        hash = await job;
+    } catch (err) {
+        console.error('Could not hash video file:', err);
+    }
+    
+    logAudit('video.load', {
+        fileName: file.name,
+        size: file.size,
+        lastModified: new Date(file.lastModified).toISOString(),
+        sha256: hash
+    });
+    
+    // A different file may have been loaded while this one was hashing
+    if (state.videoFile !== file) return;
+    state.sourceHashJob = null;   // Settled: a null hash now reads as 'failed'
+    state.sourceHash = hash;
+    renderIntegrity();
+    recordIntegrityCheck();
+}
+
+// Resolves to the loaded video's hash, waiting for hashing to finish if needed
+async function getSourceHash() {
+    if (!state.videoFile) return null;
+    if (!state.sourceHash && state.sourceHashJob) {
+        try {
+            await state.sourceHashJob;
+        } catch (err) {
+            return null;
+        }
+    }
+    return state.sourceHash;
+}
+
+async function loadManifest(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (err) {
+        console.error('Could not read manifest:', err);
+        renderIntegrity();
+        document.getElementById('metaManifestName').textContent = `${file.name} (invalid JSON)`;
+        return;
+    }
+    
+    state.manifest = { fileName: file.name, data };
+    logAudit('evidence.manifest', { fileName: file.name, evidenceId: data.evidenceId || null });
+    renderIntegrity();
+    recordIntegrityCheck();
+}
+
+// Expected hash for the loaded video, or null if the manifest doesn't list it
+function getExpectedHash() {
+    if (!state.manifest || !state.videoFile) return null;
+    const data = state.manifest.data;
+    const name = state.videoFile.name;
+    
+    if (Array.isArray(data.files)) {
+        // Package manifests list paths like "video/<name>"
+        const entry = data.files.find(f => (f.name || f.fileName || '').split('/').pop() === name);
+        return entry ? normalizeHash(entry.sha256 || entry.hash) : null;
+    }
+    if (data.fileName && data.fileName !== name) return null;
+    return normalizeHash(data.sha256 || data.hash);
+}
+
+function normalizeHash(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase() : null;
+}
+
+// 'none' | 'hashing' | 'failed' | 'unverified' | 'verified' | 'mismatch'
+function getIntegrityStatus() {
+    if (!state.videoFile) return 'none';
+    if (!state.sourceHash) return state.sourceHashJob ? 'hashing' : 'failed';
+    
+    const expected = getExpectedHash();
+    if (!expected) return 'unverified';
+    return expected === state.sourceHash ? 'verified' : 'mismatch';
+}
+
+function recordIntegrityCheck() {
+    const status = getIntegrityStatus();
+    if (status !== 'verified' && status !== 'mismatch') return;
+    
+    logAudit('evidence.verify', {
+        status,
+        fileName: state.videoFile.name,
+        manifest: state.manifest.fileName,
+        expected: getExpectedHash(),
+        actual: state.sourceHash
+    });
+}
+
+function renderIntegrity(progress) {
+    const status = getIntegrityStatus();
+    const badge = document.getElementById('integrityBadge');
+    const hashEl = document.getElementById('metaSourceHash');
+    
+    const labels = {
+        none: 'No video loaded',
+        hashing: `Hashing… ${Math.round((progress || 0) * 100)}%`,
+        failed: 'Hash failed',
+        unverified: state.manifest ? 'Not in manifest' : 'No manifest',
+        verified: '✓ Verified',
+        mismatch: '✗ Hash mismatch'
+    };
+    badge.className = `integrity-badge ${status}`;
+    badge.textContent = labels[status];
+    
+    hashEl.textContent = state.sourceHash ? `${state.sourceHash.slice(0, 16)}…` : '—';
+    hashEl.title = state.sourceHash || '';
+    
+    const expected = getExpectedHash();
+    badge.title = status === 'mismatch' ? `Expected ${expected}` : '';
+    document.getElementById('metaManifestName').textContent = state.manifest ? state.manifest.fileName : 'None loaded';
+}
+
+// SHA-256 of a file as hex, read HASH_CHUNK_SIZE bytes at a time
+async function hashFile(file, onProgress) {
+    if (file.size <= HASH_CHUNK_SIZE) {
+        const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        if (onProgress) onProgress(1);
+        return bufferToHex(digest);
+    }
+    
+    const hash = createSha256();
+    for (let offset = 0; offset < file.size; offset += HASH_CHUNK_SIZE) {
+        const chunk = await file.slice(offset, offset + HASH_CHUNK_SIZE).arrayBuffer();
+        hash.update(new Uint8Array(chunk));
+        if (onProgress) onProgress(Math.min(1, (offset + chunk.byteLength) / file.size));
+    }
+    return bufferToHex(hash.digest());
+}
+
+// Incremental SHA-256 (FIPS 180-4): update(bytes) any number of times, then digest()
+function createSha256() {
+    const h = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const w = new Uint32Array(64);
+    const block = new Uint8Array(64);
+    let blockLength = 0;
+    let totalLength = 0;
+    
+    function compress(bytes, offset) {
+        for (let t = 0; t < 16; t++) {
+            const j = offset + t * 4;
+            w[t] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let t = 16; t < 64; t++) {
+            const x = w[t - 15];
+            const y = w[t - 2];
+            const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+            const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+            w[t] = w[t - 16] + s0 + w[t - 7] + s1;
+        }
+        
+        let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], k = h[7];
+        for (let t = 0; t < 64; t++) {
+            const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (k + S1 + ch + SHA256_K[t] + w[t]) | 0;
+            const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (S0 + maj) | 0;
+            k = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+        h[4] += e; h[5] += f; h[6] += g; h[7] += k;
+    }
+    
+    function update(bytes) {
+        totalLength += bytes.length;
+        let i = 0;
+        
+        // Top up a partial block left over from the previous update
+        if (blockLength > 0) {
+            i = Math.min(64 - blockLength, bytes.length);
+            block.set(bytes.subarray(0, i), blockLength);
+            blockLength += i;
+            if (blockLength < 64) return;
+            compress(block, 0);
+            blockLength = 0;
+        }
+        
+        for (; i + 64 <= bytes.length; i += 64) {
+            compress(bytes, i);
+        }
+        if (i < bytes.length) {
+            block.set(bytes.subarray(i), 0);
+            blockLength = bytes.length - i;
+        }
+    }
+    
+    function digest() {
+        const bitLength = totalLength * 8;
+        const padding = new Uint8Array((blockLength < 56 ? 64 : 128) - blockLength);
+        padding[0] = 0x80;
+        const view = new DataView(padding.buffer);
+        view.setUint32(padding.length - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(padding.length - 4, bitLength >>> 0);
+        update(padding);
+        
+        const out = new DataView(new ArrayBuffer(32));
+        h.forEach((value, i) => out.setUint32(i * 4, value));
+        return out.buffer;
+    }
+    
+    return { update, digest };
+}
+
+// ===================================
+// Export
+// ===================================
+
+const EXPORT_FRAME_RATE = 30;
+
+// Output sizes for the Quality dropdown (flat exports render "original" at 1080p)
+const EXPORT_RESOLUTIONS = {
+    original: { width: 1920, height: 1080 },
+    '1080': { width: 1920, height: 1080 },
+    '720': { width: 1280, height: 720 },
+    '480': { width: 854, height: 480 }
+};
+
+// WebCodecs encoders to try, best first, with their Matroska codec IDs
+const EXPORT_CODECS = [
+    { codec: 'vp09.00.40.08', codecId: 'V_VP9' },
+    { codec: 'vp8', codecId: 'V_VP8' }
+];
+
+// Exported audio is Opus, which is coded at 48 kHz in 20 ms frames
+const AUDIO_EXPORT_SAMPLE_RATE = 48000;
+const AUDIO_EXPORT_FRAME_SIZE = 960;
+
+function setupExport() {
+    document.getElementById('exportFormat').addEventListener('change', updateExportForm);
+    document.getElementById('exportRecipeSelect').addEventListener('change', fillExportRangeFromRecipe);
+    document.getElementById('confirmExport').addEventListener('click', startExport);
+    document.getElementById('cancelExportJob').addEventListener('click', () => {
+        if (state.exportJob) {
+            state.exportJob.cancelled = true;
+            setExportStatus('Cancelling...');
+        }
+    });
+}
+
+function openExportModal(options = {}) {
+    if (!canDownload()) return;
+    
+    const recipeSelect = document.getElementById('exportRecipeSelect');
+    recipeSelect.innerHTML = '';
+    state.recipes.forEach(recipe => {
+        const option = document.createElement('option');
+        option.value = recipe.id;
+        option.textContent = recipe.name;
+        recipeSelect.appendChild(option);
+    });
+    recipeSelect.value = options.recipeId || (getActiveRecipe() ? getActiveRecipe().id : '');
+    
+    if (options.format) {
+        document.getElementById('exportFormat').value = options.format;
+    }
+    
+    // Default range is the in/out range, the shared range or the whole recording
+    if (state.video.src && !state.exportJob) {
+        const range = getSelectedRange() || state.sharedRange || { start: 0, end: state.video.duration };
+        document.getElementById('exportStartTime').value = formatTime(range.start);
+        document.getElementById('exportEndTime').value = formatTime(range.end);
+    }
+    
+    updateExportForm();
+    document.getElementById('exportModal').classList.add('show');
+}
+
+function updateExportForm() {
+    const format = document.getElementById('exportFormat').value;
+    const isRecipe = format === 'flatview';
+    document.getElementById('exportRecipeGroup').style.display = isRecipe ? 'block' : 'none';
+    document.getElementById('exportCaptureGroup').style.display = format === 'frames' ? 'block' : 'none';
+    
+    // A recipe brings its own range unless one is selected on the timeline
+    if (isRecipe && !getSelectedRange()) {
+        fillExportRangeFromRecipe();
+    }
+}
+
+function fillExportRangeFromRecipe() {
+    const recipe = getRecipe(document.getElementById('exportRecipeSelect').value);
+    if (!recipe) return;
+    
+    document.getElementById('exportStartTime').value = formatTime(recipe.start);
+    document.getElementById('exportEndTime').value = formatTime(getRecipeEnd(recipe));
+}
+
+// Validated { start, end } from the Time Range fields, or null
+function readExportRange() {
+    const startInput = document.getElementById('exportStartTime');
+    const endInput = document.getElementById('exportEndTime');
+    const start = parseTimeInput(startInput.value);
+    let end = parseTimeInput(endInput.value);
+    
+    if (state.video.duration) {
+        end = Math.min(end, state.video.duration);
+    }
+    
+    const startValid = !isNaN(start);
+    const endValid = !isNaN(end) && end > start;
+    startInput.classList.toggle('invalid', !startValid);
+    endInput.classList.toggle('invalid', !endValid);
+    
+    return startValid && endValid ? { start, end } : null;
+}
+
+function startExport() {
+    if (state.exportJob) return;
+    
+    const format = document.getElementById('exportFormat').value;
+    const quality = document.getElementById('exportQuality').value;
+    const range = readExportRange();
+    if (!range) return;
+    
+    switch (format) {
+        case 'flatview': {
+            const recipe = getRecipe(document.getElementById('exportRecipeSelect').value);
+            if (!recipe) {
+                showExportProgress(0, 'Create a Flat View Recipe first');
+                return;
+            }
+            const options = { includeAudio: document.getElementById('exportIncludeAudio').checked };
+            runExportJob(job => exportRecipeVideo(recipe, range, quality, options, job), {
+                format,
+                recipe: recipe.name,
+                quality,
+                range,
+                includeAudio: options.includeAudio
+            });
+            break;
+        }
+        case 'frames': {
+            const source = document.getElementById('captureSource').value;
+            const interval = parseFloat(document.getElementById('captureInterval').value) || 0;
+            const stamp = document.getElementById('captureStamp').checked;
+            runExportJob(job => exportFrameCaptures(source, interval, range, stamp, job), {
+                format,
+                source,
+                interval,
+                range
+            });
+            break;
+        }
+        case 'transcript':
+        case 'package': {
+            const options = {
+                includeMetadata: document.getElementById('exportIncludeMetadata').checked,
+                includeCustody: document.getElementById('exportIncludeCustody').checked,
+                includeAudio: document.getElementById('exportIncludeAudio').checked
+            };
+            runExportJob(job => exportEvidencePackage(format, range, quality, options, job), {
+                format,
+                quality,
+                range,
+                includeMetadata: options.includeMetadata,
+                includeCustody: options.includeCustody,
+                includeAudio: options.includeAudio
+            });
+            break;
+        }
+        case 'original':
+            runExportJob(job => exportOriginalVideo(range, job), { format, range });
+            break;
+    }
+}
+
+// Runs an export task with progress UI, cancellation, error reporting and
+// a custody entry describing the outcome
+async function runExportJob(task, details) {
+    const job = { cancelled: false };
+    state.exportJob = job;
+    
+    const confirmBtn = document.getElementById('confirmExport');
+    confirmBtn.disabled = true;
+    document.getElementById('cancelExportJob').style.display = 'inline-block';
+    showExportProgress(0, 'Preparing export...');
+    
+    try {
+        await task(job);
+        showExportProgress(1, 'Export complete');
+        logAudit('evidence.export', Object.assign({ status: 'completed', sourceSha256: state.sourceHash }, details));
+    } catch (err) {
+        if (job.cancelled) {
+            setExportStatus('Export cancelled');
+            logAudit('evidence.export', Object.assign({ status: 'cancelled', sourceSha256: state.sourceHash }, details));
+        } else {
+            console.error('Export failed:', err);
+            setExportStatus(`Export failed: ${err.message}`);
+            logAudit('evidence.export', Object.assign({ status: 'failed', error: err.message, sourceSha256: state.sourceHash }, details));
+        }
+    } finally {
+        state.exportJob = null;
+        confirmBtn.disabled = false;
+        document.getElementById('cancelExportJob').style.display = 'none';
+    }
+}
+
+function showExportProgress(fraction, label) {
+    document.getElementById('exportProgress').style.display = 'block';
+    document.getElementById('exportProgressFill').style.width = (fraction * 100).toFixed(1) + '%';
+    setExportStatus(label);
+}
+
+function setExportStatus(label) {
+    document.getElementById('exportProgressLabel').textContent = label;
+}
+
+function throwIfExportCancelled(job) {
+    if (job.cancelled) {
+        throw new Error('Export cancelled');
+    }
+}
+
+async function pickExportCodec(width, height) {
+    for (const candidate of EXPORT_CODECS) {
+        const config = {
+            codec: candidate.codec,
+            width,
+            height,
+            bitrate: Math.round(width * height * EXPORT_FRAME_RATE * 0.1),
+            framerate: EXPORT_FRAME_RATE
+        };
+        const support = await VideoEncoder.isConfigSupported(config);
+        if (support.supported) {
+            return { config, codecId: candidate.codecId };
+        }
+    }
+    throw new Error('No supported WebM video encoder');
+}
+
+// Offline render of a Flat View Recipe: renders the sphere from the recipe's
+// camera for every frame of the range and encodes to WebM
+async function exportRecipeVideo(recipe, range, quality, options, job) {
+    const { width, height } = EXPORT_RESOLUTIONS[quality];
+    
+    const renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    
+    const camera = new THREE.PerspectiveCamera(recipe.keyframes[0].zoom, width / height, 0.1, 1000);
+    camera.position.copy(state.camera.position);
+    
+    try {
+        const { blob } = await encodeVideoRange({
+            range,
+            width,
+            height,
+            job,
+            audio: options.includeAudio,
+            tags: { RECIPE: recipe.name },
+            renderFrame: (time) => {
+                state.videoTexture.needsUpdate = true;
+                updateSourceUniforms(state.sphere.material.uniforms, true);
+                const view = getRecipeViewAtTime(recipe, time);
+                applyCameraView(camera, view.pan, view.tilt, view.zoom);
+                renderer.render(state.scene, camera);
+                return renderer.domElement;
+            }
+        });
+        
+        downloadBlob(blob, `${state.evidenceId}_${slugify(recipe.name)}.webm`);
+        console.log('Recipe exported:', recipe.name, blob.size, 'bytes');
+    } finally {
+        renderer.dispose();
+        renderer.forceContextLoss();
+    }
+}
+
+// Re-encodes the source frames over a range. Cutting the original container
+// would need a demuxer, so a clip is a derivative copy; its tags and the
+// package metadata tie it back to the source hash.
+function encodeSourceClip(range, quality, options, job) {
+    const maxHeight = quality === 'original' ? Infinity : EXPORT_RESOLUTIONS[quality].height;
+    const scale = Math.min(1, maxHeight / state.video.videoHeight);
+    const width = Math.round(state.video.videoWidth * scale / 2) * 2;
+    const height = Math.round(state.video.videoHeight * scale / 2) * 2;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    
+    return encodeVideoRange({
+        range,
+        width,
+        height,
+        job,
+        audio: options.includeAudio,
+        tags: {
+            CLIP_START: range.start.toFixed(3),
+            CLIP_END: range.end.toFixed(3)
+        },
+        renderFrame: () => {
+            drawEquirectFrame(ctx, width, height);
+            return canvas;
+        }
+    });
+}
+
+// Steps state.video frame by frame through the range and encodes whatever
+// renderFrame(time) returns. Resolves to { blob, audio }: a WebM Blob tagged
+// with the source hash, and whether it carries the source audio (with its
+// redactions applied). audio is false only when the source has none.
+async function encodeVideoRange({ range, width, height, tags, job, audio, renderFrame }) {
+    if (!state.video.src) {
+        throw new Error('Load a video before exporting');
+    }
+    if (typeof VideoEncoder === 'undefined') {
+        throw new Error('This browser does not support video encoding (WebCodecs)');
+    }
+    
+    checkRedactionLimit(range);
+    const { config, codecId } = await pickExportCodec(width, height);
+    
+    // Tie the export back to the exact source it was rendered from
+    setExportStatus('Hashing source video...');
+    const sourceHash = await getSourceHash();
+    
+    let audioSource = null;
+    if (audio && state.videoFile) {
+        setExportStatus('Reading audio...');
+        audioSource = await openSourceAudio(range);
+        throwIfExportCancelled(job);
+    }
+    
+    const muxer = createWebMMuxer({
+        width,
+        height,
+        codecId,
+        audio: audioSource ? { sampleRate: AUDIO_EXPORT_SAMPLE_RATE, channels: audioSource.channels } : null,
+        tags: Object.assign({
+            EVIDENCE_ID: state.evidenceId,
+            SOURCE_FILENAME: state.videoFile ? state.videoFile.name : '',
+            SOURCE_SHA256: sourceHash || 'unavailable',
+            AUDIO_REDACTIONS: audioSource
+                ? state.audioRedactions.filter(r => r.end > range.start && r.start < range.end).length
+                : 'no audio',
+            LEVELING: describeLeveling() || 'none'
+        }, tags)
+    });
+    
+    if (audioSource) {
+        setExportStatus('Encoding audio...');
+        await encodeAudioTrack(audioSource, range, muxer, job);
+    }
+    let encoderError = null;
+    const encoder = new VideoEncoder({
+        output: (chunk) => muxer.addVideoChunk(chunk),
+        error: (err) => { encoderError = err; }
+    });
+    encoder.configure(config);
+    
+    const frameCount = Math.max(1, Math.round((range.end - range.start) * EXPORT_FRAME_RATE));
+    const frameDuration = 1e6 / EXPORT_FRAME_RATE;
+    
+    try {
+        return await withExclusiveVideo(async () => {
+            for (let i = 0; i < frameCount; i++) {
+                throwIfExportCancelled(job);
+                if (encoderError) throw encoderError;
+                
+                const time = range.start + i / EXPORT_FRAME_RATE;
+                await seekVideo(state.video, time);
+                
+                const frame = new VideoFrame(renderFrame(time), {
+                    timestamp: Math.round(i * frameDuration),
+                    duration: Math.round(frameDuration)
+                });
+                encoder.encode(frame, { keyFrame: i % (EXPORT_FRAME_RATE * 2) === 0 });
+                frame.close();
+                
+                // Don't let the encoder queue grow without bound
+                while (encoder.encodeQueueSize > 4) {
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                }
+                
+                showExportProgress((i + 1) / frameCount, `Rendering frame ${i + 1} of ${frameCount}`);
+            }
+            
+            setExportStatus('Finalizing video...');
+            await encoder.flush();
+            if (encoderError) throw encoderError;
+            
+            return { blob: muxer.finalize(), audio: audioSource !== null };
+        });
+    } finally {
+        if (encoder.state !== 'closed') {
+            encoder.close();
+        }
+    }
+}
+
+// Encodes the source audio over a range to Opus into the muxer's audio
+// track, writing the redactions into each decoded chunk on the way
+async function encodeAudioTrack(source, range, muxer, job) {
+    if (typeof AudioEncoder === 'undefined') {
+        throw new Error('This browser does not support audio encoding (WebCodecs)');
+    }
+    
+    const sampleRate = AUDIO_EXPORT_SAMPLE_RATE;
+    const config = { codec: 'opus', sampleRate, numberOfChannels: source.channels, bitrate: 96000 };
+    const support = await AudioEncoder.isConfigSupported(config);
+    if (!support.supported) {
+        throw new Error('No supported Opus audio encoder');
+    }
+    
+    let encoderError = null;
+    const encoder = new AudioEncoder({
+        output: (chunk, metadata) => muxer.addAudioChunk(chunk, metadata),
+        error: (err) => { encoderError = err; }
+    });
+    encoder.configure(config);
+    
+    try {
+        await source.read(job, async (channels, index) => {
+            throwIfExportCancelled(job);
+            if (encoderError) throw encoderError;
+            applyAudioRedactions(channels, sampleRate, range.start + index / sampleRate);
+            
+            // f32-planar: each channel's samples one after another
+            const frames = channels[0].length;
+            const planes = new Float32Array(frames * channels.length);
+            channels.forEach((samples, c) => planes.set(samples, c * frames));
+            
+            const data = new AudioData({
+                format: 'f32-planar',
+                sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels: channels.length,
+                timestamp: Math.round(index / sampleRate * 1e6),
+                data: planes
+            });
+            encoder.encode(data);
+            data.close();
+            
+            while (encoder.encodeQueueSize > 32) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+        });
+        
+        await encoder.flush();
+        if (encoderError) throw encoderError;
+    } finally {
+        if (encoder.state !== 'closed') {
+            encoder.close();
+        }
+    }
+}
+
+// Takes over the shared video element for an offline job (exports, interval
+// captures), then restores the playhead and playback state
+async function withExclusiveVideo(task) {
+    // Exports always render the primary evidence, whichever camera is shown
+    const shownCamera = getCamera(state.activeCameraId);
+    showCamera(getCamera(PRIMARY_CAMERA_ID));
+    
+    const wasPlaying = state.isPlaying;
+    const resumeTime = state.video.currentTime;
+    state.video.pause();
+    state.isPlaying = false;
+    state.isExporting = true;
+    updatePlayPauseButton();
+    
+    try {
+        return await task();
+    } finally {
+        showCamera(shownCamera);
+        state.isExporting = false;
+        state.video.currentTime = resumeTime;
+        if (wasPlaying) {
+            state.video.play().then(() => {
+                state.isPlaying = true;
+                updatePlayPauseButton();
+            });
+        }
+    }
+}
+
+// The recorded file, byte for byte. Refused when anything in it is redacted,
+// since the copy would carry the original pixels and sound.
+async function exportOriginalVideo(range, job) {
+    if (!state.video.src || !state.videoFile) {
+        throw new Error('Load a video before exporting');
+    }
+    if (!canDownload()) {
+        throw new Error('Downloads are not permitted by this share link');
+    }
+    if (range.start > 0.001 || range.end < state.video.duration - 0.001) {
+        throw new Error('The original can only be exported whole; export an evidence package for a clip');
+    }
+    if (getCameraRedactions(PRIMARY_CAMERA_ID).length > 0 || state.audioRedactions.length > 0) {
+        throw new Error('The original contains redacted footage; export an evidence package for a redacted copy');
+    }
+    
+    // The custody entry records the hash, so wait for it
+    showExportProgress(0, 'Hashing original...');
+    await getSourceHash();
+    throwIfExportCancelled(job);
+    downloadBlob(state.videoFile, state.videoFile.name);
+}
+
+// Builds the .zip formats. Entries are Blobs, so the original file is
+// referenced rather than copied and is only read in chunks for its checksums.
+async function exportEvidencePackage(format, range, quality, options, job) {
+    if (!state.video.src || !state.videoFile) {
+        throw new Error('Load a video before exporting');
+    }
+    if (format === 'transcript' && state.transcript.length === 0) {
+        throw new Error('Load a transcript before exporting video with transcript');
+    }
+    
+    const zip = createZipWriter();
+    const isFullRange = range.start <= 0.001 && range.end >= state.video.duration - 0.001;
+    const clipOffset = isFullRange ? 0 : range.start;
+    
+    // The original can only go out untouched when nothing in it is redacted
+    // and its audio is wanted
+    const useOriginal = isFullRange && options.includeAudio &&
+        getCameraRedactions(PRIMARY_CAMERA_ID).length === 0 && state.audioRedactions.length === 0;
+    const add = (path, data, hash) => zip.addFile(path, data, {
+        sha256: hash,
+        job,
+        onProgress: fraction => showExportProgress(fraction, `Packaging ${path} (${Math.round(fraction * 100)}%)`)
+    });
+    
+    // Video: the original file untouched, or a re-encoded (redacted) clip of the range
+    let videoPath;
+    let hasAudio = options.includeAudio;
+    if (useOriginal) {
+        videoPath = `video/${state.videoFile.name}`;
+        await add(videoPath, state.videoFile, await getSourceHash());
+    } else {
+        const clip = await encodeSourceClip(range, quality, options, job);
+        const baseName = state.videoFile.name.replace(/\.[^.]+$/, '');
+        videoPath = `video/${baseName}_${formatFileTime(range.start)}-${formatFileTime(range.end)}.webm`;
+        hasAudio = clip.audio;
+        await add(videoPath, clip.blob);
+    }
+    
+    if (options.includeMetadata) {
+        await add('metadata.json', JSON.stringify(buildEvidenceMetadata(range, videoPath, useOriginal, hasAudio), null, 2));
+    }
+    
+    // Transcript cues are shifted to line up with a clipped video
+    if (state.transcript.length > 0) {
+        const segments = state.transcript.filter(seg => seg.end > range.start && seg.start < range.end);
+        await add('transcript/transcript.json', JSON.stringify({ evidenceId: state.evidenceId, offset: clipOffset, segments }, null, 2));
+        await add('transcript/transcript.srt', transcriptToSRT(segments, clipOffset));
+        await add('transcript/transcript.vtt', transcriptToVTT(segments, clipOffset));
+    }
+    
+    if (format === 'package') {
+        // Marker, annotation and comment times are shifted like the transcript cues
+        const inRange = item => item.time >= range.start && item.time <= range.end;
+        const markers = state.markers.filter(inRange)
+            .map(marker => Object.assign({}, marker, { time: marker.time - clipOffset }));
+        const annotations = state.annotations.filter(a => a.end >= range.start && a.start <= range.end)
+            .map(a => Object.assign({}, a, { start: a.start - clipOffset, end: a.end - clipOffset }));
+        await add('markers.json', JSON.stringify(markers, null, 2));
+        await add('annotations.json', JSON.stringify(annotations, null, 2));
+        await add('recipes.json', JSON.stringify(state.recipes, null, 2));
+        await add('redactions.json', JSON.stringify(state.redactions, null, 2));
+        await add('audio_redactions.json', JSON.stringify(state.audioRedactions, null, 2));
+        await add('view_paths.json', JSON.stringify(state.viewPaths, null, 2));
+        // Marker-anchored threads take the marker's current time
+        const comments = getCommentThreadsInRange(range).map(thread => {
+            const anchor = Object.assign({}, thread.anchor, { time: getCommentThreadTime(thread) - clipOffset });
+            if (anchor.type === 'range') anchor.end -= clipOffset;
+            return Object.assign({}, thread, { anchor });
+        });
+        await add('comments.json', JSON.stringify(comments, null, 2));
+        if (state.telemetry) {
+            const { source, positions, headings, headingSource } = state.telemetry;
+            await add('telemetry.json', JSON.stringify({ source, headingSource, positions, headings }, null, 2));
+        }
+    }
+    
+    if (options.includeCustody) {
+        await add('custody/custody_log.json', JSON.stringify(await buildAuditLogExport(), null, 2));
+        await add('custody/custody_log.csv', auditLogToCSV(state.auditLog));
+    }
+    
+    // The manifest lists every other entry; it uses the same shape the
+    // Integrity panel loads, so a package can be re-verified in the app
+    const manifest = {
+        evidenceId: state.evidenceId,
+        createdAt: new Date().toISOString(),
+        createdBy: state.currentUser,
+        algorithm: 'SHA-256',
+        source: { name: state.videoFile.name, size: state.videoFile.size, sha256: await getSourceHash() },
+        files: zip.entries.map(entry => ({ name: entry.path, size: entry.size, sha256: entry.sha256 }))
+    };
+    await add('manifest.json', JSON.stringify(manifest, null, 2));
+    await add('SHA256SUMS', manifest.files.map(f => `${f.sha256}  ${f.name}`).join('\n') + '\n');
+    
+    throwIfExportCancelled(job);
+    const suffix = format === 'package' ? 'package' : 'transcript';
+    downloadBlob(zip.finalize(), `${state.evidenceId}_${suffix}.zip`);
+}
+
+function buildEvidenceMetadata(range, videoPath, isOriginal, includeAudio) {
+    return {
+        evidenceId: state.evidenceId,
+        exportedAt: new Date().toISOString(),
+        exportedBy: state.currentUser,
+        source: {
+            fileName: state.videoFile.name,
+            size: state.videoFile.size,
+            lastModified: new Date(state.videoFile.lastModified).toISOString(),
+            sha256: state.sourceHash,
+            integrity: getIntegrityStatus(),
+            manifest: state.manifest ? state.manifest.fileName : null,
+            duration: state.video.duration,
+            width: state.video.videoWidth,
+            height: state.video.videoHeight,
+            projection: state.sourceProjection,
+            lensModel: state.lensModel,
+            container: state.containerMetadata
+        },
+        video: {
+            path: videoPath,
+            derivative: !isOriginal,
+            redacted: getCameraRedactions(PRIMARY_CAMERA_ID).length > 0,
+            leveled: !isOriginal && isLevelingActive(),
+            audio: includeAudio,
+            audioRedacted: includeAudio && state.audioRedactions.some(r => r.end > range.start && r.start < range.end),
+            range
+        },
+        view: {
+            frontLensOffset: state.frontLensOffset,
+            leveling: getLevelingRecord()
+        }
+    };
+}
+
+// ===================================
+// Frame Capture
+// ===================================
+
+const CAPTURE_SOURCES = {
+    perspective: 'Perspective view',
+    equirect: 'Full equirectangular frame',
+    front: 'Front lens',
+    back: 'Back lens'
+};
+
+// Longest edge for lens captures, which are reprojected rather than copied
+const CAPTURE_LENS_MAX_SIZE = 2048;
+
+// Capture button / P key: the current perspective render as a PNG
+async function captureCurrentView() {
+    if (!state.video.src || !canDownload()) return;
+    
+    const capture = captureFrame('perspective', true);
+    const blob = await canvasToBlob(capture.canvas);
+    downloadBlob(blob, captureFileName(capture));
+    logAudit('evidence.capture', { source: capture.source, time: capture.time, count: 1 });
+    
+    const btn = document.getElementById('captureBtn');
+    btn.classList.add('active');
+    setTimeout(() => btn.classList.remove('active'), 600);
+}
+
+// Draws the current video frame from one source onto a new canvas.
+// Returns the canvas and the capture's metadata.
+function captureFrame(source, stamp) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const capture = {
+        source,
+        time: state.video.currentTime,
+        capturedAt: new Date().toISOString(),
+        view: null,
+        leveling: null  // Lens captures are shown as recorded
+    };
+    
+    if (source === 'perspective') {
+        // Render and copy in the same task; the main renderer doesn't preserve its buffer
+        state.videoTexture.needsUpdate = true;
+        renderViewport(true);
+        canvas.width = state.renderer.domElement.width;
+        canvas.height = state.renderer.domElement.height;
+        ctx.drawImage(state.renderer.domElement, 0, 0);
+        capture.view = { pan: state.pan, tilt: state.tilt, fov: state.zoom };
+        if (isProjectionView()) capture.view.projection = state.currentView;
+        capture.leveling = describeLeveling();
+    } else if (source === 'equirect') {
+        canvas.width = state.video.videoWidth;
+        canvas.height = state.sourceProjection === 'dual-fisheye' ? Math.round(canvas.width / 2) : state.video.videoHeight;
+        drawEquirectFrame(ctx, canvas.width, canvas.height);
+        capture.leveling = describeLeveling();
+    } else {
+        const size = Math.min(state.video.videoHeight, CAPTURE_LENS_MAX_SIZE);
+        canvas.width = size;
+        canvas.height = size;
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, size, size);
+        drawFisheyeLens(ctx, canvas, source, true);
+        
+        const lens = state.rawLenses[source];
+        capture.view = { pan: lens.pan, tilt: lens.tilt, fov: getRawLensHalfFov(source) * 2 };
+    }
+    
+    capture.width = canvas.width;
+    capture.height = canvas.height;
+    capture.canvas = canvas;
+    if (stamp) {
+        stampCapture(ctx, canvas, capture);
+    }
+    return capture;
+}
+
+// Draws the current frame as equirectangular with redactions and leveling
+// burned in. Untouched equirectangular frames are copied pixel for pixel;
+// anything else goes through the same shader as the sphere.
+function drawEquirectFrame(ctx, width, height) {
+    const camera = getSphereCamera();
+    if (state.sourceProjection !== 'dual-fisheye' && getActiveRedactions(state.video.currentTime, getCameraSource(camera)).length === 0 && !isLevelingActive()) {
+        ctx.drawImage(getSphereVideo(), 0, 0, width, height);
+        return;
+    }
+    
+    const raw = getRawRenderer();
+    updateSourceUniforms(raw.uniforms, true);
+    raw.uniforms.equirectOutput.value = 1;
+    state.videoTexture.needsUpdate = true;
+    raw.renderer.setSize(width, height, false);
+    raw.renderer.render(raw.scene, raw.camera);
+    ctx.drawImage(raw.renderer.domElement, 0, 0, width, height);
+}
+
+// Burn evidence ID, video time, wall-clock time and view into the image
+function stampCapture(ctx, canvas, capture) {
+    const fontSize = Math.max(12, Math.round(canvas.width / 90));
+    const lines = [
+        `${state.evidenceId}  •  ${CAPTURE_SOURCES[capture.source]}`,
+        `Video ${formatTime(capture.time)}  •  Captured ${new Date(capture.capturedAt).toLocaleString()}`
+    ];
+    if (capture.view) {
+        lines.push(`Pan ${capture.view.pan.toFixed(1)}°  Tilt ${capture.view.tilt.toFixed(1)}°  FOV ${capture.view.fov.toFixed(1)}°`);
+    }
+    if (capture.leveling) {
+        lines.push(`Leveling: ${capture.leveling}`);
+    }
+    
+    const padding = Math.round(fontSize * 0.6);
+    const lineHeight = Math.round(fontSize * 1.4);
+    const bandHeight = lines.length * lineHeight + padding * 2;
+    
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+    ctx.fillRect(0, canvas.height - bandHeight, canvas.width, bandHeight);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `${fontSize}px monospace`;
+    ctx.textBaseline = 'top';
+    lines.forEach((line, i) => {
+        ctx.fillText(line, padding, canvas.height - bandHeight + padding + i * lineHeight);
+    });
+    ctx.restore();
+}
+
+function captureFileName(capture) {
+    return `${state.evidenceId}_${capture.source}_${formatFileTime(capture.time)}.png`;
+}
+
+// Frame Captures export: one PNG at the playhead, or one every `interval`
+// seconds across the range bundled as a ZIP with a JSON index
+async function exportFrameCaptures(source, interval, range, stamp, job) {
+    if (!state.video.src) {
+        throw new Error('Load a video before capturing frames');
+    }
+    
+    if (!(interval > 0)) {
+        const capture = captureFrame(source, stamp);
+        downloadBlob(await canvasToBlob(capture.canvas), captureFileName(capture));
+        return;
+    }
+    
+    checkRedactionLimit(range);
+    const times = [];
+    for (let time = range.start; time <= range.end + 1e-6; time += interval) {
+        times.push(time);
+    }
+    
+    const zip = createZipWriter();
+    const index = [];
+    
+    await withExclusiveVideo(async () => {
+        for (let i = 0; i < times.length; i++) {
+            throwIfExportCancelled(job);
+            await seekVideo(state.video, times[i]);
+            
+            const capture = captureFrame(source, stamp);
+            const path = `frames/${captureFileName(capture)}`;
+            const entry = await zip.addFile(path, await canvasToBlob(capture.canvas));
+            
+            index.push({
+                file: path,
+                source: capture.source,
+                time: capture.time,
+                capturedAt: capture.capturedAt,
+                view: capture.view,
+                leveling: capture.leveling,
+                width: capture.width,
+                height: capture.height,
+                sha256: entry.sha256
+            });
+            showExportProgress((i + 1) / times.length, `Captured frame ${i + 1} of ${times.length}`);
+        }
+    });
+    
+    await zip.addFile('index.json', JSON.stringify({
+        evidenceId: state.evidenceId,
+        source: {
+            fileName: state.videoFile ? state.videoFile.name : null,
+            sha256: await getSourceHash()
+        },
+        captureSource: source,
+        interval,
+        range,
+        stamped: stamp,
+        createdBy: state.currentUser,
+        captures: index
+    }, null, 2));
+    
+    downloadBlob(zip.finalize(), `${state.evidenceId}_frames_${formatFileTime(range.start)}-${formatFileTime(range.end)}.zip`);
+}
+
+function canvasToBlob(canvas, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode image')), type);
+    });
+}
+
+// ===================================
+// WebM Muxer
+// ===================================
+
+// Minimal Matroska/WebM writer for WebCodecs output. Element sizes are written
+// as 8-byte vints so every element can be assembled once its children exist.
+const EBML_IDS = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Duration: 0x4489,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    CodecPrivate: 0x63A2,
+    Audio: 0xE1,
+    SamplingFrequency: 0xB5,
+    Channels: 0x9F,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3,
+    Tags: 0x1254C367,
+    Tag: 0x7373,
+    Targets: 0x63C0,
+    SimpleTag: 0x67C8,
+    TagName: 0x45A3,
+    TagString: 0x4487
+};
+
+function ebmlId(id) {
+    const bytes = [];
+    while (id > 0) {
+        bytes.unshift(id & 0xFF);
+        id = Math.floor(id / 256);
+    }
+    return new Uint8Array(bytes);
+}
+
+function ebmlSize(size) {
+    const bytes = new Uint8Array(8);
+    bytes[0] = 0x01;
+    for (let i = 7; i > 0; i--) {
+        bytes[i] = size & 0xFF;
+        size = Math.floor(size / 256);
+    }
+    return bytes;
+}
+
+function ebmlUint(value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value & 0xFF);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return new Uint8Array(bytes);
+}
+
+function ebmlFloat(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+}
+
+// children: Uint8Array / Blob parts, or numbers/strings for leaf values
+function ebmlElement(id, children) {
+    let parts;
+    if (typeof children === 'number') {
+        parts = [ebmlUint(children)];
+    } else if (typeof children === 'string') {
+        parts = [new TextEncoder().encode(children)];
+    } else {
+        parts = children;
+    }
+    
+    const size = parts.reduce((sum, part) => sum + (part.byteLength !== undefined ? part.byteLength : part.size), 0);
+    return new Blob([ebmlId(id), ebmlSize(size), ...parts]);
+}
+
+// tags: optional { NAME: value } written as file-level SimpleTags
+// audio: optional { sampleRate, channels } adds an Opus track 2. Chunks are
+// interleaved by timestamp as both tracks reach them and each block is written
+// into a Blob straight away, so encoded frames don't pile up until finalize.
+function createWebMMuxer({ width, height, codecId, audio, tags }) {
+    // Per track, in arrival order (each encoder emits increasing timestamps);
+    // written frames are cleared so their data can be released
+    const queues = { 1: { frames: [], next: 0, latest: -Infinity } };
+    if (audio) queues[2] = { frames: [], next: 0, latest: -Infinity };
+    const clusters = [];
+    let cluster = null;
+    let lastTimestamp = 0;
+    let opusHead = null;
+    
+    function addChunk(track, chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        const queue = queues[track];
+        queue.frames.push({
+            track,
+            timestamp: chunk.timestamp,
+            isKey: chunk.type === 'key',
+            data
+        });
+        queue.latest = chunk.timestamp;
+        lastTimestamp = Math.max(lastTimestamp, chunk.timestamp + (chunk.duration || 0));
+        
+        // Nothing earlier than the slower track's latest chunk can still arrive
+        writeFrames(Math.min(...Object.values(queues).map(q => q.latest)));
+    }
+    
+    function addVideoChunk(chunk) {
+        addChunk(1, chunk);
+    }
+    
+    function addAudioChunk(chunk, metadata) {
+        if (!opusHead && metadata && metadata.decoderConfig && metadata.decoderConfig.description) {
+            opusHead = new Uint8Array(metadata.decoderConfig.description);
+        }
+        addChunk(2, chunk);
+    }
+    
+    // Identification header for encoders that don't supply one (RFC 7845 5.1)
+    function defaultOpusHead() {
+        const head = new Uint8Array(19);
+        const view = new DataView(head.buffer);
+        head.set(new TextEncoder().encode('OpusHead'));
+        head[8] = 1;
+        head[9] = audio.channels;
+        view.setUint16(10, 0, true);
+        view.setUint32(12, audio.sampleRate, true);
+        return head;
+    }
+    
+    // Write queued frames up to limit (µs), earliest first; video wins ties
+    function writeFrames(limit) {
+        for (;;) {
+            let queue = null;
+            Object.values(queues).forEach(q => {
+                const frame = q.frames[q.next];
+                if (frame && frame.timestamp <= limit && (!queue || frame.timestamp < queue.frames[queue.next].timestamp)) {
+                    queue = q;
+                }
+            });
+            if (!queue) break;
+            
+            writeFrame(queue.frames[queue.next]);
+            queue.frames[queue.next++] = null;
+            if (queue.next === queue.frames.length) {
+                queue.frames = [];
+                queue.next = 0;
+            }
+        }
+    }
+    
+    function flushCluster() {
+        if (!cluster) return;
+        clusters.push(ebmlElement(EBML_IDS.Cluster, [
+            ebmlElement(EBML_IDS.Timecode, cluster.timecode),
+            ...cluster.blocks
+        ]));
+        cluster = null;
+    }
+    
+    function writeFrame(frame) {
+        const timecode = Math.round(frame.timestamp / 1000);  // µs -> ms
+        
+        // New cluster on video keyframes, or before the int16 block offset overflows
+        if (!cluster || (frame.track === 1 && frame.isKey) || timecode - cluster.timecode > 30000) {
+            flushCluster();
+            cluster = { timecode, blocks: [] };
+        }
+        
+        const header = new Uint8Array(4);
+        const view = new DataView(header.buffer);
+        header[0] = 0x80 | frame.track;  // Track number as a vint
+        view.setInt16(1, timecode - cluster.timecode);
+        header[3] = frame.isKey ? 0x80 : 0x00;
+        cluster.blocks.push(ebmlElement(EBML_IDS.SimpleBlock, [header, frame.data]));
+    }
+    
+    function finalize() {
+        writeFrames(Infinity);
+        flushCluster();
+        
+        const header = ebmlElement(EBML_IDS.EBML, [
+            ebmlElement(EBML_IDS.EBMLVersion, 1),
+            ebmlElement(EBML_IDS.EBMLReadVersion, 1),
+            ebmlElement(EBML_IDS.EBMLMaxIDLength, 4),
+            ebmlElement(EBML_IDS.EBMLMaxSizeLength, 8),
+            ebmlElement(EBML_IDS.DocType, 'webm'),
+            ebmlElement(EBML_IDS.DocTypeVersion, 2),
+            ebmlElement(EBML_IDS.DocTypeReadVersion, 2)
+        ]);
+        
+        const info = ebmlElement(EBML_IDS.Info, [
+            ebmlElement(EBML_IDS.TimecodeScale, 1000000),
+            ebmlElement(EBML_IDS.MuxingApp, 'EDP 360'),
+            ebmlElement(EBML_IDS.WritingApp, 'EDP 360 Evidence Playback'),
+            ebmlElement(EBML_IDS.Duration, [ebmlFloat(lastTimestamp / 1000)])
+        ]);
+        
+        const trackEntries = [
+            ebmlElement(EBML_IDS.TrackEntry, [
+                ebmlElement(EBML_IDS.TrackNumber, 1),
+                ebmlElement(EBML_IDS.TrackUID, 1),
+                ebmlElement(EBML_IDS.TrackType, 1),
+                ebmlElement(EBML_IDS.CodecID, codecId),
+                ebmlElement(EBML_IDS.Video, [
+                    ebmlElement(EBML_IDS.PixelWidth, width),
+                    ebmlElement(EBML_IDS.PixelHeight, height)
+                ])
+            ])
+        ];
+        if (audio) {
+            trackEntries.push(ebmlElement(EBML_IDS.TrackEntry, [
+                ebmlElement(EBML_IDS.TrackNumber, 2),
+                ebmlElement(EBML_IDS.TrackUID, 2),
+                ebmlElement(EBML_IDS.TrackType, 2),
+                ebmlElement(EBML_IDS.CodecID, 'A_OPUS'),
+                ebmlElement(EBML_IDS.CodecPrivate, [opusHead || defaultOpusHead()]),
+                ebmlElement(EBML_IDS.Audio, [
+                    ebmlElement(EBML_IDS.SamplingFrequency, [ebmlFloat(audio.sampleRate)]),
+                    ebmlElement(EBML_IDS.Channels, audio.channels)
+                ])
+            ]));
+        }
+        const tracks = ebmlElement(EBML_IDS.Tracks, trackEntries);
+        
+        const children = [info, tracks, ...clusters];
+        if (tags && Object.keys(tags).length > 0) {
+            children.push(ebmlElement(EBML_IDS.Tags, [
+                ebmlElement(EBML_IDS.Tag, [
+                    ebmlElement(EBML_IDS.Targets, []),
+                    ...Object.entries(tags).map(([name, value]) => ebmlElement(EBML_IDS.SimpleTag, [
+                        ebmlElement(EBML_IDS.TagName, name),
+                        ebmlElement(EBML_IDS.TagString, String(value))
+                    ]))
+                ])
+            ]));
+        }
+        
+        const segment = ebmlElement(EBML_IDS.Segment, children);
+        return new Blob([header, segment], { type: 'video/webm' });
+    }
+    
+    return { addVideoChunk, addAudioChunk, finalize };
+}
+
+// ===================================
+// ZIP Writer
+// ===================================
+
+// Uncompressed (stored) ZIP with Zip64 records where sizes or offsets pass
+// 4 GB. Entry data stays as Blobs and the archive is assembled as a Blob, so
+// the browser streams file-backed parts when writing the download.
+
+const ZIP_MAX_32 = 0xFFFFFFFF;
+
+function createZipWriter() {
+    const parts = [];
+    const entries = [];
+    let offset = 0;
+    
+    // data: Blob, string or Uint8Array. options.sha256 skips rehashing a
+    // Blob whose hash is already known.
+    async function addFile(path, data, options = {}) {
+        const blob = data instanceof Blob ? data : new Blob([data]);
+        const sums = await checksumBlob(blob, {
+            sha256: !options.sha256,
+            job: options.job,
+            onProgress: options.onProgress
+        });
+        
+        const entry = {
+            path,
+            name: new TextEncoder().encode(path),
+            size: blob.size,
+            crc32: sums.crc32,
+            sha256: options.sha256 || sums.sha256,
+            offset,
+            date: new Date()
+        };
+        
+        const header = zipLocalHeader(entry);
+        parts.push(header, blob);
+        offset += header.byteLength + blob.size;
+        entries.push(entry);
+        return entry;
+    }
+    
+    function finalize() {
+        const centralStart = offset;
+        const central = entries.map(zipCentralHeader);
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        
+        const tail = [];
+        const needsZip64 = entries.length > 0xFFFF || centralStart + centralSize > ZIP_MAX_32;
+        if (needsZip64) {
+            const record = new DataView(new ArrayBuffer(56));
+            record.setUint32(0, 0x06064b50, true);
+            setUint64(record, 4, 44);
+            record.setUint16(12, 45, true);
+            record.setUint16(14, 45, true);
+            setUint64(record, 24, entries.length);
+            setUint64(record, 32, entries.length);
+            setUint64(record, 40, centralSize);
+            setUint64(record, 48, centralStart);
+            
+            const locator = new DataView(new ArrayBuffer(20));
+            locator.setUint32(0, 0x07064b50, true);
+            setUint64(locator, 8, centralStart + centralSize);
+            locator.setUint32(16, 1, true);
+            tail.push(record, locator);
+        }
+        
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, Math.min(entries.length, 0xFFFF), true);
+        end.setUint16(10, Math.min(entries.length, 0xFFFF), true);
+        end.setUint32(12, Math.min(centralSize, ZIP_MAX_32), true);
+        end.setUint32(16, Math.min(centralStart, ZIP_MAX_32), true);
+        tail.push(end);
+        
+        return new Blob([...parts, ...central, ...tail], { type: 'application/zip' });
+    }
+    
+    return { addFile, finalize, entries };
+}
+
+function zipLocalHeader(entry) {
+    const zip64 = entry.size >= ZIP_MAX_32;
+    const extraLength = zip64 ? 20 : 0;
+    const header = new DataView(new ArrayBuffer(30 + entry.name.length + extraLength));
+    
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, zip64 ? 45 : 20, true);
+    header.setUint16(6, 0x0800, true);  // UTF-8 names
+    header.setUint16(8, 0, true);       // Stored
+    header.setUint16(10, zipDosTime(entry.date), true);
+    header.setUint16(12, zipDosDate(entry.date), true);
+    header.setUint32(14, entry.crc32, true);
+    header.setUint32(18, zip64 ? ZIP_MAX_32 : entry.size, true);
+    header.setUint32(22, zip64 ? ZIP_MAX_32 : entry.size, true);
+    header.setUint16(26, entry.name.length, true);
+    header.setUint16(28, extraLength, true);
+    new Uint8Array(header.buffer).set(entry.name, 30);
+    
+    if (zip64) {
+        const at = 30 + entry.name.length;
+        header.setUint16(at, 0x0001, true);
+        header.setUint16(at + 2, 16, true);
+        setUint64(header, at + 4, entry.size);
+        setUint64(header, at + 12, entry.size);
+    }
+    return header;
+}
+
+function zipCentralHeader(entry) {
+    // Zip64 extra holds only the fields that overflowed, in this order
+    const zip64Fields = [];
+    if (entry.size >= ZIP_MAX_32) zip64Fields.push(entry.size, entry.size);
+    if (entry.offset >= ZIP_MAX_32) zip64Fields.push(entry.offset);
+    const extraLength = zip64Fields.length ? 4 + zip64Fields.length * 8 : 0;
+    
+    const header = new DataView(new ArrayBuffer(46 + entry.name.length + extraLength));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(4, 45, true);
+    header.setUint16(6, zip64Fields.length ? 45 : 20, true);
+    header.setUint16(8, 0x0800, true);
+    header.setUint16(10, 0, true);
+    header.setUint16(12, zipDosTime(entry.date), true);
+    header.setUint16(14, zipDosDate(entry.date), true);
+    header.setUint32(16, entry.crc32, true);
+    header.setUint32(20, Math.min(entry.size, ZIP_MAX_32), true);
+    header.setUint32(24, Math.min(entry.size, ZIP_MAX_32), true);
+    header.setUint16(28, entry.name.length, true);
+    header.setUint16(30, extraLength, true);
+    header.setUint32(42, Math.min(entry.offset, ZIP_MAX_32), true);
+    new Uint8Array(header.buffer).set(entry.name, 46);
+    
+    if (extraLength) {
+        const at = 46 + entry.name.length;
+        header.setUint16(at, 0x0001, true);
+        header.setUint16(at + 2, zip64Fields.length * 8, true);
+        zip64Fields.forEach((value, i) => setUint64(header, at + 4 + i * 8, value));
+    }
+    return header;
+}
+
+function zipDosTime(date) {
+    return (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+}
+
+function zipDosDate(date) {
+    return ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+}
+
+// Little-endian 64-bit write for values up to 2^53
+function setUint64(view, offset, value) {
+    view.setUint32(offset, value % 0x100000000, true);
+    view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+}
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+// CRC-32 (and optionally SHA-256) of a Blob in one chunked pass
+async function checksumBlob(blob, { sha256 = true, job, onProgress } = {}) {
+    const hash = sha256 ? createSha256() : null;
+    let crc = 0xFFFFFFFF;
+    
+    for (let offset = 0; offset < blob.size; offset += HASH_CHUNK_SIZE) {
+        if (job) throwIfExportCancelled(job);
+        const bytes = new Uint8Array(await blob.slice(offset, offset + HASH_CHUNK_SIZE).arrayBuffer());
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        if (hash) hash.update(bytes);
+        if (onProgress) onProgress(Math.min(1, (offset + bytes.length) / blob.size));
+    }
     
-    const threejsContainer = document.getElementById('threejsContainer');
-    const unstitchedView = document.getElementById('unstitchedView');
-    const rawView = document.getElementById('rawView');
+    return {
+        crc32: (crc ^ 0xFFFFFFFF) >>> 0,
+        sha256: hash ? bufferToHex(hash.digest()) : null
+    };
+}
+
+// ===================================
+// Review Sessions
+// ===================================
+
+// Reviewers join a session by ID. The presenter's playback (play/pause, time,
+// rate) and view are broadcast; followers apply them until they detach
+// (dragging the view or the Detach button) and re-sync when they choose.
+// Everyone's look direction shows as a compass tick and a frustum outline.
+//
+// Messages are plain objects { type, from, name, color, ... }:
+//   join      a participant arrived; others answer with their presence
+//   presence  { yaw, tilt, zoom, aspect, view }: yaw in sphere space so
+//             participants with different lens calibrations agree
+//   playback  { playing, time, rate } from the presenter
+//   presenter { presenterId, since } announces or takes over presenting;
+//             the latest claim (since, ms) wins so simultaneous claims settle
+//   leave     a participant left
+
+const SESSION_PRESENCE_INTERVAL = 100;  // ms between presence updates while the view moves
+const SESSION_HEARTBEAT = 2000;         // ms between presence updates while it doesn't
+const SESSION_PLAYBACK_INTERVAL = 1000; // ms between presenter playback updates
+const SESSION_TIMEOUT = 6000;           // ms of silence before a participant is dropped
+const SESSION_SYNC_TOLERANCE = 0.3;     // s of drift before a follower seeks
+const SESSION_VIEW_EASE = 0.35;         // Fraction of the way to the presenter's view per frame
+const SESSION_OVERLAY_LAYER = 2;        // Camera layer of the frustum outlines
+const SESSION_FRUSTUM_RADIUS = 480;
+const SESSION_FRUSTUM_STEPS = 8;        // Points per edge of an outline
+const SESSION_COLORS = ['#F472B6', '#38BDF8', '#A78BFA', '#FB923C', '#4ADE80', '#FACC15'];
+
+const sessionStatus = {
+    lastPresence: 0,
+    presenceKey: null,        // View last sent, to send only when it changes
+    lastPlayback: 0,
+    presenterPlayback: null,  // Latest playback from the presenter, with receivedAt
+    rosterKey: null,          // Participants the roster was last drawn with
+    frustums: {}              // Participant id -> { line, key }
+};
+
+function setupSessions() {
+    setSessionTransport(createBroadcastSessionTransport());
+    state.camera.layers.enable(SESSION_OVERLAY_LAYER);
     
-    // Hide all views
-    threejsContainer.style.display = 'none';
-    unstitchedView.style.display = 'none';
-    rawView.style.display = 'none';
+    document.getElementById('sessionBtn').addEventListener('click', openSessionModal);
+    document.getElementById('closeSessionModal').addEventListener('click', closeSessionModal);
+    document.getElementById('cancelSession').addEventListener('click', closeSessionModal);
+    document.getElementById('sessionTransportSelect').addEventListener('change', (e) => {
+        document.getElementById('sessionServerGroup').style.display = e.target.value === 'websocket' ? 'block' : 'none';
+    });
+    document.getElementById('startSessionBtn').addEventListener('click', () => joinSessionFromForm(true));
+    document.getElementById('joinSessionBtn').addEventListener('click', () => joinSessionFromForm(false));
+    document.getElementById('leaveSessionBtn').addEventListener('click', () => leaveSession());
+    document.getElementById('presentSessionBtn').addEventListener('click', takeSessionPresenter);
+    document.getElementById('sessionSyncBtn').addEventListener('click', () => {
+        setSessionFollowing(!state.session.following);
+    });
     
-    // Update cursor style based on view lock
-    const container = document.getElementById('threejsContainer');
+    // The presenter's playback goes out as it changes, not just on the heartbeat
+    ['play', 'pause', 'seeked', 'ratechange'].forEach(type => {
+        state.video.addEventListener(type, () => {
+            if (isSessionPresenter() && !state.isExporting) sendSessionPlayback();
+        });
+    });
+    window.addEventListener('pagehide', () => {
+        if (state.session) leaveSession();
+    });
+}
+
+// Session transport interface:
+//   name: shown in the session details and audit log
+//   connect(sessionId, onMessage, onClose) -> promise of a connection
+//       { send(message), close() }; onMessage gets every other participant's
+//       messages, onClose is called if the connection drops
+// Swap in another implementation with setSessionTransport().
+function setSessionTransport(transport) {
+    state.sessionTransport = transport;
+}
+
+// Local transport: a BroadcastChannel reaches the other tabs of this browser,
+// which is enough to try sessions on one machine
+function createBroadcastSessionTransport() {
+    return {
+        name: 'This browser (tabs)',
+        
+        async connect(sessionId, onMessage) {
+            if (typeof BroadcastChannel === 'undefined') {
+                throw new Error('This browser does not support BroadcastChannel');
+            }
+            const channel = new BroadcastChannel(`edp360.session.${sessionId}`);
+            channel.onmessage = (e) => onMessage(e.data);
+            return {
+                send: (message) => channel.postMessage(message),
+                close: () => channel.close()
+            };
+        }
+    };
+}
+
+// Relay server: JSON messages over a WebSocket. The server is expected to
+// pass each message on to the other sockets of the same session.
+function createWebSocketSessionTransport(url) {
+    return {
+        name: url,
+        
+        connect(sessionId, onMessage, onClose) {
+            return new Promise((resolve, reject) => {
+                const socket = new WebSocket(`${url}${url.includes('?') ? '&' : '?'}session=${encodeURIComponent(sessionId)}`);
+                let open = false;
+                socket.onopen = () => {
+                    open = true;
+                    resolve({
+                        send: (message) => {
+                            if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+                        },
+                        close: () => {
+                            socket.onclose = null;
+                            socket.close();
+                        }
+                    });
+                };
+                socket.onmessage = (e) => {
+                    try {
+                        onMessage(JSON.parse(e.data));
+                    } catch (err) {
+                        console.warn('Ignoring malformed session message:', err);
+                    }
+                };
+                socket.onerror = () => {
+                    if (!open) reject(new Error(`could not connect to ${url}`));
+                };
+                socket.onclose = () => {
+                    if (open && onClose) onClose();
+                };
+            });
+        }
+    };
+}
+
+function openSessionModal() {
+    const input = document.getElementById('sessionIdInput');
+    if (!input.value) input.value = state.evidenceId;
+    document.getElementById('sessionError').textContent = '';
+    renderSessionPanel();
+    document.getElementById('sessionModal').classList.add('show');
+}
+
+function closeSessionModal() {
+    document.getElementById('sessionModal').classList.remove('show');
+}
+
+async function joinSessionFromForm(presenting) {
+    const idInput = document.getElementById('sessionIdInput');
+    const sessionId = idInput.value.trim();
+    idInput.classList.toggle('invalid', !sessionId);
+    if (!sessionId) return;
     
-    switch (newView) {
-        case 'stitched':
-            threejsContainer.style.display = 'block';
-            state.viewLocked = false;
-            container.classList.remove('view-locked');
-            console.log('Stitched view active - 360° navigation enabled');
-            break;
-        case 'front':
-            threejsContainer.style.display = 'block';
-            state.viewLocked = true;
-            container.classList.add('view-locked');
-            setFrontView();
-            break;
-        case 'back':
-            threejsContainer.style.display = 'block';
-            state.viewLocked = true;
-            container.classList.add('view-locked');
-            setBackView();
-            break;
-        case 'rawview':
-            rawView.style.display = 'block';
-            state.rawViewInitialized = false;  // Reset for fresh render
-            updateRawView();
-            console.log('Raw view active');
-            break;
-        case 'flatview':
-            threejsContainer.style.display = 'block';
-            state.viewLocked = true;
-            container.classList.add('view-locked');
-            setFrontView();
-            console.log('Flat view active');
-            break;
+    if (document.getElementById('sessionTransportSelect').value === 'websocket') {
+        const urlInput = document.getElementById('sessionServerUrl');
+        const url = urlInput.value.trim();
+        urlInput.classList.toggle('invalid', !/^wss?:\/\//.test(url));
+        if (!/^wss?:\/\//.test(url)) return;
+        setSessionTransport(createWebSocketSessionTransport(url));
+    } else {
+        setSessionTransport(createBroadcastSessionTransport());
     }
     
-    // Force renderer resize to ensure proper display
-    if (state.renderer && threejsContainer.style.display === 'block') {
-        const width = threejsContainer.clientWidth;
-        const height = threejsContainer.clientHeight;
-        console.log('Renderer size:', width, 'x', height);
-        state.renderer.setSize(width, height);
-        state.camera.aspect = width / height;
-        state.camera.updateProjectionMatrix();
+    try {
+        await joinSession(sessionId, presenting);
+        renderSessionPanel();
+    } catch (err) {
+        console.error('Could not join session:', err);
+        document.getElementById('sessionError').textContent = `Could not join: ${err.message}`;
     }
-    
-    updatePTZDisplay();
 }
 
-// Set camera to front view (0°, wide FOV)
-function setFrontView() {
-    state.pan = 0;
-    state.tilt = 0;
-    state.zoom = 100; // Wide FOV to show more of the hemisphere
+async function joinSession(sessionId, presenting) {
+    if (state.session) leaveSession();
     
-    console.log('Front view activated - locked at 0°');
-    console.log('Camera state:', {
-        pan: state.pan,
-        tilt: state.tilt,
-        zoom: state.zoom,
-        frontLensOffset: state.frontLensOffset,
-        videoSrc: state.video ? state.video.src : 'no video'
+    const bytes = crypto.getRandomValues(new Uint8Array(8));
+    const participantId = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    const session = {
+        id: sessionId,
+        participantId,
+        name: state.currentUser,
+        color: getSessionColor(participantId),
+        transport: state.sessionTransport.name,
+        presenterId: presenting ? participantId : null,
+        presenterSince: presenting ? Date.now() : 0,
+        following: !presenting,
+        participants: {},  // id -> { id, name, color, yaw, tilt, zoom, aspect, view, lastSeen }
+        connection: null
+    };
+    session.connection = await state.sessionTransport.connect(sessionId, onSessionMessage, () => {
+        if (state.session === session) leaveSession('Connection to the session was lost');
     });
+    
+    state.session = session;
+    Object.assign(sessionStatus, { lastPresence: 0, presenceKey: null, lastPlayback: 0, presenterPlayback: null });
+    sendSessionMessage('join');
+    if (presenting) {
+        sendSessionMessage('presenter', { presenterId: participantId, since: session.presenterSince });
+        sendSessionPlayback();
+    }
+    
+    updateSessionIndicator();
+    logAudit('session.join', { sessionId, role: presenting ? 'presenter' : 'follower', transport: session.transport });
 }
 
-// Set camera to back view (180°, wide FOV)
-function setBackView() {
-    state.pan = 180;
-    state.tilt = 0;
-    state.zoom = 100; // Wide FOV to show more of the hemisphere
+function leaveSession(reason) {
+    const session = state.session;
+    if (!session) return;
     
-    console.log('Back view activated - locked at 180°');
-    console.log('Camera state:', {
-        pan: state.pan,
+    if (!reason) sendSessionMessage('leave');
+    session.connection.close();
+    state.session = null;
+    
+    Object.keys(sessionStatus.frustums).forEach(removeSessionFrustum);
+    const ticks = document.getElementById('sessionTicks');
+    ticks.innerHTML = '';
+    ticks.dataset.key = '';
+    updateSessionIndicator();
+    renderSessionPanel();
+    if (reason) document.getElementById('sessionError').textContent = reason;
+    
+    logAudit('session.leave', { sessionId: session.id });
+}
+
+function sendSessionMessage(type, payload = {}) {
+    const session = state.session;
+    session.connection.send(Object.assign({
+        type,
+        from: session.participantId,
+        name: session.name,
+        color: session.color
+    }, payload));
+}
+
+function sendSessionPresence() {
+    const view = getSessionView();
+    sendSessionMessage('presence', view);
+    sessionStatus.lastPresence = performance.now();
+    sessionStatus.presenceKey = getSessionViewKey(view);
+}
+
+function sendSessionPlayback() {
+    if (!state.video.src) return;
+    sendSessionMessage('playback', {
+        playing: !state.video.paused,
+        time: state.video.currentTime,
+        rate: state.video.playbackRate
+    });
+    sessionStatus.lastPlayback = performance.now();
+}
+
+function getSessionView() {
+    return {
+        yaw: normalizeAngle(state.pan + state.frontLensOffset),
         tilt: state.tilt,
         zoom: state.zoom,
-        frontLensOffset: state.frontLensOffset
-    });
+        aspect: state.camera.aspect,
+        view: state.currentView
+    };
 }
 
-function updateRawView() {
-    const frontCanvas = document.getElementById('rawFrontCanvas');
-    const backCanvas = document.getElementById('rawBackCanvas');
+function getSessionViewKey(view) {
+    return [view.yaw.toFixed(1), view.tilt.toFixed(1), view.zoom.toFixed(1), view.view].join('|');
+}
+
+function onSessionMessage(message) {
+    const session = state.session;
+    if (!session || !message || message.from === session.participantId) return;
     
-    if (!frontCanvas || !backCanvas) {
-        console.error('Raw view canvases not found');
+    if (message.type === 'leave') {
+        removeSessionParticipant(message.from);
         return;
     }
     
-    console.log('updateRawView called');
-    console.log('Video state:', {
-        hasSrc: !!state.video.src,
-        readyState: state.video.readyState,
-        videoWidth: state.video.videoWidth,
-        videoHeight: state.video.videoHeight
-    });
+    const participant = session.participants[message.from] || (session.participants[message.from] = { id: message.from });
+    Object.assign(participant, { name: message.name, color: message.color, lastSeen: performance.now() });
     
-    // Set canvas sizes
-    const resizeCanvas = (canvas) => {
-        const parent = canvas.parentElement;
-        const width = parent.clientWidth - 32;
-        const height = parent.clientHeight - 50;
-        canvas.width = width;
-        canvas.height = height;
-        console.log(`Canvas ${canvas.id} sized:`, width, 'x', height);
-    };
+    switch (message.type) {
+        case 'join':
+            // Bring the newcomer up to date
+            sendSessionPresence();
+            if (isSessionPresenter()) {
+                sendSessionMessage('presenter', { presenterId: session.participantId, since: session.presenterSince });
+                sendSessionPlayback();
+            }
+            break;
+        case 'presence':
+            Object.assign(participant, {
+                yaw: message.yaw,
+                tilt: message.tilt,
+                zoom: message.zoom,
+                aspect: message.aspect,
+                view: message.view
+            });
+            break;
+        case 'playback':
+            if (message.from !== session.presenterId) break;
+            sessionStatus.presenterPlayback = Object.assign({ receivedAt: performance.now() }, message);
+            if (isFollowingPresenter()) applySessionPlayback();
+            break;
+        case 'presenter': {
+            const newer = message.since > session.presenterSince ||
+                (message.since === session.presenterSince && message.presenterId > session.presenterId);
+            if (session.presenterId === message.presenterId || !newer) break;
+            
+            // Someone else took over: the previous presenter follows them
+            if (isSessionPresenter()) session.following = true;
+            session.presenterId = message.presenterId;
+            session.presenterSince = message.since;
+            sessionStatus.presenterPlayback = null;
+            renderSessionPanel();
+            break;
+        }
+    }
+    renderSessionRoster();
+}
+
+function removeSessionParticipant(id) {
+    const session = state.session;
+    delete session.participants[id];
+    removeSessionFrustum(id);
+    if (session.presenterId === id) {
+        session.presenterId = null;
+        sessionStatus.presenterPlayback = null;
+    }
+    updateSessionIndicator();
+    renderSessionRoster();
+}
+
+function isSessionPresenter() {
+    return !!state.session && state.session.presenterId === state.session.participantId;
+}
+
+function isFollowingPresenter() {
+    const session = state.session;
+    return !!session && session.following && !!session.presenterId && session.presenterId !== session.participantId;
+}
+
+function takeSessionPresenter() {
+    const session = state.session;
+    if (!session || isSessionPresenter()) return;
     
-    resizeCanvas(frontCanvas);
-    resizeCanvas(backCanvas);
+    session.presenterId = session.participantId;
+    session.presenterSince = Date.now();
+    session.following = false;
+    sendSessionMessage('presenter', { presenterId: session.participantId, since: session.presenterSince });
+    sendSessionPlayback();
+    sendSessionPresence();
+    updateSessionIndicator();
+    renderSessionPanel();
+    logAudit('session.present', { sessionId: session.id });
+}
+
+// Detach to look around on your own; re-sync jumps back to the presenter
+function setSessionFollowing(following) {
+    const session = state.session;
+    if (!session || isSessionPresenter()) return;
     
-    // Start rendering immediately
-    renderRawView();
+    session.following = following;
+    if (following) applySessionPlayback();
+    updateSessionIndicator();
 }
 
-// Render the raw fisheye views continuously
-function renderRawView() {
-    // Check if we should still be rendering
-    if (state.currentView !== 'rawview') {
-        console.log('Stopping raw view render loop');
-        return;
+// Match the presenter's play state, rate and (extrapolated) time
+function applySessionPlayback() {
+    const playback = sessionStatus.presenterPlayback;
+    if (!playback || !state.video.src || state.isExporting) return;
+    
+    if (state.shuttleSpeed !== 0) resetShuttle();
+    if (state.video.playbackRate !== playback.rate) {
+        state.video.playbackRate = playback.rate;
+        document.getElementById('speedSelect').value = String(playback.rate);
     }
     
-    const frontCanvas = document.getElementById('rawFrontCanvas');
-    const backCanvas = document.getElementById('rawBackCanvas');
+    const elapsed = playback.playing ? (performance.now() - playback.receivedAt) / 1000 * playback.rate : 0;
+    const time = Math.min(playback.time + elapsed, state.video.duration || Infinity);
+    if (Math.abs(state.video.currentTime - time) > SESSION_SYNC_TOLERANCE) {
+        state.video.currentTime = time;
+    }
     
-    if (!frontCanvas || !backCanvas) {
-        console.error('Canvases not found in renderRawView');
-        return;
+    if (playback.playing && state.video.paused) {
+        state.video.play();
+    } else if (!playback.playing && !state.video.paused) {
+        state.video.pause();
+    }
+    if (state.isPlaying !== playback.playing) {
+        state.isPlaying = playback.playing;
+        updatePlayPauseButton();
     }
+}
+
+// Called every frame: follows the presenter's view, sends presence and
+// playback, drops participants that went quiet and updates their outlines
+function updateSession() {
+    const session = state.session;
+    if (!session) return;
     
-    const frontCtx = frontCanvas.getContext('2d');
-    const backCtx = backCanvas.getContext('2d');
+    const now = performance.now();
+    Object.values(session.participants).forEach(participant => {
+        if (now - participant.lastSeen > SESSION_TIMEOUT) removeSessionParticipant(participant.id);
+    });
     
-    // Clear canvases
-    frontCtx.fillStyle = '#000';
-    frontCtx.fillRect(0, 0, frontCanvas.width, frontCanvas.height);
-    backCtx.fillStyle = '#000';
-    backCtx.fillRect(0, 0, backCanvas.width, backCanvas.height);
+    // Followers keep correcting drift, and catch up once their video loads.
+    // A view path replay takes over until it ends.
+    const following = isFollowingPresenter() && !state.pathReplay;
+    if (following) applySessionPlayback();
     
-    if (state.video && state.video.src && state.video.readyState >= state.video.HAVE_CURRENT_DATA) {
-        const videoWidth = state.video.videoWidth;
-        const videoHeight = state.video.videoHeight;
-        
-        if (!state.rawViewInitialized) {
-            console.log('Starting raw view render with video:', videoWidth, 'x', videoHeight);
-            state.rawViewInitialized = true;
+    const target = session.participants[session.presenterId];
+    if (following && target && target.yaw !== undefined) {
+        const views = ['stitched', 'front', 'back', ...Object.keys(PROJECTION_MODES)];
+        if (target.view !== state.currentView && views.includes(target.view)) {
+            const select = document.getElementById('viewControlSelect');
+            select.value = target.view;
+            handleViewChange({ target: select });
         }
+        if (!state.viewLocked) {
+            const pan = normalizeAngle(target.yaw - state.frontLensOffset);
+            state.pan = normalizeAngle(state.pan + shortestAngle(state.pan, pan) * SESSION_VIEW_EASE);
+            state.tilt += (target.tilt - state.tilt) * SESSION_VIEW_EASE;
+            state.zoom = clampZoom(state.zoom + (target.zoom - state.zoom) * SESSION_VIEW_EASE);
+            updatePTZDisplay();
+        }
+    }
+    
+    const moved = getSessionViewKey(getSessionView()) !== sessionStatus.presenceKey;
+    if ((moved && now - sessionStatus.lastPresence >= SESSION_PRESENCE_INTERVAL) ||
+        now - sessionStatus.lastPresence >= SESSION_HEARTBEAT) {
+        sendSessionPresence();
+    }
+    if (isSessionPresenter() && !state.isExporting && now - sessionStatus.lastPlayback >= SESSION_PLAYBACK_INTERVAL) {
+        sendSessionPlayback();
+    }
+    
+    updateSessionPresence();
+}
+
+// Stable color per participant
+function getSessionColor(id) {
+    const index = Array.from(id).reduce((sum, c) => sum + c.charCodeAt(0), 0);
+    return SESSION_COLORS[index % SESSION_COLORS.length];
+}
+
+// Compass ticks and sphere outlines for everyone else's view
+function updateSessionPresence() {
+    const participants = Object.values(state.session.participants).filter(p => p.yaw !== undefined);
+    
+    const ticks = document.getElementById('sessionTicks');
+    const key = participants.map(p => `${p.id}:${Math.round(p.yaw)}`).join(',') +
+        `@${state.frontLensOffset}/${state.session.presenterId}`;
+    if (ticks.dataset.key !== key) {
+        ticks.dataset.key = key;
+        ticks.innerHTML = '';
+        participants.forEach(participant => {
+            const pan = normalizeAngle(participant.yaw - state.frontLensOffset);
+            const tick = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            tick.setAttribute('d', participant.id === state.session.presenterId ? 'M50,1 L54,10 L46,10 Z' : 'M50,3 L53,9 L47,9 Z');
+            tick.setAttribute('fill', participant.color);
+            tick.setAttribute('transform', `rotate(${-pan + 180} 50 50)`);
+            ticks.appendChild(tick);
+        });
+    }
+    
+    // Outlines only for perspective views; the others don't have a frustum
+    participants.forEach(participant => {
+        const frustum = sessionStatus.frustums[participant.id] || createSessionFrustum(participant);
+        frustum.line.visible = !(participant.view in PROJECTION_MODES) && participant.view !== 'rawview';
+        if (!frustum.line.visible) return;
         
-        // For equirectangular 360° video, split horizontally
-        // Left half = Front lens (0° to 180°)
-        // Right half = Back lens (180° to 360°)
-        
-        const halfWidth = videoWidth / 2;
-        
-        // Calculate scaling to fit canvas while maintaining aspect ratio
-        const frontScale = Math.min(
-            frontCanvas.width / halfWidth,
-            frontCanvas.height / videoHeight
-        );
-        
-        const backScale = Math.min(
-            backCanvas.width / halfWidth,
-            backCanvas.height / videoHeight
-        );
-        
-        const frontDrawWidth = halfWidth * frontScale;
-        const frontDrawHeight = videoHeight * frontScale;
-        const frontX = (frontCanvas.width - frontDrawWidth) / 2;
-        const frontY = (frontCanvas.height - frontDrawHeight) / 2;
-        
-        const backDrawWidth = halfWidth * backScale;
-        const backDrawHeight = videoHeight * backScale;
-        const backX = (backCanvas.width - backDrawWidth) / 2;
-        const backY = (backCanvas.height - backDrawHeight) / 2;
-        
-        try {
-            // Draw front lens (left half of equirectangular)
-            frontCtx.drawImage(
-                state.video,
-                0, 0, halfWidth, videoHeight,  // Source: left half
-                frontX, frontY, frontDrawWidth, frontDrawHeight  // Destination: scaled and centered
-            );
-            
-            // Draw back lens (right half of equirectangular)
-            backCtx.drawImage(
-                state.video,
-                halfWidth, 0, halfWidth, videoHeight,  // Source: right half
-                backX, backY, backDrawWidth, backDrawHeight  // Destination: scaled and centered
-            );
-        } catch (err) {
-            console.error('Error drawing to canvas:', err);
+        const frustumKey = [participant.yaw, participant.tilt, participant.zoom, participant.aspect].join('|');
+        if (frustum.key === frustumKey) return;
+        frustum.key = frustumKey;
+        frustum.line.geometry.attributes.position.array.set(getSessionFrustumOutline(participant));
+        frustum.line.geometry.attributes.position.needsUpdate = true;
+    });
+}
+
+function createSessionFrustum(participant) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(SESSION_FRUSTUM_STEPS * 4 * 3), 3));
+    const material = new THREE.LineBasicMaterial({ color: participant.color, transparent: true, opacity: 0.9, depthTest: false });
+    
+    const line = new THREE.LineLoop(geometry, material);
+    line.frustumCulled = false;
+    line.renderOrder = 2;
+    line.layers.set(SESSION_OVERLAY_LAYER);
+    state.scene.add(line);
+    
+    sessionStatus.frustums[participant.id] = { line, key: null };
+    return sessionStatus.frustums[participant.id];
+}
+
+function removeSessionFrustum(id) {
+    const frustum = sessionStatus.frustums[id];
+    if (!frustum) return;
+    
+    state.scene.remove(frustum.line);
+    frustum.line.geometry.dispose();
+    frustum.line.material.dispose();
+    delete sessionStatus.frustums[id];
+}
+
+// The edges of a participant's viewport traced onto the sphere
+function getSessionFrustumOutline(participant) {
+    const camera = new THREE.PerspectiveCamera(participant.zoom, participant.aspect || 16 / 9, 0.1, 1000);
+    camera.rotation.order = 'YXZ';
+    camera.rotation.y = THREE.MathUtils.degToRad(participant.yaw);
+    camera.rotation.x = THREE.MathUtils.degToRad(participant.tilt);
+    camera.updateMatrixWorld();
+    
+    const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+    const points = [];
+    corners.forEach(([x, y], i) => {
+        const [nextX, nextY] = corners[(i + 1) % 4];
+        for (let step = 0; step < SESSION_FRUSTUM_STEPS; step++) {
+            const f = step / SESSION_FRUSTUM_STEPS;
+            const point = new THREE.Vector3(x + (nextX - x) * f, y + (nextY - y) * f, 0.5).unproject(camera);
+            points.push(...point.normalize().multiplyScalar(SESSION_FRUSTUM_RADIUS).toArray());
         }
+    });
+    return points;
+}
+
+function updateSessionIndicator() {
+    const session = state.session;
+    const indicator = document.getElementById('sessionIndicator');
+    const button = document.getElementById('sessionSyncBtn');
+    document.getElementById('sessionBtn').classList.toggle('active', !!session);
+    if (!session) {
+        indicator.style.display = 'none';
+        return;
+    }
+    
+    const presenter = session.participants[session.presenterId];
+    const others = Object.keys(session.participants).length;
+    let text;
+    if (isSessionPresenter()) {
+        text = `Presenting to ${others} reviewer${others === 1 ? '' : 's'}`;
+    } else if (!session.presenterId) {
+        text = 'Session: no presenter';
     } else {
-        // Show placeholder if video not ready
-        drawPlaceholder(frontCtx, frontCanvas, 'Front Lens', state.video && state.video.src ? 'Video loading...' : 'Load a 360° video');
-        drawPlaceholder(backCtx, backCanvas, 'Back Lens', state.video && state.video.src ? 'Video loading...' : 'Load a 360° video');
+        const name = presenter ? presenter.name : 'presenter';
+        text = session.following ? `Following ${name}` : `Detached from ${name}`;
     }
+    document.getElementById('sessionIndicatorText').textContent = text;
+    button.style.display = !isSessionPresenter() && session.presenterId ? 'inline-block' : 'none';
+    button.textContent = session.following ? 'Detach' : 'Re-sync';
+    indicator.classList.toggle('detached', !isSessionPresenter() && !session.following);
+    indicator.style.display = 'flex';
+}
+
+// Participant list in the session modal, redrawn when the roster changes
+function renderSessionRoster() {
+    const session = state.session;
+    const participants = session ? Object.values(session.participants) : [];
+    const key = session ? [session.presenterId, ...participants.map(p => `${p.id}:${p.name}`)].join(',') : '';
+    if (sessionStatus.rosterKey === key) return;
+    sessionStatus.rosterKey = key;
     
-    // Continue rendering if in raw view mode
-    requestAnimationFrame(renderRawView);
+    updateSessionIndicator();
+    const list = document.getElementById('sessionParticipants');
+    list.innerHTML = '';
+    if (!session) return;
+    
+    const self = { id: session.participantId, name: `${session.name} (you)`, color: session.color };
+    [self, ...participants].forEach(participant => {
+        const item = document.createElement('div');
+        item.className = 'session-participant';
+        item.innerHTML = '<span class="session-color"></span><span class="session-name"></span><span class="session-role"></span>';
+        item.querySelector('.session-color').style.backgroundColor = participant.color;
+        item.querySelector('.session-name').textContent = participant.name;
+        item.querySelector('.session-role').textContent = participant.id === session.presenterId ? 'Presenter' : 'Follower';
+        list.appendChild(item);
+    });
 }
 
-// Helper function to draw placeholder text
-function drawPlaceholder(ctx, canvas, title, subtitle) {
-    ctx.fillStyle = '#94a3b8';
-    ctx.font = '16px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.fillText(title, canvas.width / 2, canvas.height / 2 - 10);
+// Join form before joining, roster and session actions after
+function renderSessionPanel() {
+    const session = state.session;
+    document.getElementById('sessionJoinForm').style.display = session ? 'none' : 'block';
+    document.getElementById('sessionActive').style.display = session ? 'block' : 'none';
+    document.getElementById('startSessionBtn').style.display = session ? 'none' : 'inline-block';
+    document.getElementById('joinSessionBtn').style.display = session ? 'none' : 'inline-block';
+    document.getElementById('leaveSessionBtn').style.display = session ? 'inline-block' : 'none';
+    document.getElementById('presentSessionBtn').style.display = session && !isSessionPresenter() ? 'inline-block' : 'none';
     
-    ctx.font = '12px sans-serif';
-    ctx.fillText(subtitle, canvas.width / 2, canvas.height / 2 + 15);
+    if (session) {
+        document.getElementById('sessionDetails').textContent = `Session ${session.id} • ${session.transport}`;
+        document.getElementById('sessionError').textContent = '';
+    }
+    sessionStatus.rosterKey = null;
+    renderSessionRoster();
 }
 
 // ===================================
-// Playback Controls
+// Comments
 // ===================================
 
-function togglePlayPause() {
-    if (!state.video.src) return;
-    
-    if (state.isPlaying) {
-        state.video.pause();
-        state.isPlaying = false;
-    } else {
-        state.video.play();
-        state.isPlaying = true;
-    }
-    updatePlayPauseButton();
+// Thread: { id, evidenceId, anchor, status, resolvedBy, resolvedAt, createdBy,
+// createdAt, updatedAt, comments }. anchor is one of
+//   { type: 'time', time }
+//   { type: 'range', time, end }
+//   { type: 'marker', time, markerId }   time is the marker's time when anchored
+//   { type: 'point', time, yaw, pitch }  sphere-space direction (see Sphere Coordinates)
+// Comments: { id, author, text, mentions, createdAt, editedAt, history }, where
+// history keeps every earlier { text, editedAt } of an edited comment.
+
+const COMMENT_MENTION_PATTERN = /@([\w.-]+)/g;
+
+const COMMENT_ANCHOR_LABELS = {
+    time: 'Timestamp',
+    range: 'Time range',
+    marker: 'Marker',
+    point: 'Spatial point'
+};
+
+// Comment store interface (all methods return promises):
+//   loadThreads(evidenceId) -> every thread on the evidence
+//   saveThread(thread)      -> creates or replaces the thread
+// Swap in a server-backed implementation with setCommentStore().
+function setCommentStore(store) {
+    state.commentStore = store;
 }
 
-function updatePlayPauseButton() {
-    const playIcon = document.getElementById('playIcon');
-    const pauseIcon = document.getElementById('pauseIcon');
+// Default: threads live in this browser's IndexedDB next to markers
+function createIndexedDBCommentStore() {
+    return {
+        loadThreads(evidenceId) {
+            return dbGetAllForEvidence('comments', evidenceId);
+        },
+        
+        saveThread(thread) {
+            return dbPut('comments', thread);
+        }
+    };
+}
+
+function setupComments() {
+    setCommentStore(createIndexedDBCommentStore());
     
-    if (state.isPlaying) {
-        playIcon.style.display = 'none';
-        pauseIcon.style.display = 'block';
-    } else {
-        playIcon.style.display = 'block';
-        pauseIcon.style.display = 'none';
-    }
+    document.getElementById('newCommentBtn').addEventListener('click', () => {
+        openCommentModal({ mode: 'thread' });
+    });
+    document.getElementById('commentPointBtn').addEventListener('click', () => {
+        setPickingCommentPoint(!state.pickingCommentPoint);
+    });
+    document.getElementById('commentFilter').addEventListener('change', (e) => {
+        state.commentFilter = e.target.value;
+        renderComments();
+    });
+    
+    document.getElementById('confirmComment').addEventListener('click', saveCommentFromForm);
+    document.getElementById('closeCommentModal').addEventListener('click', closeCommentModal);
+    document.getElementById('cancelComment').addEventListener('click', closeCommentModal);
+    
+    // Mention suggestions insert a handle at the cursor
+    document.getElementById('commentMentionHint').addEventListener('click', (e) => {
+        const chip = e.target.closest('.comment-mention-chip');
+        if (!chip) return;
+        
+        const input = document.getElementById('commentText');
+        const before = input.value.slice(0, input.selectionStart);
+        const after = input.value.slice(input.selectionEnd);
+        const handle = `@${chip.dataset.handle} `;
+        input.value = before + (before && !/\s$/.test(before) ? ' ' : '') + handle + after;
+        input.focus();
+    });
+    
+    // Timeline dots and thread items are re-rendered, so delegate clicks
+    document.getElementById('timelineComments').addEventListener('click', (e) => {
+        const dot = e.target.closest('.comment-dot');
+        if (!dot) return;
+        
+        e.stopPropagation();
+        goToCommentThread(dot.dataset.threadId);
+        revealCommentThread(dot.dataset.threadId);
+    });
+    
+    document.getElementById('commentThreads').addEventListener('click', (e) => {
+        const btn = e.target.closest('.marker-action-btn');
+        if (!btn) return;
+        
+        const threadId = btn.closest('.comment-thread').dataset.threadId;
+        const comment = btn.closest('.comment');
+        switch (btn.dataset.action) {
+            case 'jump':
+                goToCommentThread(threadId);
+                break;
+            case 'reply':
+                openCommentModal({ mode: 'reply', threadId });
+                break;
+            case 'edit':
+                openCommentModal({ mode: 'edit', threadId, commentId: comment.dataset.commentId });
+                break;
+            case 'history':
+                comment.querySelector('.comment-history').classList.toggle('show');
+                break;
+            case 'resolve':
+                setCommentThreadStatus(threadId, 'resolved');
+                break;
+            case 'reopen':
+                setCommentThreadStatus(threadId, 'open');
+                break;
+        }
+    });
+    
+    loadComments();
 }
 
-function skipTime(seconds) {
-    if (!state.video.src) return;
-    state.video.currentTime = Math.max(0, Math.min(state.video.duration, state.video.currentTime + seconds));
+async function loadComments() {
+    try {
+        state.commentThreads = await state.commentStore.loadThreads(state.evidenceId);
+    } catch (err) {
+        console.error('Could not load comments:', err);
+    }
+    renderComments();
 }
 
-function toggleMute() {
-    if (!state.video.src) return;
-    state.video.muted = !state.video.muted;
-    document.getElementById('volumeSlider').value = state.video.muted ? 0 : state.video.volume * 100;
+// Share links without comment access can read threads but not add to them
+function canComment() {
+    return !state.shareAccess || state.shareAccess.accessLevel !== 'view';
 }
 
-function handleVolumeChange(event) {
-    if (!state.video.src) return;
-    const volume = event.target.value / 100;
-    state.video.volume = volume;
-    state.video.muted = volume === 0;
+function getCommentThread(id) {
+    return state.commentThreads.find(thread => thread.id === id) || null;
 }
 
-function handleSpeedChange(event) {
-    if (!state.video.src) return;
-    state.video.playbackRate = parseFloat(event.target.value);
+// Marker anchors follow the marker if it has been moved since
+function getCommentThreadTime(thread) {
+    const marker = thread.anchor.type === 'marker' ? getMarker(thread.anchor.markerId) : null;
+    return marker ? marker.time : thread.anchor.time;
 }
 
-function toggleFullscreen() {
-    const viewport = document.getElementById('videoViewport');
-    
-    if (!document.fullscreenElement) {
-        viewport.requestFullscreen().catch(err => {
-            console.error('Error attempting to enable fullscreen:', err);
-        });
-    } else {
-        document.exitFullscreen();
+function describeCommentAnchor(anchor) {
+    switch (anchor.type) {
+        case 'range':
+            return `${formatTime(anchor.time)} – ${formatTime(anchor.end)}`;
+        case 'marker': {
+            const marker = getMarker(anchor.markerId);
+            return marker ? `${formatTime(marker.time)} • ${marker.title}` : `${formatTime(anchor.time)} • deleted marker`;
+        }
+        case 'point':
+            return `${formatTime(anchor.time)} • Pan ${Math.round(normalizeAngle(anchor.yaw - state.frontLensOffset))}° Tilt ${Math.round(anchor.pitch)}°`;
+        default:
+            return formatTime(anchor.time);
     }
 }
 
-// ===================================
-// Timeline
-// ===================================
+// Names are matched as handles: spaces become dots and case is ignored,
+// so "Jane Doe" is mentioned by @jane.doe
+function getMentionHandle(name) {
+    return name.trim().replace(/\s+/g, '.');
+}
 
-function handleTimelineClick(event) {
-    if (!state.video.src) return;
-    
-    const timeline = event.currentTarget;
-    const rect = timeline.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const percentage = x / rect.width;
-    
-    state.video.currentTime = percentage * state.video.duration;
-    updateTimelineProgress();
+function parseMentions(text) {
+    const handles = Array.from(text.matchAll(COMMENT_MENTION_PATTERN), match => match[1].replace(/\.+$/, ''));
+    return [...new Set(handles)];
 }
 
-function startTimelineDrag(event) {
-    if (!state.video.src) return;
+function isMentioned(comment, name = state.currentUser) {
+    const handle = getMentionHandle(name).toLowerCase();
+    return comment.mentions.some(mention => mention.toLowerCase() === handle);
+}
+
+// People seen on this evidence, offered as mention suggestions
+function getKnownReviewers() {
+    const names = new Set();
+    state.commentThreads.forEach(thread => thread.comments.forEach(comment => names.add(comment.author)));
+    state.markers.forEach(marker => names.add(marker.author));
+    state.auditLog.forEach(entry => names.add(entry.user));
+    if (state.session) {
+        Object.values(state.session.participants).forEach(participant => names.add(participant.name));
+    }
+    names.delete(state.currentUser);
+    return [...names].filter(Boolean).sort();
+}
+
+function setPickingCommentPoint(enabled) {
+    state.pickingCommentPoint = enabled;
+    document.getElementById('commentPointBtn').classList.toggle('active', enabled);
+    document.getElementById('threejsContainer').classList.toggle('annotating', enabled);
+}
+
+// mode is 'thread' (new thread, optionally on a picked point), 'reply' or 'edit'
+function openCommentModal(draft) {
+    if (!canComment()) return;
+    state.commentDraft = draft;
     
-    state.isDraggingTimeline = true;
+    const thread = getCommentThread(draft.threadId);
+    const comment = thread && thread.comments.find(c => c.id === draft.commentId);
+    const titles = { thread: 'New Comment Thread', reply: 'Reply', edit: 'Edit Comment' };
+    document.getElementById('commentModalTitle').textContent = titles[draft.mode];
+    document.getElementById('confirmComment').textContent = draft.mode === 'edit' ? 'Save' : 'Post';
+    document.getElementById('commentAnchorGroup').style.display = draft.mode === 'thread' ? 'block' : 'none';
+    document.getElementById('commentContext').textContent = thread ? describeCommentAnchor(thread.anchor) : '';
+    document.getElementById('commentText').value = comment ? comment.text : '';
     
-    const onDrag = (e) => {
-        if (!state.isDraggingTimeline) return;
-        
-        const timeline = document.getElementById('timeline');
-        const rect = timeline.getBoundingClientRect();
-        const x = Math.max(0, Math.min(rect.width, e.clientX - rect.left));
-        const percentage = x / rect.width;
-        
-        state.video.currentTime = percentage * state.video.duration;
-    };
+    if (draft.mode === 'thread') {
+        renderCommentAnchorOptions(draft.point);
+    }
     
-    const stopDrag = () => {
-        state.isDraggingTimeline = false;
-        document.removeEventListener('mousemove', onDrag);
-        document.removeEventListener('mouseup', stopDrag);
-    };
+    const hint = document.getElementById('commentMentionHint');
+    hint.innerHTML = '';
+    getKnownReviewers().forEach(name => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'comment-mention-chip';
+        chip.dataset.handle = getMentionHandle(name);
+        chip.textContent = `@${chip.dataset.handle}`;
+        chip.title = `Mention ${name}`;
+        hint.appendChild(chip);
+    });
     
-    document.addEventListener('mousemove', onDrag);
-    document.addEventListener('mouseup', stopDrag);
+    document.querySelectorAll('#commentModal .invalid').forEach(el => el.classList.remove('invalid'));
+    document.getElementById('commentModal').classList.add('show');
+    document.getElementById('commentText').focus();
 }
 
-function updateTimelineProgress() {
-    if (!state.video.src || !state.video.duration) return;
-    
-    const percentage = (state.video.currentTime / state.video.duration) * 100;
-    document.getElementById('timelineProgress').style.width = percentage + '%';
-    document.getElementById('timelineScrubber').style.left = percentage + '%';
+function closeCommentModal() {
+    state.commentDraft = null;
+    document.getElementById('commentModal').classList.remove('show');
 }
 
-function updateTimeDisplay() {
-    if (!state.video.src) return;
+// Anchor choices for a new thread; a picked point is preselected
+function renderCommentAnchorOptions(point) {
+    const select = document.getElementById('commentAnchor');
+    const time = state.video.src ? state.video.currentTime : 0;
+    const range = getSelectedRange();
     
-    const current = formatTime(state.video.currentTime);
-    document.getElementById('currentTime').textContent = current;
+    select.innerHTML = '';
+    const addOption = (value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    };
     
-    updateTimelineProgress();
+    if (point) {
+        addOption('point', `Spatial point at ${describeCommentAnchor(Object.assign({ type: 'point', time }, point))}`);
+    }
+    addOption('time', `Current time (${formatTime(time)})`);
+    if (range) {
+        addOption('range', `Selected range (${formatTime(range.start)} – ${formatTime(range.end)})`);
+    }
+    state.markers.forEach(marker => {
+        addOption(`marker:${marker.id}`, `Marker: ${formatTime(marker.time)} ${marker.title}`);
+    });
 }
 
-function updateDurationDisplay() {
-    if (!state.video.src) return;
+function getCommentAnchorFromForm() {
+    const value = document.getElementById('commentAnchor').value;
+    const time = state.video.src ? state.video.currentTime : 0;
     
-    const duration = formatTime(state.video.duration);
-    document.getElementById('duration').textContent = duration;
+    if (value === 'point') {
+        return { type: 'point', time, yaw: state.commentDraft.point.yaw, pitch: state.commentDraft.point.pitch };
+    }
+    const range = value === 'range' ? getSelectedRange() : null;
+    if (range) {
+        return { type: 'range', time: range.start, end: range.end };
+    }
+    const marker = value.startsWith('marker:') ? getMarker(value.slice('marker:'.length)) : null;
+    if (marker) {
+        return { type: 'marker', time: marker.time, markerId: marker.id };
+    }
+    return { type: 'time', time };
 }
 
-function formatTime(seconds) {
-    if (isNaN(seconds)) return '0:00.000';
+async function saveCommentFromForm() {
+    const draft = state.commentDraft;
+    const input = document.getElementById('commentText');
+    const text = input.value.trim();
     
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    const ms = Math.floor((seconds % 1) * 1000);
+    input.classList.toggle('invalid', !text);
+    if (!draft || !text) return;
     
-    return `${mins}:${secs.toString().padStart(2, '0')}.${ms.toString().padStart(3, '0')}`;
+    const now = new Date().toISOString();
+    let thread;
+    
+    if (draft.mode === 'thread') {
+        thread = {
+            id: 'thread-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            evidenceId: state.evidenceId,
+            anchor: getCommentAnchorFromForm(),
+            status: 'open',
+            resolvedBy: null,
+            resolvedAt: null,
+            createdBy: state.currentUser,
+            createdAt: now,
+            updatedAt: now,
+            comments: [createComment(text, now)]
+        };
+        logAudit('comment.add', { threadId: thread.id, anchor: thread.anchor.type, time: thread.anchor.time });
+    } else {
+        thread = Object.assign({}, getCommentThread(draft.threadId));
+        thread.comments = thread.comments.slice();
+        thread.updatedAt = now;
+        
+        if (draft.mode === 'reply') {
+            const comment = createComment(text, now);
+            thread.comments.push(comment);
+            logAudit('comment.reply', { threadId: thread.id, commentId: comment.id, time: thread.anchor.time });
+        } else {
+            const index = thread.comments.findIndex(c => c.id === draft.commentId);
+            const previous = thread.comments[index];
+            if (previous.text === text) {
+                closeCommentModal();
+                return;
+            }
+            
+            thread.comments[index] = Object.assign({}, previous, {
+                text,
+                mentions: parseMentions(text),
+                editedAt: now,
+                history: previous.history.concat({ text: previous.text, editedAt: previous.editedAt || previous.createdAt })
+            });
+            logAudit('comment.edit', { threadId: thread.id, commentId: previous.id, time: thread.anchor.time });
+        }
+    }
+    
+    closeCommentModal();
+    await storeCommentThread(thread);
 }
 
-// ===================================
-// Pan/Tilt/Zoom Controls
-// ===================================
+function createComment(text, createdAt) {
+    return {
+        id: 'comment-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        author: state.currentUser,
+        text,
+        mentions: parseMentions(text),
+        createdAt,
+        editedAt: null,
+        history: []
+    };
+}
 
-function resetView() {
-    // Reset based on current view mode
-    if (state.currentView === 'front' || state.currentView === 'flatview') {
-        setFrontView();
-    } else if (state.currentView === 'back') {
-        setBackView();
-    } else {
-        // Reset to initial orientation (front lens view) for stitched
-        state.pan = state.initialOrientation.pan;
-        state.tilt = state.initialOrientation.tilt;
-        state.zoom = state.initialOrientation.zoom;
+async function setCommentThreadStatus(id, status) {
+    const existing = getCommentThread(id);
+    if (!existing || existing.status === status || !canComment()) return;
+    
+    const now = new Date().toISOString();
+    const thread = Object.assign({}, existing, {
+        status,
+        resolvedBy: status === 'resolved' ? state.currentUser : null,
+        resolvedAt: status === 'resolved' ? now : null,
+        updatedAt: now
+    });
+    logAudit(status === 'resolved' ? 'comment.resolve' : 'comment.reopen', { threadId: id, time: thread.anchor.time });
+    await storeCommentThread(thread);
+}
+
+async function storeCommentThread(thread) {
+    state.commentThreads = state.commentThreads.filter(t => t.id !== thread.id).concat(thread);
+    renderComments();
+    
+    try {
+        await state.commentStore.saveThread(thread);
+    } catch (err) {
+        console.error('Could not save comment thread:', err);
     }
-    updatePTZDisplay();
 }
 
-// Function to calibrate front lens alignment
-function calibrateFrontLens() {
-    // Set current view as the "front" reference point
-    state.frontLensOffset = -state.pan;
-    state.initialOrientation.pan = 0;
-    state.pan = 0;
-    updatePTZDisplay();
+// Seek to the anchor and, for ranges and points, restore the selection or direction
+function goToCommentThread(id) {
+    const thread = getCommentThread(id);
+    if (!thread || !state.video.src) return;
     
-    console.log(`Front lens calibrated. Offset: ${state.frontLensOffset}°`);
+    const anchor = thread.anchor;
+    if (anchor.type === 'marker' && getMarker(anchor.markerId)) {
+        jumpToMarker(anchor.markerId);
+        return;
+    }
+    
+    state.video.currentTime = anchor.time;
+    if (anchor.type === 'range') {
+        state.rangeIn = anchor.time;
+        state.rangeOut = anchor.end;
+        renderRange();
+    } else if (anchor.type === 'point') {
+        if (state.viewLocked) {
+            const select = document.getElementById('viewControlSelect');
+            select.value = 'stitched';
+            handleViewChange({ target: select });
+        }
+        state.pan = normalizeAngle(anchor.yaw - state.frontLensOffset);
+        state.tilt = anchor.pitch;
+        updatePTZDisplay();
+    }
 }
 
-function setupPTZInputs() {
-    const ptzItems = document.querySelectorAll('.ptz-item');
+function revealCommentThread(id) {
+    showSidebarTab('comments');
     
-    ptzItems.forEach(item => {
-        const type = item.dataset.ptz;
-        const valueSpan = item.querySelector('.ptz-value');
-        const input = item.querySelector('.ptz-input');
-        
-        // Click to toggle input
-        item.addEventListener('click', (e) => {
-            if (e.target === input) return;
-            
-            const isInputVisible = input.style.display !== 'none';
-            
-            if (isInputVisible) {
-                valueSpan.style.display = 'inline';
-                input.style.display = 'none';
-            } else {
-                valueSpan.style.display = 'none';
-                input.style.display = 'inline';
-                input.focus();
-                input.select();
-            }
-        });
-        
-        // Handle input changes
-        input.addEventListener('change', () => {
-            const value = parseFloat(input.value);
-            
-            switch (type) {
-                case 'pan':
-                    state.pan = Math.max(-180, Math.min(180, value));
-                    break;
-                case 'tilt':
-                    state.tilt = Math.max(-90, Math.min(90, value));
-                    break;
-                case 'zoom':
-                    state.zoom = Math.max(20, Math.min(120, value));
-                    break;
+    const item = document.querySelector(`.comment-thread[data-thread-id="${id}"]`);
+    if (!item) return;
+    item.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    item.classList.remove('highlight');
+    void item.offsetWidth;
+    item.classList.add('highlight');
+}
+
+function getVisibleCommentThreads() {
+    return state.commentThreads
+        .filter(thread => {
+            switch (state.commentFilter) {
+                case 'open':
+                case 'resolved':
+                    return thread.status === state.commentFilter;
+                case 'mentions':
+                    return thread.comments.some(comment => isMentioned(comment));
+                default:
+                    return true;
             }
-            
-            updatePTZDisplay();
-            valueSpan.style.display = 'inline';
-            input.style.display = 'none';
-        });
-        
-        // Hide input on blur
-        input.addEventListener('blur', () => {
-            setTimeout(() => {
-                valueSpan.style.display = 'inline';
-                input.style.display = 'none';
-            }, 200);
-        });
+        })
+        .sort((a, b) => getCommentThreadTime(a) - getCommentThreadTime(b));
+}
+
+function renderComments() {
+    renderCommentTimeline();
+    
+    // Tab badge: open threads, highlighted when one mentions you
+    const open = state.commentThreads.filter(thread => thread.status === 'open');
+    const badge = document.getElementById('commentCount');
+    badge.textContent = open.length || '';
+    badge.classList.toggle('mention', open.some(thread => thread.comments.some(comment => isMentioned(comment))));
+    
+    const allowed = canComment();
+    document.getElementById('newCommentBtn').style.display = allowed ? 'inline-block' : 'none';
+    document.getElementById('commentPointBtn').style.display = allowed ? 'inline-block' : 'none';
+    
+    const list = document.getElementById('commentThreads');
+    list.innerHTML = '';
+    
+    const threads = getVisibleCommentThreads();
+    if (threads.length === 0) {
+        list.innerHTML = state.commentThreads.length === 0
+            ? '<div class="markers-empty">No comments yet. Start a thread on the current time, the selected range, a marker or a point in the scene.</div>'
+            : '<div class="markers-empty">No threads match this filter.</div>';
+        return;
+    }
+    
+    threads.forEach(thread => {
+        const item = document.createElement('div');
+        item.className = 'marker-item comment-thread' + (thread.status === 'resolved' ? ' resolved' : '');
+        item.dataset.threadId = thread.id;
+        item.innerHTML = `
+            <div class="marker-time"></div>
+            <div class="comment-list"></div>
+            <div class="marker-meta"></div>
+            <div class="marker-actions">
+                <button class="marker-action-btn" data-action="jump">Go To</button>
+            </div>
+        `;
+        item.querySelector('.marker-time').textContent =
+            `${COMMENT_ANCHOR_LABELS[thread.anchor.type]} • ${describeCommentAnchor(thread.anchor)}`;
+        item.querySelector('.marker-meta').textContent = thread.status === 'resolved'
+            ? `Resolved by ${thread.resolvedBy} • ${new Date(thread.resolvedAt).toLocaleString()}`
+            : `Open • ${thread.comments.length} ${thread.comments.length === 1 ? 'comment' : 'comments'}`;
+        
+        const comments = item.querySelector('.comment-list');
+        thread.comments.forEach(comment => comments.appendChild(renderComment(comment, allowed)));
+        
+        if (allowed) {
+            const actions = item.querySelector('.marker-actions');
+            const addAction = (action, label) => {
+                const btn = document.createElement('button');
+                btn.className = 'marker-action-btn';
+                btn.dataset.action = action;
+                btn.textContent = label;
+                actions.appendChild(btn);
+            };
+            addAction('reply', 'Reply');
+            addAction(thread.status === 'resolved' ? 'reopen' : 'resolve', thread.status === 'resolved' ? 'Reopen' : 'Resolve');
+        }
+        list.appendChild(item);
     });
 }
 
-function updatePTZDisplay() {
-    document.getElementById('panValue').textContent = Math.round(state.pan) + '°';
-    document.getElementById('panInput').value = Math.round(state.pan);
-    
-    document.getElementById('tiltValue').textContent = Math.round(state.tilt) + '°';
-    document.getElementById('tiltInput').value = Math.round(state.tilt);
+function renderComment(comment, allowed) {
+    const el = document.createElement('div');
+    el.className = 'comment' + (isMentioned(comment) ? ' mentions-you' : '');
+    el.dataset.commentId = comment.id;
+    el.innerHTML = `
+        <div class="comment-header">
+            <span class="comment-author"></span>
+            <span class="comment-date"></span>
+        </div>
+        <div class="comment-text"></div>
+        <div class="comment-history"></div>
+    `;
+    el.querySelector('.comment-author').textContent = comment.author;
+    el.querySelector('.comment-date').textContent = new Date(comment.createdAt).toLocaleString();
+    renderCommentText(el.querySelector('.comment-text'), comment.text);
     
-    document.getElementById('zoomValue').textContent = Math.round(state.zoom) + '°';
-    document.getElementById('zoomInput').value = Math.round(state.zoom);
+    const header = el.querySelector('.comment-header');
+    if (comment.history.length > 0) {
+        const btn = document.createElement('button');
+        btn.className = 'marker-action-btn comment-edited';
+        btn.dataset.action = 'history';
+        btn.textContent = 'edited';
+        btn.title = `Edited ${new Date(comment.editedAt).toLocaleString()}; show earlier versions`;
+        header.appendChild(btn);
+        
+        const history = el.querySelector('.comment-history');
+        comment.history.slice().reverse().forEach(version => {
+            const entry = document.createElement('div');
+            entry.className = 'comment-version';
+            entry.textContent = `${new Date(version.editedAt).toLocaleString()}: ${version.text}`;
+            history.appendChild(entry);
+        });
+    }
+    if (allowed && comment.author === state.currentUser) {
+        const btn = document.createElement('button');
+        btn.className = 'marker-action-btn';
+        btn.dataset.action = 'edit';
+        btn.textContent = 'Edit';
+        header.appendChild(btn);
+    }
+    return el;
 }
 
-function updateOrientationWidget() {
-    // Update compass degrees display
-    const normalizedPan = ((state.pan % 360) + 360) % 360;
-    document.getElementById('compassDegrees').textContent = Math.round(normalizedPan) + '°';
-    
-    // Rotate the direction arrow
-    // Invert the rotation so arrow points in the correct direction
-    // Add 180° offset to change the visual starting position
-    const arrow = document.getElementById('directionArrow');
-    if (arrow) {
-        // Negative rotation to invert direction, plus 180° offset for visual
-        const rotation = -normalizedPan + 180;
-        arrow.setAttribute('transform', `rotate(${rotation} 50 50)`);
+// Text with @mentions highlighted, built from text nodes so comments can't inject markup
+function renderCommentText(container, text) {
+    let last = 0;
+    for (const match of text.matchAll(COMMENT_MENTION_PATTERN)) {
+        container.appendChild(document.createTextNode(text.slice(last, match.index)));
+        const mention = document.createElement('span');
+        mention.className = 'comment-mention';
+        mention.textContent = match[0];
+        container.appendChild(mention);
+        last = match.index + match[0].length;
     }
+    container.appendChild(document.createTextNode(text.slice(last)));
+}
+
+// Dots above the timeline; threads scrolled out of a zoomed timeline are left out
+function renderCommentTimeline() {
+    const container = document.getElementById('timelineComments');
+    container.innerHTML = '';
+    if (!state.video.duration) return;
+    
+    state.commentThreads.forEach(thread => {
+        const time = getCommentThreadTime(thread);
+        const percentage = timeToTimelinePercent(time);
+        if (percentage < 0 || percentage > 100) return;
+        
+        const dot = document.createElement('div');
+        dot.className = 'comment-dot' + (thread.status === 'resolved' ? ' resolved' : '');
+        dot.dataset.threadId = thread.id;
+        dot.style.left = percentage + '%';
+        dot.title = `${formatTime(time)} - ${thread.comments[0].author}: ${thread.comments[0].text}`;
+        container.appendChild(dot);
+    });
+}
+
+// Threads touching the exported range, for the evidence package
+function getCommentThreadsInRange(range) {
+    return state.commentThreads.filter(thread => {
+        const time = getCommentThreadTime(thread);
+        const end = thread.anchor.type === 'range' ? thread.anchor.end : time;
+        return end >= range.start && time <= range.end;
+    });
 }
 
 // ===================================
-// Mouse/Touch Interaction
+// Deep Links & Sharing
 // ===================================
 
-function onMouseDown(event) {
-    if (state.viewLocked) return; // Disable dragging in locked views
+// Links carry their parameters in the URL fragment so they work on static hosting:
+//   #e=EVD-3F2A9C01B7D45E60&t=72.800&view=stitched&p=-30.0&tl=5.0&z=75.0&off=91.0
+//    &in=60.000&out=90.000&share=<token>&access=view&exp=2025-11-01T00:00:00.000Z
+// The share service is the authority on access level and expiry; the copies
+// in the link are informational. A link with any share parameter whose token
+// doesn't resolve, or whose evidence ID isn't the share's, opens view only, so
+// removing or mangling any part of it never grants more than the share did.
+
+const SHARE_ACCESS_LEVELS = {
+    view: 'View Only',
+    comment: 'View & Comment',
+    download: 'View & Download'
+};
+
+const RESTRICTED_SHARE_ACCESS = {
+    token: null,
+    evidenceId: null,
+    recipient: null,
+    accessLevel: 'view',
+    expiresAt: null,
+    logAccess: false
+};
+
+function buildDeepLink(params) {
+    const query = new URLSearchParams();
+    query.set('e', params.evidenceId);
+    query.set('t', params.time.toFixed(3));
+    query.set('view', params.view);
+    query.set('p', params.pan.toFixed(1));
+    query.set('tl', params.tilt.toFixed(1));
+    query.set('z', params.zoom.toFixed(1));
+    query.set('off', params.frontLensOffset.toFixed(1));
+    if (params.range) {
+        query.set('in', params.range.start.toFixed(3));
+        query.set('out', params.range.end.toFixed(3));
+    }
+    if (params.share) {
+        query.set('share', params.share.token);
+        query.set('access', params.share.accessLevel);
+        if (params.share.expiresAt) {
+            query.set('exp', params.share.expiresAt);
+        }
+    }
     
-    state.isDragging = true;
-    state.previousMousePosition = {
-        x: event.clientX,
-        y: event.clientY
+    const base = window.location.href.split('#')[0];
+    return `${base}#${query.toString()}`;
+}
+
+// Parse a deep link fragment; returns null when the fragment isn't one
+function parseDeepLink(hash) {
+    const query = new URLSearchParams(hash.replace(/^#/, ''));
+    const hasShareState = ['share', 'access', 'exp'].some(key => query.has(key));
+    if (!query.has('e') && !hasShareState) return null;
+    
+    const number = (key, fallback) => {
+        const value = parseFloat(query.get(key));
+        return isNaN(value) ? fallback : value;
     };
-    document.getElementById('threejsContainer').classList.add('dragging');
+    const views = ['stitched', 'front', 'back', 'rawview', 'flatview', ...Object.keys(PROJECTION_MODES)];
+    
+    const link = {
+        evidenceId: query.get('e'),
+        time: Math.max(0, number('t', 0)),
+        view: views.includes(query.get('view')) ? query.get('view') : 'stitched',
+        pan: normalizeAngle(number('p', 0)),
+        tilt: Math.max(-90, Math.min(90, number('tl', 0))),
+        zoom: Math.max(PERSPECTIVE_ZOOM_LIMITS.min, Math.min(LITTLE_PLANET_ZOOM_LIMITS.max, number('z', state.initialOrientation.zoom))),
+        frontLensOffset: number('off', state.frontLensOffset),
+        range: null,
+        shareToken: query.get('share'),
+        hasShareState
+    };
+    
+    const start = number('in', NaN);
+    const end = number('out', NaN);
+    if (!isNaN(start) && !isNaN(end) && end > start) {
+        link.range = { start, end };
+    }
+    return link;
 }
 
-function onMouseMove(event) {
-    if (!state.isDragging) return;
+async function openDeepLinkFromLocation() {
+    const link = parseDeepLink(window.location.hash);
+    if (!link) return;
     
-    const deltaX = event.clientX - state.previousMousePosition.x;
-    const deltaY = event.clientY - state.previousMousePosition.y;
+    // Share parameters are checked before anything else in the link, so an
+    // edited or missing evidence ID can't skip them
+    let share = null;
+    if (link.hasShareState) {
+        try {
+            if (!link.shareToken) throw new Error('link has no share token');
+            if (!link.evidenceId) throw new Error('link does not name the evidence');
+            setSignedInUser(await state.shareService.getSignedInUser());
+            share = await state.shareService.resolveShare(link.shareToken, { user: state.signedInUser });
+            if (share.evidenceId !== link.evidenceId) throw new Error('link does not match the shared evidence');
+            applyShareAccess(share);
+        } catch (err) {
+            applyShareAccess(RESTRICTED_SHARE_ACCESS);
+            showShareBanner(`This share link cannot be opened: ${err.message}`, 'error');
+            if (err.signInRequired) openSignInModal();
+            return;
+        }
+    }
     
-    state.pan -= deltaX * 0.3;
-    state.tilt += deltaY * 0.3;
+    // Opened again by openEvidence once the linked video is loaded
+    if (link.evidenceId !== state.evidenceId) {
+        console.warn(`Deep link is for ${link.evidenceId}, not ${state.evidenceId}; waiting for its video`);
+        return;
+    }
+    if (share && share.logAccess) {
+        logAudit('evidence.access', { via: 'share link', recipient: share.recipient, accessLevel: share.accessLevel });
+    }
     
-    // Clamp tilt
-    state.tilt = Math.max(-90, Math.min(90, state.tilt));
+    // Calibration and orientation apply immediately; the time waits for metadata
+    state.frontLensOffset = link.frontLensOffset;
+    state.sharedRange = link.range;
     
-    state.previousMousePosition = {
-        x: event.clientX,
-        y: event.clientY
-    };
+    const select = document.getElementById('viewControlSelect');
+    select.value = link.view;
+    handleViewChange({ target: select });
     
-    updatePTZDisplay();
+    if (!state.viewLocked) {
+        state.pan = link.pan;
+        state.tilt = link.tilt;
+        state.zoom = clampZoom(link.zoom);
+        updatePTZDisplay();
+    }
+    
+    state.pendingDeepLink = link;
+    applyPendingDeepLinkTime();
+    console.log('Deep link opened:', link);
 }
 
-function onMouseUp() {
-    state.isDragging = false;
-    document.getElementById('threejsContainer').classList.remove('dragging');
+// Seek to the linked time once the video's duration is known
+function applyPendingDeepLinkTime() {
+    const link = state.pendingDeepLink;
+    if (!link || !state.video.src || !state.video.duration) return;
+    
+    state.video.currentTime = Math.min(link.time, state.video.duration);
+    state.pendingDeepLink = null;
 }
 
-function onMouseWheel(event) {
-    event.preventDefault();
+// Restrict the UI to what a share allows
+function applyShareAccess(share) {
+    state.shareAccess = share;
     
-    // Allow zoom even in locked views
-    const delta = event.deltaY * -0.05;
-    state.zoom = Math.max(20, Math.min(120, state.zoom - delta));
+    const exportBtn = document.getElementById('exportBtn');
+    exportBtn.disabled = !canDownload();
+    exportBtn.title = canDownload() ? '' : 'Downloads are not permitted by this share link';
+    const captureBtn = document.getElementById('captureBtn');
+    captureBtn.disabled = !canDownload();
+    captureBtn.title = canDownload() ? 'Capture still of current view (P, Shift+P for options)' : 'Downloads are not permitted by this share link';
+    ['exportCustodyJsonBtn', 'exportCustodyCsvBtn'].forEach(id => {
+        const btn = document.getElementById(id);
+        btn.disabled = !canDownload();
+        btn.title = canDownload() ? '' : 'Downloads are not permitted by this share link';
+    });
+    renderViewPathList();
+    renderComments();
     
-    updatePTZDisplay();
+    const expiry = share.expiresAt ? `until ${new Date(share.expiresAt).toLocaleString()}` : 'with no expiration';
+    showShareBanner(`Shared with ${share.recipient || 'you'} • ${SHARE_ACCESS_LEVELS[share.accessLevel]} ${expiry}`, 'info');
 }
 
-// Touch events
-let touchStartDistance = 0;
+function canDownload() {
+    return !state.shareAccess || state.shareAccess.accessLevel === 'download';
+}
 
-function onTouchStart(event) {
-    if (event.touches.length === 1) {
-        state.isDragging = true;
-        state.previousMousePosition = {
-            x: event.touches[0].clientX,
-            y: event.touches[0].clientY
-        };
-    } else if (event.touches.length === 2) {
-        // Pinch to zoom
-        const dx = event.touches[0].clientX - event.touches[1].clientX;
-        const dy = event.touches[0].clientY - event.touches[1].clientY;
-        touchStartDistance = Math.sqrt(dx * dx + dy * dy);
-    }
+function showShareBanner(message, type) {
+    const banner = document.getElementById('shareBanner');
+    banner.textContent = message;
+    banner.className = `share-banner ${type}`;
+    banner.style.display = 'block';
 }
 
-function onTouchMove(event) {
-    event.preventDefault();
+// Share service interface (all methods return promises):
+//   createShare({ evidenceId, recipient, accessLevel, expiresAt, requireAuth, logAccess })
+//       -> share record including a unique token
+//   resolveShare(token, { user }) -> share record; rejects when revoked, expired or
+//       unauthorized (with signInRequired set when a signed-in user would be let in)
+//   revokeShare(token)
+//   getSignedInUser() -> account name, or null when nobody is signed in
+//   signIn(name) -> account name
+// Swap in a server-backed implementation with setShareService().
+function setShareService(service) {
+    state.shareService = service;
+}
+
+// Local mock: keeps shares in localStorage, which is enough to try links in this browser
+function createLocalShareService() {
+    const STORAGE_KEY = 'edp360.shares';
+    const SESSION_KEY = 'edp360.session';
     
-    if (event.touches.length === 1 && state.isDragging) {
-        const deltaX = event.touches[0].clientX - state.previousMousePosition.x;
-        const deltaY = event.touches[0].clientY - state.previousMousePosition.y;
-        
-        state.pan -= deltaX * 0.3;
-        state.tilt += deltaY * 0.3;
-        state.tilt = Math.max(-90, Math.min(90, state.tilt));
+    const load = () => JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    const save = (shares) => localStorage.setItem(STORAGE_KEY, JSON.stringify(shares));
+    
+    return {
+        async createShare(options) {
+            const bytes = crypto.getRandomValues(new Uint8Array(16));
+            const token = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+            const share = Object.assign({ token, createdAt: new Date().toISOString(), revoked: false }, options);
+            
+            const shares = load();
+            shares[token] = share;
+            save(shares);
+            return share;
+        },
         
-        state.previousMousePosition = {
-            x: event.touches[0].clientX,
-            y: event.touches[0].clientY
-        };
+        async resolveShare(token, { user } = {}) {
+            const share = load()[token];
+            if (!share || share.revoked) {
+                throw new Error('link not found or revoked');
+            }
+            if (share.expiresAt && new Date(share.expiresAt) < new Date()) {
+                throw new Error(`link expired on ${new Date(share.expiresAt).toLocaleString()}`);
+            }
+            if (share.requireAuth && !user) {
+                const err = new Error('sign in required');
+                err.signInRequired = true;
+                throw err;
+            }
+            return share;
+        },
         
-        updatePTZDisplay();
-    } else if (event.touches.length === 2) {
-        // Pinch to zoom
-        const dx = event.touches[0].clientX - event.touches[1].clientX;
-        const dy = event.touches[0].clientY - event.touches[1].clientY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
+        async revokeShare(token) {
+            const shares = load();
+            if (shares[token]) {
+                shares[token].revoked = true;
+                save(shares);
+            }
+        },
         
-        const delta = (touchStartDistance - distance) * 0.1;
-        state.zoom = Math.max(20, Math.min(120, state.zoom + delta));
+        async getSignedInUser() {
+            return localStorage.getItem(SESSION_KEY);
+        },
         
-        touchStartDistance = distance;
-        updatePTZDisplay();
-    }
+        async signIn(name) {
+            localStorage.setItem(SESSION_KEY, name);
+            return name;
+        }
+    };
 }
 
-function onTouchEnd() {
-    state.isDragging = false;
+// Signed-in users are recorded under their account name
+function setSignedInUser(user) {
+    state.signedInUser = user || null;
+    if (user) state.currentUser = user;
 }
 
-// ===================================
-// Sidebar
-// ===================================
+function openSignInModal() {
+    const input = document.getElementById('signInName');
+    input.value = '';
+    input.classList.remove('invalid');
+    document.getElementById('signInModal').classList.add('show');
+    input.focus();
+}
 
-function setupSidebarTabs() {
-    const tabs = document.querySelectorAll('.sidebar-tab');
-    const contents = document.querySelectorAll('.sidebar-content');
+async function signInFromForm() {
+    const input = document.getElementById('signInName');
+    const name = input.value.trim();
+    input.classList.toggle('invalid', !name);
+    if (!name) return;
     
-    tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            const targetTab = tab.dataset.tab;
-            
-            // Update active states
-            tabs.forEach(t => t.classList.remove('active'));
-            tab.classList.add('active');
-            
-            contents.forEach(content => {
-                if (content.dataset.content === targetTab) {
-                    content.classList.add('active');
-                } else {
-                    content.classList.remove('active');
-                }
-            });
-        });
-    });
+    setSignedInUser(await state.shareService.signIn(name));
+    document.getElementById('signInModal').classList.remove('show');
+    openDeepLinkFromLocation();
 }
 
-// ===================================
-// Transcript
-// ===================================
-
-function setupTranscriptEntries() {
-    const entries = document.querySelectorAll('.transcript-entry');
+function setupSharing() {
+    setShareService(createLocalShareService());
+    state.shareService.getSignedInUser().then(setSignedInUser);
+    window.addEventListener('hashchange', openDeepLinkFromLocation);
+    document.getElementById('confirmSignIn').addEventListener('click', signInFromForm);
     
-    entries.forEach(entry => {
-        entry.addEventListener('click', () => {
-            const time = parseFloat(entry.dataset.time);
-            if (state.video.src && !isNaN(time)) {
-                state.video.currentTime = time;
-            }
+    document.getElementById('confirmShare').addEventListener('click', createShareFromForm);
+    document.getElementById('copyShareLink').addEventListener('click', () => {
+        const output = document.getElementById('shareLinkOutput');
+        navigator.clipboard.writeText(output.value).then(() => {
+            document.getElementById('copyShareLink').textContent = 'Copied';
+        }).catch(() => {
+            output.select();
         });
     });
 }
 
-// ===================================
-// Markers
-// ===================================
+function openShareModal() {
+    document.getElementById('shareLinkGroup').style.display = 'none';
+    document.getElementById('copyShareLink').textContent = 'Copy';
+    
+    const range = getSelectedRange() || state.sharedRange;
+    document.getElementById('shareStartTime').value = range ? formatTime(range.start) : '';
+    document.getElementById('shareEndTime').value = range ? formatTime(range.end) : '';
+    
+    document.querySelectorAll('#shareModal .invalid').forEach(el => el.classList.remove('invalid'));
+    document.getElementById('shareModal').classList.add('show');
+}
 
-function setupMarkers() {
-    // Timeline markers
-    const timelineMarkers = document.querySelectorAll('.timeline-markers .marker');
-    timelineMarkers.forEach(marker => {
-        marker.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const time = parseFloat(marker.dataset.time);
-            if (state.video.src && !isNaN(time)) {
-                state.video.currentTime = time;
-            }
-        });
-    });
+async function createShareFromForm() {
+    // Optional range: both empty, or both valid
+    const startInput = document.getElementById('shareStartTime');
+    const endInput = document.getElementById('shareEndTime');
+    let range = null;
+    if (startInput.value.trim() || endInput.value.trim()) {
+        const start = parseTimeInput(startInput.value);
+        const end = parseTimeInput(endInput.value);
+        startInput.classList.toggle('invalid', isNaN(start));
+        endInput.classList.toggle('invalid', isNaN(end) || end <= start);
+        if (isNaN(start) || isNaN(end) || end <= start) return;
+        range = { start, end };
+    }
     
-    // Sidebar marker actions
-    const markerActionBtns = document.querySelectorAll('.marker-action-btn');
-    markerActionBtns.forEach(btn => {
-        if (btn.textContent === 'Jump to') {
-            btn.addEventListener('click', () => {
-                const markerItem = btn.closest('.marker-item');
-                const timeText = markerItem.querySelector('.marker-time').textContent;
-                const time = parseTimeString(timeText);
-                if (state.video.src && !isNaN(time)) {
-                    state.video.currentTime = time;
-                }
-            });
-        }
+    const days = parseInt(document.getElementById('shareExpiration').value, 10);
+    const share = await state.shareService.createShare({
+        evidenceId: state.evidenceId,
+        recipient: document.getElementById('shareRecipient').value.trim(),
+        accessLevel: document.getElementById('shareAccessLevel').value,
+        expiresAt: days > 0 ? new Date(Date.now() + days * 86400000).toISOString() : null,
+        requireAuth: document.getElementById('shareRequireAuth').checked,
+        logAccess: document.getElementById('shareLogAccess').checked,
+        createdBy: state.currentUser
     });
     
-    // Add marker button
-    document.getElementById('addMarkerSidebarBtn').addEventListener('click', () => {
-        document.getElementById('addMarkerModal').classList.add('show');
-        // Set current time
-        if (state.video.src) {
-            document.getElementById('markerTime').value = formatTime(state.video.currentTime);
-        }
+    const link = buildDeepLink({
+        evidenceId: state.evidenceId,
+        time: state.video.src ? state.video.currentTime : 0,
+        view: state.currentView,
+        pan: state.pan,
+        tilt: state.tilt,
+        zoom: state.zoom,
+        frontLensOffset: state.frontLensOffset,
+        range,
+        share
     });
-}
-
-function parseTimeString(timeStr) {
-    // Parse "0:15.500" format
-    const parts = timeStr.split(':');
-    if (parts.length !== 2) return 0;
     
-    const minutes = parseInt(parts[0]);
-    const secondsParts = parts[1].split('.');
-    const seconds = parseInt(secondsParts[0]);
-    const milliseconds = secondsParts.length > 1 ? parseInt(secondsParts[1]) : 0;
+    document.getElementById('shareLinkOutput').value = link;
+    document.getElementById('shareLinkDetails').textContent =
+        `${SHARE_ACCESS_LEVELS[share.accessLevel]} • ` +
+        (share.expiresAt ? `expires ${new Date(share.expiresAt).toLocaleString()}` : 'no expiration');
+    document.getElementById('shareLinkGroup').style.display = 'block';
     
-    return minutes * 60 + seconds + milliseconds / 1000;
+    console.log('Share created:', share);
+    logAudit('evidence.share', {
+        recipient: share.recipient,
+        accessLevel: share.accessLevel,
+        expiresAt: share.expiresAt,
+        range
+    });
 }
 
 // ===================================
@@ -940,7 +11144,7 @@ function parseTimeString(timeStr) {
 function setupModals() {
     // Share modal
     document.getElementById('shareBtn').addEventListener('click', () => {
-        document.getElementById('shareModal').classList.add('show');
+        openShareModal();
     });
     
     document.getElementById('closeShareModal').addEventListener('click', () => {
@@ -951,9 +11155,16 @@ function setupModals() {
         document.getElementById('shareModal').classList.remove('show');
     });
     
+    // Sign in modal
+    ['closeSignInModal', 'cancelSignIn'].forEach(id => {
+        document.getElementById(id).addEventListener('click', () => {
+            document.getElementById('signInModal').classList.remove('show');
+        });
+    });
+    
     // Export modal
     document.getElementById('exportBtn').addEventListener('click', () => {
-        document.getElementById('exportModal').classList.add('show');
+        openExportModal();
     });
     
     document.getElementById('closeExportModal').addEventListener('click', () => {
@@ -975,6 +11186,7 @@ function setupModals() {
     
     // Create recipe modal
     document.getElementById('createRecipeBtn').addEventListener('click', () => {
+        resetRecipeForm();
         document.getElementById('createRecipeModal').classList.add('show');
     });
     
@@ -1001,6 +11213,93 @@ function setupModals() {
 // Utility Functions
 // ===================================
 
+// Seek a video element and resolve once the frame at that time is available
+function seekVideo(video, time) {
+    return new Promise((resolve, reject) => {
+        if (!video.seeking && Math.abs(video.currentTime - time) < 0.0005) {
+            resolve();
+            return;
+        }
+        
+        const cleanup = () => {
+            video.removeEventListener('seeked', onSeeked);
+            video.removeEventListener('error', onError);
+        };
+        const onSeeked = () => {
+            cleanup();
+            resolve();
+        };
+        const onError = () => {
+            cleanup();
+            reject(new Error('Video seek failed'));
+        };
+        
+        video.addEventListener('seeked', onSeeked);
+        video.addEventListener('error', onError);
+        video.currentTime = time;
+    });
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+// Wrap an angle in degrees to -180..180
+function normalizeAngle(degrees) {
+    return ((((degrees + 180) % 360) + 360) % 360) - 180;
+}
+
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return bufferToHex(digest);
+}
+
+function bufferToHex(buffer) {
+    return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// JSON with object keys sorted, so equal values always serialize identically
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let i = 0;
+    while (bytes >= 1024 && i < units.length - 1) {
+        bytes /= 1024;
+        i++;
+    }
+    return `${bytes.toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+}
+
+// Time for use in file names, e.g. 72.8 -> "01m12.800s"
+function formatFileTime(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = (seconds % 60).toFixed(3).padStart(6, '0');
+    return `${String(mins).padStart(2, '0')}m${secs}s`;
+}
+
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'export';
+}
+
 // Keyboard shortcuts
 document.addEventListener('keydown', (event) => {
     if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
@@ -1020,6 +11319,53 @@ document.addEventListener('keydown', (event) => {
             event.preventDefault();
             skipTime(5);
             break;
+        case ',':
+            event.preventDefault();
+            stepFrame(-1);
+            break;
+        case '.':
+            event.preventDefault();
+            stepFrame(1);
+            break;
+        case 'j':
+            event.preventDefault();
+            shuttle(-1);
+            break;
+        case 'k':
+            event.preventDefault();
+            state.shuttleHold = true;
+            stopShuttle();
+            break;
+        case 'l':
+            event.preventDefault();
+            shuttle(1);
+            break;
+        case 'g':
+            event.preventDefault();
+            document.getElementById('gotoTimecodeInput').focus();
+            break;
+        case 'i':
+        case 'o':
+            event.preventDefault();
+            setRangePoint(event.key === 'i' ? 'in' : 'out');
+            break;
+        case 'I':
+        case 'O':
+            event.preventDefault();
+            goToRangePoint(event.key === 'I' ? 'in' : 'out');
+            break;
+        case 'L':
+            event.preventDefault();
+            toggleRangeLoop();
+            break;
+        case 'R':
+            event.preventDefault();
+            toggleViewPathRecording();
+            break;
+        case 'h':
+            event.preventDefault();
+            setCoverageOverlay(!state.coverageOverlay);
+            break;
         case 'ArrowUp':
             event.preventDefault();
             state.tilt = Math.max(-90, state.tilt + 5);
@@ -1046,6 +11392,26 @@ document.addEventListener('keydown', (event) => {
             event.preventDefault();
             calibrateFrontLens();
             break;
+        case 'n':
+            event.preventDefault();
+            setAnnotating(!state.annotating);
+            break;
+        case 'x':
+            event.preventDefault();
+            if (state.trackingRedactionId) {
+                setTrackingRedaction(null);
+            } else {
+                setRedacting(!state.redacting);
+            }
+            break;
+        case 'p':
+            event.preventDefault();
+            captureCurrentView();
+            break;
+        case 'P':
+            event.preventDefault();
+            openExportModal({ format: 'frames' });
+            break;
         case 'a':
             event.preventDefault();
             state.pan -= 5;
@@ -1069,13 +11435,13 @@ document.addEventListener('keydown', (event) => {
         case '+':
         case '=':
             event.preventDefault();
-            state.zoom = Math.max(20, state.zoom - 5);
+            state.zoom = clampZoom(state.zoom - 5);
             updatePTZDisplay();
             break;
         case '-':
         case '_':
             event.preventDefault();
-            state.zoom = Math.min(120, state.zoom + 5);
+            state.zoom = clampZoom(state.zoom + 5);
             updatePTZDisplay();
             break;
     }
@@ -1085,8 +11451,15 @@ console.log('Script loaded successfully');
 console.log('Keyboard shortcuts:');
 console.log('  Space - Play/Pause');
 console.log('  ← → - Skip 5s | ↑ ↓ - Tilt camera');
+console.log('  , . - Previous/next frame | G - Go to timecode');
+console.log('  J K L - Shuttle back/stop/forward (repeat for faster, hold K to step frames)');
+console.log('  I O - Set in/out point | Shift+I/O - Go to in/out | Shift+L - Loop range');
+console.log('  Shift+R - Start/stop recording a view path');
 console.log('  A D - Pan left/right | W S - Tilt up/down');
 console.log('  + - - Zoom in/out');
 console.log('  F - Fullscreen | M - Mute | R - Reset view');
 console.log('  C - Calibrate current view as front lens');
+console.log('  N - Pin a spatial annotation (then click the video)');
+console.log('  P - Capture still | Shift+P - Frame capture options');
+console.log('  X - Add a redaction region (then click the video) / stop tracking');
 